@@ -12,7 +12,8 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { parse as parseUrl } from 'url';
 import { exec } from 'child_process';
-import { createFsHandlers } from '../plugin/fs-handlers.js';
+import { createFsHandlers, findHandler, isPathInside, sendError } from '../plugin/fs-handlers.js';
+import { createBackend, diskBackend } from '../plugin/backends.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,10 +23,32 @@ const args = process.argv.slice(2);
 let projectDir = '.';
 let host = 'localhost';
 let port = 3000;
-let baseDir = './data';
+let baseDir = null;
 let apiPrefix = '/api/fs';
 let openBrowser = false;
 let justFs = false;
+let token = process.env.WITHFS_TOKEN || null;
+let rulesFile = null;
+let readOnly = false;
+let allowedMethods = null;
+let followSymlinks = 'inside';
+let isolate = false;
+let backendSpec = 'disk';
+const mountSpecs = [];
+const limits = {};
+let trash = false;
+let trashRetention = Infinity;
+
+// Parse a size such as 500, 64K, 10MB or 2G (units are powers of 1024)
+function parseSize(flag, value = '') {
+  const match = /^(\d+(?:\.\d+)?)\s*([kmgt]?)(?:i?b)?$/i.exec(value.trim());
+  if (!match) {
+    console.error(`Error: Invalid ${flag} "${value}", expected a size such as 500M or 2G`);
+    process.exit(1);
+  }
+  const power = ' kmgt'.indexOf(match[2].toLowerCase() || ' ');
+  return Math.floor(Number(match[1]) * 1024 ** power);
+}
 
 // Parse arguments
 for (let i = 0; i < args.length; i++) {
@@ -42,13 +65,51 @@ for (let i = 0; i < args.length; i++) {
   } else if (arg === '--port' || arg === '-p') {
     port = parseInt(args[++i]) || 3000;
   } else if (arg === '--base-dir' || arg === '-b') {
-    baseDir = args[++i] || './data';
+    baseDir = args[++i] || null;
   } else if (arg === '--api-prefix' || arg === '-a') {
     apiPrefix = args[++i] || '/api/fs';
   } else if (arg === '--open' || arg === '-o') {
     openBrowser = true;
   } else if (arg === '--justfs') {
     justFs = true;
+  } else if (arg === '--token' || arg === '-t') {
+    token = args[++i] || null;
+  } else if (arg === '--rules' || arg === '-r') {
+    rulesFile = args[++i] || null;
+  } else if (arg === '--mount' || arg === '-m') {
+    mountSpecs.push(args[++i] || '');
+  } else if (arg === '--read-only') {
+    readOnly = true;
+  } else if (arg === '--allow') {
+    allowedMethods = (args[++i] || '').split(',').map(m => m.trim()).filter(Boolean);
+  } else if (arg === '--follow-symlinks') {
+    followSymlinks = args[++i] || 'inside';
+  } else if (arg === '--isolate') {
+    isolate = true;
+  } else if (arg === '--backend') {
+    backendSpec = args[++i] || 'disk';
+  } else if (arg === '--max-file-size') {
+    limits.maxFileSize = parseSize(arg, args[++i]);
+  } else if (arg === '--max-request-body') {
+    limits.maxRequestBody = parseSize(arg, args[++i]);
+  } else if (arg === '--quota') {
+    limits.quotaBytes = parseSize(arg, args[++i]);
+  } else if (arg === '--max-files') {
+    limits.maxFiles = parseInt(args[++i]);
+    if (!(limits.maxFiles >= 0)) {
+      console.error('Error: Invalid --max-files, expected a number');
+      process.exit(1);
+    }
+  } else if (arg === '--trash') {
+    trash = true;
+  } else if (arg === '--trash-retention') {
+    const days = Number(args[++i]);
+    if (!(days > 0)) {
+      console.error('Error: Invalid --trash-retention, expected a number of days');
+      process.exit(1);
+    }
+    trash = true;
+    trashRetention = days * 24 * 60 * 60 * 1000;
   } else if (arg === '--help') {
     showHelp();
     process.exit(0);
@@ -57,9 +118,25 @@ for (let i = 0; i < args.length; i++) {
   }
 }
 
-// Resolve paths
+if (!['inside', 'never', 'always'].includes(followSymlinks)) {
+  console.error(`Error: Invalid --follow-symlinks "${followSymlinks}", expected inside, never or always`);
+  process.exit(1);
+}
+
+// Pick the backend: the disk, memory, or an archive served read-only
+let backend;
+try {
+  backend = createBackend(backendSpec);
+} catch (err) {
+  console.error(`Error: Could not open backend ${backendSpec}: ${err.message}`);
+  process.exit(1);
+}
+const onDisk = backend === diskBackend;
+
+// Resolve paths; on other backends they are paths inside the backend
 const PROJECT_DIR = path.resolve(process.cwd(), projectDir);
-const BASE_DIR = path.resolve(PROJECT_DIR, baseDir);
+const resolveFsDir = dir => onDisk ? path.resolve(PROJECT_DIR, dir) : path.resolve('/', dir);
+const BASE_DIR = resolveFsDir(baseDir || (onDisk ? './data' : '/'));
 
 // Ensure directories exist
 if (!justFs && !fsSync.existsSync(PROJECT_DIR)) {
@@ -67,17 +144,68 @@ if (!justFs && !fsSync.existsSync(PROJECT_DIR)) {
   process.exit(1);
 }
 
-if (!fsSync.existsSync(BASE_DIR)) {
-  fsSync.mkdirSync(BASE_DIR, { recursive: true });
+// Parse --mount name=dir[:ro] flags
+let mounts = null;
+for (const spec of mountSpecs) {
+  const separator = spec.indexOf('=');
+  if (separator <= 0) {
+    console.error(`Error: Invalid mount "${spec}", expected name=dir[:ro]`);
+    process.exit(1);
+  }
+  let dir = spec.slice(separator + 1);
+  const readOnly = dir.endsWith(':ro');
+  if (readOnly || dir.endsWith(':rw')) {
+    dir = dir.slice(0, -3);
+  }
+  mounts = mounts || {};
+  mounts[spec.slice(0, separator)] = { dir: resolveFsDir(dir), readOnly };
+}
+
+const fsRoots = mounts ? Object.values(mounts).map(mount => mount.dir) : [BASE_DIR];
+for (const dir of fsRoots) {
+  if (!onDisk) {
+    await backend.mkdir(dir, { recursive: true }).catch(err => {
+      console.error(`Error: Could not create ${dir}: ${err.message}`);
+      process.exit(1);
+    });
+  } else if (!fsSync.existsSync(dir)) {
+    fsSync.mkdirSync(dir, { recursive: true });
+  }
+}
+
+// Files under the fs roots are served by the API only, behind its token and rules
+const fsRealRoots = onDisk ? fsRoots.map(dir => fsSync.realpathSync(dir)) : [];
+
+// Load access rules
+let rules = [];
+if (rulesFile) {
+  try {
+    rules = JSON.parse(fsSync.readFileSync(path.resolve(process.cwd(), rulesFile), 'utf8'));
+  } catch (err) {
+    console.error(`Error: Could not load rules file ${rulesFile}: ${err.message}`);
+    process.exit(1);
+  }
 }
 
 // Create FS handlers
-const fsHandlers = createFsHandlers(BASE_DIR);
+const fsHandlers = createFsHandlers(BASE_DIR, {
+  token,
+  rules,
+  readOnly: readOnly || Boolean(backend.readOnly),
+  allowedMethods,
+  mounts,
+  followSymlinks,
+  backend,
+  ...limits,
+  trash,
+  trashRetention
+});
 
 // MIME types
 const mimeTypes = {
   '.html': 'text/html',
   '.js': 'application/javascript',
+  '.mjs': 'application/javascript',
   '.css': 'text/css',
   '.json': 'application/json',
   '.png': 'image/png',
@@ -113,32 +241,30 @@ async function serveStaticFile(req, res) {
   const filePath = path.join(PROJECT_DIR, pathname);
   
   // Security check
-  if (!filePath.startsWith(PROJECT_DIR)) {
+  if (!isPathInside(PROJECT_DIR, filePath)) {
     res.writeHead(403, { 'Content-Type': 'text/plain' });
     res.end('Forbidden');
     return;
   }
   
   try {
-    const stats = await fs.stat(filePath);
-    
-    if (stats.isDirectory()) {
-      const indexPath = path.join(filePath, 'index.html');
-      if (fsSync.existsSync(indexPath)) {
-        const content = await fs.readFile(indexPath);
-        res.writeHead(200, { 'Content-Type': 'text/html' });
-        res.end(content);
-      } else {
-        res.writeHead(404, { 'Content-Type': 'text/plain' });
-        res.end('Not Found');
-      }
+    let servedPath = filePath;
+    if ((await fs.stat(filePath)).isDirectory()) {
+      servedPath = path.join(filePath, 'index.html');
+    }
+    const realPath = await fs.realpath(servedPath);
+
+    // The fs roots (with .fs-browser in them) are only served through the API
+    if (fsRealRoots.some(root => isPathInside(root, realPath))) {
+      res.writeHead(403, { 'Content-Type': 'text/plain' });
+      res.end('Forbidden');
       return;
     }
     
-    const ext = path.extname(filePath);
+    const ext = path.extname(servedPath);
     const contentType = mimeTypes[ext] || 'application/octet-stream';
     
-    const content = await fs.readFile(filePath);
+    const content = await fs.readFile(realPath);
     res.writeHead(200, { 'Content-Type': contentType });
     res.end(content);
   } catch (err) {
@@ -156,8 +282,15 @@ async function serveStaticFile(req, res) {
 const server = http.createServer(async (req, res) => {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Range, X-Fs-Session, Authorization, If-Match, If-None-Match, If-Modified-Since');
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Range, Accept-Ranges, Content-Length, ETag, Last-Modified, Upload-Offset, Upload-Length');
+
+  // Cross-origin isolation, needed for SharedArrayBuffer (sync API in workers)
+  if (isolate) {
+    res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+    res.setHeader('Cross-Origin-Embedder-Policy', 'require-corp');
+  }
   
   if (req.method === 'OPTIONS') {
     res.writeHead(200);
@@ -169,8 +302,7 @@ const server = http.createServer(async (req, res) => {
     // Handle FS API routes
     if (req.url.startsWith(apiPrefix)) {
       const routePath = req.url.substring(apiPrefix.length) || '/';
-      const handlerKey = `${req.method} ${routePath.split('?')[0]}`;
-      const handler = fsHandlers[handlerKey];
+      const handler = findHandler(fsHandlers, req.method, routePath);
       
       if (handler) {
         await handler(req, res);
@@ -192,14 +324,7 @@ const server = http.createServer(async (req, res) => {
       }));
     }
   } catch (error) {
-    console.error('Server error:', error);
-    res.writeHead(500, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ 
-      error: {
-        message: error.message,
-        status: 500
-      }
-    }));
+    sendError(res, error, BASE_DIR);
   }
 });
 
@@ -216,10 +341,45 @@ server.listen(port, host, () => {
     console.log(`  Network:     http://<your-ip>:${port}`);
   }
   console.log(`  FS API:      ${apiPrefix}`);
-  console.log(`  Base Dir:    ${BASE_DIR}`);
+  if (mounts) {
+    for (const [name, mount] of Object.entries(mounts)) {
+      console.log(`  Mount:       /${name} -> ${mount.dir}${mount.readOnly ? ' (read-only)' : ''}`);
+    }
+  } else {
+    console.log(`  Base Dir:    ${BASE_DIR}`);
+  }
+  if (!onDisk) {
+    console.log(`  Backend:     ${backendSpec === 'memory' ? 'memory (lost on exit)' : `${backendSpec} (read-only)`}`);
+  }
   if (justFs) {
     console.log(`  Mode:        Just FS (no static files)`);
   }
+  console.log(`  Auth:        ${token ? 'Bearer token' : 'none'}`);
+  if (readOnly) {
+    console.log(`  Access:      read-only`);
+  }
+  if (allowedMethods) {
+    console.log(`  Methods:     ${allowedMethods.join(', ')}`);
+  }
+  if (followSymlinks !== 'inside') {
+    console.log(`  Symlinks:    ${followSymlinks}`);
+  }
+  if (isolate) {
+    console.log(`  Isolation:   COOP/COEP headers (SharedArrayBuffer enabled)`);
+  }
+  if (rules.length) {
+    console.log(`  Rules:       ${rules.length} from ${rulesFile}`);
+  }
+  if (trash) {
+    console.log(`  Trash:       on${trashRetention === Infinity ? '' : `, entries kept ${trashRetention / 86400000} days`}`);
+  }
+  if (Object.keys(limits).length) {
+    const described = Object.entries(limits).map(([name, value]) => `${name} ${value}`);
+    console.log(`  Limits:      ${described.join(', ')}`);
+  }
+  if (host === '0.0.0.0' && !token) {
+    console.log('\n  ⚠️  The fs API is reachable from your network without a token (see --token)');
+  }
   console.log('\n  Press Ctrl+C to stop\n');
   
   if (openBrowser && !justFs) {
@@ -245,6 +405,21 @@ OPTIONS:
   --api-prefix, -a <prefix>  API route prefix (default: /api/fs)
   --open, -o                 Open browser automatically
   --justfs                   Only run fs API (no static file serving)
+  --token, -t <token>        Require "Authorization: Bearer <token>" (or WITHFS_TOKEN env)
+  --rules, -r <file>         JSON file of access rules: [{ "pattern", "access" }]
+  --read-only                Reject every operation that modifies files
+  --allow <methods>          Comma-separated list of enabled methods (see GET /methods)
+  --mount, -m <name=dir[:ro]> Serve dir under /name instead of the base dir (repeatable)
+  --follow-symlinks <mode>   inside (default), never or always
+  --isolate                  Send COOP/COEP headers so pages can use SharedArrayBuffer
+  --backend <backend>        disk (default), memory, or a .zip/.tar/.tar.gz file served read-only;
+                             --base-dir and --mount then name paths inside it (default: /)
+  --max-file-size <size>     Largest file a write may leave, e.g. 100M (EFBIG past it)
+  --max-request-body <size>  Largest request body, e.g. 10M (EFBIG past it)
+  --quota <size>             Most bytes all files together may take, e.g. 2G (ENOSPC past it)
+  --max-files <n>            Most files and directories (ENOSPC past it)
+  --trash                    Move what rm, rmdir and unlink delete into a restorable trash
+  --trash-retention <days>   Purge trash entries older than this (implies --trash)
   --help                     Show this help message
 
 EXAMPLES:
@@ -255,6 +430,13 @@ EXAMPLES:
   withfs --open              # Open browser automatically
   withfs --justfs            # Only fs API, no static files
   withfs --justfs --port 5001  # Dedicated fs API server
+  withfs --host --token s3cret # Require a bearer token
+  withfs ./dist --read-only  # Browser can read data/ but never modify it
+  withfs --mount assets=./assets --mount config=./config:ro
+  withfs --justfs --backend memory   # Scratch filesystem for tests and demos
+  withfs ./dist --backend site.zip   # Browse an archive without unpacking it
+  withfs --host --quota 1G --max-file-size 100M
+  withfs ./dist --trash-retention 30 # Deleted files can be restored for 30 days
 
 AFTER BUILD WORKFLOW:
   npm run build
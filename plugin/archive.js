@@ -0,0 +1,643 @@
+/**
+ * Readers and writers for zip and tar archives, and a read-only backend
+ * serving one
+ */
+
+import fsSync from "fs";
+import path from "path";
+import { constants as bufferConstants } from "buffer";
+import zlib from "zlib";
+import { createFsError } from "./fs-handlers.js";
+import { fileTooLarge } from "./limits.js";
+import { createMemoryFs } from "./memory-fs.js";
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+const S_IFDIR = 0o040000;
+const S_IFREG = 0o100000;
+
+/**
+ * CRC-32 lookup table, as used by zip and gzip
+ */
+const CRC_TABLE = Int32Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+const invalid = (description, file) =>
+    createFsError("EINVAL", `invalid argument, ${description}`, {
+        path: file
+    });
+
+/**
+ * Most bytes zlib may unpack to, for a limit of `limit` bytes
+ * @param {number} limit - Limit, Infinity for none
+ * @returns {number}
+ */
+const outputLimit = limit => Math.min(limit, bufferConstants.MAX_LENGTH);
+
+/**
+ * Archive entry path made safe: slash-separated, relative, no `..`
+ * @param {string} name - Path as stored in the archive
+ * @param {boolean} strict - Throw instead of returning null
+ * @returns {string|null} - null for entries that would land outside the root
+ */
+const safeEntryPath = (name, strict = false) => {
+    const normalized = path.posix.normalize(
+        name.replace(/\\/g, "/").replace(/^\/+/, "")
+    );
+    if (normalized === ".." || normalized.startsWith("../")) {
+        if (strict) throw invalid(`entry '${name}' leads outside the archive`);
+        return null;
+    }
+    return normalized.replace(/\/$/, "");
+};
+
+/**
+ * Check that a symlink from an archive points inside it
+ * @param {string} entryPath - Safe path of the link, see safeEntryPath
+ * @param {string} target - Link target
+ */
+const checkLinkTarget = (entryPath, target) => {
+    const resolved = path.posix.join(path.posix.dirname(entryPath), target);
+    if (
+        target.startsWith("/") ||
+        resolved === ".." ||
+        resolved.startsWith("../")
+    ) {
+        throw invalid(`link '${entryPath}' leads outside the archive`);
+    }
+};
+
+/**
+ * Decode an MS-DOS date and time, as stored in zip headers
+ * @returns {number} - Milliseconds since the epoch (local time)
+ */
+const fromDosTime = (date, time) =>
+    new Date(
+        (date >> 9) + 1980,
+        ((date >> 5) & 0xf) - 1,
+        date & 0x1f,
+        time >> 11,
+        (time >> 5) & 0x3f,
+        (time & 0x1f) * 2
+    ).getTime();
+
+/**
+ * Read the entries of a zip archive
+ * Supports stored and deflated entries; zip64 and encrypted entries are
+ * rejected.
+ * @param {Buffer} buffer - Archive contents
+ * @param {Object} options - `strict` to reject entries and symlinks that
+ *   lead outside the archive, instead of skipping the entries; `maxSize`
+ *   and `maxFileSize`, the most bytes the archive and each entry may unpack
+ *   to (EFBIG past them)
+ * @returns {Array<Object>} - `{ path, type, data, target, mode, mtimeMs }`
+ *   entries, see createMemoryFs
+ */
+export const readZip = (
+    buffer,
+    { strict = false, maxSize = Infinity, maxFileSize = Infinity } = {}
+) => {
+    // End of central directory record: at least 22 bytes, then a comment
+    let end = -1;
+    for (let i = buffer.length - 22; i >= 0 && i >= buffer.length - 65557; i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) throw invalid("not a zip archive");
+
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    if (count === 0xffff || offset === 0xffffffff) {
+        throw invalid("zip64 archives are not supported");
+    }
+
+    const entries = [];
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+            throw invalid("corrupt zip central directory");
+        }
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const time = buffer.readUInt16LE(offset + 12);
+        const date = buffer.readUInt16LE(offset + 14);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const unixMode = buffer.readUInt32LE(offset + 38) >>> 16;
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString(
+            flags & 0x800 ? "utf8" : "latin1",
+            offset + 46,
+            offset + 46 + nameLength
+        );
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        const entryPath = safeEntryPath(name, strict);
+        if (!entryPath || entryPath === ".") continue;
+        if (flags & 1) throw invalid(`encrypted zip entry '${name}'`);
+
+        const mtimeMs = fromDosTime(date, time);
+        const mode = unixMode & 0o7777 || undefined;
+        if (name.endsWith("/") || (unixMode & S_IFMT) === S_IFDIR) {
+            entries.push({ path: entryPath, type: "directory", mode, mtimeMs });
+            continue;
+        }
+
+        const dataStart =
+            localOffset +
+            30 +
+            buffer.readUInt16LE(localOffset + 26) +
+            buffer.readUInt16LE(localOffset + 28);
+        const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+        if (size > maxFileSize) throw fileTooLarge(entryPath, maxFileSize);
+        total += size;
+        if (total > maxSize) throw fileTooLarge(undefined, maxSize);
+        let data;
+        if (method === 0) {
+            data = Buffer.from(raw);
+        } else if (method === 8) {
+            // Never more than the entry claims, so the sizes above hold
+            try {
+                data = zlib.inflateRawSync(raw, {
+                    maxOutputLength: Math.max(size, 1)
+                });
+            } catch {
+                throw invalid(`corrupt zip entry '${name}'`);
+            }
+        } else {
+            throw invalid(`unsupported zip compression method ${method}`);
+        }
+
+        if ((unixMode & S_IFMT) === S_IFLNK) {
+            if (strict) checkLinkTarget(entryPath, data.toString());
+            entries.push({
+                path: entryPath,
+                type: "symlink",
+                target: data.toString(),
+                mtimeMs
+            });
+        } else {
+            entries.push({ path: entryPath, type: "file", data, mode, mtimeMs });
+        }
+    }
+    return entries;
+};
+
+/**
+ * Parse the records of a pax extended header
+ * @param {Buffer} data - Header contents
+ * @returns {Object} - Keyword to value
+ */
+const parsePax = data => {
+    const records = {};
+    let offset = 0;
+    while (offset < data.length) {
+        const space = data.indexOf(0x20, offset);
+        const length = parseInt(data.toString("utf8", offset, space), 10);
+        if (!(length > 0)) break;
+        const record = data.toString("utf8", space + 1, offset + length - 1);
+        const equals = record.indexOf("=");
+        records[record.slice(0, equals)] = record.slice(equals + 1);
+        offset += length;
+    }
+    return records;
+};
+
+/**
+ * Read the entries of a tar archive, gzipped or not
+ * Supports ustar, pax and GNU long names. Hard links become copies of their
+ * target, which count toward maxSize again; devices and FIFOs are skipped.
+ * @param {Buffer} buffer - Archive contents
+ * @param {Object} options - `strict`, `maxSize` and `maxFileSize`, see
+ *   readZip
+ * @returns {Array<Object>} - Entries, see readZip
+ */
+export const readTar = (
+    buffer,
+    { strict = false, maxSize = Infinity, maxFileSize = Infinity } = {}
+) => {
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        try {
+            buffer = zlib.gunzipSync(buffer, {
+                maxOutputLength: outputLimit(maxSize)
+            });
+        } catch (err) {
+            if (err.code === "ERR_BUFFER_TOO_LARGE") {
+                throw fileTooLarge(undefined, maxSize);
+            }
+            throw invalid("corrupt gzip data");
+        }
+    }
+    if (buffer.length > maxSize) throw fileTooLarge(undefined, maxSize);
+
+    const field = (offset, length) => {
+        const value = buffer.subarray(offset, offset + length);
+        const nul = value.indexOf(0);
+        return value.toString("utf8", 0, nul === -1 ? length : nul);
+    };
+    const octal = (offset, length) =>
+        parseInt(field(offset, length).trim() || "0", 8);
+
+    if (buffer.length < 512) throw invalid("not a tar archive");
+
+    const entries = [];
+    const files = new Map();
+    let total = 0;
+    let extended = {};
+    let longName = null;
+    let longLink = null;
+
+    for (let offset = 0; offset + 512 <= buffer.length; ) {
+        if (buffer[offset] === 0) break;
+        // Byte sum of the header, its checksum field counted as spaces
+        let sum = 8 * 0x20;
+        for (let i = offset; i < offset + 512; i++) {
+            if (i < offset + 148 || i >= offset + 156) sum += buffer[i];
+        }
+        if (sum !== octal(offset + 148, 8)) {
+            throw invalid("not a tar archive, or a corrupt one");
+        }
+        const size = octal(offset + 124, 12);
+        const type = String.fromCharCode(buffer[offset + 156] || 0x30);
+        const dataStart = offset + 512;
+        const data = buffer.subarray(dataStart, dataStart + size);
+        const header = offset;
+        offset = dataStart + Math.ceil(size / 512) * 512;
+
+        if (type === "x") {
+            extended = parsePax(data);
+            continue;
+        }
+        if (type === "g") continue;
+        if (type === "L") {
+            longName = data.toString("utf8").replace(/\0+$/, "");
+            continue;
+        }
+        if (type === "K") {
+            longLink = data.toString("utf8").replace(/\0+$/, "");
+            continue;
+        }
+
+        const prefix =
+            field(header + 257, 6) === "ustar" ? field(header + 345, 155) : "";
+        const name =
+            extended.path ??
+            longName ??
+            (prefix ? `${prefix}/` : "") + field(header, 100);
+        const linkName = extended.linkpath ?? longLink ?? field(header + 157, 100);
+        const mtimeMs = Number(extended.mtime ?? octal(header + 136, 12)) * 1000;
+        const mode = octal(header + 100, 8) & 0o7777;
+        extended = {};
+        longName = null;
+        longLink = null;
+
+        const entryPath = safeEntryPath(name, strict);
+        if (!entryPath || entryPath === ".") continue;
+
+        if (type === "5") {
+            entries.push({ path: entryPath, type: "directory", mode, mtimeMs });
+        } else if (type === "2") {
+            if (strict) checkLinkTarget(entryPath, linkName);
+            entries.push({
+                path: entryPath,
+                type: "symlink",
+                target: linkName,
+                mtimeMs
+            });
+        } else if (type === "1") {
+            const linked = files.get(safeEntryPath(linkName));
+            if (!linked) continue;
+            total += linked.data.length;
+            if (total > maxSize) throw fileTooLarge(undefined, maxSize);
+            entries.push({ ...linked, path: entryPath });
+        } else if (type === "0" || type === "7") {
+            if (size > maxFileSize) throw fileTooLarge(entryPath, maxFileSize);
+            total += size;
+            if (total > maxSize) throw fileTooLarge(undefined, maxSize);
+            const entry = {
+                path: entryPath,
+                type: "file",
+                data: Buffer.from(data),
+                mode,
+                mtimeMs
+            };
+            files.set(entryPath, entry);
+            entries.push(entry);
+        }
+    }
+    return entries;
+};
+
+/**
+ * Read the entries of a zip or tar archive, detected from its contents
+ * @param {Buffer} buffer - Archive contents
+ * @param {Object} options - `strict`, `maxSize` and `maxFileSize`, see
+ *   readZip
+ * @returns {Array<Object>} - Entries, see readZip
+ */
+export const readArchive = (buffer, options) => {
+    const signature = buffer.length >= 4 ? buffer.readUInt32LE(0) : 0;
+    return signature === 0x04034b50 || signature === 0x06054b50
+        ? readZip(buffer, options)
+        : readTar(buffer, options);
+};
+
+/**
+ * CRC-32 of some bytes
+ * @param {Buffer} data - Bytes
+ * @param {number} crc - CRC of the bytes before these, to continue it
+ * @returns {number}
+ */
+const crc32 = (data, crc = 0) => {
+    let c = ~crc;
+    for (let i = 0; i < data.length; i++) {
+        c = CRC_TABLE[(c ^ data[i]) & 0xff] ^ (c >>> 8);
+    }
+    return ~c >>> 0;
+};
+
+/**
+ * Encode a time as an MS-DOS date and time, see fromDosTime
+ * @param {number} mtimeMs - Milliseconds since the epoch
+ * @returns {{date: number, time: number}}
+ */
+const toDosTime = mtimeMs => {
+    const d = new Date(Math.max(mtimeMs || 0, new Date(1980, 0, 1).getTime()));
+    return {
+        date:
+            ((d.getFullYear() - 1980) << 9) |
+            ((d.getMonth() + 1) << 5) |
+            d.getDate(),
+        time:
+            (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1)
+    };
+};
+
+/**
+ * Mode bits of an entry, with its type, for zip and tar headers
+ * @param {Object} entry - Entry, see writeZip
+ * @returns {number}
+ */
+const entryMode = entry => {
+    const type = { file: S_IFREG, directory: S_IFDIR, symlink: S_IFLNK }[
+        entry.type
+    ];
+    const fallback = { file: 0o644, directory: 0o755, symlink: 0o777 }[
+        entry.type
+    ];
+    return type | (entry.mode & 0o7777 || fallback);
+};
+
+/**
+ * Write a zip archive, one entry at a time
+ * Files are deflated as they are read, their sizes and CRCs following the
+ * data, so nothing is held in memory. Archives over 4 GiB (zip64) are not
+ * supported.
+ * @param {AsyncIterable<Object>} entries - `{ path, type, mode, mtimeMs,
+ *   size, target, open }` where type is "file", "directory" or "symlink",
+ *   target is the symlink target and `open()` resolves to a readable stream
+ *   of a file's contents
+ * @yields {Buffer} - Archive contents
+ */
+export async function* writeZip(entries) {
+    const central = [];
+    let offset = 0;
+
+    for await (const entry of entries) {
+        const name = Buffer.from(
+            entry.type === "directory" ? `${entry.path}/` : entry.path
+        );
+        const { date, time } = toDosTime(entry.mtimeMs);
+        // Empty files are stored, some readers fail on empty deflate data
+        const method = entry.type === "file" && entry.size > 0 ? 8 : 0;
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        // Sizes and CRC follow the data; names are UTF-8
+        header.writeUInt16LE(0x808, 6);
+        header.writeUInt16LE(method, 8);
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(date, 12);
+        header.writeUInt16LE(name.length, 26);
+        yield header;
+        yield name;
+
+        let crc = 0;
+        let size = 0;
+        let compressedSize = 0;
+        if (entry.type === "symlink") {
+            const data = Buffer.from(entry.target);
+            crc = crc32(data);
+            size = compressedSize = data.length;
+            yield data;
+        } else if (method === 8) {
+            const deflate = zlib.createDeflateRaw();
+            const source = await entry.open();
+            source.on("data", chunk => {
+                crc = crc32(chunk, crc);
+                size += chunk.length;
+            });
+            source.on("error", err => deflate.destroy(err));
+            source.pipe(deflate);
+            try {
+                for await (const chunk of deflate) {
+                    compressedSize += chunk.length;
+                    yield chunk;
+                }
+            } finally {
+                source.destroy();
+            }
+        }
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(crc, 4);
+        descriptor.writeUInt32LE(compressedSize, 8);
+        descriptor.writeUInt32LE(size, 12);
+        yield descriptor;
+
+        central.push({
+            entry,
+            name,
+            method,
+            date,
+            time,
+            crc,
+            size,
+            compressedSize,
+            offset
+        });
+        offset += header.length + name.length + compressedSize + 16;
+        if (offset > 0xffffffff || central.length > 0xffff) {
+            throw invalid("archive too large for zip");
+        }
+    }
+
+    let directorySize = 0;
+    for (const record of central) {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        // Made by Unix, so readers apply the mode bits
+        header.writeUInt16LE(0x0314, 4);
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(0x808, 8);
+        header.writeUInt16LE(record.method, 10);
+        header.writeUInt16LE(record.time, 12);
+        header.writeUInt16LE(record.date, 14);
+        header.writeUInt32LE(record.crc, 16);
+        header.writeUInt32LE(record.compressedSize, 20);
+        header.writeUInt32LE(record.size, 24);
+        header.writeUInt16LE(record.name.length, 28);
+        const dosAttributes = record.entry.type === "directory" ? 0x10 : 0;
+        header.writeUInt32LE(
+            ((entryMode(record.entry) << 16) | dosAttributes) >>> 0,
+            38
+        );
+        header.writeUInt32LE(record.offset, 42);
+        directorySize += header.length + record.name.length;
+        yield header;
+        yield record.name;
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(central.length, 8);
+    end.writeUInt16LE(central.length, 10);
+    end.writeUInt32LE(directorySize, 12);
+    end.writeUInt32LE(offset, 16);
+    yield end;
+}
+
+/**
+ * One record of a pax extended header: "<length> <key>=<value>\n", where
+ * the length counts itself
+ * @returns {string}
+ */
+const paxRecord = (key, value) => {
+    const body = ` ${key}=${value}\n`;
+    let length = Buffer.byteLength(body) + 1;
+    while (String(length).length + Buffer.byteLength(body) !== length) {
+        length++;
+    }
+    return `${length}${body}`;
+};
+
+/**
+ * A 512-byte ustar header
+ * @param {Object} fields - `name`, `mode`, `size`, `mtimeMs`, `type` flag
+ *   and `linkName`
+ * @returns {Buffer}
+ */
+const tarHeader = ({ name, mode, size, mtimeMs, type, linkName = "" }) => {
+    const header = Buffer.alloc(512);
+    const octal = (value, offset, length) =>
+        header.write(
+            value.toString(8).padStart(length - 1, "0") + "\0",
+            offset,
+            "ascii"
+        );
+    header.write(name, 0, 100, "utf8");
+    octal(mode & 0o7777, 100, 8);
+    octal(0, 108, 8);
+    octal(0, 116, 8);
+    octal(size, 124, 12);
+    octal(Math.max(0, Math.floor((mtimeMs || 0) / 1000)), 136, 12);
+    header.write(type, 156, "ascii");
+    header.write(linkName, 157, 100, "utf8");
+    header.write("ustar\0" + "00", 257, "ascii");
+
+    // The checksum is computed with its own field filled with spaces
+    header.fill(0x20, 148, 156);
+    let sum = 0;
+    for (const byte of header) sum += byte;
+    header.write(sum.toString(8).padStart(6, "0") + "\0 ", 148, "ascii");
+    return header;
+};
+
+/**
+ * Zero bytes that pad a tar record of `size` bytes to a whole block
+ * @param {number} size - Record size
+ * @returns {Buffer}
+ */
+const tarPadding = size => Buffer.alloc((512 - (size % 512)) % 512);
+
+/**
+ * Write a tar archive (ustar, with pax headers for long names), one entry at
+ * a time. Files are cut or zero-padded to the size they were listed with,
+ * in case they change while being read.
+ * @param {AsyncIterable<Object>} entries - Entries, see writeZip
+ * @yields {Buffer} - Archive contents
+ */
+export async function* writeTar(entries) {
+    for await (const entry of entries) {
+        const name = entry.type === "directory" ? `${entry.path}/` : entry.path;
+        const linkName = entry.target ?? "";
+        const size = entry.type === "file" ? entry.size : 0;
+        if (size > 0o77777777777) {
+            throw invalid(`'${entry.path}' is too large for tar`);
+        }
+
+        // Names that do not fit in the header go in a pax header before it
+        let pax = "";
+        if (Buffer.byteLength(name) > 100) pax += paxRecord("path", name);
+        if (Buffer.byteLength(linkName) > 100) {
+            pax += paxRecord("linkpath", linkName);
+        }
+        if (pax) {
+            const data = Buffer.from(pax);
+            yield tarHeader({
+                name: "PaxHeader",
+                mode: 0o644,
+                size: data.length,
+                mtimeMs: entry.mtimeMs,
+                type: "x"
+            });
+            yield data;
+            yield tarPadding(data.length);
+        }
+
+        yield tarHeader({
+            name,
+            mode: entryMode(entry),
+            size,
+            mtimeMs: entry.mtimeMs,
+            type: { file: "0", directory: "5", symlink: "2" }[entry.type],
+            linkName
+        });
+
+        let written = 0;
+        if (size > 0) {
+            for await (const chunk of await entry.open()) {
+                const part = chunk.subarray(0, size - written);
+                written += part.length;
+                yield part;
+                if (written === size) break;
+            }
+        }
+        yield Buffer.alloc(size - written);
+        yield tarPadding(size);
+    }
+    // Two empty blocks end the archive
+    yield Buffer.alloc(1024);
+}
+
+/**
+ * Create a read-only backend serving the contents of an archive
+ * The archive's top level is the root of the backend.
+ * @param {string} file - Path of a .zip, .tar, .tar.gz or .tgz file
+ * @returns {Object} - Backend for createFsHandlers, see createMemoryFs
+ */
+export const createArchiveFs = file =>
+    createMemoryFs({
+        entries: readArchive(fsSync.readFileSync(file)),
+        readOnly: true
+    });
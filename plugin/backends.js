@@ -0,0 +1,25 @@
+/**
+ * Backend selection for the Vite plugin and the withfs CLI
+ */
+
+import path from "path";
+import { diskBackend } from "./fs-handlers.js";
+import { createMemoryFs } from "./memory-fs.js";
+import { createArchiveFs } from "./archive.js";
+
+export { diskBackend, createMemoryFs, createArchiveFs };
+
+/**
+ * Build the backend named by the `backend` option
+ * @param {string|Object} spec - 'disk' (default), 'memory', the path of a
+ *   .zip, .tar, .tar.gz or .tgz archive to serve read-only, or a backend
+ *   object (see diskBackend)
+ * @param {string} cwd - Directory archive paths are relative to
+ * @returns {Object} - Backend for createFsHandlers
+ */
+export const createBackend = (spec, cwd = process.cwd()) => {
+    if (!spec || spec === "disk") return diskBackend;
+    if (typeof spec === "object") return spec;
+    if (spec === "memory") return createMemoryFs();
+    return createArchiveFs(path.resolve(cwd, spec));
+};
@@ -2,64 +2,2040 @@
  * Shared FS API handlers for both Vite plugin and withfs CLI
  */
 
-import fs from "fs/promises";
+import fsPromises from "fs/promises";
+import fsSync from "fs";
+import { randomUUID, timingSafeEqual } from "crypto";
+import os from "os";
 import path from "path";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { Worker } from "worker_threads";
+import zlib from "zlib";
+import { globToRegExp } from "./glob.js";
+import { readArchive, writeTar, writeZip } from "./archive.js";
+import { createLimits, fileTooLarge, measureUsage } from "./limits.js";
+
+/**
+ * HTTP status for each system error code, anything else is a 500
+ */
+const ERROR_STATUS = {
+    ENOENT: 404,
+    EEXIST: 409,
+    ENOTEMPTY: 409,
+    EBUSY: 409,
+    EACCES: 403,
+    EPERM: 403,
+    EINVAL: 400,
+    EISDIR: 400,
+    ENOTDIR: 400,
+    ENAMETOOLONG: 400,
+    ELOOP: 400,
+    EBADF: 400,
+    EMFILE: 429,
+    EXDEV: 400,
+    EROFS: 403,
+    ECONFLICT: 412,
+    ETIMEDOUT: 504,
+    EFBIG: 413,
+    ENOSPC: 507,
+    // The client aborted its upload; nobody reads the answer
+    ECONNRESET: 400
+};
+
+/**
+ * Open flags accepted by the write stream route
+ */
+const WRITE_STREAM_FLAGS = ["w", "wx", "a", "ax", "r+"];
+
+/**
+ * Open flags accepted for file handles
+ */
+const OPEN_FLAGS = [
+    "r",
+    "r+",
+    "rs+",
+    "w",
+    "wx",
+    "w+",
+    "wx+",
+    "a",
+    "ax",
+    "a+",
+    "ax+"
+];
+
+/**
+ * Largest single read/write on a file handle (64 MiB)
+ */
+const MAX_HANDLE_IO = 64 * 1024 * 1024;
+
+/**
+ * Most file handles one client session (or connection) may hold open
+ */
+const MAX_SESSION_HANDLES = 128;
+
+/**
+ * Encodings that can be streamed as raw bytes
+ */
+const UTF8_ENCODINGS = ["utf8", "utf-8"];
+
+/**
+ * Request property holding the cached body promise
+ */
+const RAW_BODY = Symbol("rawBody");
+
+/**
+ * Request property holding the largest body accepted, see limitBody
+ */
+const BODY_LIMIT = Symbol("bodyLimit");
+
+/**
+ * Directory at the top of each root for the server's own bookkeeping
+ * (temp files, batch staging). Clients can neither see nor address it.
+ */
+const INTERNAL_DIR = ".fs-browser";
+
+/**
+ * Most operations accepted by one POST /batch request
+ */
+const MAX_BATCH_OPS = 1000;
+
+/**
+ * Most entries returned by one GET /tree request
+ */
+const MAX_TREE_ENTRIES = 10000;
+
+/**
+ * Formats GET /archive can write: content type and file extension
+ */
+const ARCHIVE_FORMATS = {
+    zip: { type: "application/zip", extension: ".zip" },
+    tar: { type: "application/x-tar", extension: ".tar" },
+    "tar.gz": { type: "application/gzip", extension: ".tar.gz" }
+};
+
+/**
+ * Backend serving the host disk: fs/promises plus the two stream-based
+ * functions of fs the handlers use. Other backends (see memory-fs.js)
+ * implement the same functions.
+ */
+export const diskBackend = {
+    ...fsPromises,
+    createWriteStream: fsSync.createWriteStream,
+    watch: fsSync.watch
+};
+
+/**
+ * Operations the API offers, as listed by GET /methods
+ */
+const METHODS = [
+    "readFile",
+    "writeFile",
+    "appendFile",
+    "copyFile",
+    "readdir",
+    "mkdir",
+    "rmdir",
+    "rm",
+    "rename",
+    "unlink",
+    "stat",
+    "lstat",
+    "readlink",
+    "realpath",
+    "access",
+    "chmod",
+    "utimes",
+    "truncate",
+    "symlink",
+    "link",
+    "mkdtemp",
+    "createReadStream",
+    "createWriteStream",
+    "open",
+    "watch",
+    "batch",
+    "cp",
+    "tree",
+    "glob",
+    "grep",
+    "uploadFile",
+    "archive",
+    "extract",
+    "usage",
+    "listTrash",
+    "restore",
+    "emptyTrash"
+];
+
+/**
+ * Operations that modify the filesystem, disabled in read-only mode
+ */
+export const MUTATING_METHODS = [
+    "writeFile",
+    "appendFile",
+    "copyFile",
+    "mkdir",
+    "rmdir",
+    "rm",
+    "rename",
+    "unlink",
+    "chmod",
+    "utimes",
+    "truncate",
+    "symlink",
+    "link",
+    "mkdtemp",
+    "createWriteStream",
+    "batch",
+    "cp",
+    "uploadFile",
+    "extract",
+    "restore",
+    "emptyTrash"
+];
+
+/**
+ * Routes whose handlers take their parameters from a JSON body, whatever
+ * the Content-Type; the others read the query string. writeFile and
+ * appendFile read a JSON body only when the query has no path.
+ */
+const JSON_BODY_ROUTES = [
+    "POST /open",
+    "POST /handle/truncate",
+    "POST /handle/sync",
+    "POST /handle/close",
+    "POST /uploads",
+    "POST /copyFile",
+    "POST /cp",
+    "POST /mkdir",
+    "DELETE /rmdir",
+    "DELETE /rm",
+    "PUT /rename",
+    "DELETE /unlink",
+    "POST /restore",
+    "DELETE /emptyTrash",
+    "POST /chmod",
+    "POST /utimes",
+    "POST /truncate",
+    "POST /symlink",
+    "POST /link",
+    "POST /mkdtemp",
+    "POST /batch"
+];
+
+/**
+ * Most bytes an uploaded archive may take or unpack to without a
+ * maxRequestBody; the archive is unpacked in memory
+ */
+const MAX_EXTRACT_SIZE = 1024 * 1024 * 1024;
+
+/**
+ * Run a client's regular expression over lines in a worker thread, which is
+ * terminated when the deadline passes first
+ * @param {string} source - Pattern
+ * @param {string} flags - RegExp flags
+ * @returns {Object} - `{ match(lines, deadline), close() }`; `match` resolves
+ *   to [line, column] pairs, both counted from 0
+ */
+const createRegexWorker = (source, flags) => {
+    const worker = new Worker(new URL("./regex-worker.js", import.meta.url), {
+        workerData: { source, flags }
+    });
+    worker.unref();
+
+    const match = (lines, deadline) =>
+        new Promise((resolve, reject) => {
+            const finish = (settle, value) => {
+                clearTimeout(timer);
+                worker.off("message", onMessage);
+                worker.off("error", onError);
+                settle(value);
+            };
+            const onMessage = matches => finish(resolve, matches);
+            const onError = err => finish(reject, err);
+            const onTimeout = () => {
+                worker.terminate();
+                finish(
+                    reject,
+                    createFsError("ETIMEDOUT", "search time limit exceeded")
+                );
+            };
+            const timer = setTimeout(
+                onTimeout,
+                Math.max(deadline - Date.now(), 0)
+            );
+            worker.on("message", onMessage);
+            worker.on("error", onError);
+            worker.postMessage(lines);
+        });
+
+    return { match, close: () => worker.terminate() };
+};
+
+/**
+ * Operations that only exist while the trash is on
+ */
+const TRASH_METHODS = ["listTrash", "restore", "emptyTrash"];
+
+/**
+ * Client path a symlink target refers to: absolute targets start at the
+ * base directory, relative ones at the directory holding the link
+ * @param {string} linkPath - Client path of the link
+ * @param {string} target - Target as given by the client
+ * @returns {string}
+ */
+const symlinkTargetPath = (linkPath, target) =>
+    typeof target !== "string" ||
+    typeof linkPath !== "string" ||
+    target.startsWith("/")
+        ? target
+        : path.posix.join(
+              path.posix.dirname(linkPath.replace(/^\/+/, "")),
+              target
+          );
+
+/**
+ * Paths each operation touches and whether it reads or writes them,
+ * given the merged query/JSON-body parameters. Handle I/O is checked
+ * when the handle is opened.
+ */
+const ROUTE_ACCESS = {
+    readFile: ({ path }) => [[path, "read"]],
+    createReadStream: ({ path }) => [[path, "read"]],
+    createWriteStream: ({ path }) => [[path, "write"]],
+    open: ({ path, flags = "r" }) => [
+        [path, flags === "r" ? "read" : "write"]
+    ],
+    watch: ({ path = "." }) => [[path, "read"]],
+    readdir: ({ path = "." }) => [[path, "read"]],
+    stat: ({ path }) => [[path, "read"]],
+    lstat: ({ path }) => [[path, "read"]],
+    realpath: ({ path }) => [[path, "read"]],
+    readlink: ({ path }) => [[path, "read"]],
+    // Checking for W_OK needs write access, like the kernel would
+    access: ({ path, mode = 0 }) => [
+        [path, Number(mode) & fsSync.constants.W_OK ? "write" : "read"]
+    ],
+    chmod: ({ path }) => [[path, "write"]],
+    utimes: ({ path }) => [[path, "write"]],
+    truncate: ({ path }) => [[path, "write"]],
+    // A link grants the same access as its target, so both need write
+    symlink: ({ target, path }) => [
+        [path, "write"],
+        [symlinkTargetPath(path, target), "write"]
+    ],
+    link: ({ existingPath, newPath }) => [
+        [existingPath, "write"],
+        [newPath, "write"]
+    ],
+    mkdtemp: ({ prefix }) => [[prefix, "write"]],
+    writeFile: ({ path }) => [[path, "write"]],
+    appendFile: ({ path }) => [[path, "write"]],
+    copyFile: ({ src, dest }) => [
+        [src, "read"],
+        [dest, "write"]
+    ],
+    cp: ({ src, dest }) => [
+        [src, "read"],
+        [dest, "write"]
+    ],
+    tree: ({ path = "." }) => [[path, "read"]],
+    glob: ({ cwd = "." }) => [[cwd, "read"]],
+    grep: ({ path = "." }) => [[path, "read"]],
+    archive: ({ path = "." }) => [[path, "read"]],
+    // Each entry is checked too, once the archive is read
+    extract: ({ path = "." }) => [[path, "write"]],
+    mkdir: ({ path }) => [[path, "write"]],
+    rmdir: ({ path }) => [[path, "write"]],
+    rm: ({ path }) => [[path, "write"]],
+    rename: ({ oldPath, newPath }) => [
+        [oldPath, "write"],
+        [newPath, "write"]
+    ],
+    unlink: ({ path }) => [[path, "write"]],
+    // Requests on an upload session name no path, their handler checks it
+    uploads: ({ path }) => (path === undefined ? [] : [[path, "write"]])
+};
+
+/**
+ * Create a Node-style system error (`code`, `errno`, `syscall`, `path`)
+ * @param {string} code - Error code such as "ENOENT"
+ * @param {string} description - Human readable description
+ * @param {Object} props - Extra properties (syscall, path, dest, status)
+ * @returns {Error}
+ */
+export const createFsError = (code, description, props = {}) => {
+    let message = `${code}: ${description}`;
+    if (props.syscall) message += `, ${props.syscall}`;
+    if (props.path) message += ` '${props.path}'`;
+
+    const error = new Error(message);
+    error.code = code;
+    if (os.constants.errno[code] !== undefined) {
+        error.errno = -os.constants.errno[code];
+    }
+    return Object.assign(error, props);
+};
+
+/**
+ * Normalize the `mounts` option into a list of roots
+ * Without mounts, the base directory is the single unnamed root.
+ * @param {string} baseDir - Base directory
+ * @param {Object} mounts - Map of name to directory or { dir, readOnly }
+ * @returns {Array<{name: string, dir: string, readOnly: boolean}>}
+ */
+export const createMountTable = (baseDir, mounts) => {
+    if (!mounts || Object.keys(mounts).length === 0) {
+        return [{ name: "", dir: baseDir, readOnly: false }];
+    }
+
+    return Object.entries(mounts).map(([name, mount]) => {
+        if (!name || name === "." || name === ".." || /[\\/]/.test(name)) {
+            throw new Error(`Invalid mount name: "${name}"`);
+        }
+        const { dir, readOnly = false } =
+            typeof mount === "string" ? { dir: mount } : mount;
+        return { name, dir: path.resolve(dir), readOnly };
+    });
+};
+
+/**
+ * Check that `target` is `root` or inside it, comparing whole path segments
+ * (so "/data-secret" is not inside "/data")
+ * @param {string} root - Absolute directory
+ * @param {string} target - Absolute path
+ * @returns {boolean}
+ */
+export const isPathInside = (root, target) => {
+    const relative = path.relative(root, target);
+    return (
+        relative === "" ||
+        (relative !== ".." &&
+            !relative.startsWith(".." + path.sep) &&
+            !path.isAbsolute(relative))
+    );
+};
+
+/**
+ * Check whether an absolute path lies in the internal directory of a root
+ * @param {string} root - Absolute directory
+ * @param {string} fullPath - Absolute path inside root
+ * @returns {boolean}
+ */
+const isInternalPath = (root, fullPath) =>
+    path.relative(root, fullPath).split(path.sep)[0] === INTERNAL_DIR;
+
+/**
+ * Find the mount containing an absolute path
+ * @param {Array} table - Mount table from createMountTable
+ * @param {string} fullPath - Absolute path
+ * @returns {Object|undefined}
+ */
+export const findMount = (table, fullPath) =>
+    table.find(mount => isPathInside(mount.dir, fullPath));
+
+/**
+ * Map an absolute path back to the slash-separated path clients use
+ * @param {Array} table - Mount table from createMountTable
+ * @param {string} fullPath - Absolute path
+ * @returns {string} - e.g. "uploads/a.png", or "." for the root
+ */
+export const toClientPath = (table, fullPath) => {
+    const mount = findMount(table, fullPath);
+    if (!mount) return fullPath;
+    const relative = path
+        .relative(mount.dir, fullPath)
+        .split(path.sep)
+        .join("/");
+    if (!mount.name) return relative || ".";
+    return relative ? `${mount.name}/${relative}` : mount.name;
+};
+
+/**
+ * Serialize an error for the client, hiding absolute server paths
+ * @param {Error} err - Error thrown by a handler
+ * @param {string|Array} roots - Base directory, or a mount table
+ * @returns {Object} - JSON-safe error with status, code, errno, syscall, path
+ */
+export const serializeError = (err, roots) => {
+    const table =
+        typeof roots === "string" ? createMountTable(roots) : roots || [];
+    const toRelative = value => {
+        if (typeof value !== "string" || !path.isAbsolute(value)) return value;
+        return toClientPath(table, value);
+    };
+
+    const code =
+        err.code || (err instanceof SyntaxError ? "EINVAL" : undefined);
+    let message = err.message;
+    for (const mount of table) {
+        message = message
+            .split(mount.dir + path.sep)
+            .join(mount.name ? `${mount.name}/` : "")
+            .split(`'${mount.dir}'`)
+            .join(`'${mount.name || "."}'`);
+    }
+
+    const error = {
+        message,
+        status: err.status || ERROR_STATUS[code] || 500
+    };
+    if (code) error.code = code;
+    if (err.errno !== undefined) error.errno = err.errno;
+    if (err.syscall) error.syscall = err.syscall;
+    if (err.path) error.path = toRelative(err.path);
+    if (err.dest) error.dest = toRelative(err.dest);
+    if (err.index !== undefined) error.index = err.index;
+    return error;
+};
+
+/**
+ * Send an error response, or drop the connection if a body is already underway
+ * @param {http.ServerResponse} res - Response object
+ * @param {Error} err - Error to send
+ * @param {string|Array} roots - Base directory, or a mount table
+ */
+export const sendError = (res, err, roots) => {
+    const error = serializeError(err, roots);
+    if (error.status === 500) {
+        console.error("FS API Error:", err);
+    }
+    if (res.headersSent) {
+        res.destroy(err);
+        return;
+    }
+    res.writeHead(error.status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ error }));
+};
 
 /**
  * Helper to read raw body from request
+ * The body is cached on the request, so access checks and handlers can both read it.
  */
 export const getRawBody = req => {
-    return new Promise((resolve, reject) => {
-        const chunks = [];
-        req.on("data", chunk => chunks.push(chunk));
-        req.on("end", () => resolve(Buffer.concat(chunks)));
-        req.on("error", reject);
+    if (!req[RAW_BODY]) {
+        req[RAW_BODY] = new Promise((resolve, reject) => {
+            const chunks = [];
+            let received = 0;
+            req.on("data", chunk => {
+                received += chunk.length;
+                if (received > req[BODY_LIMIT]) {
+                    reject(bodyTooLarge(req[BODY_LIMIT]));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on("end", () => resolve(Buffer.concat(chunks)));
+            req.on("error", reject);
+            // After "end" this is a no-op; before it, the client went away
+            req.on("close", () => reject(abortedError()));
+        });
+    }
+    return req[RAW_BODY];
+};
+
+/**
+ * Error for a request body past maxRequestBody
+ * @param {number} limit - maxRequestBody
+ * @returns {Error}
+ */
+const bodyTooLarge = limit =>
+    createFsError("EFBIG", `request body too large, limit is ${limit} bytes`);
+
+/**
+ * Cap the body of a request at `limit` bytes
+ * A declared Content-Length over the limit fails straight away; otherwise
+ * getRawBody and requestBody fail once the limit is passed.
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} limit - maxRequestBody, Infinity for no limit
+ */
+const limitBody = (req, limit) => {
+    if (limit === Infinity) return;
+    if (Number(req.headers["content-length"]) > limit) {
+        throw bodyTooLarge(limit);
+    }
+    req[BODY_LIMIT] = limit;
+};
+
+/**
+ * Request body as a stream that fails once it passes the limit set by
+ * limitBody, for handlers that stream it to a file
+ * @param {http.IncomingMessage} req - Request
+ * @returns {stream.Readable}
+ */
+const requestBody = req => {
+    const limit = req[BODY_LIMIT];
+    if (limit === undefined) return req;
+    return Readable.from(
+        (async function* () {
+            let received = 0;
+            for await (const chunk of req) {
+                received += chunk.length;
+                if (received > limit) throw bodyTooLarge(limit);
+                yield chunk;
+            }
+        })()
+    );
+};
+
+/**
+ * Error for a request body the client stopped sending
+ * @returns {Error}
+ */
+const abortedError = () =>
+    createFsError("ECONNRESET", "connection reset by peer, upload aborted");
+
+/**
+ * How a raw request body is reported back, from its content type
+ * @param {string} contentType - Content-Type header
+ * @returns {string} - "binary", "text", "json" or "unknown"
+ */
+const rawBodyType = contentType => {
+    if (
+        contentType.includes("application/octet-stream") ||
+        contentType.includes("image/") ||
+        contentType.includes("video/") ||
+        contentType.includes("audio/") ||
+        contentType.includes("application/pdf")
+    ) {
+        return "binary";
+    }
+    if (contentType.includes("text/plain")) return "text";
+    if (contentType.includes("application/json")) return "json";
+    return "unknown";
+};
+
+/**
+ * Helper to parse query string
+ */
+export const parseQuery = url => {
+    const queryString = url.split("?")[1];
+    if (!queryString) return {};
+    return Object.fromEntries(new URLSearchParams(queryString));
+};
+
+/**
+ * Parse an optional non-negative integer query parameter
+ * @param {string|undefined} value - Raw query value
+ * @param {string} name - Parameter name used in the error message
+ * @returns {number|undefined}
+ */
+export const parseOffset = (value, name) => {
+    if (value === undefined || value === "") return undefined;
+    const number = Number(value);
+    if (!Number.isSafeInteger(number) || number < 0) {
+        throw createFsError(
+            "EINVAL",
+            `invalid argument, ${name} must be a non-negative integer`
+        );
+    }
+    return number;
+};
+
+/**
+ * Parse a file mode given as a number or an octal string such as "755"
+ * @param {number|string} value - Mode from the request body
+ * @returns {number}
+ */
+const parseMode = value => {
+    const mode =
+        typeof value === "string" && /^[0-7]+$/.test(value)
+            ? parseInt(value, 8)
+            : value;
+    if (!Number.isInteger(mode) || mode < 0 || mode > 0o7777) {
+        throw createFsError(
+            "EINVAL",
+            "invalid argument, mode must be an integer or an octal string"
+        );
+    }
+    return mode;
+};
+
+/**
+ * Parse a timestamp for utimes, in seconds since the epoch like Node's
+ * @param {number} value - Time from the request body
+ * @param {string} name - Parameter name used in the error message
+ * @returns {number}
+ */
+const parseTime = (value, name) => {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+        throw createFsError(
+            "EINVAL",
+            `invalid argument, ${name} must be a number of seconds`
+        );
+    }
+    return value;
+};
+
+/**
+ * Decode the data of a structured JSON write (`{ data, type, encoding }`)
+ * @param {Object} body - Parsed request body or batch operation
+ * @returns {Buffer}
+ */
+const decodeData = ({ data, type = "text", encoding = "utf8" }) => {
+    if (data === undefined || data === null) {
+        throw createFsError("EINVAL", "data is required");
+    }
+
+    switch (type) {
+        case "json":
+            return Buffer.from(JSON.stringify(data, null, 2), encoding);
+        case "buffer":
+            return Array.isArray(data)
+                ? Buffer.from(data)
+                : Buffer.from(data, "base64");
+        default:
+            return Buffer.from(String(data), encoding);
+    }
+};
+
+/**
+ * Parse a single `Range: bytes=...` header against a file size
+ * Malformed or multi-range headers are ignored (the full file is sent),
+ * unsatisfiable ranges throw a 416 error.
+ * @param {string} header - Raw Range header
+ * @param {number} size - File size in bytes
+ * @returns {{start: number, end: number}|null} - Inclusive byte range
+ */
+export const parseRange = (header, size) => {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === "" && match[2] === "")) return null;
+
+    let start;
+    let end;
+    if (match[1] === "") {
+        // Suffix range: the last N bytes
+        start = Math.max(0, size - Number(match[2]));
+        end = size - 1;
+        if (Number(match[2]) === 0) start = size;
+    } else {
+        start = Number(match[1]);
+        end =
+            match[2] === ""
+                ? size - 1
+                : Math.min(Number(match[2]), size - 1);
+        if (end < start && start < size) return null;
+    }
+
+    if (start >= size) {
+        throw createFsError(
+            "EINVAL",
+            "invalid argument, range not satisfiable",
+            { status: 416 }
+        );
+    }
+    return { start, end };
+};
+
+/**
+ * Open a file for streaming, rejecting directories
+ * @param {Object} fs - Backend, see diskBackend
+ * @param {string} fullPath - Resolved file path
+ * @returns {Promise<{handle: fs.FileHandle, stats: fs.Stats}>}
+ */
+const openForRead = async (fs, fullPath) => {
+    const handle = await fs.open(fullPath, "r");
+    try {
+        const stats = await handle.stat();
+        if (stats.isDirectory()) {
+            throw createFsError("EISDIR", "illegal operation on a directory", {
+                syscall: "read",
+                path: fullPath
+            });
+        }
+        return { handle, stats };
+    } catch (err) {
+        await handle.close();
+        throw err;
+    }
+};
+
+/**
+ * Pipe `length` bytes of an open file to the response, closing the handle
+ * @param {http.ServerResponse} res - Response with headers already written
+ * @param {fs.FileHandle} handle - Handle from openForRead
+ * @param {number} start - First byte
+ * @param {number} length - Number of bytes
+ */
+const streamHandle = async (res, handle, start, length) => {
+    if (length === 0) {
+        await handle.close();
+        res.end();
+        return;
+    }
+    await pipeline(
+        handle.createReadStream({ start, end: start + length - 1 }),
+        res
+    );
+};
+
+/**
+ * Rename a path, falling back to copy + delete across devices (mounts)
+ * @param {Object} fs - Backend, see diskBackend
+ * @param {string} from - Existing absolute path
+ * @param {string} to - New absolute path
+ */
+const movePath = async (fs, from, to) => {
+    try {
+        await fs.rename(from, to);
+    } catch (err) {
+        if (err.code !== "EXDEV") throw err;
+        await fs.cp(from, to, { recursive: true, force: true });
+        await fs.rm(from, { recursive: true });
+    }
+};
+
+/**
+ * Write a file through a temp file and a rename, so readers and crashes
+ * never see it half-written
+ * The temp file lives in the root's internal directory. Writes go through
+ * symlinks and keep the mode of the file they replace. A failed write
+ * leaves the file as it was, except across devices, see moveIntoPlace.
+ * @param {Object} fs - Backend, see diskBackend
+ * @param {string} root - Mount directory containing fullPath
+ * @param {string} fullPath - Resolved file path
+ * @param {Buffer} data - File contents
+ */
+const writeFileAtomic = async (fs, root, fullPath, data) => {
+    const destination = await writeTarget(fs, fullPath);
+    const tempDir = path.join(root, INTERNAL_DIR, "tmp");
+    await fs.mkdir(tempDir, { recursive: true });
+    const temp = path.join(tempDir, randomUUID());
+
+    try {
+        await fs.writeFile(temp, data);
+        await moveIntoPlace(fs, temp, destination);
+    } finally {
+        await fs.rm(temp, { force: true });
+    }
+};
+
+/**
+ * Where a write to a file lands (symlinks followed) and what is there now
+ * Checked before any data is sent, so a write that cannot succeed fails
+ * before the upload, not after it.
+ * @param {Object} fs - Backend, see diskBackend
+ * @param {string} fullPath - Resolved file path
+ * @returns {Promise<{target: string, existing: fs.Stats|null}>}
+ */
+const writeTarget = async (fs, fullPath) => {
+    const target = await fs.realpath(fullPath).catch(() => fullPath);
+    const parent = await fs.stat(path.dirname(target)).catch(() => null);
+    const existing = await fs.stat(target).catch(() => null);
+    if (!parent || !parent.isDirectory() || existing?.isDirectory()) {
+        const code = !parent ? "ENOENT" : existing ? "EISDIR" : "ENOTDIR";
+        const description = {
+            ENOENT: "no such file or directory",
+            EISDIR: "illegal operation on a directory",
+            ENOTDIR: "not a directory"
+        }[code];
+        throw createFsError(code, description, {
+            syscall: "open",
+            path: fullPath
+        });
+    }
+    return { target, existing };
+};
+
+/**
+ * Replace a file with a finished temp file, keeping the file's mode
+ * A target on another device (a symlink followed out of the root, a mount
+ * inside it) cannot be renamed onto, so it is copied over, which is not
+ * atomic. Other failures are thrown.
+ * @param {Object} fs - Backend, see diskBackend
+ * @param {string} temp - Temp file path
+ * @param {Object} destination - `{ target, existing }` from writeTarget
+ */
+const moveIntoPlace = async (fs, temp, { target, existing }) => {
+    if (existing) await fs.chmod(temp, existing.mode);
+    try {
+        await fs.rename(temp, target);
+    } catch (err) {
+        if (err.code !== "EXDEV") throw err;
+        await fs.copyFile(temp, target);
+    }
+};
+
+/**
+ * Stream a request body into a file through a temp file, like
+ * writeFileAtomic, so an aborted upload leaves the file as it was
+ * @param {Object} fs - Backend, see diskBackend
+ * @param {string} root - Directory of the mount holding the file
+ * @param {string} fullPath - Resolved file path
+ * @param {stream.Readable} source - Data to write
+ * @param {Object} options - `start` offset; `allowEmpty` false to reject an
+ *   empty body (default: true)
+ * @returns {Promise<number>} - Bytes written
+ */
+const streamFileAtomic = async (fs, root, fullPath, source, options = {}) => {
+    const { start, allowEmpty = true } = options;
+    const destination = await writeTarget(fs, fullPath);
+
+    const tempDir = path.join(root, INTERNAL_DIR, "tmp");
+    await fs.mkdir(tempDir, { recursive: true });
+    const temp = path.join(tempDir, randomUUID());
+
+    try {
+        const stream = fs.createWriteStream(temp, { start });
+        await pipeline(source, stream);
+        if (!allowEmpty && stream.bytesWritten === 0) {
+            throw createFsError("EINVAL", "no data to write");
+        }
+        await moveIntoPlace(fs, temp, destination);
+        return stream.bytesWritten;
+    } finally {
+        await fs.rm(temp, { force: true });
+    }
+};
+
+/**
+ * Stream a request body into a file in place (appending, or at an offset)
+ * If the upload fails, the bytes that arrived are taken back: the file is
+ * truncated to its old size, or removed if the upload created it. Bytes
+ * overwritten in place stay overwritten.
+ * @param {Object} fs - Backend, see diskBackend
+ * @param {string} fullPath - Resolved file path
+ * @param {stream.Readable} source - Data to write
+ * @param {Object} options - `flags` and `start`, as for createWriteStream
+ * @returns {Promise<number>} - Bytes written
+ */
+const streamInPlace = async (fs, fullPath, source, options) => {
+    const before = await fs.stat(fullPath).catch(() => null);
+    const stream = fs.createWriteStream(fullPath, options);
+    let opened = false;
+    stream.once("ready", () => {
+        opened = true;
+    });
+
+    try {
+        await pipeline(source, stream);
+        return stream.bytesWritten;
+    } catch (err) {
+        // Only clean up a file this stream opened, not one it failed to
+        if (opened && before) {
+            await fs.truncate(fullPath, before.size).catch(() => {});
+        } else if (opened) {
+            await fs.rm(fullPath, { force: true }).catch(() => {});
+        }
+        throw err;
+    }
+};
+
+/**
+ * Entity tag of a file version, from its inode, size and mtime
+ * Atomic writes replace the inode, so every write changes the tag.
+ * @param {fs.Stats} stats - Stats of the file
+ * @returns {string} - Quoted tag, as sent in ETag headers
+ */
+export const computeEtag = stats =>
+    `"${[stats.ino, stats.size, Math.floor(stats.mtimeMs * 1000)]
+        .map(n => n.toString(16))
+        .join("-")}"`;
+
+/**
+ * Validator headers of a file version, for conditional requests
+ * @param {fs.Stats} stats - Stats of the file
+ * @returns {Object} - ETag and Last-Modified headers
+ */
+const validatorHeaders = stats => ({
+    ETag: computeEtag(stats),
+    "Last-Modified": new Date(stats.mtimeMs).toUTCString()
+});
+
+/**
+ * Answer a conditional GET with 304 Not Modified when the client's copy is
+ * current. If-None-Match wins over If-Modified-Since, as in RFC 9110.
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {fs.Stats} stats - Stats of the file
+ * @returns {boolean} - Whether the 304 was sent
+ */
+const sendNotModified = (req, res, stats) => {
+    const ifNoneMatch = req.headers["if-none-match"];
+    const ifModifiedSince = Date.parse(req.headers["if-modified-since"]);
+    const etag = computeEtag(stats);
+    const fresh = ifNoneMatch
+        ? ifNoneMatch
+              .split(",")
+              .some(tag => tag.trim() === etag || tag.trim() === "*")
+        : Math.floor(stats.mtimeMs / 1000) * 1000 <= ifModifiedSince;
+    if (!fresh) return false;
+    res.writeHead(304, validatorHeaders(stats));
+    res.end();
+    return true;
+};
+
+/**
+ * Check an If-Match header against the current version of a file
+ * `*` matches any existing file; a missing file matches no tag.
+ * @param {Object} fs - Backend, see diskBackend
+ * @param {string} fullPath - Resolved file path
+ * @param {string|undefined} header - If-Match header value
+ */
+const checkIfMatch = async (fs, fullPath, header) => {
+    if (!header) return;
+    const stats = await fs.stat(fullPath).catch(() => null);
+    const tags = header.split(",").map(tag => tag.trim());
+    if (stats && (tags.includes("*") || tags.includes(computeEtag(stats)))) {
+        return;
+    }
+    throw createFsError("ECONFLICT", "file changed since it was read", {
+        syscall: "open",
+        path: fullPath
     });
 };
 
-/**
- * Helper to parse query string
- */
-export const parseQuery = url => {
-    const queryString = url.split("?")[1];
-    if (!queryString) return {};
-    return Object.fromEntries(new URLSearchParams(queryString));
-};
+/**
+ * How often the trash purges expired entries, in ms; a purge reads every
+ * info.json
+ */
+const TRASH_PURGE_INTERVAL = 60 * 1000;
+
+/**
+ * Trash for deleted entries
+ * Each entry is moved into `<root>/.fs-browser/trash/<id>/entry`, next to an
+ * info.json with its path relative to the root, type, size and deletion
+ * time. Trashing per mount keeps the move a rename on one device. Entries
+ * older than `retention` ms are hidden at once and purged when the trash is
+ * next used, at most every TRASH_PURGE_INTERVAL.
+ * @param {Object} fs - Backend, see diskBackend
+ * @param {Array} mountTable - Mount table from createMountTable
+ * @param {number} retention - Keep entries this many ms (Infinity: until
+ *   emptied)
+ * @returns {Object} - `{ put, list, find, restore, remove, removeOldest }`
+ */
+const createTrash = (fs, mountTable, retention) => {
+    const trashDir = root => path.join(root, INTERNAL_DIR, "trash");
+
+    // Entries of every root, newest first
+    const readEntries = async () => {
+        const entries = [];
+        for (const { dir: root } of mountTable) {
+            const ids = await fs.readdir(trashDir(root)).catch(() => []);
+            for (const id of ids) {
+                const dir = path.join(trashDir(root), id);
+                // Entries half removed have no info
+                const info = await fs
+                    .readFile(path.join(dir, "info.json"), "utf8")
+                    .then(JSON.parse)
+                    .catch(() => null);
+                if (!info || typeof info.path !== "string") continue;
+                // info.json is a file in the root: skip paths outside it
+                const fullPath = path.join(root, ...info.path.split("/"));
+                if (
+                    fullPath === root ||
+                    !isPathInside(root, fullPath) ||
+                    isInternalPath(root, fullPath)
+                ) {
+                    continue;
+                }
+                entries.push({ ...info, id, dir, fullPath });
+            }
+        }
+        return entries.sort((a, b) => b.deletedAt - a.deletedAt);
+    };
+
+    const remove = entry => fs.rm(entry.dir, { recursive: true, force: true });
+
+    let lastPurge = 0;
+    const purge = async () => {
+        const now = Date.now();
+        if (retention === Infinity || now - lastPurge < TRASH_PURGE_INTERVAL) {
+            return;
+        }
+        lastPurge = now;
+        for (const entry of await readEntries()) {
+            if (entry.deletedAt <= now - retention) await remove(entry);
+        }
+    };
+
+    // Entries not expired yet
+    const list = async () => {
+        await purge();
+        const cutoff = Date.now() - retention;
+        return (await readEntries()).filter(entry => entry.deletedAt > cutoff);
+    };
+
+    const find = async id => {
+        const entry = (await list()).find(item => item.id === id);
+        if (!entry) {
+            throw createFsError("ENOENT", `no such trash entry '${id}'`);
+        }
+        return entry;
+    };
+
+    return {
+        list,
+
+        // Remove the oldest entry, expired or not; false if there is none
+        removeOldest: async () => {
+            const entries = await readEntries();
+            if (entries.length === 0) return false;
+            await remove(entries[entries.length - 1]);
+            return true;
+        },
+
+        // Move fullPath into the trash, returning its id
+        put: async fullPath => {
+            await purge();
+            const { dir: root } = findMount(mountTable, fullPath);
+            const stats = await fs.lstat(fullPath);
+            const id = randomUUID();
+            const dir = path.join(trashDir(root), id);
+            const info = {
+                path: path.relative(root, fullPath).split(path.sep).join("/"),
+                type: fileType(stats),
+                size: stats.isDirectory() ? null : stats.size,
+                deletedAt: Date.now()
+            };
+            await fs.mkdir(dir, { recursive: true });
+            try {
+                await fs.writeFile(
+                    path.join(dir, "info.json"),
+                    JSON.stringify(info)
+                );
+                await movePath(fs, fullPath, path.join(dir, "entry"));
+            } catch (err) {
+                await fs.rm(dir, { recursive: true, force: true });
+                throw err;
+            }
+            return id;
+        },
+
+        find,
+
+        // Move an entry back to fullPath, where it was deleted from as
+        // resolved by the caller
+        restore: async (entry, fullPath) => {
+            const exists = await fs.lstat(fullPath).then(
+                () => true,
+                () => false
+            );
+            if (exists) {
+                throw createFsError("EEXIST", "file already exists", {
+                    syscall: "restore",
+                    path: fullPath
+                });
+            }
+            await fs.mkdir(path.dirname(fullPath), { recursive: true });
+            await movePath(fs, path.join(entry.dir, "entry"), fullPath);
+            await remove(entry);
+        },
+
+        remove
+    };
+};
+
+/**
+ * Journal for an atomic batch
+ * New file contents are staged in the internal directory of their mount and
+ * anything an operation overwrites or removes is backed up there first, so a
+ * failed batch can be undone. Staging per mount keeps renames on one device.
+ * @param {Object} fs - Backend, see diskBackend
+ * @param {Array} mountTable - Mount table from createMountTable
+ * @returns {Object} - `{ stage, backup, onUndo, rollback, cleanup }`
+ */
+const createTransaction = (fs, mountTable) => {
+    const id = randomUUID();
+    const undo = [];
+    const dirs = new Map();
+    let counter = 0;
+
+    const tempPath = async fullPath => {
+        const { dir: root } = findMount(mountTable, fullPath);
+        if (!dirs.has(root)) {
+            const dir = path.join(root, INTERNAL_DIR, "batch", id);
+            await fs.mkdir(dir, { recursive: true });
+            dirs.set(root, dir);
+        }
+        return path.join(dirs.get(root), String(counter++));
+    };
+
+    return {
+        // Write data next to its destination, ready to be renamed into place
+        stage: async (fullPath, data) => {
+            const staged = await tempPath(fullPath);
+            await fs.writeFile(staged, data);
+            return staged;
+        },
+
+        // Keep a copy of fullPath (if it exists) to restore on rollback, in
+        // the mount of `near` when fullPath is a symlink's target
+        backup: async (fullPath, near = fullPath) => {
+            const exists = await fs.lstat(fullPath).then(
+                () => true,
+                () => false
+            );
+            if (!exists) {
+                undo.push(() =>
+                    fs.rm(fullPath, { recursive: true, force: true })
+                );
+                return;
+            }
+            const saved = await tempPath(near);
+            await fs.cp(fullPath, saved, {
+                recursive: true,
+                verbatimSymlinks: true
+            });
+            undo.push(async () => {
+                await fs.rm(fullPath, { recursive: true, force: true });
+                await movePath(fs, saved, fullPath);
+            });
+        },
+
+        onUndo: fn => undo.push(fn),
+
+        // Undo in reverse order, carrying on past steps that fail
+        rollback: async () => {
+            for (const step of undo.reverse()) {
+                await step().catch(err =>
+                    console.error("FS API batch rollback failed:", err)
+                );
+            }
+        },
+
+        cleanup: async () => {
+            for (const dir of dirs.values()) {
+                await fs.rm(dir, { recursive: true, force: true });
+            }
+        }
+    };
+};
+
+/**
+ * Turn the `ERR_FS_*` errors of fs.cp into plain system errors (EISDIR, ...)
+ * @param {Error} err - Error thrown by fs.cp
+ * @returns {Error}
+ */
+const toSystemError = err =>
+    err.info?.code
+        ? createFsError(err.info.code, err.info.message, {
+              syscall: err.info.syscall,
+              path: err.info.path
+          })
+        : err;
+
+/**
+ * Walk a directory tree breadth-first, like `readdir({ recursive: true })`
+ * Symlinks are listed but not descended into.
+ * @param {Object} fs - Backend, see diskBackend
+ * @param {string} dir - Absolute directory
+ * @param {Object} options - Walk options
+ * @param {Function} options.filter - `(fullPath, dirent) => boolean`, false
+ *   skips the entry and everything below it
+ * @param {number} options.depth - Levels to list, 1 for direct children only
+ *   (default: Infinity)
+ * @yields {{fullPath: string, relative: string, dirent: fs.Dirent, depth: number}}
+ *   `relative` is slash-separated from dir, `depth` is 0 for direct children
+ */
+async function* walkDir(
+    fs,
+    dir,
+    { filter = () => true, depth = Infinity } = {}
+) {
+    const queue = [[dir, "", 0]];
+    while (queue.length > 0) {
+        const [current, prefix, level] = queue.shift();
+        const dirents = await fs.readdir(current, { withFileTypes: true });
+        for (const dirent of dirents) {
+            const fullPath = path.join(current, dirent.name);
+            if (!filter(fullPath, dirent)) continue;
+            const relative = prefix ? `${prefix}/${dirent.name}` : dirent.name;
+            yield { fullPath, relative, dirent, depth: level };
+            if (dirent.isDirectory() && level + 1 < depth) {
+                queue.push([fullPath, relative, level + 1]);
+            }
+        }
+    }
+}
+
+/**
+ * What a Stats or Dirent describes, sent in place of its is*() methods
+ * @param {fs.Stats|fs.Dirent} entry - Stats or directory entry
+ * @returns {string} - 'file', 'directory', 'symlink', 'block-device',
+ *   'character-device', 'fifo', 'socket' or 'unknown'
+ */
+const fileType = entry => {
+    if (entry.isFile()) return "file";
+    if (entry.isDirectory()) return "directory";
+    if (entry.isSymbolicLink()) return "symlink";
+    if (entry.isBlockDevice()) return "block-device";
+    if (entry.isCharacterDevice()) return "character-device";
+    if (entry.isFIFO()) return "fifo";
+    if (entry.isSocket()) return "socket";
+    return "unknown";
+};
+
+/**
+ * Serialize a directory entry for the client
+ * @param {string} name - Entry name
+ * @param {string} parentPath - Client path of the directory it was listed in
+ * @param {string} type - File type, see fileType
+ * @returns {Object}
+ */
+const serializeDirent = (name, parentPath, type) => ({
+    name,
+    parentPath,
+    type
+});
+
+/**
+ * Serialize fs.Stats for the client
+ * The type replaces the is*() methods and times travel as milliseconds;
+ * the client rebuilds a Node-style Stats object from this.
+ * @param {fs.Stats} stats - Stats from stat/lstat/FileHandle.stat
+ * @returns {Object}
+ */
+export const serializeStats = stats => ({
+    type: fileType(stats),
+    dev: stats.dev,
+    ino: stats.ino,
+    mode: stats.mode,
+    nlink: stats.nlink,
+    uid: stats.uid,
+    gid: stats.gid,
+    rdev: stats.rdev,
+    size: stats.size,
+    blksize: stats.blksize,
+    blocks: stats.blocks,
+    atimeMs: stats.atimeMs,
+    mtimeMs: stats.mtimeMs,
+    ctimeMs: stats.ctimeMs,
+    birthtimeMs: stats.birthtimeMs,
+    etag: computeEtag(stats)
+});
+
+/**
+ * Symlink hops followed before giving up, like the kernel's ELOOP limit
+ */
+const MAX_SYMLINK_HOPS = 40;
+
+/**
+ * Check where a path really lands once symlinks are followed
+ * Resolves the longest existing prefix with realpath; a dangling symlink
+ * along the way is followed by hand, since writing through it would
+ * create its target.
+ * @param {Object} fs - Backend, see diskBackend
+ * @param {string} realRoot - Real path of the mount directory
+ * @param {string} root - Mount directory as configured
+ * @param {string} target - Lexically resolved absolute path
+ * @param {string} mode - 'inside' or 'never'
+ * @param {number} hops - Symlinks followed so far
+ * @returns {Promise<boolean>}
+ */
+const landsInside = async (fs, realRoot, root, target, mode, hops = 0) => {
+    if (hops > MAX_SYMLINK_HOPS) {
+        throw createFsError("ELOOP", "too many symbolic links encountered", {
+            path: target
+        });
+    }
+
+    let existing = target;
+    const missing = [];
+    for (;;) {
+        try {
+            const real = path.join(await fs.realpath(existing), ...missing);
+            if (mode === "never") {
+                // Any symlink makes the real path differ from the lexical one
+                return (
+                    path.relative(realRoot, real) ===
+                    path.relative(root, path.join(existing, ...missing))
+                );
+            }
+            return isPathInside(realRoot, real);
+        } catch (err) {
+            if (err.code !== "ENOENT" && err.code !== "ENOTDIR") throw err;
+        }
+
+        const stats = await fs.lstat(existing).catch(() => null);
+        if (stats?.isSymbolicLink()) {
+            if (mode === "never") return false;
+            const linkTarget = path.resolve(
+                path.dirname(existing),
+                await fs.readlink(existing)
+            );
+            return landsInside(
+                fs,
+                realRoot,
+                root,
+                path.join(linkTarget, ...missing),
+                mode,
+                hops + 1
+            );
+        }
+
+        const parent = path.dirname(existing);
+        if (parent === existing) return false;
+        missing.unshift(path.basename(existing));
+        existing = parent;
+    }
+};
+
+/**
+ * Create path resolver with base directory restriction
+ * With mounts, the first path segment selects the mount. The resolver is
+ * async: it also checks where symlinks lead.
+ * @param {string} baseDir - Base directory
+ * @param {Object} mounts - Optional mounts, see createMountTable
+ * @param {Object} options - Resolver options
+ * @param {string} options.followSymlinks - 'inside' (default) follows symlinks
+ *   that stay inside the root, 'never' rejects paths through any symlink,
+ *   'always' follows symlinks anywhere
+ * @param {Object} options.backend - Backend the paths live on (default:
+ *   diskBackend)
+ * @returns {Function} - `async (filePath, { follow = true }) => absolutePath`;
+ *   pass `follow: false` for operations on a link itself (lstat, unlink, ...)
+ */
+export const createPathResolver = (baseDir, mounts, options = {}) => {
+    const table = createMountTable(baseDir, mounts);
+    const hasMounts = table[0].name !== "";
+    const followSymlinks = options.followSymlinks || "inside";
+    const fs = options.backend || diskBackend;
+
+    const outside = filePath =>
+        createFsError(
+            "EACCES",
+            "permission denied, path outside base directory",
+            { path: filePath }
+        );
+
+    return async (filePath, { follow = true } = {}) => {
+        if (typeof filePath !== "string" || filePath === "") {
+            throw createFsError(
+                "EINVAL",
+                "invalid argument, path is required"
+            );
+        }
+        if (filePath.includes("\0")) {
+            throw createFsError(
+                "EINVAL",
+                "invalid argument, path must not contain null bytes"
+            );
+        }
+        // Remove leading slash to treat all paths as relative
+        let normalizedPath = filePath.startsWith("/")
+            ? filePath.slice(1)
+            : filePath;
+        let root = baseDir;
+
+        if (hasMounts) {
+            const [name, ...rest] = path.posix
+                .normalize(normalizedPath || ".")
+                .split("/");
+            if (name === "..") {
+                throw outside(filePath);
+            }
+            if (name === ".") {
+                throw createFsError(
+                    "EPERM",
+                    "operation not permitted on the mount root",
+                    { path: filePath }
+                );
+            }
+            const mount = table.find(entry => entry.name === name);
+            if (!mount) {
+                throw createFsError("ENOENT", "no such file or directory", {
+                    path: filePath
+                });
+            }
+            root = mount.dir;
+            normalizedPath = rest.join("/");
+        }
+
+        const resolved = path.resolve(root, normalizedPath);
+        if (!isPathInside(root, resolved)) {
+            throw outside(filePath);
+        }
+        if (isInternalPath(root, resolved)) {
+            throw createFsError(
+                "EACCES",
+                "permission denied, reserved directory",
+                { path: filePath }
+            );
+        }
+        if (followSymlinks === "always" || resolved === root) {
+            return resolved;
+        }
+
+        // Operations on a link itself only need its parent to be safe
+        const checked = follow ? resolved : path.dirname(resolved);
+        const realRoot = await fs.realpath(root);
+        if (!(await landsInside(fs, realRoot, root, checked, followSymlinks))) {
+            throw createFsError(
+                "EACCES",
+                "permission denied, symlink leads outside base directory",
+                { path: filePath }
+            );
+        }
+        return resolved;
+    };
+};
+
+/**
+ * Find the handler of a request among those of createFsHandlers
+ * Route keys are matched exactly, then segment by segment against keys
+ * with `:name` parameters, which are passed on to the handler.
+ * @param {Object} handlers - Handler functions mapped by route key
+ * @param {string} method - Request method
+ * @param {string} routePath - Request path below the API prefix, with or
+ *   without a query
+ * @returns {Function|undefined} - `(req, res) => Promise`
+ */
+export const findHandler = (handlers, method, routePath) => {
+    const route = routePath.split("?")[0];
+    const exact = handlers[`${method} ${route}`];
+    if (exact) return exact;
+
+    const segments = route.split("/");
+    for (const [key, handler] of Object.entries(handlers)) {
+        const [keyMethod, pattern] = key.split(" ");
+        const parts = pattern.split("/");
+        if (
+            keyMethod !== method ||
+            !pattern.includes("/:") ||
+            parts.length !== segments.length
+        ) {
+            continue;
+        }
+        const params = {};
+        const matches = parts.every((part, i) => {
+            if (!part.startsWith(":")) return part === segments[i];
+            params[part.slice(1)] = segments[i];
+            return segments[i] !== "";
+        });
+        if (matches) return (req, res) => handler(req, res, params);
+    }
+    return undefined;
+};
+
+/**
+ * Create FS API handlers
+ * @param {string} baseDir - Base directory for file operations
+ * @param {Object} options - Handler options
+ * @param {number} options.handleTimeout - Close file handles idle for this many ms (default: 60000)
+ * @param {number} options.maxHandles - Most file handles open at once, across clients (default: 1024)
+ * @param {number} options.uploadTimeout - Drop resumable uploads idle for this many ms (default: 3600000)
+ * @param {number} options.watchDebounce - Coalesce repeated watch events within this many ms (default: 50)
+ * @param {string} options.token - Require `Authorization: Bearer <token>` on every request
+ * @param {Function} options.authorize - `(req, op, path, access)` hook, return false to deny
+ * @param {Array<{pattern: string, access: string}>} options.rules - First matching glob
+ *   grants 'read-only', 'read-write' or 'deny' (unmatched paths are read-write)
+ * @param {boolean} options.readOnly - Reject every operation that modifies the filesystem
+ * @param {string[]} options.allowedMethods - Only enable these operations (see GET /methods)
+ * @param {Object} options.mounts - Map virtual top-level names to directories:
+ *   `{ name: dir }` or `{ name: { dir, readOnly } }`. Replaces baseDir when set.
+ * @param {string} options.followSymlinks - 'inside' (default), 'never' or 'always',
+ *   see createPathResolver
+ * @param {number} options.searchTimeout - Stop glob/grep after this many ms (default: 10000)
+ * @param {number} options.searchMaxResults - Most glob/grep results per request (default: 10000)
+ * @param {number} options.grepMaxFileSize - grep skips larger files (default: 1 MiB)
+ * @param {Object} options.backend - What the routes read and write: diskBackend
+ *   (default) or any object with the same functions, e.g. createMemoryFs()
+ * @param {number} options.maxFileSize - Largest file a write may leave, in bytes
+ * @param {number} options.maxRequestBody - Largest request body, in bytes
+ * @param {number} options.quotaBytes - Most bytes all files together may take
+ * @param {number} options.maxFiles - Most files and directories
+ * @param {boolean} options.trash - Move what rm, rmdir and unlink delete into a trash
+ *   the client can list, restore from and empty
+ * @param {number} options.trashRetention - Purge trash entries older than this many ms
+ *   (default: kept until emptied)
+ * @returns {Object} - Handler functions mapped by route key
+ */
+export const createFsHandlers = (baseDir, options = {}) => {
+    const backend = options.backend || diskBackend;
+    const mountTable = createMountTable(baseDir, options.mounts);
+    const maxFileSize = options.maxFileSize ?? Infinity;
+    const maxRequestBody = options.maxRequestBody ?? Infinity;
+    const quotaBytes = options.quotaBytes ?? Infinity;
+    const maxFiles = options.maxFiles ?? Infinity;
+    const roots = mountTable.map(mount => mount.dir);
+    const isInternal = fullPath => {
+        const mount = findMount(mountTable, fullPath);
+        return Boolean(mount) && isInternalPath(mount.dir, fullPath);
+    };
+    // Only a limited backend pays for measuring usage
+    const limits =
+        maxFileSize !== Infinity ||
+        quotaBytes !== Infinity ||
+        maxFiles !== Infinity
+            ? createLimits(backend, roots, {
+                  maxFileSize,
+                  quotaBytes,
+                  maxFiles,
+                  isInternal,
+                  reclaim: () => reclaim()
+              })
+            : null;
+    const fs = limits ? limits.fs : backend;
+    const trash = options.trash
+        ? createTrash(fs, mountTable, options.trashRetention ?? Infinity)
+        : null;
+    const resolvePath = createPathResolver(baseDir, options.mounts, options);
+    const handleTimeout = options.handleTimeout ?? 60000;
+    const maxHandles = options.maxHandles ?? 1024;
+    const uploadTimeout = options.uploadTimeout ?? 60 * 60 * 1000;
+    const watchDebounce = options.watchDebounce ?? 50;
+    const searchTimeout = options.searchTimeout ?? 10000;
+    const searchMaxResults = options.searchMaxResults ?? 10000;
+    const grepMaxFileSize = options.grepMaxFileSize ?? 1024 * 1024;
+    const rules = (options.rules || []).map(rule => ({
+        access: rule.access,
+        regexp: globToRegExp(rule.pattern)
+    }));
+
+    // File handle routes belong to the "open" method, upload sessions to
+    // "uploadFile"
+    const methodOf = op =>
+        op.startsWith("handle")
+            ? "open"
+            : op === "uploads"
+              ? "uploadFile"
+              : op;
+
+    const isEnabled = method =>
+        !(options.readOnly && MUTATING_METHODS.includes(method)) &&
+        (trash !== null || !TRASH_METHODS.includes(method)) &&
+        (!options.allowedMethods || options.allowedMethods.includes(method));
+
+    const assertEnabled = op => {
+        const method = methodOf(op);
+        if (isEnabled(method)) return;
+        if (MUTATING_METHODS.includes(method)) {
+            throw createFsError("EROFS", "read-only file system", {
+                syscall: method
+            });
+        }
+        throw createFsError("EPERM", "operation not permitted", {
+            syscall: method
+        });
+    };
+
+    // Path relative to the base directory, as matched by rules and hooks
+    const toRulePath = fullPath => toClientPath(mountTable, fullPath);
+
+    // With mounts, "/" is a virtual directory listing the mount names
+    const isMountRoot = filePath =>
+        mountTable[0].name !== "" &&
+        path.posix.normalize((filePath || ".").replace(/^\/+/, "") || ".") ===
+            ".";
+
+    const accessFor = rulePath =>
+        rules.find(rule => rule.regexp.test(rulePath))?.access ||
+        "read-write";
+
+    // Denied entries and the internal directory are hidden from listings
+    const isVisible = fullPath =>
+        !isInternalPath(findMount(mountTable, fullPath).dir, fullPath) &&
+        accessFor(toRulePath(fullPath)) !== "deny";
+
+    const checkToken = req => {
+        if (!options.token) return;
+        const header = req.headers.authorization || "";
+        const supplied = header.startsWith("Bearer ")
+            ? header.slice(7)
+            : parseQuery(req.url).access_token || "";
+        const expected = Buffer.from(options.token);
+        const actual = Buffer.from(supplied);
+        if (
+            actual.length !== expected.length ||
+            !timingSafeEqual(actual, expected)
+        ) {
+            throw createFsError("EACCES", "authentication required", {
+                status: 401
+            });
+        }
+    };
+
+    /**
+     * Check rules and the authorize hook for the paths an operation touches
+     * @param {http.IncomingMessage} req - Request
+     * @param {string} op - Operation name, e.g. "readFile"
+     * @param {Array<[string, string]>} targets - [path, "read" | "write"] pairs
+     */
+    const checkAccess = async (req, op, targets) => {
+        if (targets.length === 0 && options.authorize) {
+            if (!(await options.authorize(req, op, null, "read"))) {
+                throw createFsError("EACCES", `permission denied, ${op}`);
+            }
+        }
+
+        for (const [filePath, access] of targets) {
+            // Handlers check where symlinks lead, this only needs the mount
+            const fullPath = isMountRoot(filePath)
+                ? null
+                : await resolvePath(filePath, { follow: false });
+
+            // Covers writes that are not methods of their own, like open("w")
+            const readOnly =
+                options.readOnly ||
+                !fullPath ||
+                findMount(mountTable, fullPath).readOnly;
+            if (readOnly && access === "write") {
+                throw createFsError("EROFS", "read-only file system", {
+                    syscall: op,
+                    path: filePath
+                });
+            }
+
+            const rulePath = fullPath ? toRulePath(fullPath) : ".";
+            const granted = accessFor(rulePath);
+            const allowed =
+                granted !== "deny" &&
+                (access === "read" || granted === "read-write") &&
+                (!options.authorize ||
+                    (await options.authorize(req, op, rulePath, access)));
+            if (!allowed) {
+                throw createFsError("EACCES", "permission denied", {
+                    syscall: op,
+                    path: filePath
+                });
+            }
+        }
+    };
+
+    // Parameters from wherever the route's handler reads them, so access
+    // is checked on exactly the paths it acts on. A body route ignores the
+    // query, however much it holds.
+    const requestParams = async (req, key) => {
+        const query = parseQuery(req.url);
+        const hybrid = key === "POST /writeFile" || key === "POST /appendFile";
+        const jsonBody = hybrid
+            ? query.path === undefined &&
+              rawBodyType(req.headers["content-type"] || "") === "json"
+            : JSON_BODY_ROUTES.includes(key);
+        if (!jsonBody) return query;
+        const rawBody = await getRawBody(req);
+        return rawBody.length ? JSON.parse(rawBody.toString()) : {};
+    };
+
+    // Authenticate, then check every path the request touches before its handler runs
+    const guard = async (req, key) => {
+        const op = key.split(" /")[1].replace(/\/:.*/, "");
+        checkToken(req);
+        if (op && op !== "methods") {
+            assertEnabled(op);
+        }
+
+        const params = await requestParams(req, key);
+        const describe = ROUTE_ACCESS[op];
+        await checkAccess(req, op, describe ? describe(params) : []);
+    };
+
+    // Open file handles by id. Each belongs to a client session (the
+    // X-Fs-Session header) or, without one, to the socket that opened it.
+    const handles = new Map();
+
+    const closeHandle = async id => {
+        const entry = handles.get(id);
+        if (!entry) return;
+        handles.delete(id);
+        clearTimeout(entry.timer);
+        await entry.handle?.close().catch(() => {});
+    };
+
+    const touchHandle = entry => {
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => closeHandle(entry.id), handleTimeout);
+        entry.timer.unref?.();
+    };
+
+    // Whether a request comes from the session or socket that opened a handle
+    const isOpener = (req, entry) =>
+        entry.session
+            ? req.headers["x-fs-session"] === entry.session
+            : req.socket === entry.socket;
+
+    // Only the opener can use a handle; to anyone else it does not exist
+    const getHandle = (req, fd, syscall) => {
+        const entry = handles.get(fd);
+        if (!entry?.handle || !isOpener(req, entry)) {
+            throw createFsError("EBADF", "bad file descriptor", { syscall });
+        }
+        touchHandle(entry);
+        return entry;
+    };
+
+    // Resumable uploads by id, each assembled in a temp file inside the
+    // internal directory of the mount it is written to
+    const uploads = new Map();
+
+    const dropUpload = async id => {
+        const upload = uploads.get(id);
+        if (!upload) return;
+        uploads.delete(id);
+        clearTimeout(upload.timer);
+        await fs.rm(upload.temp, { force: true }).catch(() => {});
+    };
+
+    const touchUpload = upload => {
+        clearTimeout(upload.timer);
+        upload.timer = setTimeout(() => dropUpload(upload.id), uploadTimeout);
+        upload.timer.unref?.();
+    };
+
+    // Make room for a write the quota has none for: upload parts no session
+    // holds (left by a restart), then trash entries, oldest first
+    const reclaim = async () => {
+        for (const { dir: root } of mountTable) {
+            const dir = path.join(root, INTERNAL_DIR, "uploads");
+            const stale = (await fs.readdir(dir).catch(() => [])).filter(
+                name => !uploads.has(name)
+            );
+            if (stale.length > 0) {
+                for (const name of stale) {
+                    await fs.rm(path.join(dir, name), { force: true });
+                }
+                return true;
+            }
+        }
+        return trash ? trash.removeOldest() : false;
+    };
+
+    // The session of an upload request, once its path may still be written
+    const getUpload = async (req, id) => {
+        const upload = uploads.get(id);
+        if (!upload) {
+            throw createFsError("ENOENT", `no such upload '${id}'`);
+        }
+        await checkAccess(req, "uploads", [[upload.path, "write"]]);
+        touchUpload(upload);
+        return upload;
+    };
 
-/**
- * Create path resolver with base directory restriction
- */
-export const createPathResolver = baseDir => {
-    return filePath => {
-        // Remove leading slash to treat all paths as relative
-        const normalizedPath = filePath.startsWith("/")
-            ? filePath.slice(1)
-            : filePath;
-        const resolved = path.resolve(baseDir, normalizedPath);
-        if (!resolved.startsWith(baseDir)) {
-            throw new Error("Invalid path: outside base directory");
+    // walkDir from a client path, yielding paths relative to it. The mount
+    // root walks every mount, prefixing entries with the mount name.
+    async function* walkFrom(dirPath, walkOptions) {
+        if (!isMountRoot(dirPath)) {
+            yield* walkDir(fs, await resolvePath(dirPath), walkOptions);
+            return;
         }
-        return resolved;
+        const depth = walkOptions.depth ?? Infinity;
+        for (const mount of mountTable) {
+            if (accessFor(mount.name) === "deny" || depth < 2) continue;
+            const entries = walkDir(fs, mount.dir, {
+                ...walkOptions,
+                depth: depth - 1
+            });
+            for await (const entry of entries) {
+                yield {
+                    ...entry,
+                    relative: `${mount.name}/${entry.relative}`,
+                    depth: entry.depth + 1
+                };
+            }
+        }
+    }
+
+    /**
+     * Stream search results as newline-delimited JSON
+     * Headers go out with the first result, so errors before it (bad path,
+     * bad pattern) are ordinary error responses. Later errors, including
+     * the time limit, end the stream with an `{ error }` line; a finished
+     * search ends with `{ done: true }`.
+     * @param {http.ServerResponse} res - Response
+     * @param {Function} search - `async (emit, stopped) => void`; `emit`
+     *   sends a result and returns false once the limit is reached,
+     *   `stopped()` is true after the client disconnects
+     * @param {number} limit - Most results to send
+     */
+    const streamResults = async (res, search, limit) => {
+        const deadline = Date.now() + searchTimeout;
+        let sent = 0;
+        let closed = false;
+        res.on("close", () => {
+            closed = true;
+        });
+
+        const writeLine = value => {
+            if (!res.headersSent) {
+                res.writeHead(200, { "Content-Type": "application/x-ndjson" });
+            }
+            res.write(JSON.stringify(value) + "\n");
+        };
+        const stopped = () => {
+            if (Date.now() > deadline) {
+                throw createFsError("ETIMEDOUT", "search time limit exceeded");
+            }
+            return closed;
+        };
+        const emit = result => {
+            writeLine(result);
+            return ++sent < limit;
+        };
+
+        try {
+            await search(emit, stopped);
+        } catch (err) {
+            if (!res.headersSent) throw err;
+            writeLine({ error: serializeError(err, mountTable) });
+            res.end();
+            return;
+        }
+        writeLine({ done: true });
+        res.end();
     };
-};
 
+    // maxResults from the query, capped by the server limit
+    const resultLimit = value =>
+        Math.min(
+            parseOffset(value, "maxResults") ?? Infinity,
+            searchMaxResults
+        );
 
-/**
- * Create FS API handlers
- * @param {string} baseDir - Base directory for file operations
- * @returns {Object} - Handler functions mapped by route key
- */
-export const createFsHandlers = baseDir => {
-    const resolvePath = createPathResolver(baseDir);
+    // Writes to one file run one at a time, so an If-Match check and the
+    // write it guards cannot interleave with another write
+    const fileLocks = new Map();
+    const withFileLock = (fullPath, fn) => {
+        const previous = fileLocks.get(fullPath) || Promise.resolve();
+        const current = previous.then(fn);
+        const settled = current.catch(() => {});
+        fileLocks.set(fullPath, settled);
+        settled.then(() => {
+            if (fileLocks.get(fullPath) === settled) fileLocks.delete(fullPath);
+        });
+        return current;
+    };
 
-    return {
+    // Move what rm, rmdir or unlink would delete into the trash, after
+    // failing the way they would. Atomic batches put it back on rollback.
+    const moveToTrash = async (fullPath, syscall, flags, tx) => {
+        const { recursive = false, force = false } = flags;
+        const stats = await fs.lstat(fullPath).catch(err => {
+            if (force && err.code === "ENOENT") return null;
+            throw err;
+        });
+        if (!stats) return;
+
+        const fail = (code, description) =>
+            createFsError(code, description, { syscall, path: fullPath });
+        const isDirectory = stats.isDirectory();
+        if (fullPath === findMount(mountTable, fullPath).dir) {
+            throw fail("EBUSY", "resource busy or locked");
+        }
+        if (syscall === "unlink" && isDirectory) {
+            throw fail("EISDIR", "illegal operation on a directory");
+        }
+        if (syscall === "rmdir" && !isDirectory) {
+            throw fail("ENOTDIR", "not a directory");
+        }
+        if (syscall === "rm" && isDirectory && !recursive) {
+            throw fail("EISDIR", "is a directory");
+        }
+        if (
+            syscall === "rmdir" &&
+            !recursive &&
+            (await fs.readdir(fullPath)).length > 0
+        ) {
+            throw fail("ENOTEMPTY", "directory not empty");
+        }
+
+        const id = await trash.put(fullPath);
+        tx?.onUndo(async () =>
+            trash.restore(await trash.find(id), fullPath)
+        );
+    };
+
+    // Operations POST /batch can run, as `(op, tx) => Promise`. With a
+    // transaction (atomic batches) each one records how to undo itself.
+    const batchOps = {
+        writeFile: async (op, tx) => {
+            const data = decodeData(op);
+            const fullPath = await resolvePath(op.path);
+            const { dir: root } = findMount(mountTable, fullPath);
+            await withFileLock(fullPath, async () => {
+                if (!tx) {
+                    await writeFileAtomic(fs, root, fullPath, data);
+                    return;
+                }
+                // Through symlinks and keeping the mode, like writeFileAtomic
+                const destination = await writeTarget(fs, fullPath);
+                const staged = await tx.stage(fullPath, data);
+                await tx.backup(destination.target, fullPath);
+                await moveIntoPlace(fs, staged, destination);
+            });
+        },
+
+        appendFile: async (op, tx) => {
+            const data = decodeData(op);
+            const fullPath = await resolvePath(op.path);
+            await tx?.backup(fullPath);
+            await fs.appendFile(fullPath, data);
+        },
+
+        copyFile: async ({ src, dest, flags = 0 }, tx) => {
+            const srcPath = await resolvePath(src);
+            const destPath = await resolvePath(dest);
+            await tx?.backup(destPath);
+            await fs.copyFile(srcPath, destPath, flags);
+        },
+
+        mkdir: async ({ path: dirPath, recursive = true }, tx) => {
+            const fullPath = await resolvePath(dirPath);
+            // Recursive mkdir reports the first directory it created
+            const created = await fs.mkdir(fullPath, { recursive });
+            const first = recursive ? created : fullPath;
+            if (first) {
+                tx?.onUndo(() =>
+                    fs.rm(first, { recursive: true, force: true })
+                );
+            }
+        },
+
+        rmdir: async ({ path: dirPath, recursive = false }, tx) => {
+            const fullPath = await resolvePath(dirPath, { follow: false });
+            if (trash) {
+                await moveToTrash(fullPath, "rmdir", { recursive }, tx);
+                return;
+            }
+            await tx?.backup(fullPath);
+            await fs.rmdir(fullPath, { recursive });
+        },
+
+        rm: async (op, tx) => {
+            const { path: targetPath, recursive = false, force = false } = op;
+            const fullPath = await resolvePath(targetPath, { follow: false });
+            if (trash) {
+                await moveToTrash(fullPath, "rm", { recursive, force }, tx);
+                return;
+            }
+            await tx?.backup(fullPath);
+            await fs.rm(fullPath, { recursive, force });
+        },
+
+        rename: async ({ oldPath, newPath }, tx) => {
+            const oldFullPath = await resolvePath(oldPath, { follow: false });
+            const newFullPath = await resolvePath(newPath, { follow: false });
+            await tx?.backup(newFullPath);
+            await movePath(fs, oldFullPath, newFullPath);
+            tx?.onUndo(() => movePath(fs, newFullPath, oldFullPath));
+        },
+
+        unlink: async ({ path: filePath }, tx) => {
+            const fullPath = await resolvePath(filePath, { follow: false });
+            if (trash) {
+                await moveToTrash(fullPath, "unlink", {}, tx);
+                return;
+            }
+            await tx?.backup(fullPath);
+            await fs.unlink(fullPath);
+        }
+    };
+
+    const routes = {
         // Root endpoint
         "GET /": async (req, res) => {
             res.writeHead(200, { "Content-Type": "application/json" });
             res.end(
                 JSON.stringify({
                     message: "fs-browser API",
-                    baseDirectory: baseDir
+                    baseDirectory: mountTable[0].name ? undefined : baseDir,
+                    mounts: mountTable
+                        .filter(mount => mount.name)
+                        .map(mount => ({
+                            name: mount.name,
+                            readOnly: mount.readOnly
+                        }))
                 })
             );
         },
@@ -69,22 +2045,27 @@ export const createFsHandlers = baseDir => {
             res.writeHead(200, { "Content-Type": "application/json" });
             res.end(
                 JSON.stringify({
-                    methods: [
-                        "readFile",
-                        "writeFile",
-                        "appendFile",
-                        "copyFile",
-                        "readdir",
-                        "mkdir",
-                        "rmdir",
-                        "rm",
-                        "rename",
-                        "unlink",
-                        "stat",
-                        "lstat",
-                        "readlink",
-                        "realpath"
-                    ]
+                    methods: METHODS.filter(isEnabled)
+                })
+            );
+        },
+
+        // Bytes and entries in use, and the limits they count against (null
+        // where there is none)
+        "GET /usage": async (req, res) => {
+            const { bytes, files } = limits
+                ? await limits.usage()
+                : await measureUsage(fs, roots, isInternal);
+            const limit = value => (value === Infinity ? null : value);
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(
+                JSON.stringify({
+                    bytes,
+                    files,
+                    quotaBytes: limit(quotaBytes),
+                    maxFiles: limit(maxFiles),
+                    maxFileSize: limit(maxFileSize),
+                    maxRequestBody: limit(maxRequestBody)
                 })
             );
         },
@@ -92,61 +2073,770 @@ export const createFsHandlers = baseDir => {
         // Read file
 
         "GET /readFile": async (req, res) => {
+            const query = parseQuery(req.url);
+            const { path: filePath, encoding } = query;
+            const fullPath = await resolvePath(filePath);
+            const rangeHeader = req.headers.range;
+
+            const contentType = encoding ? "text/plain" : "application/octet-stream";
+
+            // Non-UTF-8 encodings are transcoded: the whole file, or the
+            // bytes in the range
+            const transcode = encoding && !UTF8_ENCODINGS.includes(encoding);
+            if (transcode && !rangeHeader) {
+                const stats = await fs.stat(fullPath);
+                if (sendNotModified(req, res, stats)) return;
+                const data = await fs.readFile(fullPath, { encoding });
+                res.writeHead(200, {
+                    "Content-Type": contentType,
+                    "Accept-Ranges": "bytes",
+                    ...validatorHeaders(stats)
+                });
+                res.end(data);
+                return;
+            }
+
+            const { handle, stats } = await openForRead(fs, fullPath);
+            if (!rangeHeader && sendNotModified(req, res, stats)) {
+                await handle.close();
+                return;
+            }
+            let range;
+            try {
+                range = rangeHeader && parseRange(rangeHeader, stats.size);
+            } catch (err) {
+                await handle.close();
+                res.setHeader("Content-Range", `bytes */${stats.size}`);
+                throw err;
+            }
+
+            const start = range ? range.start : 0;
+            const length = range ? range.end - range.start + 1 : stats.size;
+            const headers = {
+                "Content-Type": contentType,
+                "Content-Length": length,
+                "Accept-Ranges": "bytes",
+                ...validatorHeaders(stats)
+            };
+            if (range) {
+                headers["Content-Range"] =
+                    `bytes ${range.start}-${range.end}/${stats.size}`;
+            }
+
+            if (transcode) {
+                const data = Buffer.alloc(length);
+                let bytesRead;
+                try {
+                    ({ bytesRead } = await handle.read(data, 0, length, start));
+                } finally {
+                    await handle.close();
+                }
+                const text = data.subarray(0, bytesRead).toString(encoding);
+                headers["Content-Length"] = Buffer.byteLength(text);
+                res.writeHead(206, headers);
+                res.end(text);
+                return;
+            }
+
+            res.writeHead(range ? 206 : 200, headers);
+            await streamHandle(res, handle, start, length);
+        },
+
+        // Stream a file (or a start/end byte window of it) without buffering
+        "GET /createReadStream": async (req, res) => {
+            const query = parseQuery(req.url);
+            const fullPath = await resolvePath(query.path);
+            const start = parseOffset(query.start, "start") ?? 0;
+            const end = parseOffset(query.end, "end");
+
+            const { handle, stats } = await openForRead(fs, fullPath);
+
+            // `end` is inclusive, matching fs.createReadStream
+            const last = Math.min(end ?? Infinity, stats.size - 1);
+            const length = Math.max(0, last - start + 1);
+
+            res.writeHead(200, {
+                "Content-Type": "application/octet-stream",
+                "Content-Length": length
+            });
+            await streamHandle(res, handle, start, length);
+        },
+
+        // Stream the request body to disk without buffering
+        "POST /createWriteStream": async (req, res) => {
+            const query = parseQuery(req.url);
+            const { path: filePath, flags = "w" } = query;
+            const fullPath = await resolvePath(filePath);
+            const start = parseOffset(query.start, "start");
+            if (!WRITE_STREAM_FLAGS.includes(flags)) {
+                throw createFsError(
+                    "EINVAL",
+                    `invalid argument, unsupported flags '${flags}'`
+                );
+            }
+
+            // Aborted uploads leave the file as it was, see streamInPlace
+            const { dir: root } = findMount(mountTable, fullPath);
+            const body = requestBody(req);
+            const bytesWritten =
+                flags === "w"
+                    ? await streamFileAtomic(fs, root, fullPath, body, {
+                          start
+                      })
+                    : await streamInPlace(fs, fullPath, body, { flags, start });
+
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(
+                JSON.stringify({
+                    message: "Stream written successfully",
+                    path: filePath,
+                    bytesWritten
+                })
+            );
+        },
+
+        // Open a file handle for positional I/O
+        "POST /open": async (req, res) => {
+            const rawBody = await getRawBody(req);
+            const {
+                path: filePath,
+                flags = "r",
+                mode = 0o666
+            } = JSON.parse(rawBody.toString());
+            if (!OPEN_FLAGS.includes(flags)) {
+                throw createFsError(
+                    "EINVAL",
+                    `invalid argument, unsupported flags '${flags}'`
+                );
+            }
+            const fileMode = parseMode(mode);
+            const fullPath = await resolvePath(filePath);
+
+            const entry = {
+                id: randomUUID(),
+                handle: null,
+                session: req.headers["x-fs-session"],
+                socket: req.socket
+            };
+            const owned = [...handles.values()].filter(other =>
+                isOpener(req, other)
+            );
+            if (
+                handles.size >= maxHandles ||
+                owned.length >= MAX_SESSION_HANDLES
+            ) {
+                throw createFsError("EMFILE", "too many open files", {
+                    syscall: "open",
+                    path: fullPath
+                });
+            }
+            // Holds its place in the table while the file opens
+            handles.set(entry.id, entry);
+            try {
+                entry.handle = await fs.open(fullPath, flags, fileMode);
+            } catch (err) {
+                handles.delete(entry.id);
+                throw err;
+            }
+            if (handles.get(entry.id) !== entry) {
+                // Closed with the rest of its session meanwhile
+                await entry.handle.close();
+                throw createFsError("EBADF", "bad file descriptor", {
+                    syscall: "open"
+                });
+            }
+            touchHandle(entry);
+
+            if (!entry.session) {
+                req.socket.once("close", () => closeHandle(entry.id));
+            }
+
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ fd: entry.id, path: filePath }));
+        },
+
+        // Read from a file handle
+        "GET /handle/read": async (req, res) => {
+            const query = parseQuery(req.url);
+            const { handle } = getHandle(req, query.fd, "read");
+            const length = parseOffset(query.length, "length") ?? 16384;
+            const position = parseOffset(query.position, "position") ?? null;
+            if (length > MAX_HANDLE_IO) {
+                throw createFsError(
+                    "EINVAL",
+                    `invalid argument, length must not exceed ${MAX_HANDLE_IO}`
+                );
+            }
+
+            const buffer = Buffer.alloc(length);
+            const { bytesRead } = await handle.read(
+                buffer,
+                0,
+                length,
+                position
+            );
+            res.writeHead(200, {
+                "Content-Type": "application/octet-stream",
+                "Content-Length": bytesRead
+            });
+            res.end(buffer.subarray(0, bytesRead));
+        },
+
+        // Write the request body to a file handle
+        "POST /handle/write": async (req, res) => {
+            const query = parseQuery(req.url);
+            const { handle } = getHandle(req, query.fd, "write");
+            const position = parseOffset(query.position, "position") ?? null;
+            const data = await getRawBody(req);
+            const { bytesWritten } = await handle.write(
+                data,
+                0,
+                data.length,
+                position
+            );
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ bytesWritten }));
+        },
+
+        // Truncate a file handle
+        "POST /handle/truncate": async (req, res) => {
+            const rawBody = await getRawBody(req);
+            const { fd, len = 0 } = JSON.parse(rawBody.toString());
+            const { handle } = getHandle(req, fd, "ftruncate");
+            await handle.truncate(len);
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ message: "File truncated", fd }));
+        },
+
+        // Stat a file handle
+        "GET /handle/stat": async (req, res) => {
+            const query = parseQuery(req.url);
+            const { handle } = getHandle(req, query.fd, "fstat");
+            const stats = await handle.stat();
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ stats: serializeStats(stats) }));
+        },
+
+        // Flush a file handle to disk
+        "POST /handle/sync": async (req, res) => {
+            const rawBody = await getRawBody(req);
+            const { fd } = JSON.parse(rawBody.toString());
+            const { handle } = getHandle(req, fd, "fsync");
+            await handle.sync();
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ message: "File synced", fd }));
+        },
+
+        // Close a file handle
+        "POST /handle/close": async (req, res) => {
+            const rawBody = await getRawBody(req);
+            const { fd } = JSON.parse(rawBody.toString());
+            getHandle(req, fd, "close");
+            await closeHandle(fd);
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ message: "File closed", fd }));
+        },
+
+        // Close every handle a client session left open
+        "DELETE /handles": async (req, res) => {
+            const session = req.headers["x-fs-session"];
+            const owned = [...handles.values()].filter(
+                entry => session && entry.session === session
+            );
+            await Promise.all(owned.map(entry => closeHandle(entry.id)));
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ closed: owned.length }));
+        },
+
+        // Stream change events for a file or directory as Server-Sent Events
+        "GET /watch": async (req, res) => {
+            const query = parseQuery(req.url);
+            const { path: watchPath = ".", recursive = "false" } = query;
+            const fullPath = await resolvePath(watchPath);
+            const stats = await fs.stat(fullPath);
+            const watcher = fs.watch(fullPath, {
+                recursive: recursive === "true"
+            });
+            const dir = stats.isDirectory() ? fullPath : path.dirname(fullPath);
+
+            res.writeHead(200, {
+                "Content-Type": "text/event-stream",
+                "Cache-Control": "no-cache",
+                Connection: "keep-alive"
+            });
+            res.write(": watching\n\n");
+
+            const send = (event, data) => {
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            };
+
+            // Editors fire several events per save, send one per name and type
+            const pending = new Map();
+            watcher.on("change", (eventType, filename) => {
+                const name = filename ? filename.toString() : null;
+                if (name) {
+                    const target = path.resolve(dir, name);
+                    const { dir: root } = findMount(mountTable, fullPath);
+                    if (!isPathInside(root, target)) return;
+                    if (isInternalPath(root, target)) return;
+                    if (accessFor(toRulePath(target)) === "deny") return;
+                }
+
+                const key = `${eventType}:${name}`;
+                clearTimeout(pending.get(key));
+                pending.set(
+                    key,
+                    setTimeout(() => {
+                        pending.delete(key);
+                        send("change", {
+                            eventType,
+                            filename: name && name.split(path.sep).join("/")
+                        });
+                    }, watchDebounce)
+                );
+            });
+
+            // Keep proxies from timing out an idle stream
+            const heartbeat = setInterval(() => res.write(": ping\n\n"), 30000);
+
+            const cleanup = () => {
+                watcher.close();
+                clearInterval(heartbeat);
+                pending.forEach(timer => clearTimeout(timer));
+            };
+
+            watcher.on("error", err => {
+                send("error", serializeError(err, mountTable));
+                cleanup();
+                res.end();
+            });
+            res.on("close", cleanup);
+        },
+
+        // Read directory
+        "GET /readdir": async (req, res) => {
+            const query = parseQuery(req.url);
+            const { path: dirPath = "." } = query;
+            const withFileTypes = query.withFileTypes === "true";
+            const recursive = query.recursive === "true";
+            const files = [];
+
+            // Directories to list, with the prefix their entries get
+            let dirs;
+            if (isMountRoot(dirPath)) {
+                const mounts = mountTable.filter(
+                    mount => accessFor(mount.name) !== "deny"
+                );
+                for (const { name } of mounts) {
+                    files.push(
+                        withFileTypes
+                            ? serializeDirent(name, dirPath, "directory")
+                            : name
+                    );
+                }
+                dirs = recursive
+                    ? mounts.map(mount => [mount.dir, mount.name])
+                    : [];
+            } else {
+                dirs = [[await resolvePath(dirPath), ""]];
+            }
+
+            for (const [dir, prefix] of dirs) {
+                const entries = walkDir(fs, dir, {
+                    filter: isVisible,
+                    depth: recursive ? Infinity : 1
+                });
+                for await (const { relative, dirent } of entries) {
+                    const entryPath = prefix
+                        ? `${prefix}/${relative}`
+                        : relative;
+                    if (!withFileTypes) {
+                        files.push(entryPath);
+                        continue;
+                    }
+                    const parentPath = path.posix.join(
+                        dirPath,
+                        path.posix.dirname(entryPath)
+                    );
+                    const type = fileType(dirent);
+                    files.push(serializeDirent(dirent.name, parentPath, type));
+                }
+            }
+
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ files }));
+        },
+
+        // Find paths matching a glob pattern, streamed as they are found
+        "GET /glob": async (req, res) => {
+            const query = parseQuery(req.url);
+            const { pattern, cwd = "." } = query;
+            if (!pattern) {
+                throw createFsError(
+                    "EINVAL",
+                    "invalid argument, pattern is required"
+                );
+            }
+            const limit = resultLimit(query.maxResults);
+            const matcher = globToRegExp(pattern);
+            const ignore = new URLSearchParams(req.url.split("?")[1])
+                .getAll("ignore")
+                .map(globToRegExp);
+
+            // Without "**" nothing deeper than the pattern can match
+            const depth = pattern.includes("**")
+                ? Infinity
+                : pattern.replace(/^\.?\//, "").split("/").length;
+            const base = isMountRoot(cwd)
+                ? "."
+                : toClientPath(mountTable, await resolvePath(cwd));
+            const relativeTo = fullPath =>
+                path.posix.relative(base, toClientPath(mountTable, fullPath));
+            const filter = fullPath =>
+                isVisible(fullPath) &&
+                !ignore.some(regexp => regexp.test(relativeTo(fullPath)));
+
+            await streamResults(
+                res,
+                async (emit, stopped) => {
+                    const entries = walkFrom(cwd, { filter, depth });
+                    for await (const entry of entries) {
+                        if (stopped()) return;
+                        if (!matcher.test(entry.relative)) continue;
+                        if (!emit({ path: entry.relative })) return;
+                    }
+                },
+                limit
+            );
+        },
+
+        // Search file contents, streaming one result per matching line
+        "GET /grep": async (req, res) => {
+            const query = parseQuery(req.url);
+            const { query: text, path: searchPath = "." } = query;
+            if (!text) {
+                throw createFsError(
+                    "EINVAL",
+                    "invalid argument, query is required"
+                );
+            }
+            const limit = resultLimit(query.maxResults);
+            const deadline = Date.now() + searchTimeout;
+            const regex = query.regex === "true";
+            const source = regex
+                ? text
+                : text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+            const flags = query.caseSensitive === "true" ? "" : "i";
+            // Compiled here to reject bad patterns, but client patterns only
+            // run in a worker: one can backtrack for longer than the timeout
+            const matcher = new RegExp(source, flags);
+
+            // A file searches just that file, a directory everything below it
+            const fullPath = isMountRoot(searchPath)
+                ? null
+                : await resolvePath(searchPath);
+            const isFile = fullPath && !(await fs.stat(fullPath)).isDirectory();
+            const regexWorker = regex && createRegexWorker(source, flags);
+
+            // Grep one file, returning false once the limit is reached
+            const grepFile = async (filePath, emit, stopped) => {
+                const stats = await fs.stat(filePath);
+                if (stats.size > grepMaxFileSize) return true;
+                const content = await fs.readFile(filePath);
+                // Skip binary files
+                if (content.includes(0)) return true;
+
+                const lines = content.toString("utf8").split(/\r?\n/);
+                const matches = regexWorker
+                    ? await regexWorker.match(lines, deadline)
+                    : lines.keys();
+                for (const found of matches) {
+                    if (stopped()) return false;
+                    const [i, column] = regexWorker
+                        ? found
+                        : [found, lines[found].search(matcher)];
+                    if (column === -1) continue;
+                    const result = {
+                        path: toClientPath(mountTable, filePath),
+                        line: i + 1,
+                        column: column + 1,
+                        text: lines[i].slice(0, 500)
+                    };
+                    if (!emit(result)) return false;
+                }
+                return true;
+            };
+
             try {
-                const query = parseQuery(req.url);
-                const { path: filePath, encoding } = query;
-                const fullPath = resolvePath(filePath);
+                await streamResults(
+                    res,
+                    async (emit, stopped) => {
+                        if (isFile) {
+                            await grepFile(fullPath, emit, stopped);
+                            return;
+                        }
+                        const entries = walkFrom(searchPath, {
+                            filter: isVisible
+                        });
+                        for await (const entry of entries) {
+                            if (stopped()) return;
+                            // Symlinks are skipped, they may lead anywhere
+                            if (!entry.dirent.isFile()) continue;
+                            const more = await grepFile(
+                                entry.fullPath,
+                                emit,
+                                stopped
+                            );
+                            if (!more) return;
+                        }
+                    },
+                    limit
+                );
+            } finally {
+                if (regexWorker) regexWorker.close();
+            }
+        },
+
+        // Nested listing with stats in one round trip, for file explorers
+        "GET /tree": async (req, res) => {
+            const query = parseQuery(req.url);
+            const { path: dirPath = "." } = query;
+            const depth = parseOffset(query.depth, "depth") ?? Infinity;
+            let count = 0;
+            let truncated = false;
+
+            // List `dir` into node.children, `levels` deep
+            const expand = async (node, dir, levels) => {
+                node.children = [];
+                const nodes = new Map([["", node]]);
+                const entries = walkDir(fs, dir, {
+                    filter: isVisible,
+                    depth: levels
+                });
+                for await (const entry of entries) {
+                    if (++count > MAX_TREE_ENTRIES) {
+                        truncated = true;
+                        return;
+                    }
+                    const child = {
+                        name: entry.dirent.name,
+                        path: toClientPath(mountTable, entry.fullPath),
+                        stats: serializeStats(await fs.lstat(entry.fullPath))
+                    };
+                    const parent = path.posix.dirname(entry.relative);
+                    nodes.get(parent === "." ? "" : parent).children.push(
+                        child
+                    );
+                    const expandable = entry.depth + 1 < levels;
+                    if (entry.dirent.isDirectory() && expandable) {
+                        child.children = [];
+                        nodes.set(entry.relative, child);
+                    }
+                }
+            };
+
+            let tree;
+            if (isMountRoot(dirPath)) {
+                tree = { name: ".", path: ".", children: [] };
+                const mounts = mountTable.filter(
+                    mount => accessFor(mount.name) !== "deny"
+                );
+                for (const mount of depth > 0 ? mounts : []) {
+                    const node = {
+                        name: mount.name,
+                        path: mount.name,
+                        stats: serializeStats(await fs.stat(mount.dir))
+                    };
+                    tree.children.push(node);
+                    if (depth > 1) await expand(node, mount.dir, depth - 1);
+                }
+            } else {
+                const fullPath = await resolvePath(dirPath);
+                const clientPath = toClientPath(mountTable, fullPath);
+                const stats = await fs.stat(fullPath);
+                tree = {
+                    name: path.posix.basename(clientPath),
+                    path: clientPath,
+                    stats: serializeStats(stats)
+                };
+                if (stats.isDirectory() && depth > 0) {
+                    await expand(tree, fullPath, depth);
+                }
+            }
+            if (truncated) tree.truncated = true;
+
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ tree }));
+        },
+
+        // Download a directory as a zip or tar archive, written as it is
+        // read. Entries hidden from listings are left out.
+        "GET /archive": async (req, res) => {
+            const query = parseQuery(req.url);
+            const { path: dirPath = ".", format = "zip" } = query;
+            if (!Object.hasOwn(ARCHIVE_FORMATS, format)) {
+                throw createFsError(
+                    "EINVAL",
+                    `invalid argument, unknown archive format '${format}'`
+                );
+            }
+
+            let name = "archive";
+            if (!isMountRoot(dirPath)) {
+                const fullPath = await resolvePath(dirPath);
+                const stats = await fs.stat(fullPath);
+                if (!stats.isDirectory()) {
+                    throw createFsError("ENOTDIR", "not a directory", {
+                        syscall: "scandir",
+                        path: fullPath
+                    });
+                }
+                name = path.basename(fullPath);
+            }
+
+            async function* entries() {
+                const walk = walkFrom(dirPath, { filter: isVisible });
+                for await (const { fullPath, relative } of walk) {
+                    const stats = await fs.lstat(fullPath);
+                    const type = fileType(stats);
+                    if (!["file", "directory", "symlink"].includes(type)) {
+                        continue;
+                    }
+                    yield {
+                        path: relative,
+                        type,
+                        mode: stats.mode,
+                        mtimeMs: stats.mtimeMs,
+                        size: stats.size,
+                        target:
+                            type === "symlink"
+                                ? await fs.readlink(fullPath)
+                                : undefined,
+                        open: async () =>
+                            (await fs.open(fullPath, "r")).createReadStream({
+                                end: stats.size - 1
+                            })
+                    };
+                }
+            }
+
+            const { type, extension } = ARCHIVE_FORMATS[format];
+            const archive = Readable.from(
+                format === "zip" ? writeZip(entries()) : writeTar(entries())
+            );
+            res.writeHead(200, {
+                "Content-Type": type,
+                "Content-Disposition": `attachment; filename*=UTF-8''${encodeURIComponent(name + extension)}`
+            });
+            await pipeline(
+                archive,
+                ...(format === "tar.gz" ? [zlib.createGzip()] : []),
+                res
+            );
+        },
 
-               
-                const contentType = encoding ? "text/plain" : "application/octet-stream";
+        // Unpack a zip or tar archive, sent as the body, into a directory.
+        // Every entry is checked before anything is written: entries and
+        // symlinks leading outside the directory reject the whole archive.
+        "POST /extract": async (req, res) => {
+            const { path: dirPath = "." } = parseQuery(req.url);
+            const dirFullPath = await resolvePath(dirPath);
+            if (!(await fs.stat(dirFullPath)).isDirectory()) {
+                throw createFsError("ENOTDIR", "not a directory", {
+                    syscall: "mkdir",
+                    path: dirFullPath
+                });
+            }
 
-                // 2. Reading file WITHOUT an encoding (returns a Buffer/binary)
-                let options = {}
-                if (encoding) {options.encoding = encoding || 'utf8';}
-                const data = await fs.readFile(fullPath, options );
+            const maxSize =
+                maxRequestBody === Infinity ? MAX_EXTRACT_SIZE : maxRequestBody;
+            limitBody(req, maxSize);
+            const entries = readArchive(await getRawBody(req), {
+                strict: true,
+                maxSize,
+                maxFileSize
+            });
+            const clientPath = entry => path.posix.join(dirPath, entry.path);
+            // Link targets are checked like POST /symlink checks them: a link
+            // grants the same access as its target, which must not be in
+            // the reserved directory
+            const targets = new Map();
+            for (const entry of entries) {
+                if (entry.type !== "symlink") continue;
+                const targetPath = symlinkTargetPath(
+                    clientPath(entry),
+                    entry.target
+                );
+                await resolvePath(targetPath, { follow: false });
+                targets.set(entry, targetPath);
+            }
+            await checkAccess(req, "extract", [
+                ...entries.map(entry => [clientPath(entry), "write"]),
+                ...[...targets.values()].map(target => [target, "write"])
+            ]);
 
-                // 3. Write the headers and send the data
-                res.writeHead(200, { "Content-Type": contentType });
-                res.end(data);
-            } catch (err) {
-                res.writeHead(404, { "Content-Type": "text/plain" });
-                res.end("File not found or error reading file");
+            // Symlinks last, so no entry is written through a link it contains
+            const ordered = [
+                ...entries.filter(entry => entry.type !== "symlink"),
+                ...entries.filter(entry => entry.type === "symlink")
+            ];
+            for (const entry of ordered) {
+                const fullPath = await resolvePath(clientPath(entry), {
+                    follow: entry.type !== "symlink"
+                });
+                if (entry.type === "directory") {
+                    await fs.mkdir(fullPath, { recursive: true });
+                    continue;
+                }
+                await fs.mkdir(path.dirname(fullPath), { recursive: true });
+                if (entry.type === "symlink") {
+                    // Again: links extracted before may lie on the way
+                    const targetPath = await resolvePath(targets.get(entry), {
+                        follow: false
+                    });
+                    await fs.unlink(fullPath).catch(() => {});
+                    await fs.symlink(
+                        path.relative(path.dirname(fullPath), targetPath) ||
+                            ".",
+                        fullPath
+                    );
+                    continue;
+                }
+                await withFileLock(fullPath, () =>
+                    fs.writeFile(fullPath, entry.data)
+                );
+                if (entry.mode & 0o777) {
+                    await fs.chmod(fullPath, entry.mode & 0o777);
+                }
+                if (entry.mtimeMs) {
+                    const time = entry.mtimeMs / 1000;
+                    await fs.utimes(fullPath, time, time);
+                }
             }
-        },
 
-        // Read directory
-        "GET /readdir": async (req, res) => {
-            const query = parseQuery(req.url);
-            const { path: dirPath = ".", withFileTypes = "false" } = query;
-            const fullPath = resolvePath(dirPath);
-            const files = await fs.readdir(fullPath, {
-                withFileTypes: withFileTypes === "true"
-            });
             res.writeHead(200, { "Content-Type": "application/json" });
-            res.end(JSON.stringify({ files }));
+            res.end(
+                JSON.stringify({
+                    message: "Archive extracted",
+                    path: dirPath,
+                    entries: entries.length
+                })
+            );
         },
 
         // Get file stats
         "GET /stat": async (req, res) => {
             const query = parseQuery(req.url);
             const { path: filePath } = query;
-            const fullPath = resolvePath(filePath);
+            const fullPath = await resolvePath(filePath);
             const stats = await fs.stat(fullPath);
-            res.writeHead(200, { "Content-Type": "application/json" });
+            if (sendNotModified(req, res, stats)) return;
+            res.writeHead(200, {
+                "Content-Type": "application/json",
+                ...validatorHeaders(stats)
+            });
             res.end(
-                JSON.stringify({
-                    stats: {
-                        isFile: stats.isFile(),
-                        isDirectory: stats.isDirectory(),
-                        isSymbolicLink: stats.isSymbolicLink(),
-                        size: stats.size,
-                        mode: stats.mode,
-                        mtime: stats.mtime,
-                        atime: stats.atime,
-                        ctime: stats.ctime,
-                        birthtime: stats.birthtime
-                    }
-                })
+                JSON.stringify({ stats: serializeStats(stats) })
             );
         },
 
@@ -154,23 +2844,15 @@ export const createFsHandlers = baseDir => {
         "GET /lstat": async (req, res) => {
             const query = parseQuery(req.url);
             const { path: filePath } = query;
-            const fullPath = resolvePath(filePath);
+            const fullPath = await resolvePath(filePath, { follow: false });
             const stats = await fs.lstat(fullPath);
-            res.writeHead(200, { "Content-Type": "application/json" });
+            if (sendNotModified(req, res, stats)) return;
+            res.writeHead(200, {
+                "Content-Type": "application/json",
+                ...validatorHeaders(stats)
+            });
             res.end(
-                JSON.stringify({
-                    stats: {
-                        isFile: stats.isFile(),
-                        isDirectory: stats.isDirectory(),
-                        isSymbolicLink: stats.isSymbolicLink(),
-                        size: stats.size,
-                        mode: stats.mode,
-                        mtime: stats.mtime,
-                        atime: stats.atime,
-                        ctime: stats.ctime,
-                        birthtime: stats.birthtime
-                    }
-                })
+                JSON.stringify({ stats: serializeStats(stats) })
             );
         },
 
@@ -178,8 +2860,23 @@ export const createFsHandlers = baseDir => {
         "GET /realpath": async (req, res) => {
             const query = parseQuery(req.url);
             const { path: filePath } = query;
-            const fullPath = resolvePath(filePath);
-            const realPath = await fs.realpath(fullPath);
+            const fullPath = await resolvePath(filePath);
+            // Report the path within the mount even if the mount dir is a symlink
+            const { dir: root } = findMount(mountTable, fullPath);
+            const realRoot = await fs.realpath(root);
+            const real = await fs.realpath(fullPath);
+            if (!isPathInside(realRoot, real)) {
+                throw createFsError(
+                    "EACCES",
+                    "permission denied, real path is outside base directory",
+                    { path: filePath }
+                );
+            }
+            const clientPath = toClientPath(
+                mountTable,
+                path.join(root, path.relative(realRoot, real))
+            );
+            const realPath = clientPath === "." ? "/" : `/${clientPath}`;
             res.writeHead(200, { "Content-Type": "application/json" });
             res.end(JSON.stringify({ realPath }));
         },
@@ -188,127 +2885,89 @@ export const createFsHandlers = baseDir => {
         "GET /readlink": async (req, res) => {
             const query = parseQuery(req.url);
             const { path: linkPath } = query;
-            const fullPath = resolvePath(linkPath);
+            const fullPath = await resolvePath(linkPath, { follow: false });
             const target = await fs.readlink(fullPath);
             res.writeHead(200, { "Content-Type": "application/json" });
             res.end(JSON.stringify({ target }));
         },
 
+        // Check that a path exists and is accessible with the given mode
+        "GET /access": async (req, res) => {
+            const query = parseQuery(req.url);
+            const { path: filePath } = query;
+            const mode = parseOffset(query.mode, "mode") ?? 0;
+            if (mode > 7) {
+                throw createFsError(
+                    "EINVAL",
+                    "invalid argument, mode must be a combination of F_OK, R_OK, W_OK and X_OK"
+                );
+            }
+            const fullPath = await resolvePath(filePath);
+            await fs.access(fullPath, mode);
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ path: filePath, mode }));
+        },
+
         // Write file
         "POST /writeFile": async (req, res) => {
             const contentType = req.headers["content-type"] || "";
             const query = parseQuery(req.url);
             let filePath = query.path;
             let writeData;
-            let type;
-
-            const rawBody = await getRawBody(req);
-
-            // Handle binary content types
-            if (
-                contentType.includes("application/octet-stream") ||
-                contentType.includes("image/") ||
-                contentType.includes("video/") ||
-                contentType.includes("audio/") ||
-                contentType.includes("application/pdf")
-            ) {
-                writeData = rawBody;
-                type = "binary";
-            }
-            // Handle plain text
-            else if (contentType.includes("text/plain")) {
-                writeData = rawBody;
-                type = "text";
-            }
-            // Handle JSON
-            else if (contentType.includes("application/json")) {
-                // If path is in query string, treat rawBody as the content to write
-                if (filePath) {
-                    writeData = rawBody;
-                    type = "json";
-                }
-                // Otherwise, parse as structured request body
-                else {
-                    if (rawBody.length === 0) {
-                        res.writeHead(400, {
-                            "Content-Type": "application/json"
-                        });
-                        res.end(
-                            JSON.stringify({ error: "Empty request body" })
-                        );
-                        return;
-                    }
+            let type = rawBodyType(contentType);
 
-                    const body = JSON.parse(rawBody.toString());
-                    filePath = body.path;
-
-                    if (!filePath) {
-                        res.writeHead(400, {
-                            "Content-Type": "application/json"
-                        });
-                        res.end(JSON.stringify({ error: "Path is required" }));
-                        return;
-                    }
+            // Without a path in the query, a JSON body carries path and data;
+            // other bodies are the file contents, streamed to disk
+            if (!filePath && type === "json") {
+                const rawBody = await getRawBody(req);
+                if (rawBody.length === 0) {
+                    throw createFsError("EINVAL", "empty request body");
+                }
 
-                    const {
-                        data,
-                        type: dataType = "text",
-                        encoding = "utf8"
-                    } = body;
+                const body = JSON.parse(rawBody.toString());
+                filePath = body.path;
 
-                    if (data === undefined || data === null) {
-                        res.writeHead(400, {
-                            "Content-Type": "application/json"
-                        });
-                        res.end(JSON.stringify({ error: "Data is required" }));
-                        return;
-                    }
+                if (!filePath) {
+                    throw createFsError("EINVAL", "path is required");
+                }
 
-                    type = dataType;
+                writeData = decodeData(body);
+                type = body.type || "text";
 
-                    switch (dataType) {
-                        case "text":
-                            writeData = Buffer.from(String(data), encoding);
-                            break;
-                        case "json":
-                            writeData = Buffer.from(
-                                JSON.stringify(data, null, 2),
-                                encoding
-                            );
-                            break;
-                        case "buffer":
-                            writeData = Array.isArray(data)
-                                ? Buffer.from(data)
-                                : Buffer.from(data, "base64");
-                            break;
-                        default:
-                            writeData = Buffer.from(String(data), encoding);
-                    }
+                // Validate we have data to write
+                if (!writeData || writeData.length === 0) {
+                    throw createFsError("EINVAL", "no data to write");
                 }
             }
-            // Fallback for unknown content types
-            else {
-                writeData = rawBody;
-                type = "unknown";
-            }
 
-            // Validate we have data to write
-            if (!writeData || writeData.length === 0) {
-                res.writeHead(400, { "Content-Type": "application/json" });
-                res.end(JSON.stringify({ error: "No data to write" }));
-                return;
-            }
-
-            const fullPath = resolvePath(filePath);
-            await fs.writeFile(fullPath, writeData);
+            const fullPath = await resolvePath(filePath);
+            const { dir: root } = findMount(mountTable, fullPath);
+            let size;
+            const etag = await withFileLock(fullPath, async () => {
+                await checkIfMatch(fs, fullPath, req.headers["if-match"]);
+                if (writeData) {
+                    await writeFileAtomic(fs, root, fullPath, writeData);
+                    size = writeData.length;
+                } else {
+                    const body = requestBody(req);
+                    size = await streamFileAtomic(fs, root, fullPath, body, {
+                        allowEmpty: false
+                    });
+                }
+                return computeEtag(await fs.stat(fullPath));
+            });
 
-            res.writeHead(200, { "Content-Type": "application/json" });
+            res.writeHead(200, {
+                "Content-Type": "application/json",
+                ETag: etag
+            });
             res.end(
                 JSON.stringify({
                     message: "File written successfully",
                     path: filePath,
                     type,
-                    size: writeData.length
+                    size,
+                    etag
                 })
             );
         },
@@ -319,125 +2978,215 @@ export const createFsHandlers = baseDir => {
             const query = parseQuery(req.url);
             let filePath = query.path;
             let appendData;
-            let type;
+            let type = rawBodyType(contentType);
 
-            const rawBody = await getRawBody(req);
+            // Without a path in the query, a JSON body carries path and data;
+            // other bodies are the data, streamed to disk
+            if (!filePath && type === "json") {
+                const rawBody = await getRawBody(req);
+                if (rawBody.length === 0) {
+                    throw createFsError("EINVAL", "empty request body");
+                }
 
-            // Handle binary content types
-            if (
-                contentType.includes("application/octet-stream") ||
-                contentType.includes("image/") ||
-                contentType.includes("video/") ||
-                contentType.includes("audio/") ||
-                contentType.includes("application/pdf")
-            ) {
-                appendData = rawBody;
-                type = "binary";
-            }
-            // Handle plain text
-            else if (contentType.includes("text/plain")) {
-                appendData = rawBody;
-                type = "text";
-            }
-            // Handle JSON
-            else if (contentType.includes("application/json")) {
-                // If path is in query string, treat rawBody as the content to append
-                if (filePath) {
-                    appendData = rawBody;
-                    type = "json";
-                }
-                // Otherwise, parse as structured request body
-                else {
-                    if (rawBody.length === 0) {
-                        res.writeHead(400, {
-                            "Content-Type": "application/json"
-                        });
-                        res.end(
-                            JSON.stringify({ error: "Empty request body" })
-                        );
-                        return;
-                    }
+                const body = JSON.parse(rawBody.toString());
+                filePath = body.path;
+
+                if (!filePath) {
+                    throw createFsError("EINVAL", "path is required");
+                }
 
-                    const body = JSON.parse(rawBody.toString());
-                    filePath = body.path;
+                appendData = decodeData(body);
+                type = body.type || "text";
 
-                    if (!filePath) {
-                        res.writeHead(400, {
-                            "Content-Type": "application/json"
-                        });
-                        res.end(JSON.stringify({ error: "Path is required" }));
-                        return;
-                    }
+                // Validate we have data
+                if (!appendData || appendData.length === 0) {
+                    throw createFsError("EINVAL", "no data to append");
+                }
+            }
 
-                    const {
-                        data,
-                        type: dataType = "text",
-                        encoding = "utf8"
-                    } = body;
+            const fullPath = await resolvePath(filePath);
+            const size = await withFileLock(fullPath, async () => {
+                if (appendData) {
+                    await fs.appendFile(fullPath, appendData);
+                    return appendData.length;
+                }
+                if (req.headers["content-length"] === "0") {
+                    throw createFsError("EINVAL", "no data to append");
+                }
+                return streamInPlace(fs, fullPath, requestBody(req), {
+                    flags: "a"
+                });
+            });
 
-                    if (data === undefined || data === null) {
-                        res.writeHead(400, {
-                            "Content-Type": "application/json"
-                        });
-                        res.end(JSON.stringify({ error: "Data is required" }));
-                        return;
-                    }
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(
+                JSON.stringify({
+                    message: "Data appended successfully",
+                    path: filePath,
+                    type,
+                    size
+                })
+            );
+        },
 
-                    type = dataType;
+        // Start a resumable upload of `path`, of `size` bytes if given. The
+        // chunks go to PUT /uploads/:id and POST /uploads/:id commits them.
+        "POST /uploads": async (req, res) => {
+            const rawBody = await getRawBody(req);
+            const { path: filePath, size } = rawBody.length
+                ? JSON.parse(rawBody.toString())
+                : {};
+            if (!filePath) {
+                throw createFsError("EINVAL", "path is required");
+            }
 
-                    switch (dataType) {
-                        case "text":
-                            appendData = Buffer.from(String(data), encoding);
-                            break;
-                        case "json":
-                            appendData = Buffer.from(
-                                JSON.stringify(data, null, 2),
-                                encoding
-                            );
-                            break;
-                        case "buffer":
-                            appendData = Array.isArray(data)
-                                ? Buffer.from(data)
-                                : Buffer.from(data, "base64");
-                            break;
-                        default:
-                            appendData = Buffer.from(String(data), encoding);
-                    }
-                }
+            const fullPath = await resolvePath(filePath);
+            await writeTarget(fs, fullPath);
+            const { dir: root } = findMount(mountTable, fullPath);
+            const dir = path.join(root, INTERNAL_DIR, "uploads");
+            await fs.mkdir(dir, { recursive: true });
+
+            const id = randomUUID();
+            const upload = {
+                id,
+                path: filePath,
+                size: parseOffset(size, "size"),
+                offset: 0,
+                temp: path.join(dir, id)
+            };
+            // A declared size past the limit would only fail at its end
+            if (upload.size > maxFileSize) {
+                throw fileTooLarge(fullPath, maxFileSize);
             }
-            // Fallback
-            else {
-                appendData = rawBody;
-                type = "unknown";
+            // Held before its part exists, so reclaim never takes it
+            uploads.set(id, upload);
+            try {
+                await fs.writeFile(upload.temp, "");
+            } catch (err) {
+                uploads.delete(id);
+                throw err;
             }
+            touchUpload(upload);
 
-            // Validate we have data
-            if (!appendData || appendData.length === 0) {
-                res.writeHead(400, { "Content-Type": "application/json" });
-                res.end(JSON.stringify({ error: "No data to append" }));
-                return;
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ id, path: filePath, offset: 0 }));
+        },
+
+        // Add the chunk starting at `offset`, which must be where the upload
+        // stands. A chunk cut off midway is dropped whole.
+        "PUT /uploads/:id": async (req, res, { id }) => {
+            const upload = await getUpload(req, id);
+            const offset = parseOffset(parseQuery(req.url).offset, "offset");
+            if (offset === undefined) {
+                throw createFsError("EINVAL", "offset is required");
             }
 
-            const fullPath = resolvePath(filePath);
-            await fs.appendFile(fullPath, appendData);
+            await withFileLock(upload.temp, async () => {
+                if (offset !== upload.offset) {
+                    throw createFsError(
+                        "ECONFLICT",
+                        `upload is at offset ${upload.offset}, not ${offset}`,
+                        { status: 409 }
+                    );
+                }
+                const body = requestBody(req);
+                const written = await streamInPlace(fs, upload.temp, body, {
+                    flags: "r+",
+                    start: offset
+                });
+                if (
+                    upload.size !== undefined &&
+                    offset + written > upload.size
+                ) {
+                    await fs.truncate(upload.temp, offset);
+                    throw createFsError(
+                        "EINVAL",
+                        `invalid argument, upload is larger than ${upload.size} bytes`
+                    );
+                }
+                upload.offset = offset + written;
+            });
+            touchUpload(upload);
+
+            res.writeHead(200, {
+                "Content-Type": "application/json",
+                "Upload-Offset": upload.offset
+            });
+            res.end(JSON.stringify({ id, offset: upload.offset }));
+        },
 
-            res.writeHead(200, { "Content-Type": "application/json" });
+        // Where an upload stands, to resume it after a dropped connection
+        "HEAD /uploads/:id": async (req, res, { id }) => {
+            const upload = await getUpload(req, id);
+            const headers = {
+                "Cache-Control": "no-store",
+                "Upload-Offset": upload.offset
+            };
+            if (upload.size !== undefined) {
+                headers["Upload-Length"] = upload.size;
+            }
+            res.writeHead(200, headers);
+            res.end();
+        },
+
+        // Move the assembled file into place, honouring If-Match. A failed
+        // commit keeps the session, so it can be retried or cancelled.
+        "POST /uploads/:id": async (req, res, { id }) => {
+            const upload = await getUpload(req, id);
+            const fullPath = await resolvePath(upload.path);
+            const etag = await withFileLock(upload.temp, () =>
+                withFileLock(fullPath, async () => {
+                    if (!uploads.has(id)) {
+                        throw createFsError("ENOENT", `no such upload '${id}'`);
+                    }
+                    if (
+                        upload.size !== undefined &&
+                        upload.offset !== upload.size
+                    ) {
+                        throw createFsError(
+                            "EINVAL",
+                            `invalid argument, upload has ${upload.offset} of ${upload.size} bytes`
+                        );
+                    }
+                    await checkIfMatch(fs, fullPath, req.headers["if-match"]);
+                    await moveIntoPlace(
+                        fs,
+                        upload.temp,
+                        await writeTarget(fs, fullPath)
+                    );
+                    return computeEtag(await fs.stat(fullPath));
+                })
+            );
+            await dropUpload(id);
+
+            res.writeHead(200, {
+                "Content-Type": "application/json",
+                ETag: etag
+            });
             res.end(
                 JSON.stringify({
-                    message: "Data appended successfully",
-                    path: filePath,
-                    type,
-                    size: appendData.length
+                    message: "File written successfully",
+                    path: upload.path,
+                    size: upload.offset,
+                    etag
                 })
             );
         },
 
+        // Cancel an upload, leaving the file as it was
+        "DELETE /uploads/:id": async (req, res, { id }) => {
+            const upload = await getUpload(req, id);
+            await withFileLock(upload.temp, () => dropUpload(id));
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ id, cancelled: true }));
+        },
+
         // Copy file
         "POST /copyFile": async (req, res) => {
             const rawBody = await getRawBody(req);
             const { src, dest, flags = 0 } = JSON.parse(rawBody.toString());
-            const srcPath = resolvePath(src);
-            const destPath = resolvePath(dest);
+            const srcPath = await resolvePath(src);
+            const destPath = await resolvePath(dest);
             await fs.copyFile(srcPath, destPath, flags);
             res.writeHead(200, { "Content-Type": "application/json" });
             res.end(
@@ -449,13 +3198,53 @@ export const createFsHandlers = baseDir => {
             );
         },
 
+        // Copy a file or, with recursive, a directory tree
+        "POST /cp": async (req, res) => {
+            const rawBody = await getRawBody(req);
+            const {
+                src,
+                dest,
+                recursive = false,
+                force = true,
+                errorOnExist = false,
+                exclude = []
+            } = JSON.parse(rawBody.toString());
+            const srcPath = await resolvePath(src);
+            const destPath = await resolvePath(dest);
+
+            // Paths below src rejected by the client's filter function
+            const excluded = new Set(exclude);
+            const filter = source =>
+                source === srcPath ||
+                (isVisible(source) &&
+                    !excluded.has(
+                        path.relative(srcPath, source).split(path.sep).join("/")
+                    ));
+
+            try {
+                await fs.cp(srcPath, destPath, {
+                    recursive,
+                    force,
+                    errorOnExist,
+                    filter,
+                    verbatimSymlinks: true
+                });
+            } catch (err) {
+                throw toSystemError(err);
+            }
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(
+                JSON.stringify({ message: "Copied successfully", src, dest })
+            );
+        },
+
         // Create directory
         "POST /mkdir": async (req, res) => {
             const rawBody = await getRawBody(req);
             const { path: dirPath, recursive = true } = JSON.parse(
                 rawBody.toString()
             );
-            const fullPath = resolvePath(dirPath);
+            const fullPath = await resolvePath(dirPath);
             await fs.mkdir(fullPath, { recursive });
             res.writeHead(200, { "Content-Type": "application/json" });
             res.end(
@@ -469,8 +3258,12 @@ export const createFsHandlers = baseDir => {
             const { path: dirPath, recursive = false } = JSON.parse(
                 rawBody.toString()
             );
-            const fullPath = resolvePath(dirPath);
-            await fs.rmdir(fullPath, { recursive });
+            const fullPath = await resolvePath(dirPath, { follow: false });
+            if (trash) {
+                await moveToTrash(fullPath, "rmdir", { recursive });
+            } else {
+                await fs.rmdir(fullPath, { recursive });
+            }
             res.writeHead(200, { "Content-Type": "application/json" });
             res.end(
                 JSON.stringify({ message: "Directory removed", path: dirPath })
@@ -485,8 +3278,12 @@ export const createFsHandlers = baseDir => {
                 recursive = false,
                 force = false
             } = JSON.parse(rawBody.toString());
-            const fullPath = resolvePath(targetPath);
-            await fs.rm(fullPath, { recursive, force });
+            const fullPath = await resolvePath(targetPath, { follow: false });
+            if (trash) {
+                await moveToTrash(fullPath, "rm", { recursive, force });
+            } else {
+                await fs.rm(fullPath, { recursive, force });
+            }
             res.writeHead(200, { "Content-Type": "application/json" });
             res.end(
                 JSON.stringify({
@@ -500,9 +3297,9 @@ export const createFsHandlers = baseDir => {
         "PUT /rename": async (req, res) => {
             const rawBody = await getRawBody(req);
             const { oldPath, newPath } = JSON.parse(rawBody.toString());
-            const oldFullPath = resolvePath(oldPath);
-            const newFullPath = resolvePath(newPath);
-            await fs.rename(oldFullPath, newFullPath);
+            const oldFullPath = await resolvePath(oldPath, { follow: false });
+            const newFullPath = await resolvePath(newPath, { follow: false });
+            await movePath(fs, oldFullPath, newFullPath);
             res.writeHead(200, { "Content-Type": "application/json" });
             res.end(
                 JSON.stringify({
@@ -517,12 +3314,292 @@ export const createFsHandlers = baseDir => {
         "DELETE /unlink": async (req, res) => {
             const rawBody = await getRawBody(req);
             const { path: filePath } = JSON.parse(rawBody.toString());
-            const fullPath = resolvePath(filePath);
-            await fs.unlink(fullPath);
+            const fullPath = await resolvePath(filePath, { follow: false });
+            if (trash) {
+                await moveToTrash(fullPath, "unlink", {});
+            } else {
+                await fs.unlink(fullPath);
+            }
             res.writeHead(200, { "Content-Type": "application/json" });
             res.end(
                 JSON.stringify({ message: "File deleted", path: filePath })
             );
+        },
+
+        // Entries in the trash outside denied paths, newest first
+        "GET /listTrash": async (req, res) => {
+            const entries = (await trash.list())
+                .filter(
+                    entry => accessFor(toRulePath(entry.fullPath)) !== "deny"
+                )
+                .map(entry => ({
+                    id: entry.id,
+                    path: toClientPath(mountTable, entry.fullPath),
+                    type: entry.type,
+                    size: entry.size,
+                    deletedAt: entry.deletedAt
+                }));
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ entries }));
+        },
+
+        // Put a trash entry back where it was deleted from
+        "POST /restore": async (req, res) => {
+            const rawBody = await getRawBody(req);
+            const { id } = JSON.parse(rawBody.toString());
+            const entry = await trash.find(id);
+            const restoredPath = toClientPath(mountTable, entry.fullPath);
+            const fullPath = await resolvePath(restoredPath, { follow: false });
+            await checkAccess(req, "restore", [[restoredPath, "write"]]);
+            await trash.restore(entry, fullPath);
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(
+                JSON.stringify({
+                    message: "Restored successfully",
+                    id,
+                    path: restoredPath
+                })
+            );
+        },
+
+        // Delete trash entries for good: all of them, or those deleted more
+        // than `olderThan` ms ago. Entries the client may not write stay.
+        "DELETE /emptyTrash": async (req, res) => {
+            const rawBody = await getRawBody(req);
+            const body = rawBody.length ? JSON.parse(rawBody.toString()) : {};
+            const olderThan = parseOffset(body.olderThan, "olderThan") ?? 0;
+            const cutoff = Date.now() - olderThan;
+            let removed = 0;
+            for (const entry of await trash.list()) {
+                if (entry.deletedAt > cutoff) continue;
+                const target = toClientPath(mountTable, entry.fullPath);
+                try {
+                    await checkAccess(req, "emptyTrash", [[target, "write"]]);
+                } catch {
+                    continue;
+                }
+                await trash.remove(entry);
+                removed++;
+            }
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ message: "Trash emptied", removed }));
+        },
+
+        // Change permissions
+        "POST /chmod": async (req, res) => {
+            const rawBody = await getRawBody(req);
+            const { path: filePath, mode } = JSON.parse(rawBody.toString());
+            const fullPath = await resolvePath(filePath);
+            await fs.chmod(fullPath, parseMode(mode));
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(
+                JSON.stringify({ message: "Mode changed", path: filePath })
+            );
+        },
+
+        // Change access and modification times
+        "POST /utimes": async (req, res) => {
+            const rawBody = await getRawBody(req);
+            const { path: filePath, atime, mtime } = JSON.parse(
+                rawBody.toString()
+            );
+            const fullPath = await resolvePath(filePath);
+            await fs.utimes(
+                fullPath,
+                parseTime(atime, "atime"),
+                parseTime(mtime, "mtime")
+            );
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(
+                JSON.stringify({ message: "Times changed", path: filePath })
+            );
+        },
+
+        // Truncate or extend a file
+        "POST /truncate": async (req, res) => {
+            const rawBody = await getRawBody(req);
+            const { path: filePath, len = 0 } = JSON.parse(rawBody.toString());
+            const fullPath = await resolvePath(filePath);
+            await fs.truncate(fullPath, parseOffset(len, "len"));
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(
+                JSON.stringify({ message: "File truncated", path: filePath })
+            );
+        },
+
+        // Create a symbolic link. The target must stay in the link's root,
+        // whatever followSymlinks allows for existing links.
+        "POST /symlink": async (req, res) => {
+            const rawBody = await getRawBody(req);
+            const {
+                target,
+                path: linkPath,
+                type = null
+            } = JSON.parse(rawBody.toString());
+            if (type !== null && !["file", "dir", "junction"].includes(type)) {
+                throw createFsError(
+                    "EINVAL",
+                    "invalid argument, type must be 'file', 'dir' or 'junction'"
+                );
+            }
+            const fullPath = await resolvePath(linkPath, { follow: false });
+            const targetPath = await resolvePath(
+                symlinkTargetPath(linkPath, target),
+                { follow: false }
+            );
+            if (
+                findMount(mountTable, fullPath) !==
+                findMount(mountTable, targetPath)
+            ) {
+                throw createFsError(
+                    "EXDEV",
+                    "cross-device link not permitted",
+                    { syscall: "symlink", path: target, dest: linkPath }
+                );
+            }
+            // Stored relative, so the link keeps working if the root moves
+            await fs.symlink(
+                path.relative(path.dirname(fullPath), targetPath) || ".",
+                fullPath,
+                type
+            );
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(
+                JSON.stringify({
+                    message: "Symlink created",
+                    target,
+                    path: linkPath
+                })
+            );
+        },
+
+        // Create a hard link
+        "POST /link": async (req, res) => {
+            const rawBody = await getRawBody(req);
+            const { existingPath, newPath } = JSON.parse(rawBody.toString());
+            const existingFullPath = await resolvePath(existingPath, {
+                follow: false
+            });
+            const newFullPath = await resolvePath(newPath, { follow: false });
+            await fs.link(existingFullPath, newFullPath);
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(
+                JSON.stringify({
+                    message: "Link created",
+                    existingPath,
+                    newPath
+                })
+            );
+        },
+
+        // Create a uniquely named directory from a prefix
+        "POST /mkdtemp": async (req, res) => {
+            const rawBody = await getRawBody(req);
+            const { prefix } = JSON.parse(rawBody.toString());
+            // "tmp/" creates a directory inside tmp, "tmp/x-" one next to it
+            const inside = typeof prefix === "string" && prefix.endsWith("/");
+            const fullPrefix = await resolvePath(prefix, { follow: inside });
+            const base = inside ? fullPrefix + path.sep : fullPrefix;
+            const created = await fs.mkdtemp(base);
+            const dirPath = prefix + created.slice(base.length);
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(
+                JSON.stringify({ message: "Directory created", path: dirPath })
+            );
+        },
+
+        // Run several operations in order. Plain batches report each result;
+        // atomic batches undo everything if one operation fails.
+        "POST /batch": async (req, res) => {
+            const rawBody = await getRawBody(req);
+            const { ops, atomic = false } = JSON.parse(
+                rawBody.toString() || "{}"
+            );
+            if (!Array.isArray(ops)) {
+                throw createFsError(
+                    "EINVAL",
+                    "invalid argument, ops must be an array"
+                );
+            }
+            if (ops.length > MAX_BATCH_OPS) {
+                throw createFsError(
+                    "EINVAL",
+                    `invalid argument, at most ${MAX_BATCH_OPS} operations per batch`
+                );
+            }
+
+            // Each operation is checked as if it were a request of its own
+            const authorize = async op => {
+                if (!Object.hasOwn(batchOps, op?.op)) {
+                    throw createFsError(
+                        "EINVAL",
+                        `invalid argument, unsupported batch operation "${op?.op}"`
+                    );
+                }
+                assertEnabled(op.op);
+                await checkAccess(req, op.op, ROUTE_ACCESS[op.op](op));
+            };
+
+            if (!atomic) {
+                const results = [];
+                for (const op of ops) {
+                    try {
+                        await authorize(op);
+                        await batchOps[op.op](op);
+                        results.push({ ok: true });
+                    } catch (err) {
+                        results.push({
+                            ok: false,
+                            error: serializeError(err, mountTable)
+                        });
+                    }
+                }
+                res.writeHead(200, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ results }));
+                return;
+            }
+
+            const tx = createTransaction(fs, mountTable);
+            let index = 0;
+            try {
+                // Nothing runs unless every operation is allowed
+                for (; index < ops.length; index++) {
+                    await authorize(ops[index]);
+                }
+                for (index = 0; index < ops.length; index++) {
+                    await batchOps[ops[index].op](ops[index], tx);
+                }
+            } catch (err) {
+                await tx.rollback();
+                err.index = index;
+                throw err;
+            } finally {
+                await tx.cleanup();
+            }
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(
+                JSON.stringify({
+                    results: ops.map(() => ({ ok: true }))
+                })
+            );
         }
     };
+
+    // Every route is guarded and reports failures as Node-style errors.
+    // Routes with parameters ("PUT /uploads/:id") get them as a third
+    // argument, see findHandler.
+    return Object.fromEntries(
+        Object.entries(routes).map(([key, handler]) => [
+            key,
+            async (req, res, params = {}) => {
+                try {
+                    limitBody(req, maxRequestBody);
+                    await guard(req, key);
+                    await handler(req, res, params);
+                } catch (err) {
+                    sendError(res, err, mountTable);
+                }
+            }
+        ])
+    );
 };
@@ -0,0 +1,77 @@
+/**
+ * Minimal glob matching for slash-separated paths relative to the base directory
+ */
+
+/**
+ * Escape a character for use in a RegExp
+ */
+const escapeChar = c => c.replace(/[.+^$()|\\\/]/g, "\\$&");
+
+/**
+ * Convert a glob pattern to a RegExp
+ * Supports `**`, `*`, `?`, `[...]` and `{a,b}`. A trailing `/**` also
+ * matches the directory itself, so `secret/**` covers `secret`.
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp}
+ */
+export const globToRegExp = pattern => {
+    const source = pattern.replace(/^\.?\//, "");
+    let re = "";
+    let depth = 0;
+
+    for (let i = 0; i < source.length; i++) {
+        const c = source[i];
+
+        if (c === "/" && source.slice(i) === "/**") {
+            re += "(?:/.*)?";
+            break;
+        }
+        if (c === "*") {
+            if (source[i + 1] === "*") {
+                // "**/" matches zero or more directories
+                if (source[i + 2] === "/") {
+                    re += "(?:.*/)?";
+                    i += 2;
+                } else {
+                    re += ".*";
+                    i += 1;
+                }
+            } else {
+                re += "[^/]*";
+            }
+        } else if (c === "?") {
+            re += "[^/]";
+        } else if (c === "[") {
+            const end = source.indexOf("]", i + 1);
+            if (end === -1) {
+                re += "\\[";
+            } else {
+                let set = source.slice(i + 1, end).replace(/\\/g, "\\\\");
+                if (set.startsWith("!")) set = "^" + set.slice(1);
+                re += `[${set}]`;
+                i = end;
+            }
+        } else if (c === "{") {
+            re += "(?:";
+            depth++;
+        } else if (c === "}" && depth > 0) {
+            re += ")";
+            depth--;
+        } else if (c === "," && depth > 0) {
+            re += "|";
+        } else {
+            re += escapeChar(c);
+        }
+    }
+
+    return new RegExp(`^${re}$`);
+};
+
+/**
+ * Test a relative path against a glob pattern
+ * @param {string} pattern - Glob pattern
+ * @param {string} filePath - Slash-separated path relative to the base directory
+ * @returns {boolean}
+ */
+export const matchGlob = (pattern, filePath) =>
+    globToRegExp(pattern).test(filePath);
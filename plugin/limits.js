@@ -0,0 +1,503 @@
+/**
+ * Size limits for a backend: largest file, total bytes and number of entries
+ */
+
+import path from "path";
+import { Writable } from "stream";
+import { createFsError } from "./fs-handlers.js";
+
+/**
+ * Error for a file that would grow past maxFileSize
+ * @param {string|undefined} filePath - Resolved file path, if it can be shown
+ * @param {number} limit - maxFileSize
+ * @returns {Error}
+ */
+export const fileTooLarge = (filePath, limit) =>
+    createFsError("EFBIG", `file too large, limit is ${limit} bytes`, {
+        path: filePath
+    });
+
+/**
+ * Error for a write the quota has no room for
+ * @param {string} description - Which limit was reached
+ * @returns {Error}
+ */
+const noSpace = description =>
+    createFsError("ENOSPC", `no space left on device, ${description}`);
+
+/**
+ * Bytes and entries under some directories
+ * Every file's bytes count, including those in the internal directory
+ * (pending uploads, temp files); its entries do not.
+ * @param {Object} fs - Backend, see diskBackend
+ * @param {string[]} dirs - Absolute directories
+ * @param {Function} isInternal - `fullPath => boolean`
+ * @returns {Promise<{bytes: number, files: number}>}
+ */
+export const measureUsage = async (fs, dirs, isInternal = () => false) => {
+    let bytes = 0;
+    let files = 0;
+    const queue = [...dirs];
+    while (queue.length > 0) {
+        const current = queue.pop();
+        // Directories can disappear while they are measured
+        const dirents = await fs
+            .readdir(current, { withFileTypes: true })
+            .catch(() => []);
+        for (const dirent of dirents) {
+            const fullPath = path.join(current, dirent.name);
+            if (!isInternal(fullPath)) files++;
+            if (dirent.isDirectory()) {
+                queue.push(fullPath);
+            } else if (dirent.isFile()) {
+                bytes += await fs.lstat(fullPath).then(
+                    stats => stats.size,
+                    () => 0
+                );
+            }
+        }
+    }
+    return { bytes, files };
+};
+
+/**
+ * How often usage is measured again, in ms, for changes made around the
+ * backend
+ */
+const MEASURE_INTERVAL = 60 * 1000;
+
+/**
+ * Wrap a backend so writes stay within limits
+ * Usage is measured by walking the roots, then kept up to date with the
+ * size of each change. A change holds the room it needs until it settles,
+ * so parallel writes cannot share the same free bytes; one that fails, or
+ * whose size is not known, has usage measured again. Writes fail with EFBIG
+ * when a file would grow past maxFileSize and ENOSPC when quotaBytes or
+ * maxFiles would be exceeded; streams fail as soon as the byte that crosses
+ * the limit arrives. Atomic writes need room for the new copy until it
+ * replaces the old one, as on a real disk. Before a write fails for want of
+ * bytes, `reclaim` may delete what is only kept while there is room.
+ * @param {Object} fs - Backend, see diskBackend
+ * @param {string[]} roots - Directories whose contents count
+ * @param {Object} limits - `maxFileSize`, `quotaBytes`, `maxFiles`,
+ *   `isInternal(fullPath)` for entries that do not count towards maxFiles,
+ *   and `reclaim()`, resolving to whether it freed anything
+ * @returns {{fs: Object, usage: Function}} - Wrapped backend, and `usage()`
+ *   resolving to `{ bytes, files }`
+ */
+export const createLimits = (fs, roots, limits) => {
+    const {
+        maxFileSize = Infinity,
+        quotaBytes = Infinity,
+        maxFiles = Infinity,
+        isInternal = () => false,
+        reclaim = async () => false
+    } = limits;
+    // Usage as measured, plus the changes that settled since
+    let known = null;
+    let measuredAt = 0;
+    let measuring = null;
+    // Room held by changes still running
+    const pending = { bytes: 0, files: 0 };
+    let running = 0;
+    let settled = 0;
+    let reclaiming = null;
+
+    // The known usage, measured again in the background once it is old
+    const usage = () => {
+        const stale = Date.now() - measuredAt >= MEASURE_INTERVAL;
+        if ((!known || stale) && !measuring) {
+            // A walk that overlaps a change may or may not see it, so only
+            // a walk with none is kept
+            const quiet = running === 0;
+            const before = settled;
+            const walk = measureUsage(fs, roots, isInternal).then(
+                result => {
+                    if (measuring !== walk) return result;
+                    measuring = null;
+                    measuredAt = Date.now();
+                    if (quiet && running === 0 && settled === before) {
+                        known = result;
+                    }
+                    return { ...result };
+                },
+                err => {
+                    if (measuring === walk) measuring = null;
+                    throw err;
+                }
+            );
+            walk.catch(() => {});
+            measuring = walk;
+        }
+        return known ? Promise.resolve({ ...known }) : measuring;
+    };
+
+    const forget = () => {
+        known = null;
+        measuring = null;
+    };
+
+    // Settle a change once `promise` does: the room `held` is given back,
+    // and `change` (null: unknown) goes into the known usage
+    const settle = (promise, held, change = held) => {
+        running++;
+        return promise.then(
+            result => {
+                running--;
+                settled++;
+                release(held);
+                if (known && change) {
+                    known.bytes += change.bytes;
+                    known.files += change.files;
+                } else {
+                    forget();
+                }
+                return result;
+            },
+            err => {
+                running--;
+                settled++;
+                release(held);
+                // It may have been done in part
+                forget();
+                throw err;
+            }
+        );
+    };
+
+    const release = held => {
+        if (!held) return;
+        pending.bytes -= Math.max(held.bytes, 0);
+        pending.files -= Math.max(held.files, 0);
+    };
+
+    const sizeOf = filePath =>
+        fs.stat(filePath).then(
+            stats => stats.size,
+            () => null
+        );
+
+    // Check room for `bytes` more bytes and `files` more entries, and hold
+    // it until the change is settled
+    const reserve = async (bytes, files = 0) => {
+        if (quotaBytes !== Infinity || maxFiles !== Infinity) {
+            let current = await usage();
+            const fits = () =>
+                bytes <= 0 ||
+                current.bytes + pending.bytes + bytes <= quotaBytes;
+            while (!fits()) {
+                // One reclaim at a time, shared by the writes waiting on it
+                reclaiming ??= reclaim()
+                    .catch(() => false)
+                    .finally(() => {
+                        reclaiming = null;
+                    });
+                if (!(await reclaiming)) {
+                    throw noSpace(`quota of ${quotaBytes} bytes exceeded`);
+                }
+                current = await usage();
+            }
+            if (files > 0 && current.files + pending.files + files > maxFiles) {
+                throw noSpace(`limit of ${maxFiles} files reached`);
+            }
+        }
+        pending.bytes += Math.max(bytes, 0);
+        pending.files += Math.max(files, 0);
+        return { bytes, files };
+    };
+
+    // Check a file going from `before` bytes (null: not there) to `after`
+    const resize = async (filePath, before, size) => {
+        if (size > maxFileSize) {
+            // Temp files stand in for the file being written, and their
+            // paths are not for clients to see
+            const shown = isInternal(filePath) ? undefined : filePath;
+            throw fileTooLarge(shown, maxFileSize);
+        }
+        const created = before === null && !isInternal(filePath);
+        return reserve(size - (before ?? 0), created ? 1 : 0);
+    };
+
+    // Bytes and entries of an entry and what it contains, its entries
+    // counted unless `internal`
+    const footprint = async (fullPath, internal = isInternal(fullPath)) => {
+        const stats = await fs.lstat(fullPath).catch(() => null);
+        if (!stats) return { bytes: 0, files: 0 };
+        const own = internal ? 0 : 1;
+        if (!stats.isDirectory()) {
+            return { bytes: stats.isFile() ? stats.size : 0, files: own };
+        }
+        const inside = await measureUsage(fs, [fullPath], () => internal);
+        return { bytes: inside.bytes, files: inside.files + own };
+    };
+
+    // Change a removal makes, if the usage it changes is known
+    const removal = async fullPath => {
+        if (!known) return null;
+        const { bytes, files } = await footprint(fullPath);
+        return { bytes: -bytes, files: -files };
+    };
+
+    // Entries missing on the way to a directory mkdir creates
+    const missingDirs = async (dir, recursive) => {
+        let count = 0;
+        for (let current = dir; current !== path.dirname(current); ) {
+            const exists = await fs.lstat(current).then(
+                () => true,
+                () => false
+            );
+            if (exists) break;
+            count++;
+            if (!recursive) break;
+            current = path.dirname(current);
+        }
+        return isInternal(dir) ? 0 : count;
+    };
+
+    // Writes through a handle may grow the file; null positions are
+    // assumed to be at its end
+    const limitHandle = (filePath, handle) =>
+        new Proxy(handle, {
+            get: (target, key) => {
+                if (key === "write") {
+                    return async (
+                        buffer,
+                        offset = 0,
+                        length,
+                        position = null
+                    ) => {
+                        length ??= buffer.length - offset;
+                        const { size } = await target.stat();
+                        const end = (position ?? size) + length;
+                        const held = await resize(
+                            filePath,
+                            size,
+                            Math.max(size, end)
+                        );
+                        return settle(
+                            target.write(buffer, offset, length, position),
+                            held
+                        );
+                    };
+                }
+                if (key === "truncate") {
+                    return async (len = 0) => {
+                        const { size } = await target.stat();
+                        const held = await resize(filePath, size, len);
+                        return settle(target.truncate(len), held);
+                    };
+                }
+                const value = Reflect.get(target, key);
+                return typeof value === "function" ? value.bind(target) : value;
+            }
+        });
+
+    // A write stream that checks each chunk before passing it on
+    const createWriteStream = (filePath, options = {}) => {
+        const flags = options.flags ?? "w";
+        let target = null;
+        let before = 0;
+        let start = 0;
+        let written = 0;
+        let growth = 0;
+        // Room held so far, and the change the stream makes, settled when
+        // it closes
+        const held = { bytes: 0, files: 0 };
+        const change = { bytes: 0, files: 0 };
+        const hold = reservation => {
+            held.bytes += Math.max(reservation.bytes, 0);
+            held.files += Math.max(reservation.files, 0);
+        };
+
+        const stream = new Writable({
+            construct: callback => {
+                sizeOf(filePath)
+                    .then(async existing => {
+                        const created = await resize(
+                            filePath,
+                            existing,
+                            existing ?? 0
+                        );
+                        hold(created);
+                        change.files = created.files;
+                        settle(
+                            new Promise((resolve, reject) =>
+                                stream.once("close", () =>
+                                    stream.writableFinished
+                                        ? resolve()
+                                        : reject(stream.errored)
+                                )
+                            ),
+                            held,
+                            change
+                        ).catch(() => {});
+                        before = existing ?? 0;
+                        start = flags.startsWith("a")
+                            ? before
+                            : (options.start ?? 0);
+                        target = fs.createWriteStream(filePath, options);
+                        target.once("error", callback);
+                        target.once("ready", () => {
+                            target.off("error", callback);
+                            target.on("error", err => stream.destroy(err));
+                            stream.emit("ready");
+                            callback();
+                        });
+                    })
+                    .catch(callback);
+            },
+            write: (chunk, encoding, callback) => {
+                // 'w' empties the file, the other flags keep what is there
+                const kept = flags.startsWith("w") ? 0 : before;
+                const size = Math.max(kept, start + written + chunk.length);
+                resize(filePath, before + growth, size)
+                    .then(reservation => {
+                        hold(reservation);
+                        growth = size - before;
+                        change.bytes = growth;
+                        written += chunk.length;
+                        target.write(chunk, encoding, callback);
+                    })
+                    .catch(callback);
+            },
+            final: callback => target.end(callback),
+            destroy: (err, callback) => {
+                if (target && !target.destroyed) target.destroy();
+                callback(err);
+            }
+        });
+        Object.defineProperty(stream, "bytesWritten", {
+            get: () => target?.bytesWritten ?? 0
+        });
+        return stream;
+    };
+
+    return {
+        usage,
+        fs: {
+            ...fs,
+            createWriteStream,
+
+            writeFile: async (filePath, data, options) => {
+                const size = Buffer.byteLength(data);
+                const held = await resize(
+                    filePath,
+                    await sizeOf(filePath),
+                    size
+                );
+                return settle(fs.writeFile(filePath, data, options), held);
+            },
+
+            appendFile: async (filePath, data, options) => {
+                const before = await sizeOf(filePath);
+                const size = (before ?? 0) + Buffer.byteLength(data);
+                const held = await resize(filePath, before, size);
+                return settle(fs.appendFile(filePath, data, options), held);
+            },
+
+            truncate: async (filePath, len = 0) => {
+                const held = await resize(
+                    filePath,
+                    await sizeOf(filePath),
+                    len
+                );
+                return settle(fs.truncate(filePath, len), held);
+            },
+
+            copyFile: async (src, dest, mode) => {
+                const { size } = await fs.stat(src);
+                const held = await resize(dest, await sizeOf(dest), size);
+                return settle(fs.copyFile(src, dest, mode), held);
+            },
+
+            // The whole source counts as new, whatever it replaces; +1 for
+            // the copied file or directory itself
+            cp: async (src, dest, options) => {
+                const stats = await fs.stat(src);
+                const copied = stats.isDirectory()
+                    ? await measureUsage(fs, [src])
+                    : { bytes: stats.size, files: 0 };
+                if (!stats.isDirectory() && stats.size > maxFileSize) {
+                    throw fileTooLarge(dest, maxFileSize);
+                }
+                const replaces = (await sizeOf(dest)) !== null;
+                const held = await reserve(copied.bytes, copied.files + 1);
+                return settle(
+                    fs.cp(src, dest, options),
+                    held,
+                    replaces ? null : held
+                );
+            },
+
+            mkdir: async (dir, options) => {
+                const held = await reserve(
+                    0,
+                    await missingDirs(dir, options?.recursive)
+                );
+                return settle(fs.mkdir(dir, options), held);
+            },
+
+            mkdtemp: async (prefix, options) => {
+                const held = await reserve(0, isInternal(prefix) ? 0 : 1);
+                return settle(fs.mkdtemp(prefix, options), held);
+            },
+
+            symlink: async (target, linkPath, type) => {
+                const held = await reserve(0, isInternal(linkPath) ? 0 : 1);
+                return settle(fs.symlink(target, linkPath, type), held);
+            },
+
+            // Each link counts with the file's bytes, as measureUsage
+            // counts them
+            link: async (existingPath, newPath) => {
+                const { size } = await fs.lstat(existingPath);
+                const held = await reserve(size, isInternal(newPath) ? 0 : 1);
+                return settle(fs.link(existingPath, newPath), held);
+            },
+
+            open: async (filePath, flags = "r", mode) => {
+                if (!/[wax]/.test(String(flags))) {
+                    return limitHandle(
+                        filePath,
+                        await fs.open(filePath, flags, mode)
+                    );
+                }
+                const before = await sizeOf(filePath);
+                // 'w' empties the file
+                const size = String(flags).includes("w") ? 0 : (before ?? 0);
+                const held = await resize(filePath, before, size);
+                const handle = await settle(
+                    fs.open(filePath, flags, mode),
+                    held
+                );
+                return limitHandle(filePath, handle);
+            },
+
+            // What the new path replaces goes; entries moved in or out of
+            // the internal directory stop or start counting
+            rename: async (oldPath, newPath) => {
+                const change = await removal(newPath);
+                if (change && isInternal(oldPath) !== isInternal(newPath)) {
+                    const { files } = await footprint(oldPath, false);
+                    change.files += isInternal(newPath) ? -files : files;
+                }
+                return settle(fs.rename(oldPath, newPath), null, change);
+            },
+
+            rm: async (filePath, options) => {
+                const change = await removal(filePath);
+                return settle(fs.rm(filePath, options), null, change);
+            },
+
+            rmdir: async (filePath, options) => {
+                const change = await removal(filePath);
+                return settle(fs.rmdir(filePath, options), null, change);
+            },
+
+            unlink: async filePath => {
+                const change = await removal(filePath);
+                return settle(fs.unlink(filePath), null, change);
+            }
+        }
+    };
+};
@@ -0,0 +1,824 @@
+/**
+ * In-memory filesystem backend
+ * Implements the functions of fs/promises the FS API handlers use, plus
+ * createWriteStream and watch, on a tree of nodes held in memory. Serves
+ * tests and demos, and (read-only) the contents of archives.
+ */
+
+import { EventEmitter } from "events";
+import path from "path";
+import { Readable, Writable } from "stream";
+import { createFsError, isPathInside } from "./fs-handlers.js";
+
+/**
+ * File type bits of st_mode
+ */
+const TYPE_BITS = {
+    file: 0o100000,
+    directory: 0o040000,
+    symlink: 0o120000
+};
+
+/**
+ * Error descriptions, as in Node's messages
+ */
+const DESCRIPTIONS = {
+    ENOENT: "no such file or directory",
+    EEXIST: "file already exists",
+    ENOTDIR: "not a directory",
+    EISDIR: "illegal operation on a directory",
+    ENOTEMPTY: "directory not empty",
+    EINVAL: "invalid argument",
+    ELOOP: "too many symbolic links encountered",
+    EPERM: "operation not permitted",
+    EBUSY: "resource busy or locked",
+    EBADF: "bad file descriptor",
+    EROFS: "read-only file system"
+};
+
+/**
+ * What each open flag allows
+ */
+const OPEN_MODES = {
+    r: {},
+    "r+": { write: true },
+    "rs+": { write: true },
+    w: { write: true, create: true, truncate: true },
+    wx: { write: true, create: true, truncate: true, exclusive: true },
+    "w+": { write: true, create: true, truncate: true },
+    "wx+": { write: true, create: true, truncate: true, exclusive: true },
+    a: { write: true, create: true, append: true },
+    ax: { write: true, create: true, append: true, exclusive: true },
+    "a+": { write: true, create: true, append: true },
+    "ax+": { write: true, create: true, append: true, exclusive: true }
+};
+
+/**
+ * Symlink hops followed before giving up, like the kernel's ELOOP limit
+ */
+const MAX_SYMLINK_HOPS = 40;
+
+/**
+ * Permission bits cleared from new files and directories
+ */
+const UMASK = 0o022;
+
+const fail = (code, syscall, filePath) =>
+    createFsError(code, DESCRIPTIONS[code], { syscall, path: filePath });
+
+/**
+ * Stats of a node, shaped like fs.Stats
+ */
+class MemoryStats {
+    constructor(node) {
+        const size =
+            node.type === "file"
+                ? node.data.length
+                : node.type === "symlink"
+                  ? Buffer.byteLength(node.target)
+                  : 4096;
+        this.dev = 0;
+        this.mode = TYPE_BITS[node.type] | node.perm;
+        this.nlink = node.nlink;
+        this.uid = 0;
+        this.gid = 0;
+        this.rdev = 0;
+        this.blksize = 4096;
+        this.ino = node.ino;
+        this.size = size;
+        this.blocks = Math.ceil(size / 512);
+        this.atimeMs = node.atimeMs;
+        this.mtimeMs = node.mtimeMs;
+        this.ctimeMs = node.ctimeMs;
+        this.birthtimeMs = node.birthtimeMs;
+        this.atime = new Date(node.atimeMs);
+        this.mtime = new Date(node.mtimeMs);
+        this.ctime = new Date(node.ctimeMs);
+        this.birthtime = new Date(node.birthtimeMs);
+    }
+
+    isFile() {
+        return (this.mode & 0o170000) === TYPE_BITS.file;
+    }
+
+    isDirectory() {
+        return (this.mode & 0o170000) === TYPE_BITS.directory;
+    }
+
+    isSymbolicLink() {
+        return (this.mode & 0o170000) === TYPE_BITS.symlink;
+    }
+
+    isBlockDevice() {
+        return false;
+    }
+
+    isCharacterDevice() {
+        return false;
+    }
+
+    isFIFO() {
+        return false;
+    }
+
+    isSocket() {
+        return false;
+    }
+}
+
+/**
+ * Directory entry, shaped like fs.Dirent
+ */
+class MemoryDirent {
+    #type;
+
+    constructor(name, parentPath, type) {
+        this.name = name;
+        this.parentPath = parentPath;
+        this.path = parentPath;
+        this.#type = type;
+    }
+
+    isFile() {
+        return this.#type === "file";
+    }
+
+    isDirectory() {
+        return this.#type === "directory";
+    }
+
+    isSymbolicLink() {
+        return this.#type === "symlink";
+    }
+
+    isBlockDevice() {
+        return false;
+    }
+
+    isCharacterDevice() {
+        return false;
+    }
+
+    isFIFO() {
+        return false;
+    }
+
+    isSocket() {
+        return false;
+    }
+}
+
+/**
+ * File contents as a Buffer (a copy, never shared with the caller)
+ * @param {string|Buffer|ArrayBufferView} data - Data to write
+ * @param {string} encoding - Encoding of string data (default: 'utf8')
+ * @returns {Buffer}
+ */
+const toBuffer = (data, encoding = "utf8") => {
+    if (typeof data === "string") return Buffer.from(data, encoding);
+    if (ArrayBuffer.isView(data)) {
+        return Buffer.from(
+            new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+        );
+    }
+    throw createFsError(
+        "EINVAL",
+        "invalid argument, data must be a string, Buffer or TypedArray"
+    );
+};
+
+/**
+ * Time argument of utimes in ms: a Date, or seconds as a number or string
+ */
+const toTimeMs = time =>
+    time instanceof Date ? time.getTime() : Number(time) * 1000;
+
+/**
+ * Create an in-memory filesystem
+ * Paths are absolute, as the handlers resolve them; the volume starts with an
+ * empty root directory. Errors carry the same codes as Node's.
+ * @param {Object} options - Options
+ * @param {Array<Object>} options.entries - Initial contents:
+ *   `{ path, type = 'file', data, target, mode, mtimeMs }`, paths from the root
+ * @param {boolean} options.readOnly - Reject every change with EROFS, once the
+ *   entries are in place
+ * @returns {Object} - Backend for createFsHandlers, see diskBackend
+ */
+export const createMemoryFs = (options = {}) => {
+    let nextIno = 1;
+    let readOnly = false;
+    const watchers = new Set();
+
+    const createNode = (type, perm) => {
+        const now = Date.now();
+        return {
+            type,
+            perm: perm & 0o7777,
+            ino: nextIno++,
+            nlink: 1,
+            data: type === "file" ? Buffer.alloc(0) : undefined,
+            entries: type === "directory" ? new Map() : undefined,
+            target: undefined,
+            atimeMs: now,
+            mtimeMs: now,
+            ctimeMs: now,
+            birthtimeMs: now
+        };
+    };
+
+    const root = createNode("directory", 0o755);
+
+    const split = filePath =>
+        path.resolve(filePath).split(path.sep).filter(Boolean);
+
+    const join = parts => path.resolve(path.sep, ...parts);
+
+    const touch = node => {
+        node.mtimeMs = node.ctimeMs = Date.now();
+    };
+
+    const assertWritable = (syscall, filePath) => {
+        if (readOnly) throw fail("EROFS", syscall, filePath);
+    };
+
+    // Tell watchers of fullPath (or of its directory) about a change
+    const notify = (fullPath, eventType) => {
+        for (const { dir, file, recursive, watcher } of watchers) {
+            const watched = file
+                ? fullPath === file
+                : recursive
+                  ? fullPath !== dir && isPathInside(dir, fullPath)
+                  : path.dirname(fullPath) === dir;
+            if (watched) {
+                const filename = path.relative(dir, fullPath);
+                setImmediate(() => watcher.emit("change", eventType, filename));
+            }
+        }
+    };
+
+    /**
+     * Find the node at a path, following symlinks (but not a final one when
+     * `follow` is false)
+     * @returns {{node: Object|null, parent: Object|null, name: string, real: string}}
+     *   `node` is null when only the last segment is missing; `real` is the
+     *   path with symlinks resolved
+     */
+    const lookup = (filePath, syscall, follow = true) => {
+        let parts = split(filePath);
+        let real = [];
+        let node = root;
+        let parent = null;
+        let hops = 0;
+
+        for (let i = 0; i < parts.length; i++) {
+            if (node.type !== "directory") {
+                throw fail("ENOTDIR", syscall, filePath);
+            }
+            const name = parts[i];
+            const child = node.entries.get(name);
+            const last = i === parts.length - 1;
+            if (!child) {
+                if (!last) throw fail("ENOENT", syscall, filePath);
+                return { node: null, parent: node, name, real: join([...real, name]) };
+            }
+            if (child.type === "symlink" && (follow || !last)) {
+                if (++hops > MAX_SYMLINK_HOPS) {
+                    throw fail("ELOOP", syscall, filePath);
+                }
+                const target = path.resolve(join(real), child.target);
+                parts = [...split(target), ...parts.slice(i + 1)];
+                real = [];
+                node = root;
+                parent = null;
+                i = -1;
+                continue;
+            }
+            parent = node;
+            node = child;
+            real.push(name);
+        }
+        return { node, parent, name: real[real.length - 1], real: join(real) };
+    };
+
+    const find = (filePath, syscall, follow = true) => {
+        const found = lookup(filePath, syscall, follow);
+        if (!found.node) throw fail("ENOENT", syscall, filePath);
+        return found;
+    };
+
+    // Add a new node where lookup found nothing
+    const attach = (found, type, perm) => {
+        const node = createNode(type, perm);
+        found.parent.entries.set(found.name, node);
+        touch(found.parent);
+        notify(found.real, "rename");
+        return node;
+    };
+
+    const detach = found => {
+        found.parent.entries.delete(found.name);
+        found.node.nlink--;
+        touch(found.parent);
+        notify(found.real, "rename");
+    };
+
+    const resize = (node, length) => {
+        const data = Buffer.alloc(length);
+        node.data.copy(data, 0, 0, Math.min(length, node.data.length));
+        node.data = data;
+    };
+
+    const openNode = (filePath, flags = "r", perm = 0o666, syscall = "open") => {
+        const mode = OPEN_MODES[flags];
+        if (!mode) throw fail("EINVAL", syscall, filePath);
+        const found = lookup(filePath, syscall);
+        if (found.node) {
+            if (mode.exclusive) throw fail("EEXIST", syscall, filePath);
+            if (mode.write) {
+                if (found.node.type === "directory") {
+                    throw fail("EISDIR", syscall, filePath);
+                }
+                assertWritable(syscall, filePath);
+            }
+            if (mode.truncate && found.node.data.length > 0) {
+                found.node.data = Buffer.alloc(0);
+                touch(found.node);
+            }
+            return { node: found.node, mode, real: found.real };
+        }
+        if (!mode.create) throw fail("ENOENT", syscall, filePath);
+        assertWritable(syscall, filePath);
+        const node = attach(found, "file", perm & ~UMASK);
+        return { node, mode, real: found.real };
+    };
+
+    const writeData = (node, real, data, mode) => {
+        if (mode.append) {
+            node.data = Buffer.concat([node.data, data]);
+        } else if (mode.truncate) {
+            node.data = data;
+        } else {
+            node.data = Buffer.concat([data, node.data.subarray(data.length)]);
+        }
+        touch(node);
+        notify(real, "change");
+    };
+
+    const mkdir = (filePath, options) => {
+        const recursive = typeof options === "object" && options?.recursive;
+        const perm =
+            (typeof options === "object" ? options?.mode : options) ?? 0o777;
+
+        if (!recursive) {
+            const found = lookup(filePath, "mkdir", false);
+            if (found.node) throw fail("EEXIST", "mkdir", filePath);
+            assertWritable("mkdir", filePath);
+            attach(found, "directory", perm & ~UMASK);
+            return undefined;
+        }
+
+        // Like Node, return the first directory created
+        let first;
+        const parts = split(filePath);
+        for (let i = 1; i <= parts.length; i++) {
+            const dir = join(parts.slice(0, i));
+            const found = lookup(dir, "mkdir");
+            if (found.node) {
+                if (found.node.type !== "directory") {
+                    throw fail("ENOTDIR", "mkdir", filePath);
+                }
+                continue;
+            }
+            assertWritable("mkdir", filePath);
+            attach(found, "directory", perm & ~UMASK);
+            first ??= dir;
+        }
+        return first;
+    };
+
+    const rm = (filePath, options = {}) => {
+        const found = lookup(filePath, "rm", false);
+        if (!found.node) {
+            if (options.force) return;
+            throw fail("ENOENT", "rm", filePath);
+        }
+        if (found.node === root) throw fail("EBUSY", "rm", filePath);
+        if (found.node.type === "directory" && !options.recursive) {
+            throw fail("EISDIR", "rm", filePath);
+        }
+        assertWritable("rm", filePath);
+        detach(found);
+    };
+
+    const core = {
+        access: filePath => {
+            find(filePath, "access");
+        },
+
+        stat: filePath => new MemoryStats(find(filePath, "stat").node),
+
+        lstat: filePath =>
+            new MemoryStats(find(filePath, "lstat", false).node),
+
+        realpath: filePath => find(filePath, "realpath").real,
+
+        readlink: filePath => {
+            const { node } = find(filePath, "readlink", false);
+            if (node.type !== "symlink") {
+                throw fail("EINVAL", "readlink", filePath);
+            }
+            return node.target;
+        },
+
+        readFile: (filePath, options) => {
+            const encoding =
+                typeof options === "string" ? options : options?.encoding;
+            const { node } = openNode(filePath, options?.flag || "r");
+            if (node.type === "directory") {
+                throw fail("EISDIR", "read", filePath);
+            }
+            node.atimeMs = Date.now();
+            return encoding
+                ? node.data.toString(encoding)
+                : Buffer.from(node.data);
+        },
+
+        writeFile: (filePath, data, options) => {
+            const encoding =
+                typeof options === "string" ? options : options?.encoding;
+            const { node, mode, real } = openNode(
+                filePath,
+                options?.flag || "w",
+                options?.mode
+            );
+            writeData(node, real, toBuffer(data, encoding || "utf8"), mode);
+        },
+
+        appendFile: (filePath, data, options) => {
+            const encoding =
+                typeof options === "string" ? options : options?.encoding;
+            const { node, mode, real } = openNode(
+                filePath,
+                options?.flag || "a",
+                options?.mode
+            );
+            writeData(node, real, toBuffer(data, encoding || "utf8"), mode);
+        },
+
+        copyFile: (src, dest, flags = 0) => {
+            const { node } = find(src, "copyfile");
+            if (node.type === "directory") throw fail("EISDIR", "copyfile", src);
+            const found = lookup(dest, "copyfile");
+            if (found.node && flags & 1) throw fail("EEXIST", "copyfile", dest);
+            const { node: target, real } = openNode(dest, "w", node.perm, "copyfile");
+            target.data = Buffer.from(node.data);
+            notify(real, "change");
+        },
+
+        cp: async (src, dest, options = {}) => {
+            const {
+                recursive = false,
+                force = true,
+                errorOnExist = false,
+                filter
+            } = options;
+            const from = path.resolve(src);
+            const to = path.resolve(dest);
+            if (from === to || (isPathInside(from, to) && recursive)) {
+                throw fail("EINVAL", "cp", dest);
+            }
+
+            const copy = async (source, target) => {
+                if (filter && !(await filter(source, target))) return;
+                const { node } = find(source, "cp", false);
+                const found = lookup(target, "cp", false);
+
+                if (node.type === "directory") {
+                    if (!recursive) throw fail("EISDIR", "cp", source);
+                    if (!found.node) {
+                        assertWritable("cp", target);
+                        attach(found, "directory", node.perm);
+                    } else if (found.node.type !== "directory") {
+                        throw fail("ENOTDIR", "cp", target);
+                    }
+                    for (const name of [...node.entries.keys()]) {
+                        await copy(
+                            path.join(source, name),
+                            path.join(target, name)
+                        );
+                    }
+                    return;
+                }
+
+                if (found.node) {
+                    if (!force) {
+                        if (errorOnExist) throw fail("EEXIST", "cp", target);
+                        return;
+                    }
+                    if (found.node.type === "directory") {
+                        throw fail("EISDIR", "cp", target);
+                    }
+                    assertWritable("cp", target);
+                    detach(found);
+                }
+                assertWritable("cp", target);
+                const copied = attach(found, node.type, node.perm);
+                copied.data = node.data && Buffer.from(node.data);
+                copied.target = node.target;
+            };
+            await copy(from, to);
+        },
+
+        readdir: (filePath, options = {}) => {
+            const { node } = find(filePath, "scandir");
+            if (node.type !== "directory") {
+                throw fail("ENOTDIR", "scandir", filePath);
+            }
+            const names = [...node.entries.keys()].sort();
+            if (!options.withFileTypes) return names;
+            return names.map(
+                name =>
+                    new MemoryDirent(name, filePath, node.entries.get(name).type)
+            );
+        },
+
+        mkdir,
+
+        mkdtemp: prefix => {
+            const chars =
+                "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+            for (;;) {
+                let suffix = "";
+                for (let i = 0; i < 6; i++) {
+                    suffix += chars[Math.floor(Math.random() * chars.length)];
+                }
+                if (!lookup(prefix + suffix, "mkdtemp").node) {
+                    mkdir(prefix + suffix, { mode: 0o700 });
+                    return prefix + suffix;
+                }
+            }
+        },
+
+        rmdir: (filePath, options = {}) => {
+            const found = find(filePath, "rmdir", false);
+            if (found.node.type !== "directory") {
+                throw fail("ENOTDIR", "rmdir", filePath);
+            }
+            if (options.recursive) {
+                rm(filePath, { recursive: true });
+                return;
+            }
+            if (found.node.entries.size > 0) {
+                throw fail("ENOTEMPTY", "rmdir", filePath);
+            }
+            if (found.node === root) throw fail("EBUSY", "rmdir", filePath);
+            assertWritable("rmdir", filePath);
+            detach(found);
+        },
+
+        rm,
+
+        unlink: filePath => {
+            const found = find(filePath, "unlink", false);
+            if (found.node.type === "directory") {
+                throw fail("EISDIR", "unlink", filePath);
+            }
+            assertWritable("unlink", filePath);
+            detach(found);
+        },
+
+        rename: (oldPath, newPath) => {
+            const src = find(oldPath, "rename", false);
+            const dest = lookup(newPath, "rename", false);
+            if (src.node === root) throw fail("EBUSY", "rename", oldPath);
+            if (dest.node === src.node) return;
+            if (
+                src.node.type === "directory" &&
+                isPathInside(src.real, dest.real)
+            ) {
+                throw fail("EINVAL", "rename", newPath);
+            }
+            if (dest.node?.type === "directory") {
+                if (src.node.type !== "directory") {
+                    throw fail("EISDIR", "rename", newPath);
+                }
+                if (dest.node.entries.size > 0) {
+                    throw fail("ENOTEMPTY", "rename", newPath);
+                }
+            } else if (dest.node && src.node.type === "directory") {
+                throw fail("ENOTDIR", "rename", newPath);
+            }
+            assertWritable("rename", oldPath);
+
+            if (dest.node) dest.node.nlink--;
+            src.parent.entries.delete(src.name);
+            dest.parent.entries.set(dest.name, src.node);
+            touch(src.parent);
+            touch(dest.parent);
+            src.node.ctimeMs = Date.now();
+            notify(src.real, "rename");
+            notify(dest.real, "rename");
+        },
+
+        symlink: (target, filePath) => {
+            const found = lookup(filePath, "symlink", false);
+            if (found.node) throw fail("EEXIST", "symlink", filePath);
+            assertWritable("symlink", filePath);
+            attach(found, "symlink", 0o777).target = String(target);
+        },
+
+        link: (existingPath, newPath) => {
+            const { node } = find(existingPath, "link", false);
+            if (node.type === "directory") throw fail("EPERM", "link", existingPath);
+            const found = lookup(newPath, "link", false);
+            if (found.node) throw fail("EEXIST", "link", newPath);
+            assertWritable("link", newPath);
+            found.parent.entries.set(found.name, node);
+            node.nlink++;
+            node.ctimeMs = Date.now();
+            touch(found.parent);
+            notify(found.real, "rename");
+        },
+
+        chmod: (filePath, mode) => {
+            const { node } = find(filePath, "chmod");
+            assertWritable("chmod", filePath);
+            node.perm = Number(mode) & 0o7777;
+            node.ctimeMs = Date.now();
+        },
+
+        utimes: (filePath, atime, mtime) => {
+            const { node, real } = find(filePath, "utime");
+            assertWritable("utime", filePath);
+            node.atimeMs = toTimeMs(atime);
+            node.mtimeMs = toTimeMs(mtime);
+            node.ctimeMs = Date.now();
+            notify(real, "change");
+        },
+
+        truncate: (filePath, len = 0) => {
+            const { node, real } = openNode(filePath, "r+", 0o666, "truncate");
+            resize(node, len);
+            touch(node);
+            notify(real, "change");
+        },
+
+        open: (filePath, flags = "r", perm = 0o666) => {
+            const { node, mode, real } = openNode(filePath, flags, perm);
+            let position = 0;
+            let closed = false;
+
+            const check = (syscall, write = false) => {
+                if (closed || (write && !mode.write)) {
+                    throw fail("EBADF", syscall);
+                }
+                if (node.type === "directory") {
+                    throw fail("EISDIR", syscall, filePath);
+                }
+            };
+
+            return {
+                read: async (
+                    buffer,
+                    offset = 0,
+                    length = buffer.length - offset,
+                    at = null
+                ) => {
+                    check("read");
+                    const start = at ?? position;
+                    const bytesRead =
+                        start < node.data.length
+                            ? node.data.copy(buffer, offset, start, start + length)
+                            : 0;
+                    if (at === null) position += bytesRead;
+                    node.atimeMs = Date.now();
+                    return { bytesRead, buffer };
+                },
+
+                write: async (
+                    buffer,
+                    offset = 0,
+                    length = buffer.length - offset,
+                    at = null
+                ) => {
+                    check("write", true);
+                    const chunk = buffer.subarray(offset, offset + length);
+                    const start = mode.append ? node.data.length : at ?? position;
+                    if (start + chunk.length > node.data.length) {
+                        resize(node, start + chunk.length);
+                    }
+                    Buffer.from(chunk).copy(node.data, start);
+                    if (at === null) position = start + chunk.length;
+                    touch(node);
+                    notify(real, "change");
+                    return { bytesWritten: chunk.length, buffer };
+                },
+
+                stat: async () => {
+                    if (closed) throw fail("EBADF", "fstat");
+                    return new MemoryStats(node);
+                },
+
+                truncate: async (len = 0) => {
+                    check("ftruncate", true);
+                    resize(node, len);
+                    touch(node);
+                    notify(real, "change");
+                },
+
+                sync: async () => {
+                    if (closed) throw fail("EBADF", "fsync");
+                },
+
+                close: async () => {
+                    closed = true;
+                },
+
+                // Closes the handle once read, like FileHandle's
+                createReadStream: ({ start = 0, end = Infinity } = {}) => {
+                    check("read");
+                    const data = Buffer.from(node.data.subarray(start, end + 1));
+                    closed = true;
+                    return Readable.from([data], { objectMode: false });
+                }
+            };
+        }
+    };
+
+    // Async like fs/promises, so errors reject instead of throwing
+    const backend = {};
+    for (const [name, fn] of Object.entries(core)) {
+        backend[name] = async (...args) => fn(...args);
+    }
+
+    backend.createWriteStream = (filePath, options = {}) => {
+        let handle;
+        let position = options.start ?? null;
+        const stream = new Writable({
+            construct: callback => {
+                backend
+                    .open(filePath, options.flags || "w")
+                    .then(opened => {
+                        handle = opened;
+                        callback();
+                        // Like fs.WriteStream, once the file is open
+                        stream.emit("ready");
+                    }, callback);
+            },
+            write: (chunk, encoding, callback) => {
+                handle.write(chunk, 0, chunk.length, position).then(
+                    ({ bytesWritten }) => {
+                        if (position !== null) position += bytesWritten;
+                        stream.bytesWritten += bytesWritten;
+                        callback();
+                    },
+                    callback
+                );
+            },
+            destroy: (err, callback) => {
+                if (!handle) return callback(err);
+                handle.close().then(() => callback(err), callback);
+            }
+        });
+        stream.bytesWritten = 0;
+        return stream;
+    };
+
+    backend.watch = (filePath, options = {}) => {
+        const { node, real } = find(filePath, "watch");
+        const isDir = node.type === "directory";
+        const watcher = new EventEmitter();
+        const entry = {
+            dir: isDir ? real : path.dirname(real),
+            file: isDir ? null : real,
+            recursive: Boolean(options.recursive),
+            watcher
+        };
+        watchers.add(entry);
+        watcher.close = () => watchers.delete(entry);
+        return watcher;
+    };
+
+    for (const entry of options.entries || []) {
+        const fullPath = path.resolve(path.sep, entry.path);
+        mkdir(path.dirname(fullPath), { recursive: true });
+        if (entry.type === "directory") {
+            mkdir(fullPath, { recursive: true });
+        } else if (entry.type === "symlink") {
+            core.symlink(entry.target, fullPath);
+        } else {
+            core.writeFile(fullPath, entry.data ?? "");
+        }
+        const { node } = find(fullPath, "open", false);
+        if (entry.mode !== undefined && entry.type !== "symlink") {
+            node.perm = entry.mode & 0o7777;
+        }
+        if (entry.mtimeMs !== undefined) {
+            node.atimeMs = node.mtimeMs = node.ctimeMs = entry.mtimeMs;
+        }
+    }
+    readOnly = Boolean(options.readOnly);
+    backend.readOnly = readOnly;
+
+    return backend;
+};
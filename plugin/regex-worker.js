@@ -0,0 +1,19 @@
+/**
+ * Worker thread that runs a client's regular expression for GET /grep, so a
+ * pattern that backtracks without end can be stopped by terminating it
+ */
+
+import { parentPort, workerData } from "worker_threads";
+
+const matcher = new RegExp(workerData.source, workerData.flags);
+
+// Each message is the lines of one file; the answer is [line, column] pairs,
+// both counted from 0, for the lines that match
+parentPort.on("message", lines => {
+    const matches = [];
+    for (let i = 0; i < lines.length; i++) {
+        const match = matcher.exec(lines[i]);
+        if (match) matches.push([i, match.index]);
+    }
+    parentPort.postMessage(matches);
+});
@@ -2,7 +2,8 @@ import fs from 'fs/promises';
 import fsSync from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { createFsHandlers } from './fs-handlers.js';
+import { createFsHandlers, createMountTable, findHandler, sendError } from './fs-handlers.js';
+import { createBackend, diskBackend } from './backends.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -11,22 +12,87 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
  * @param {Object} options - Plugin options
  * @param {string} options.baseDir - Base directory for file operations (default: './data')
  * @param {string} options.apiPrefix - API route prefix (default: '/api/fs')
+ * @param {number} options.handleTimeout - Close file handles idle for this many ms (default: 60000)
+ * @param {number} options.maxHandles - Most file handles open at once, across clients (default: 1024)
+ * @param {number} options.uploadTimeout - Drop resumable uploads idle for this many ms (default: 3600000)
+ * @param {number} options.watchDebounce - Coalesce repeated watch events within this many ms (default: 50)
+ * @param {string} options.token - Require `Authorization: Bearer <token>` on every request
+ * @param {Function} options.authorize - `(req, op, path, access)` hook, return false to deny
+ * @param {Array<{pattern: string, access: string}>} options.rules - Per-glob 'read-only', 'read-write' or 'deny'
+ * @param {boolean} options.readOnly - Reject every operation that modifies the filesystem
+ * @param {string[]} options.allowedMethods - Only enable these operations (see GET /methods)
+ * @param {Object} options.mounts - `{ name: dir }` or `{ name: { dir, readOnly } }`, replaces baseDir
+ * @param {string} options.followSymlinks - 'inside' (default), 'never' or 'always'
+ * @param {number} options.searchTimeout - Stop glob/grep after this many ms (default: 10000)
+ * @param {number} options.searchMaxResults - Most glob/grep results per request (default: 10000)
+ * @param {number} options.grepMaxFileSize - grep skips larger files (default: 1 MiB)
+ * @param {boolean} options.nodeFsAlias - Resolve `fs`, `node:fs`, `fs/promises` and
+ *   `node:fs/promises` to the browser shim, so bundled libraries use the API (default: false)
+ * @param {boolean} options.crossOriginIsolation - Send COOP/COEP headers from the dev and
+ *   preview servers, needed for SharedArrayBuffer and the sync API in workers (default: false)
+ * @param {string|Object} options.backend - 'disk' (default), 'memory', an archive file to
+ *   serve read-only, or a backend object; baseDir and mounts are then paths inside it
+ * @param {number} options.maxFileSize - Largest file a write may leave, in bytes (EFBIG past it)
+ * @param {number} options.maxRequestBody - Largest request body, in bytes (EFBIG past it)
+ * @param {number} options.quotaBytes - Most bytes all files together may take (ENOSPC past it)
+ * @param {number} options.maxFiles - Most files and directories (ENOSPC past it)
+ * @param {boolean} options.trash - Move what rm, rmdir and unlink delete into a restorable trash
+ * @param {number} options.trashRetention - Purge trash entries older than this many ms
+ *   (default: kept until emptied)
  */
 export default function vitePluginFsApi(options = {}) {
-  const BASE_DIR = path.resolve(process.cwd(), options.baseDir || './data');
+  const backend = createBackend(options.backend);
+  const onDisk = backend === diskBackend;
+  const BASE_DIR = onDisk
+    ? path.resolve(process.cwd(), options.baseDir || './data')
+    : path.resolve('/', options.baseDir || '/');
   const API_PREFIX = options.apiPrefix || '/api/fs';
 
-  // Ensure base directory exists
-  if (!fsSync.existsSync(BASE_DIR)) {
-    fsSync.mkdirSync(BASE_DIR, { recursive: true });
-  }
-
+  // Ensure base directory (or every mount directory) exists. Other backends
+  // create it asynchronously, and requests wait until they have.
+  const dirsCreated = Promise.all(
+    createMountTable(BASE_DIR, options.mounts).map(async ({ dir }) => {
+      if (!onDisk) {
+        await backend.mkdir(dir, { recursive: true }).catch(err => {
+          console.error(`FS API: could not create ${dir}: ${err.message}`);
+        });
+      } else if (!fsSync.existsSync(dir)) {
+        fsSync.mkdirSync(dir, { recursive: true });
+      }
+    })
+  );
 
   // Route handlers
-  const handlers = createFsHandlers(BASE_DIR);
+  const handlers = createFsHandlers(BASE_DIR, {
+    ...options,
+    readOnly: options.readOnly || Boolean(backend.readOnly),
+    backend
+  });
 
   return {
     name: 'vite-plugin-fs-api',
+
+    config() {
+      const config = {};
+      if (options.nodeFsAlias) {
+        // Also applies to dependency pre-bundling, unlike a resolveId hook
+        config.resolve = {
+          alias: [
+            { find: /^(node:)?fs\/promises$/, replacement: path.resolve(__dirname, '../src/node-fs-promises.js') },
+            { find: /^(node:)?fs$/, replacement: path.resolve(__dirname, '../src/node-fs.js') }
+          ]
+        };
+      }
+      if (options.crossOriginIsolation) {
+        const headers = {
+          'Cross-Origin-Opener-Policy': 'same-origin',
+          'Cross-Origin-Embedder-Policy': 'require-corp'
+        };
+        config.server = { headers };
+        config.preview = { headers };
+      }
+      return config;
+    },
     
     configureServer(server) {
       server.middlewares.use(async (req, res, next) => {
@@ -36,11 +102,11 @@ export default function vitePluginFsApi(options = {}) {
         }
 
         try {
+          await dirsCreated;
+
           // Remove API prefix from URL
           const routePath = req.url.substring(API_PREFIX.length) || '/';
-          const handlerKey = `${req.method} ${routePath.split('?')[0]}`;
-          
-          const handler = handlers[handlerKey];
+          const handler = findHandler(handlers, req.method, routePath);
           
           if (handler) {
             await handler(req, res);
@@ -49,19 +115,19 @@ export default function vitePluginFsApi(options = {}) {
             res.end(JSON.stringify({ error: 'Route not found' }));
           }
         } catch (error) {
-          console.error('FS API Error:', error);
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ 
-            error: {
-              message: error.message,
-              status: 500
-            }
-          }));
+          sendError(res, error, BASE_DIR);
         }
       });
 
       console.log(`\n  FS API available at: ${API_PREFIX}`);
-      console.log(`  Base directory: ${BASE_DIR}\n`);
+      if (options.mounts) {
+        for (const mount of createMountTable(BASE_DIR, options.mounts)) {
+          console.log(`  Mount /${mount.name}: ${mount.dir}${mount.readOnly ? ' (read-only)' : ''}`);
+        }
+        console.log('');
+      } else {
+        console.log(`  Base directory: ${BASE_DIR}\n`);
+      }
     }
   };
 }
\ No newline at end of file
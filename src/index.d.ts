@@ -9,6 +9,41 @@ declare module 'fs:browser' {
    */
   export interface FsConfig {
     apiBase?: string;
+    /** Bearer token sent with every request (null to stop sending one) */
+    token?: string | null;
+    /** Cache reads and queue writes while the server is unreachable (null to stop) */
+    offline?: import('fs:browser/offline').OfflineStore | null;
+    /** Answer requests in the browser instead of a server (null to use the server again) */
+    backend?: import('fs:browser/opfs').FsBackend | null;
+    /** Cache readFile, stat, lstat and readdir results (true for the defaults, null to stop) */
+    cache?: CacheOptions | boolean | null;
+  }
+
+  export interface CacheOptions {
+    /** Serve cached results this long without asking the server, in ms (default: 1000) */
+    ttl?: number;
+    /** Most results kept, least recently used dropped first (default: 1000) */
+    maxEntries?: number;
+  }
+
+  /**
+   * Error thrown by every fs call, shaped like a Node.js system error
+   */
+  export interface FsError extends Error {
+    /** System error code such as 'ENOENT', 'EEXIST' or 'ENOTEMPTY' */
+    code?: string;
+    /** Negative system errno, as reported by Node.js */
+    errno?: number;
+    /** Underlying syscall such as 'open' or 'scandir' */
+    syscall?: string;
+    /** Path relative to the server base directory */
+    path?: string;
+    /** Destination path for copy/rename errors */
+    dest?: string;
+    /** HTTP status returned by the server */
+    status?: number;
+    /** Position of the failed operation in an atomic batch */
+    index?: number;
   }
 
   /**
@@ -27,19 +62,96 @@ declare module 'fs:browser' {
     | 'binary'
     | 'hex';
 
+  /**
+   * Options of every call that talks to the server
+   */
+  export interface AbortOptions {
+    /** Cancel the request; the call rejects with the signal's reason */
+    signal?: AbortSignal;
+  }
+
+  /**
+   * Bytes transferred so far
+   */
+  export interface Progress {
+    loaded: number;
+    /** Missing when the server did not send a length */
+    total?: number;
+  }
+
+  /**
+   * Options of reads and writes that report progress
+   */
+  export interface ProgressOptions extends AbortOptions {
+    /** Called as the data is uploaded or downloaded */
+    onProgress?: (progress: Progress) => void;
+  }
+
   /**
    * Options for file operations
    */
-  export interface FileOptions {
+  export interface FileOptions extends ProgressOptions {
     encoding?: BufferEncoding | null;
     flag?: string;
     mode?: number;
   }
 
+  /**
+   * Options for writeFile
+   */
+  export interface WriteFileOptions extends FileOptions {
+    /** Only write if the file still has this etag, otherwise reject with code 'ECONFLICT' (412) */
+    ifMatch?: string;
+  }
+
+  /**
+   * Options for uploadFile
+   */
+  export interface UploadFileOptions extends ProgressOptions {
+    /** Bytes per request (default: 8 MiB) */
+    chunkSize?: number;
+    /** Network errors in a row to retry before giving up (default: 5) */
+    retries?: number;
+    /** Only replace the file if it still has this etag once the upload completes */
+    ifMatch?: string;
+  }
+
+  /**
+   * Options for read
+   */
+  export interface ReadOptions extends ProgressOptions {
+    /** First byte to read (default: 0) */
+    position?: number;
+    /** Number of bytes to read (default: to end of file) */
+    length?: number;
+  }
+
+  /**
+   * Options for createReadStream
+   */
+  export interface ReadStreamOptions extends AbortOptions {
+    /** First byte to read (default: 0) */
+    start?: number;
+    /** Last byte to read, inclusive (default: end of file) */
+    end?: number;
+  }
+
+  /**
+   * Options for createWriteStream
+   */
+  export interface WriteStreamOptions extends AbortOptions {
+    /** 'w' truncates, 'a' appends, 'r+' overwrites in place (default: 'w') */
+    flags?: 'w' | 'wx' | 'a' | 'ax' | 'r+';
+    /** Byte offset to start writing at */
+    start?: number;
+    /** Bytes buffered before each upload (default: 1 MiB) */
+    highWaterMark?: number;
+  }
+
   /**
    * Options for directory operations
    */
-  export interface MkdirOptions {
+  export interface MkdirOptions extends AbortOptions {
     recursive?: boolean;
     mode?: number;
   }
@@ -47,15 +159,45 @@ declare module 'fs:browser' {
   /**
    * Options for readdir
    */
-  export interface ReaddirOptions {
+  export interface ReaddirOptions extends AbortOptions {
     encoding?: BufferEncoding | null;
     withFileTypes?: boolean;
+    /** Also list subdirectories, as paths relative to the directory */
+    recursive?: boolean;
+  }
+
+  /**
+   * Options for cp
+   */
+  export interface CpOptions extends AbortOptions {
+    /** Copy directories (default: false) */
+    recursive?: boolean;
+    /** Overwrite existing files (default: true) */
+    force?: boolean;
+    /** Fail if a file exists and force is false (default: false) */
+    errorOnExist?: boolean;
+    /** Return false to skip a path and everything below it */
+    filter?: (src: string, dest: string) => boolean | Promise<boolean>;
+  }
+
+  /**
+   * Entry returned by tree
+   */
+  export interface TreeNode {
+    name: string;
+    /** Path relative to the server base directory */
+    path: string;
+    stats: Stats;
+    /** Entries of a directory, missing at the depth limit */
+    children?: TreeNode[];
+    /** Set on the root when the server stopped at its entry limit */
+    truncated?: boolean;
   }
 
   /**
    * Options for rm/rmdir operations
    */
-  export interface RmOptions {
+  export interface RmOptions extends AbortOptions {
     recursive?: boolean;
     force?: boolean;
     maxRetries?: number;
@@ -63,24 +205,44 @@ declare module 'fs:browser' {
   }
 
   /**
-   * Directory entry with type information
+   * Directory entry with type information, like Node's fs.Dirent
    */
-  export interface Dirent {
+  export class Dirent {
     name: string;
+    /** Directory the entry was listed in */
+    parentPath: string;
+    /** @deprecated Alias of parentPath */
+    readonly path: string;
     isFile(): boolean;
     isDirectory(): boolean;
     isSymbolicLink(): boolean;
+    isBlockDevice(): boolean;
+    isCharacterDevice(): boolean;
+    isFIFO(): boolean;
+    isSocket(): boolean;
   }
 
   /**
-   * File statistics
+   * File statistics, like Node's fs.Stats
    */
-  export interface Stats {
+  export class Stats {
     isFile(): boolean;
     isDirectory(): boolean;
     isSymbolicLink(): boolean;
+    isBlockDevice(): boolean;
+    isCharacterDevice(): boolean;
+    isFIFO(): boolean;
+    isSocket(): boolean;
+    dev: number;
+    ino: number;
     mode: number;
+    nlink: number;
+    uid: number;
+    gid: number;
+    rdev: number;
     size: number;
+    blksize: number;
+    blocks: number;
     atimeMs: number;
     mtimeMs: number;
     ctimeMs: number;
@@ -89,6 +251,8 @@ declare module 'fs:browser' {
     mtime: Date;
     ctime: Date;
     birthtime: Date;
+    /** Version tag of the file, changes on every write (see WriteFileOptions) */
+    etag?: string;
   }
 
   /**
@@ -103,16 +267,28 @@ declare module 'fs:browser' {
   ): Promise<string>;
 
   /**
-   * Write data to file
+   * Read a byte window of a file using an HTTP Range request
+   * @param path - File path
+   * @param options - Position and length of the window
+   * @returns Bytes read (0 past the end of the file) and the data
+   */
+  export function read(
+    path: string,
+    options?: ReadOptions
+  ): Promise<{ bytesRead: number; buffer: Uint8Array }>;
+
+  /**
+   * Write data to file, atomically (through a temp file on the server)
    * @param path - File path
    * @param data - Data to write (string, Buffer, Blob, ArrayBuffer, TypedArray, or object)
    * @param options - Encoding string or options object
+   * @returns Etag of the written file
    */
   export function writeFile(
     path: string,
     data: string | Buffer | Blob | ArrayBuffer | ArrayBufferView | object,
-    options?: BufferEncoding | FileOptions
-  ): Promise<void>;
+    options?: BufferEncoding | WriteFileOptions
+  ): Promise<{ etag: string }>;
 
   /**
    * Append data to file
@@ -126,6 +302,20 @@ declare module 'fs:browser' {
     options?: BufferEncoding | FileOptions
   ): Promise<void>;
 
+  /**
+   * Upload a file in chunks, resuming after dropped connections. The file
+   * is replaced once every chunk has arrived.
+   * @param path - File path
+   * @param data - File contents
+   * @param options - Chunk size, retries, progress and cancellation
+   * @returns Etag of the written file
+   */
+  export function uploadFile(
+    path: string,
+    data: string | Blob | ArrayBuffer | ArrayBufferView,
+    options?: UploadFileOptions
+  ): Promise<{ etag: string }>;
+
   /**
    * Copy file
    * @param src - Source path
@@ -135,9 +325,135 @@ declare module 'fs:browser' {
   export function copyFile(
     src: string,
     dest: string,
-    flags?: number
+    flags?: number,
+    options?: AbortOptions
   ): Promise<void>;
 
+  /**
+   * Create a readable stream of file contents
+   * @param path - File path
+   * @param options - Byte range to read
+   */
+  export function createReadStream(
+    path: string,
+    options?: ReadStreamOptions
+  ): ReadableStream<Uint8Array>;
+
+  /**
+   * Create a writable stream to a file
+   * @param path - File path
+   * @param options - Open flags, start offset and buffering
+   */
+  export function createWriteStream(
+    path: string,
+    options?: WriteStreamOptions
+  ): WritableStream<string | ArrayBuffer | ArrayBufferView | Blob>;
+
+  /**
+   * Copy a file or directory
+   * @param src - Source path
+   * @param dest - Destination path
+   * @param options - Copy options
+   */
+  export function cp(src: string, dest: string, options?: CpOptions): Promise<void>;
+
+  /**
+   * List a directory tree with stats in one request
+   * @param path - Directory path (default: '.')
+   * @param options - `depth`: levels to list, 1 for direct children only
+   * @returns Root node of the tree
+   */
+  export function tree(path?: string, options?: { depth?: number } & AbortOptions): Promise<TreeNode>;
+
+  /**
+   * Options for archive
+   */
+  export interface ArchiveOptions extends ProgressOptions {
+    /** Archive format (default: 'zip') */
+    format?: 'zip' | 'tar' | 'tar.gz';
+  }
+
+  /**
+   * Download a directory as a zip or tar archive
+   * @param path - Directory path (default: '.')
+   * @param options - Format, progress and cancellation
+   * @returns The archive
+   */
+  export function archive(path?: string, options?: ArchiveOptions): Promise<Blob>;
+
+  /**
+   * Unpack a zip or tar archive (gzipped or not) into an existing directory,
+   * overwriting files. Archives with entries or symlinks leading outside the
+   * directory are rejected with 'EINVAL' before anything is written.
+   * @param path - Directory to unpack into
+   * @param data - Archive
+   * @param options - Progress and cancellation
+   * @returns Number of entries unpacked
+   */
+  export function extract(
+    path: string,
+    data: Blob | ArrayBuffer | ArrayBufferView,
+    options?: ProgressOptions
+  ): Promise<{ entries: number }>;
+
+  /**
+   * Options for glob
+   */
+  export interface GlobOptions {
+    /** Directory the pattern is relative to (default: '.') */
+    cwd?: string;
+    /** Patterns to skip, matched against paths relative to cwd, e.g. '**\/node_modules/**' */
+    ignore?: string | string[];
+    /** Stop after this many paths */
+    maxResults?: number;
+    signal?: AbortSignal;
+  }
+
+  /**
+   * Options for grep
+   */
+  export interface GrepOptions {
+    /** File or directory to search (default: '.') */
+    path?: string;
+    /** Treat the query as a regular expression (default: false) */
+    regex?: boolean;
+    /** Match case (default: false) */
+    caseSensitive?: boolean;
+    /** Stop after this many matches */
+    maxResults?: number;
+    signal?: AbortSignal;
+  }
+
+  /**
+   * Line matched by grep
+   */
+  export interface GrepMatch {
+    /** Path relative to the server base directory */
+    path: string;
+    /** 1-based line number */
+    line: number;
+    /** 1-based column of the first match */
+    column: number;
+    /** The matching line, cut at 500 characters */
+    text: string;
+  }
+
+  /**
+   * Find paths matching a glob pattern, like fs.promises.glob
+   * @param pattern - Glob pattern supporting **, *, ?, [...] and {a,b}
+   * @param options - Search options
+   * @returns Paths relative to cwd, as the server finds them
+   */
+  export function glob(pattern: string, options?: GlobOptions): AsyncGenerator<string, void>;
+
+  /**
+   * Search file contents
+   * @param query - Text (or regular expression) to find
+   * @param options - Search options
+   * @returns One match per matching line, as the server finds them
+   */
+  export function grep(query: string, options?: GrepOptions): AsyncGenerator<GrepMatch, void>;
+
   /**
    * Read directory contents
    * @param path - Directory path
@@ -194,49 +510,412 @@ declare module 'fs:browser' {
    */
   export function rename(
     oldPath: string,
-    newPath: string
+    newPath: string,
+    options?: AbortOptions
   ): Promise<void>;
 
   /**
    * Delete file
    * @param path - File path
    */
-  export function unlink(path: string): Promise<void>;
+  export function unlink(path: string, options?: AbortOptions): Promise<void>;
+
+  /**
+   * Entry of the trash, see listTrash
+   */
+  export interface TrashEntry {
+    /** Id to pass to restore */
+    id: string;
+    /** Path the entry was deleted from */
+    path: string;
+    type: 'file' | 'directory' | 'symlink' | string;
+    /** Size in bytes, null for directories */
+    size: number | null;
+    deletedAt: Date;
+  }
+
+  /**
+   * List what rm, rmdir and unlink moved to the trash, newest first
+   */
+  export function listTrash(options?: AbortOptions): Promise<TrashEntry[]>;
+
+  /**
+   * Put a trash entry back where it was deleted from
+   * @param id - Entry id from listTrash
+   * @returns Path the entry was restored to
+   */
+  export function restore(id: string, options?: AbortOptions): Promise<string>;
+
+  /**
+   * Delete trash entries for good
+   * @param options - Pass olderThan (ms) to keep recently deleted entries
+   * @returns Number of entries deleted
+   */
+  export function emptyTrash(options?: { olderThan?: number } & AbortOptions): Promise<number>;
 
   /**
    * Get file/directory stats
    * @param path - Path
    * @returns File statistics
    */
-  export function stat(path: string): Promise<Stats>;
+  export function stat(path: string, options?: AbortOptions): Promise<Stats>;
 
   /**
    * Get file/directory stats (doesn't follow symlinks)
    * @param path - Path
    * @returns File statistics
    */
-  export function lstat(path: string): Promise<Stats>;
+  export function lstat(path: string, options?: AbortOptions): Promise<Stats>;
 
   /**
    * Get canonical path
    * @param path - Path
    * @returns Resolved path
    */
-  export function realpath(path: string): Promise<string>;
+  export function realpath(path: string, options?: AbortOptions): Promise<string>;
 
   /**
    * Read symbolic link
    * @param path - Link path
    * @returns Link target path
    */
-  export function readlink(path: string): Promise<string>;
+  export function readlink(path: string, options?: AbortOptions): Promise<string>;
+
+  /**
+   * Constants for access() modes and copyFile() flags
+   */
+  export const constants: {
+    readonly F_OK: 0;
+    readonly R_OK: 4;
+    readonly W_OK: 2;
+    readonly X_OK: 1;
+    readonly COPYFILE_EXCL: 1;
+    readonly COPYFILE_FICLONE: 2;
+    readonly COPYFILE_FICLONE_FORCE: 4;
+  };
+
+  /**
+   * Check that a path exists and is accessible
+   * @param path - Path
+   * @param mode - Combination of constants.R_OK, W_OK and X_OK (default: F_OK)
+   */
+  export function access(path: string, mode?: number, options?: AbortOptions): Promise<void>;
+
+  /**
+   * Change file permissions
+   * @param path - Path
+   * @param mode - Mode such as 0o755 or '755'
+   */
+  export function chmod(path: string, mode: number | string, options?: AbortOptions): Promise<void>;
+
+  /**
+   * Change access and modification times
+   * @param path - Path
+   * @param atime - Access time, numbers are seconds since the epoch
+   * @param mtime - Modification time
+   */
+  export function utimes(
+    path: string,
+    atime: number | string | Date,
+    mtime: number | string | Date,
+    options?: AbortOptions
+  ): Promise<void>;
+
+  /**
+   * Truncate or extend a file
+   * @param path - File path
+   * @param len - New length in bytes (default: 0)
+   */
+  export function truncate(path: string, len?: number, options?: AbortOptions): Promise<void>;
+
+  /**
+   * Create a symbolic link; the target must be inside the base directory
+   * @param target - Path the link points to, relative to the link's directory
+   *   or absolute from the base directory
+   * @param path - Path of the new link
+   * @param type - Only used on Windows
+   */
+  export function symlink(
+    target: string,
+    path: string,
+    type?: 'file' | 'dir' | 'junction' | null,
+    options?: AbortOptions
+  ): Promise<void>;
+
+  /**
+   * Create a hard link
+   * @param existingPath - Existing file
+   * @param newPath - Path of the new link
+   */
+  export function link(existingPath: string, newPath: string, options?: AbortOptions): Promise<void>;
+
+  /**
+   * Create a uniquely named directory by appending six random characters
+   * @param prefix - Path prefix, e.g. 'tmp/upload-'
+   * @returns Path of the new directory
+   */
+  export function mkdtemp(prefix: string, options?: AbortOptions): Promise<string>;
+
+  /**
+   * Directory stream returned by opendir
+   */
+  export class Dir {
+    readonly path: string;
+    /** Next entry, or null once every entry has been read */
+    read(): Promise<Dirent | null>;
+    close(): Promise<void>;
+    [Symbol.asyncIterator](): AsyncIterableIterator<Dirent>;
+  }
+
+  /**
+   * Open a directory for iteration
+   * @param path - Directory path
+   * @param options - Pass recursive to include subdirectories
+   */
+  export function opendir(
+    path: string,
+    options?: { recursive?: boolean } & AbortOptions
+  ): Promise<Dir>;
 
   /**
    * Check if file exists (convenience method)
    * @param path - Path
    * @returns true if exists, false otherwise
    */
-  export function exists(path: string): Promise<boolean>;
+  export function exists(path: string, options?: AbortOptions): Promise<boolean>;
+
+  /**
+   * Space in use and the server's limits, see usage
+   */
+  export interface Usage {
+    /** Bytes of all files, including pending uploads and temp files */
+    bytes: number;
+    /** Files and directories */
+    files: number;
+    /** Limits, null when not set */
+    quotaBytes: number | null;
+    maxFiles: number | null;
+    maxFileSize: number | null;
+    maxRequestBody: number | null;
+  }
+
+  /**
+   * Get the space in use and the server's limits
+   */
+  export function usage(options?: AbortOptions): Promise<Usage>;
+
+  /**
+   * Operation accepted by batch
+   */
+  export type BatchOp =
+    | { op: 'writeFile' | 'appendFile'; path: string; data: string | Blob | ArrayBuffer | ArrayBufferView | object; encoding?: BufferEncoding }
+    | { op: 'copyFile'; src: string; dest: string; flags?: number }
+    | { op: 'mkdir'; path: string; recursive?: boolean }
+    | { op: 'rmdir'; path: string; recursive?: boolean }
+    | { op: 'rm'; path: string; recursive?: boolean; force?: boolean }
+    | { op: 'rename'; oldPath: string; newPath: string }
+    | { op: 'unlink'; path: string };
+
+  /**
+   * Outcome of one batch operation
+   */
+  export interface BatchResult {
+    ok: boolean;
+    error?: FsError;
+  }
+
+  /**
+   * Run several operations in one request, in order
+   * @param ops - Operations to run
+   * @param options - `atomic: true` undoes everything if one operation fails
+   *   and rejects with its error (`err.index` is its position)
+   * @returns One result per operation
+   */
+  export function batch(ops: BatchOp[], options?: { atomic?: boolean } & AbortOptions): Promise<BatchResult[]>;
+
+  /**
+   * Handle to a file opened on the server, mirroring Node's FileHandle
+   */
+  export class FileHandle {
+    /** Server-side handle id */
+    readonly fd: string;
+
+    /**
+     * Read bytes from the file into a buffer
+     * @param buffer - Target buffer (default: a new 16 KiB buffer)
+     * @param offset - Offset in the buffer to fill from
+     * @param length - Number of bytes to read
+     * @param position - File position, null to read from the current position
+     * @param options - Abort signal and download progress
+     */
+    read<T extends ArrayBufferView = Uint8Array>(
+      buffer?: T,
+      offset?: number,
+      length?: number,
+      position?: number | null,
+      options?: ProgressOptions
+    ): Promise<{ bytesRead: number; buffer: T }>;
+    read<T extends ArrayBufferView = Uint8Array>(
+      options: ProgressOptions & {
+        buffer?: T;
+        offset?: number;
+        length?: number;
+        position?: number | null;
+      }
+    ): Promise<{ bytesRead: number; buffer: T }>;
+
+    /**
+     * Write a buffer to the file
+     * @param buffer - Data to write
+     * @param offset - Offset in the buffer to write from
+     * @param length - Number of bytes to write
+     * @param position - File position, null to write at the current position
+     * @param options - Abort signal and upload progress
+     */
+    write<T extends ArrayBufferView>(
+      buffer: T,
+      offset?: number,
+      length?: number,
+      position?: number | null,
+      options?: ProgressOptions
+    ): Promise<{ bytesWritten: number; buffer: T }>;
+    write<T extends ArrayBufferView>(
+      buffer: T,
+      options: ProgressOptions & {
+        offset?: number;
+        length?: number;
+        position?: number | null;
+      }
+    ): Promise<{ bytesWritten: number; buffer: T }>;
+    /**
+     * Write a string to the file
+     * @param data - Text to write (UTF-8)
+     * @param position - File position, null to write at the current position
+     * @param encoding - Only 'utf8' is supported
+     * @param options - Abort signal and upload progress
+     */
+    write(
+      data: string,
+      position?: number | null,
+      encoding?: string,
+      options?: ProgressOptions
+    ): Promise<{ bytesWritten: number; buffer: string }>;
+
+    /**
+     * Truncate the file
+     * @param len - New length in bytes (default: 0)
+     */
+    truncate(len?: number, options?: AbortOptions): Promise<void>;
+
+    /**
+     * Get stats for the open file
+     */
+    stat(options?: AbortOptions): Promise<Stats>;
+
+    /**
+     * Flush the file's data to disk
+     */
+    sync(options?: AbortOptions): Promise<void>;
+
+    /**
+     * Close the handle; if aborted, it stays open until handleTimeout
+     */
+    close(options?: AbortOptions): Promise<void>;
+  }
+
+  /**
+   * Open a file for positional reads and writes
+   * @param path - File path
+   * @param flags - Open flags such as 'r', 'r+', 'w', 'a' (default: 'r')
+   * @param mode - File mode for newly created files (default: 0o666)
+   */
+  export function open(
+    path: string,
+    flags?: string,
+    mode?: number,
+    options?: AbortOptions
+  ): Promise<FileHandle>;
+
+  /**
+   * Options for watch
+   */
+  export interface WatchOptions {
+    /** Watch subdirectories too */
+    recursive?: boolean;
+    /** Closes the watcher when aborted */
+    signal?: AbortSignal;
+  }
+
+  /**
+   * A single change reported by a watcher
+   */
+  export interface WatchEvent {
+    eventType: 'change' | 'rename';
+    /** Path relative to the watched directory */
+    filename: string | null;
+  }
+
+  /**
+   * Watcher for changes to a file or directory, mirroring Node's FSWatcher
+   */
+  export class FSWatcher implements AsyncIterable<WatchEvent> {
+    on(
+      event: 'change',
+      listener: (eventType: 'change' | 'rename', filename: string | null) => void
+    ): this;
+    on(event: 'error', listener: (error: FsError) => void): this;
+    on(event: 'close', listener: () => void): this;
+    off(event: 'change' | 'error' | 'close', listener: (...args: any[]) => void): this;
+    /** Stop watching */
+    close(): void;
+    [Symbol.asyncIterator](): AsyncIterator<WatchEvent>;
+  }
+
+  /**
+   * Watch a file or directory for changes
+   * @param path - File or directory path
+   * @param options - Watch options
+   * @param listener - Optional change listener
+   */
+  export function watch(
+    path: string,
+    options?: WatchOptions,
+    listener?: (eventType: 'change' | 'rename', filename: string | null) => void
+  ): FSWatcher;
+  export function watch(
+    path: string,
+    listener: (eventType: 'change' | 'rename', filename: string | null) => void
+  ): FSWatcher;
+
+  /**
+   * Watch a single file, calling the listener whenever it is created, changed or removed
+   * @param path - File path
+   * @param listener - Called with the current and previous stats
+   */
+  export function watchFile(
+    path: string,
+    listener: (curr: Stats, prev: Stats) => void
+  ): void;
+  export function watchFile(
+    path: string,
+    options: object,
+    listener: (curr: Stats, prev: Stats) => void
+  ): void;
+
+  /**
+   * Stop watching a file
+   * @param path - File path
+   * @param listener - Listener to remove (default: all)
+   */
+  export function unwatchFile(
+    path: string,
+    listener?: (curr: Stats, prev: Stats) => void
+  ): void;
+
+  /**
+   * Drop everything the read cache holds, e.g. after changes made by others
+   */
+  export function clearCache(): void;
 
   /**
    * Configure the fs-browser module
@@ -244,21 +923,53 @@ declare module 'fs:browser' {
    * @returns Configured fs module with all methods
    */
   export function configure(options: FsConfig): {
+    constants: typeof constants;
+    Stats: typeof Stats;
+    Dirent: typeof Dirent;
+    Dir: typeof Dir;
     readFile: typeof readFile;
+    read: typeof read;
     writeFile: typeof writeFile;
     appendFile: typeof appendFile;
+    uploadFile: typeof uploadFile;
     copyFile: typeof copyFile;
+    cp: typeof cp;
+    createReadStream: typeof createReadStream;
+    createWriteStream: typeof createWriteStream;
     readdir: typeof readdir;
+    tree: typeof tree;
+    archive: typeof archive;
+    extract: typeof extract;
+    glob: typeof glob;
+    grep: typeof grep;
     mkdir: typeof mkdir;
     rmdir: typeof rmdir;
     rm: typeof rm;
     rename: typeof rename;
     unlink: typeof unlink;
+    listTrash: typeof listTrash;
+    restore: typeof restore;
+    emptyTrash: typeof emptyTrash;
     stat: typeof stat;
     lstat: typeof lstat;
     realpath: typeof realpath;
     readlink: typeof readlink;
+    access: typeof access;
+    chmod: typeof chmod;
+    utimes: typeof utimes;
+    truncate: typeof truncate;
+    symlink: typeof symlink;
+    link: typeof link;
+    mkdtemp: typeof mkdtemp;
+    opendir: typeof opendir;
     exists: typeof exists;
+    usage: typeof usage;
+    batch: typeof batch;
+    open: typeof open;
+    watch: typeof watch;
+    watchFile: typeof watchFile;
+    unwatchFile: typeof unwatchFile;
+    clearCache: typeof clearCache;
     configure: typeof configure;
   };
 
@@ -266,21 +977,53 @@ declare module 'fs:browser' {
    * Default export with all methods
    */
   const fs: {
+    constants: typeof constants;
+    Stats: typeof Stats;
+    Dirent: typeof Dirent;
+    Dir: typeof Dir;
     readFile: typeof readFile;
+    read: typeof read;
     writeFile: typeof writeFile;
     appendFile: typeof appendFile;
+    uploadFile: typeof uploadFile;
     copyFile: typeof copyFile;
+    cp: typeof cp;
+    createReadStream: typeof createReadStream;
+    createWriteStream: typeof createWriteStream;
     readdir: typeof readdir;
+    tree: typeof tree;
+    archive: typeof archive;
+    extract: typeof extract;
+    glob: typeof glob;
+    grep: typeof grep;
     mkdir: typeof mkdir;
     rmdir: typeof rmdir;
     rm: typeof rm;
     rename: typeof rename;
     unlink: typeof unlink;
+    listTrash: typeof listTrash;
+    restore: typeof restore;
+    emptyTrash: typeof emptyTrash;
     stat: typeof stat;
     lstat: typeof lstat;
     realpath: typeof realpath;
     readlink: typeof readlink;
+    access: typeof access;
+    chmod: typeof chmod;
+    utimes: typeof utimes;
+    truncate: typeof truncate;
+    symlink: typeof symlink;
+    link: typeof link;
+    mkdtemp: typeof mkdtemp;
+    opendir: typeof opendir;
     exists: typeof exists;
+    usage: typeof usage;
+    batch: typeof batch;
+    open: typeof open;
+    watch: typeof watch;
+    watchFile: typeof watchFile;
+    unwatchFile: typeof unwatchFile;
+    clearCache: typeof clearCache;
     configure: typeof configure;
   };
 
@@ -4,11 +4,52 @@
  */
 
 let API_BASE = '/api/fs';
+let TOKEN = null;
+let OFFLINE = null;
+let BACKEND = null;
+let CACHE = null;
+let SESSION_ID;
+
+// Reads the cache keeps, by "METHOD name"
+const CACHED_ROUTES = ['GET readFile', 'GET stat', 'GET lstat', 'GET readdir'];
+
+// Request fields naming the paths a write touches
+const PATH_FIELDS = ['path', 'src', 'dest', 'oldPath', 'newPath', 'existingPath', 'prefix'];
+
+// Key of the file type on Stats and Dirent, kept out of sight like Node's
+const TYPE = Symbol('type');
+
+// Numeric Stats fields, in Node's order
+const STATS_FIELDS = [
+  'dev', 'mode', 'nlink', 'uid', 'gid', 'rdev', 'blksize', 'ino', 'size',
+  'blocks', 'atimeMs', 'mtimeMs', 'ctimeMs', 'birthtimeMs'
+];
+
+/**
+ * Constants for access() modes and copyFile() flags, as in Node's fs.constants
+ */
+export const constants = Object.freeze({
+  F_OK: 0,
+  R_OK: 4,
+  W_OK: 2,
+  X_OK: 1,
+  COPYFILE_EXCL: 1,
+  COPYFILE_FICLONE: 2,
+  COPYFILE_FICLONE_FORCE: 4
+});
 
 /**
  * Configure the fs-browser module
  * @param {Object} options - Configuration options
  * @param {string} options.apiBase - Base URL for the fs API
+ * @param {string|null} options.token - Bearer token sent with every request
+ * @param {OfflineStore|null} options.offline - Cache reads and queue writes
+ *   while the server is unreachable (see createOfflineStore in ./offline.js)
+ * @param {Object|null} options.backend - Answer requests in the browser
+ *   instead of a server (see createOpfsBackend in ./opfs.js)
+ * @param {Object|boolean|null} options.cache - Cache readFile, stat, lstat
+ *   and readdir results: `{ ttl, maxEntries }`, true for the defaults, null
+ *   to stop caching
  * @returns {Object} - Configured fs module
  */
 export function configure(options = {}) {
@@ -19,64 +60,678 @@ export function configure(options = {}) {
       API_BASE = API_BASE.slice(0, -1);
     }
   }
+
+  if (options.token !== undefined) {
+    TOKEN = options.token;
+  }
+
+  if (options.offline !== undefined) {
+    OFFLINE = options.offline;
+  }
+
+  if (options.backend !== undefined) {
+    BACKEND = options.backend;
+  }
+
+  if (options.cache !== undefined) {
+    CACHE = options.cache ? createCache(options.cache === true ? {} : options.cache) : null;
+  } else if (CACHE) {
+    // Another server, token or backend may answer differently
+    invalidate(CACHE, null);
+  }
   
   return {
+    constants,
+    Stats,
+    Dirent,
+    Dir,
     readFile,
+    read,
     writeFile,
     appendFile,
+    uploadFile,
     copyFile,
+    cp,
+    createReadStream,
+    createWriteStream,
     readdir,
+    tree,
+    archive,
+    extract,
+    glob,
+    grep,
     mkdir,
     rmdir,
     rm,
     rename,
     unlink,
+    listTrash,
+    restore,
+    emptyTrash,
     stat,
     lstat,
     realpath,
     readlink,
+    access,
+    chmod,
+    utimes,
+    truncate,
+    symlink,
+    link,
+    mkdtemp,
+    opendir,
     exists,
+    usage,
+    batch,
+    open,
+    watch,
+    watchFile,
+    unwatchFile,
+    clearCache,
     configure
   };
 }
 
+/**
+ * fetch() with the configured bearer token attached, through the read cache
+ * and the offline store when they are configured
+ * @param {string} url - Request URL
+ * @param {RequestInit} init - fetch options
+ * @returns {Promise<Response>}
+ */
+function request(url, init = {}) {
+  return CACHE ? cachedRequest(CACHE, url, init) : forward(url, init);
+}
+
+/**
+ * fetch() with the configured bearer token attached, through the offline
+ * store when one is configured
+ * @param {string} url - Request URL
+ * @param {RequestInit} init - fetch options
+ * @returns {Promise<Response>}
+ */
+function forward(url, init = {}) {
+  return OFFLINE ? OFFLINE.handle(url, init, send) : send(url, init);
+}
+
+/**
+ * fetch() with the configured bearer token attached, or the configured
+ * backend's answer
+ * @param {string} url - Request URL
+ * @param {RequestInit} init - fetch options
+ * @returns {Promise<Response>}
+ */
+function send(url, init = {}) {
+  const { onUploadProgress, ...options } = init;
+  if (BACKEND) {
+    options.signal?.throwIfAborted();
+    return BACKEND.handle(url, options);
+  }
+
+  if (TOKEN) {
+    options.headers = new Headers(options.headers);
+    options.headers.set('Authorization', `Bearer ${TOKEN}`);
+  }
+
+  // fetch() cannot report upload progress, XMLHttpRequest can
+  if (onUploadProgress && typeof XMLHttpRequest === 'function') {
+    return sendWithXhr(url, options, onUploadProgress);
+  }
+  return fetch(url, options);
+}
+
+/**
+ * fetch() on XMLHttpRequest, for its upload progress events
+ * @param {string} url - Request URL
+ * @param {RequestInit} init - fetch options (method, headers, body, signal)
+ * @param {Function} onUploadProgress - `({ loaded, total }) => void`
+ * @returns {Promise<Response>}
+ */
+function sendWithXhr(url, init, onUploadProgress) {
+  const { signal } = init;
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    const abort = () => xhr.abort();
+    xhr.open(init.method || 'GET', url);
+    xhr.responseType = 'arraybuffer';
+    new Headers(init.headers).forEach((value, name) => xhr.setRequestHeader(name, value));
+
+    xhr.upload.onprogress = event => onUploadProgress({ loaded: event.loaded });
+    xhr.onload = () => {
+      const headers = new Headers();
+      for (const line of xhr.getAllResponseHeaders().trim().split(/[\r\n]+/)) {
+        const colon = line.indexOf(':');
+        if (colon > 0) {
+          headers.append(line.slice(0, colon), line.slice(colon + 1).trim());
+        }
+      }
+      // Statuses without a body cannot be given one
+      const body = [204, 205, 304].includes(xhr.status) ? null : xhr.response;
+      resolve(new Response(body, { status: xhr.status, statusText: xhr.statusText, headers }));
+    };
+    xhr.onerror = () => reject(new TypeError('Failed to fetch'));
+    xhr.onabort = () => reject(signal?.reason ?? new DOMException('The request was aborted', 'AbortError'));
+    xhr.onloadend = () => signal?.removeEventListener('abort', abort);
+    signal?.addEventListener('abort', abort);
+    xhr.send(init.body ?? null);
+  });
+}
+
+/**
+ * Upload progress of a request body, reported to an onProgress option
+ * finish() reports completion when the transport sent no final event:
+ * without XMLHttpRequest, through a backend or into the offline journal.
+ * @param {Blob|string} body - Request body
+ * @param {Function} onProgress - `({ loaded, total }) => void`, or undefined
+ * @returns {{update: Function|undefined, finish: Function}}
+ */
+function trackUpload(body, onProgress) {
+  if (!onProgress) {
+    return { update: undefined, finish() {} };
+  }
+
+  const total = body instanceof Blob ? body.size : new Blob([body]).size;
+  let loaded = -1;
+  return {
+    update(progress) {
+      loaded = Math.min(progress.loaded, total);
+      onProgress({ loaded, total });
+    },
+    finish() {
+      if (loaded < total) {
+        onProgress({ loaded: total, total });
+      }
+    }
+  };
+}
+
+/**
+ * Read a response body, reporting progress as the bytes arrive
+ * @param {Response} response - Response to read
+ * @param {Function} onProgress - `({ loaded, total }) => void`, or undefined;
+ *   total is undefined when the server sent no Content-Length
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function readBody(response, onProgress) {
+  if (!onProgress || !response.body) {
+    return response.arrayBuffer();
+  }
+
+  const length = response.headers.get('Content-Length');
+  const total = length === null ? undefined : Number(length);
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  onProgress({ loaded, total });
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress({ loaded, total });
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return bytes.buffer;
+}
+
+/**
+ * Empty read cache
+ * @param {Object} options - Options
+ * @param {number} options.ttl - Serve cached results this long without
+ *   asking the server, in ms (default: 1000); older ones are revalidated
+ * @param {number} options.maxEntries - Most results kept (default: 1000)
+ * @returns {Object}
+ */
+function createCache({ ttl = 1000, maxEntries = 1000 } = {}) {
+  return { ttl, maxEntries, entries: new Map(), pending: new Map() };
+}
+
+/**
+ * Normalize a client path the way the server resolves it ('./a//b' -> 'a/b')
+ * @param {string} path - Client path
+ * @returns {string}
+ */
+function normalizePath(path) {
+  const parts = [];
+  for (const part of String(path).split('/')) {
+    if (part === '..') {
+      parts.pop();
+    } else if (part && part !== '.') {
+      parts.push(part);
+    }
+  }
+  return parts.join('/') || '.';
+}
+
+/**
+ * Whether a change to one path can change what a read of the other returned:
+ * the same path, or one inside the other
+ * @param {string} a - Normalized path
+ * @param {string} b - Normalized path
+ * @returns {boolean}
+ */
+function pathsOverlap(a, b) {
+  return a === b || a === '.' || b === '.' || a.startsWith(`${b}/`) || b.startsWith(`${a}/`);
+}
+
+/**
+ * Drop cached and in-flight reads of the given paths
+ * @param {Object} cache - Read cache
+ * @param {string[]|null} paths - Normalized paths, null for everything
+ */
+function invalidate(cache, paths) {
+  for (const map of [cache.entries, cache.pending]) {
+    for (const [url, entry] of map) {
+      if (!paths || paths.some(path => pathsOverlap(entry.path, path))) {
+        map.delete(url);
+      }
+    }
+  }
+}
+
+/**
+ * Paths a write request touches, from its query and JSON body
+ * @param {URLSearchParams} params - Query parameters
+ * @param {*} body - Request body
+ * @returns {string[]|null} - Normalized paths, null when unknown (file
+ *   handle writes carry only a descriptor)
+ */
+function writtenPaths(params, body) {
+  const paths = params.has('path') ? [params.get('path')] : [];
+  if (typeof body === 'string') {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(body);
+    } catch {
+      // Not JSON, so no paths in it
+    }
+    for (const fields of [parsed, ...(Array.isArray(parsed?.ops) ? parsed.ops : [])]) {
+      for (const field of PATH_FIELDS) {
+        if (typeof fields?.[field] === 'string') {
+          paths.push(fields[field]);
+        }
+      }
+    }
+  }
+  return paths.length ? paths.map(normalizePath) : null;
+}
+
+/**
+ * Answer a request through the read cache
+ * Identical reads in flight share one fetch; results are served from the
+ * cache for `ttl` ms, then revalidated with If-None-Match/If-Modified-Since.
+ * Writes drop the cached results of the paths they touch, of the directories
+ * above them and of everything inside them.
+ * @param {Object} cache - Read cache
+ * @param {string} url - Request URL
+ * @param {RequestInit} init - fetch options
+ * @returns {Promise<Response>}
+ */
+async function cachedRequest(cache, url, init) {
+  const [base, query = ''] = url.split('?');
+  const slash = base.lastIndexOf('/');
+  const params = new URLSearchParams(query);
+  const method = (init.method || 'GET').toUpperCase();
+
+  if (method !== 'GET') {
+    // Before and after, so reads that overlap the write are not kept either
+    const paths = writtenPaths(params, init.body);
+    invalidate(cache, paths);
+    try {
+      return await forward(url, init);
+    } finally {
+      invalidate(cache, paths);
+    }
+  }
+
+  // File handle routes (handle/stat, ...) and byte ranges are not cached
+  const cacheable = CACHED_ROUTES.includes(`GET ${base.slice(slash + 1)}`) &&
+    !base.slice(0, slash).endsWith('/handle') &&
+    !new Headers(init.headers).has('Range') &&
+    !init.signal;
+  if (!cacheable) {
+    return forward(url, init);
+  }
+
+  const entry = await cachedRead(cache, url, init, normalizePath(params.get('path') || '.'));
+  return new Response(entry.status === 304 ? null : entry.body, {
+    status: entry.status,
+    headers: entry.headers
+  });
+}
+
+/**
+ * Cached result of a read, fetched or revalidated when missing or stale
+ * @param {Object} cache - Read cache
+ * @param {string} url - Request URL
+ * @param {RequestInit} init - fetch options
+ * @param {string} path - Normalized path read
+ * @returns {Promise<Object>} - `{ path, status, headers, body, etag, lastModified, time }`
+ */
+function cachedRead(cache, url, init, path) {
+  const cached = cache.entries.get(url);
+  if (cached && Date.now() - cached.time < cache.ttl) {
+    // Most recently used last, so eviction drops the least recently used
+    cache.entries.delete(url);
+    cache.entries.set(url, cached);
+    return Promise.resolve(cached);
+  }
+
+  const inFlight = cache.pending.get(url);
+  if (inFlight) {
+    return inFlight.promise;
+  }
+
+  const pending = { path, promise: null };
+  pending.promise = fetchEntry(url, init, path, cached).then(
+    entry => {
+      // Only keep it if no write touched the path in the meantime
+      if (cache.pending.get(url) === pending) {
+        cache.pending.delete(url);
+        cache.entries.delete(url);
+        if (entry.status === 200 || entry.status === 404) {
+          cache.entries.set(url, entry);
+          for (const key of cache.entries.keys()) {
+            if (cache.entries.size <= cache.maxEntries) break;
+            cache.entries.delete(key);
+          }
+        }
+      }
+      return entry;
+    },
+    err => {
+      if (cache.pending.get(url) === pending) {
+        cache.pending.delete(url);
+      }
+      throw err;
+    }
+  );
+  cache.pending.set(url, pending);
+  return pending.promise;
+}
+
+/**
+ * Fetch a read, conditionally when there is a stale copy to revalidate
+ * @param {string} url - Request URL
+ * @param {RequestInit} init - fetch options
+ * @param {string} path - Normalized path read
+ * @param {Object|undefined} cached - Stale cache entry
+ * @returns {Promise<Object>} - Cache entry
+ */
+async function fetchEntry(url, init, path, cached) {
+  const headers = new Headers(init.headers);
+  if (cached?.etag) {
+    headers.set('If-None-Match', cached.etag);
+  } else if (cached?.lastModified) {
+    headers.set('If-Modified-Since', cached.lastModified);
+  }
+
+  const response = await forward(url, { ...init, headers });
+  if (response.status === 304 && cached) {
+    return { ...cached, time: Date.now() };
+  }
+  return {
+    path,
+    status: response.status,
+    headers: [...response.headers],
+    body: await response.arrayBuffer(),
+    etag: response.headers.get('ETag'),
+    lastModified: response.headers.get('Last-Modified'),
+    time: Date.now()
+  };
+}
+
+/**
+ * Drop everything the read cache holds, e.g. after changes made by others
+ * @returns {void}
+ */
+export function clearCache() {
+  if (CACHE) {
+    invalidate(CACHE, null);
+  }
+}
+
+/**
+ * Rebuild a Node-style error from a failed API response
+ * @param {Response} response - Failed fetch response
+ * @param {string} fallbackMessage - Message used when the server sent none
+ * @returns {Promise<Error>} - Error carrying code, errno, syscall and path
+ */
+async function toFsError(response, fallbackMessage) {
+  let details = {};
+  try {
+    const body = await response.json();
+    details = typeof body.error === 'object' && body.error !== null
+      ? body.error
+      : { message: body.error };
+  } catch {
+    // Non-JSON error body, keep the fallback message
+  }
+
+  return createError(details, fallbackMessage, response.status);
+}
+
+/**
+ * Build a Node-style error from a serialized server error
+ * @param {Object} details - Error fields sent by the server
+ * @param {string} fallbackMessage - Message used when the server sent none
+ * @param {number} status - HTTP status (default: details.status)
+ * @returns {Error}
+ */
+function createError(details, fallbackMessage, status = details.status) {
+  const error = new Error(details.message || fallbackMessage);
+  for (const key of ['code', 'errno', 'syscall', 'path', 'dest', 'index']) {
+    if (details[key] !== undefined) {
+      error[key] = details[key];
+    }
+  }
+  error.status = status;
+  return error;
+}
+
+/**
+ * Type checks shared by Stats and Dirent
+ * The server sends the type as a string ('file', 'directory', 'symlink', ...).
+ */
+class FileTypeChecks {
+  constructor(type = 'unknown') {
+    this[TYPE] = type;
+  }
+
+  isFile() {
+    return this[TYPE] === 'file';
+  }
+
+  isDirectory() {
+    return this[TYPE] === 'directory';
+  }
+
+  isSymbolicLink() {
+    return this[TYPE] === 'symlink';
+  }
+
+  isBlockDevice() {
+    return this[TYPE] === 'block-device';
+  }
+
+  isCharacterDevice() {
+    return this[TYPE] === 'character-device';
+  }
+
+  isFIFO() {
+    return this[TYPE] === 'fifo';
+  }
+
+  isSocket() {
+    return this[TYPE] === 'socket';
+  }
+}
+
+/**
+ * File stats, like Node's fs.Stats
+ * Built without data it describes a missing file: zero everywhere, dates at
+ * the epoch, which is what watchFile reports before a file exists.
+ */
+export class Stats extends FileTypeChecks {
+  /**
+   * @param {Object} data - Stats as sent by the server
+   */
+  constructor(data = {}) {
+    super(data.type);
+    for (const field of STATS_FIELDS) {
+      this[field] = data[field] ?? 0;
+    }
+    this.atime = new Date(this.atimeMs);
+    this.mtime = new Date(this.mtimeMs);
+    this.ctime = new Date(this.ctimeMs);
+    this.birthtime = new Date(this.birthtimeMs);
+    if (data.etag !== undefined) {
+      this.etag = data.etag;
+    }
+  }
+}
+
+/**
+ * Directory entry, like Node's fs.Dirent
+ */
+export class Dirent extends FileTypeChecks {
+  /**
+   * @param {string} name - Entry name
+   * @param {string} parentPath - Directory the entry was listed in
+   * @param {string} type - File type as sent by the server
+   */
+  constructor(name, parentPath, type) {
+    super(type);
+    this.name = name;
+    this.parentPath = parentPath;
+  }
+
+  /**
+   * Alias of parentPath, deprecated in Node
+   */
+  get path() {
+    return this.parentPath;
+  }
+}
+
+/**
+ * Rebuild Stats objects throughout a tree() result
+ * @param {Object} node - Node as sent by the server
+ * @returns {TreeNode}
+ */
+function toTreeNode(node) {
+  const result = { ...node };
+  if (node.stats) {
+    result.stats = new Stats(node.stats);
+  }
+  if (node.children) {
+    result.children = node.children.map(toTreeNode);
+  }
+  return result;
+}
+
 /**
  * Read file contents
  * @param {string} path - File path
  * @param {string|Object} options - Encoding string or options object
+ * @param {Function} options.onProgress - `({ loaded, total }) => void`, called
+ *   as the contents arrive
+ * @param {AbortSignal} options.signal - Cancel the download
  * @returns {Promise<string|Buffer>}
  */
 export async function readFile(path, options = '') {
   const encoding = typeof options === 'string' ? options : options?.encoding || '';
-  const response = await fetch(`${API_BASE}/readFile?path=${encodeURIComponent(path)}&encoding=${encoding}`);
+  const { onProgress, signal } = typeof options === 'object' ? options || {} : {};
+  const response = await request(`${API_BASE}/readFile?path=${encodeURIComponent(path)}&encoding=${encoding}`, { signal });
   
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Failed to read file');
+    throw await toFsError(response, 'Failed to read file');
   }
   
   const contentType = response.headers.get("content-type");
 
     if (contentType?.includes("text/plain")) {
-        const data = await response.text();
+        const data = new TextDecoder().decode(await readBody(response, onProgress));
         return data;
     } else {
-        const buffer = await response.arrayBuffer();
+        const buffer = await readBody(response, onProgress);
         return buffer;
     }
 
     return response;
 }
 
+/**
+ * Read a byte window of a file using an HTTP Range request
+ * @param {string} path - File path
+ * @param {Object} options - Options
+ * @param {number} options.position - First byte to read (default: 0)
+ * @param {number} options.length - Number of bytes to read (default: to end of file)
+ * @param {Function} options.onProgress - `({ loaded, total }) => void`, called
+ *   as the bytes arrive
+ * @param {AbortSignal} options.signal - Cancel the download
+ * @returns {Promise<{bytesRead: number, buffer: Uint8Array}>}
+ */
+export async function read(path, options = {}) {
+  const position = options.position || 0;
+  const { length } = options;
+  if (length === 0) {
+    return { bytesRead: 0, buffer: new Uint8Array(0) };
+  }
+
+  const range = length === undefined
+    ? `bytes=${position}-`
+    : `bytes=${position}-${position + length - 1}`;
+  const response = await request(`${API_BASE}/readFile?path=${encodeURIComponent(path)}`, {
+    headers: { Range: range },
+    signal: options.signal
+  });
+
+  // Reading past the end of the file is not an error, just nothing to read
+  if (response.status === 416) {
+    return { bytesRead: 0, buffer: new Uint8Array(0) };
+  }
+
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to read file');
+  }
+
+  let buffer = new Uint8Array(await readBody(response, options.onProgress));
+  // Servers that ignore Range send the whole file
+  if (response.status === 200) {
+    buffer = buffer.subarray(position, length === undefined ? undefined : position + length);
+  }
+  return { bytesRead: buffer.byteLength, buffer };
+}
+
 /**
  * Write data to file
+ * The server writes through a temp file, so the file is never half-written.
  * @param {string} path - File path
  * @param {string|Buffer|Blob} data - Data to write
  * @param {string|Object} options - Encoding string or options object
- * @returns {Promise<void>}
+ * @param {string} options.ifMatch - Only write if the file still has this etag
+ *   (from stat() or an earlier write), otherwise fail with code 'ECONFLICT' (412)
+ * @param {Function} options.onProgress - `({ loaded, total }) => void`, called
+ *   as the data is uploaded
+ * @param {AbortSignal} options.signal - Cancel the upload; the file is left
+ *   as it was
+ * @returns {Promise<{etag: string}>} - Etag of the written file
  */
 export async function writeFile(path, data, options = 'utf8') {
   const encoding = typeof options === 'string' ? options : options?.encoding || 'utf8';
+  const { ifMatch, onProgress, signal } = typeof options === 'object' ? options || {} : {};
   
   let body;
   let contentType;
@@ -110,16 +765,27 @@ export async function writeFile(path, data, options = 'utf8') {
     throw new Error('Unsupported data type');
   }
   
-  const response = await fetch(`${API_BASE}/writeFile?path=${encodeURIComponent(path)}`, {
+  const headers = { 'Content-Type': contentType };
+  if (ifMatch) {
+    headers['If-Match'] = ifMatch;
+  }
+
+  const progress = trackUpload(body, onProgress);
+  const response = await request(`${API_BASE}/writeFile?path=${encodeURIComponent(path)}`, {
     method: 'POST',
-    headers: { 'Content-Type': contentType },
-    body
+    headers,
+    body,
+    signal,
+    onUploadProgress: progress.update
   });
   
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Failed to write file');
+    throw await toFsError(response, 'Failed to write file');
   }
+  progress.finish();
+
+  const { etag } = await response.json();
+  return { etag };
 }
 
 /**
@@ -127,10 +793,14 @@ export async function writeFile(path, data, options = 'utf8') {
  * @param {string} path - File path
  * @param {string|Buffer|Blob} data - Data to append
  * @param {string|Object} options - Encoding string or options object
+ * @param {Function} options.onProgress - `({ loaded, total }) => void`, called
+ *   as the data is uploaded
+ * @param {AbortSignal} options.signal - Cancel the upload; nothing is appended
  * @returns {Promise<void>}
  */
 export async function appendFile(path, data, options = 'utf8') {
   const encoding = typeof options === 'string' ? options : options?.encoding || 'utf8';
+  const { onProgress, signal } = typeof options === 'object' ? options || {} : {};
   
   let body;
   let contentType;
@@ -159,200 +829,769 @@ export async function appendFile(path, data, options = 'utf8') {
     throw new Error('Unsupported data type');
   }
   
-  const response = await fetch(`${API_BASE}/appendFile?path=${encodeURIComponent(path)}`, {
+  const progress = trackUpload(body, onProgress);
+  const response = await request(`${API_BASE}/appendFile?path=${encodeURIComponent(path)}`, {
     method: 'POST',
     headers: { 'Content-Type': contentType },
-    body
+    body,
+    signal,
+    onUploadProgress: progress.update
   });
   
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Failed to append file');
+    throw await toFsError(response, 'Failed to append file');
   }
+  progress.finish();
 }
 
 /**
- * Copy file
- * @param {string} src - Source path
- * @param {string} dest - Destination path
- * @param {number} flags - Copy flags
- * @returns {Promise<void>}
+ * Upload a file in chunks, resuming after dropped connections
+ * Each chunk is a request of its own. After a network error the upload picks
+ * up from the last chunk the server kept, and the file is only replaced once
+ * every chunk has arrived. Through a backend there is no connection to drop,
+ * so the file is written with writeFile().
+ * @param {string} path - File path
+ * @param {Blob|ArrayBuffer|Uint8Array|string} data - File contents
+ * @param {Object} options - Options
+ * @param {number} options.chunkSize - Bytes per request (default: 8 MiB)
+ * @param {number} options.retries - Network errors in a row to retry before
+ *   giving up (default: 5)
+ * @param {string} options.ifMatch - Only replace the file if its etag still
+ *   matches once the upload completes
+ * @param {Function} options.onProgress - `({ loaded, total }) => void`, called
+ *   as the data is uploaded
+ * @param {AbortSignal} options.signal - Cancel the upload; the file is left
+ *   as it was
+ * @returns {Promise<{etag: string}>} - Etag of the written file
  */
-export async function copyFile(src, dest, flags = 0) {
-  const response = await fetch(`${API_BASE}/copyFile`, {
+export async function uploadFile(path, data, options = {}) {
+  const { chunkSize = 8 * 1024 * 1024, retries = 5, ifMatch, onProgress, signal } = options;
+  if (!Number.isSafeInteger(chunkSize) || chunkSize < 1) {
+    throw new RangeError('chunkSize must be a positive integer');
+  }
+  const blob = data instanceof Blob ? data : new Blob([data]);
+  if (BACKEND) {
+    return writeFile(path, blob, { ifMatch, onProgress, signal });
+  }
+
+  const started = await request(`${API_BASE}/uploads`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ src, dest, flags })
+    body: JSON.stringify({ path, size: blob.size }),
+    signal
   });
-  
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Failed to copy file');
+  if (!started.ok) {
+    throw await toFsError(started, 'Failed to start upload');
+  }
+  const url = `${API_BASE}/uploads/${(await started.json()).id}`;
+
+  try {
+    // null while the server's offset is unknown, after a failed chunk
+    let offset = 0;
+    let failures = 0;
+    onProgress?.({ loaded: 0, total: blob.size });
+    while (offset === null || offset < blob.size) {
+      try {
+        if (offset === null) {
+          offset = await uploadOffset(url, signal);
+          continue;
+        }
+        offset = await uploadChunk(url, blob.slice(offset, offset + chunkSize), offset, {
+          signal,
+          onProgress: onProgress && (loaded => onProgress({ loaded, total: blob.size }))
+        });
+        failures = 0;
+        onProgress?.({ loaded: offset, total: blob.size });
+      } catch (err) {
+        // Network errors, and chunks the server already had (409), resume
+        const resumable = err instanceof TypeError || err.status === 409;
+        if (!resumable || signal?.aborted || ++failures > retries) {
+          throw err;
+        }
+        offset = null;
+        await wait(Math.min(500 * 2 ** failures, 30000), signal);
+      }
+    }
+
+    const response = await request(url, {
+      method: 'POST',
+      headers: ifMatch ? { 'If-Match': ifMatch } : {},
+      signal
+    });
+    if (!response.ok) {
+      throw await toFsError(response, 'Failed to upload file');
+    }
+    const { etag } = await response.json();
+    return { etag };
+  } catch (err) {
+    // Best effort: sessions the server does not hear about expire anyway
+    request(url, { method: 'DELETE' }).catch(() => {});
+    throw err;
   }
 }
 
 /**
- * Read directory contents
- * @param {string} path - Directory path
- * @param {Object} options - Options
- * @returns {Promise<string[]|Dirent[]>}
+ * Send one chunk of a resumable upload
+ * @param {string} url - Upload session URL
+ * @param {Blob} chunk - Chunk data
+ * @param {number} offset - Where the chunk starts in the file
+ * @param {Object} options - `signal`, and `onProgress(loaded)` with the bytes
+ *   of the file sent so far
+ * @returns {Promise<number>} - Offset the upload stands at after the chunk
  */
-export async function readdir(path, options = {}) {
-  const withFileTypes = options.withFileTypes || false;
-  const response = await fetch(`${API_BASE}/readdir?path=${encodeURIComponent(path)}&withFileTypes=${withFileTypes}`);
-  
+async function uploadChunk(url, chunk, offset, { signal, onProgress }) {
+  const response = await request(`${url}?offset=${offset}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body: chunk,
+    signal,
+    onUploadProgress: onProgress && (({ loaded }) => onProgress(offset + Math.min(loaded, chunk.size)))
+  });
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Failed to read directory');
+    throw await toFsError(response, 'Failed to upload chunk');
   }
-  
-  const { files } = await response.json();
-  return files;
+  return (await response.json()).offset;
 }
 
 /**
- * Create directory
- * @param {string} path - Directory path
- * @param {Object} options - Options
- * @returns {Promise<void>}
+ * Offset a resumable upload stands at on the server
+ * @param {string} url - Upload session URL
+ * @param {AbortSignal} signal - Cancel the request
+ * @returns {Promise<number>}
  */
-export async function mkdir(path, options = {}) {
-  const recursive = options.recursive !== undefined ? options.recursive : true;
-  const response = await fetch(`${API_BASE}/mkdir`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ path, recursive })
-  });
-  
+async function uploadOffset(url, signal) {
+  const response = await request(url, { method: 'HEAD', signal });
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Failed to create directory');
+    // HEAD responses carry no error body
+    throw createError(
+      { code: response.status === 404 ? 'ENOENT' : undefined },
+      'Failed to resume upload',
+      response.status
+    );
   }
+  return Number(response.headers.get('Upload-Offset'));
 }
 
 /**
- * Remove directory
- * @param {string} path - Directory path
- * @param {Object} options - Options
+ * Wait before retrying a request
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} signal - Reject early with the signal's reason
  * @returns {Promise<void>}
  */
-export async function rmdir(path, options = {}) {
-  const recursive = options.recursive || false;
-  const response = await fetch(`${API_BASE}/rmdir`, {
-    method: 'DELETE',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ path, recursive })
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', abort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', abort, { once: true });
   });
-  
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Failed to remove directory');
-  }
 }
 
 /**
- * Remove file or directory
- * @param {string} path - Path to remove
+ * Copy file
+ * @param {string} src - Source path
+ * @param {string} dest - Destination path
+ * @param {number} flags - Copy flags
  * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
  * @returns {Promise<void>}
  */
-export async function rm(path, options = {}) {
-  const recursive = options.recursive || false;
-  const force = options.force || false;
-  const response = await fetch(`${API_BASE}/rm`, {
-    method: 'DELETE',
+export async function copyFile(src, dest, flags = 0, options = {}) {
+  const response = await request(`${API_BASE}/copyFile`, {
+    method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ path, recursive, force })
+    body: JSON.stringify({ src, dest, flags }),
+    signal: options.signal
   });
   
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Failed to remove');
+    throw await toFsError(response, 'Failed to copy file');
   }
 }
 
 /**
- * Rename or move file/directory
- * @param {string} oldPath - Old path
+ * Copy a file or directory
+ * @param {string} src - Source path
+ * @param {string} dest - Destination path
+ * @param {Object} options - Options
+ * @param {boolean} options.recursive - Copy directories (default: false)
+ * @param {boolean} options.force - Overwrite existing files (default: true)
+ * @param {boolean} options.errorOnExist - Fail if a file exists and force is false
+ * @param {Function} options.filter - `(src, dest) => boolean | Promise<boolean>`,
+ *   return false to skip a path (and everything below a skipped directory)
+ * @param {AbortSignal} options.signal - Cancel the request
+ * @returns {Promise<void>}
+ */
+export async function cp(src, dest, options = {}) {
+  const { recursive = false, force = true, errorOnExist = false, filter } = options;
+
+  // Functions cannot travel to the server: list the tree, run the filter
+  // here and send the rejected paths
+  const exclude = [];
+  if (filter) {
+    if (!(await filter(src, dest))) {
+      return;
+    }
+    if (recursive && (await stat(src, options)).isDirectory()) {
+      const base = src.replace(/\/+$/, '');
+      const target = dest.replace(/\/+$/, '');
+      for (const entry of await readdir(src, { recursive: true, signal: options.signal })) {
+        if (exclude.some(skipped => entry.startsWith(`${skipped}/`))) {
+          continue;
+        }
+        if (!(await filter(`${base}/${entry}`, `${target}/${entry}`))) {
+          exclude.push(entry);
+        }
+      }
+    }
+  }
+
+  const response = await request(`${API_BASE}/cp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ src, dest, recursive, force, errorOnExist, exclude }),
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to copy');
+  }
+}
+
+/**
+ * Create a readable stream of file contents
+ * @param {string} path - File path
+ * @param {Object} options - Options
+ * @param {number} options.start - First byte to read (default: 0)
+ * @param {number} options.end - Last byte to read, inclusive (default: end of file)
+ * @param {AbortSignal} options.signal - Cancel the download
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function createReadStream(path, options = {}) {
+  const params = new URLSearchParams({ path });
+  if (options.start !== undefined) params.set('start', options.start);
+  if (options.end !== undefined) params.set('end', options.end);
+
+  let reader;
+  return new ReadableStream({
+    async start() {
+      const response = await request(`${API_BASE}/createReadStream?${params}`, {
+        signal: options.signal
+      });
+
+      if (!response.ok) {
+        throw await toFsError(response, 'Failed to open read stream');
+      }
+
+      reader = response.body.getReader();
+    },
+    async pull(controller) {
+      const { done, value } = await reader.read();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    cancel(reason) {
+      return reader?.cancel(reason);
+    }
+  });
+}
+
+/**
+ * Create a writable stream to a file
+ * Chunks are buffered up to `highWaterMark` bytes and sent in order,
+ * so memory stays bounded no matter how large the file is.
+ * @param {string} path - File path
+ * @param {Object} options - Options
+ * @param {string} options.flags - 'w' to truncate, 'a' to append, 'r+' to overwrite in place (default: 'w')
+ * @param {number} options.start - Byte offset to start writing at
+ * @param {number} options.highWaterMark - Bytes buffered before each upload (default: 1 MiB)
+ * @param {AbortSignal} options.signal - Cancel the upload in progress and
+ *   error the stream
+ * @returns {WritableStream<string|ArrayBuffer|ArrayBufferView|Blob>}
+ */
+export function createWriteStream(path, options = {}) {
+  const append = (options.flags || 'w').startsWith('a');
+  const highWaterMark = options.highWaterMark || 1024 * 1024;
+  let flags = options.flags || 'w';
+  let position = options.start;
+  let parts = [];
+  let size = 0;
+  let opened = false;
+
+  const flush = async () => {
+    const body = new Blob(parts, { type: 'application/octet-stream' });
+    parts = [];
+    size = 0;
+
+    const params = new URLSearchParams({ path, flags });
+    if (!append && position !== undefined) params.set('start', position);
+
+    const response = await request(`${API_BASE}/createWriteStream?${params}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body,
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      throw await toFsError(response, 'Failed to write stream');
+    }
+
+    // Later chunks continue where this one ended instead of truncating again
+    opened = true;
+    if (!append) {
+      flags = 'r+';
+      position = (position || 0) + body.size;
+    }
+  };
+
+  return new WritableStream({
+    async write(chunk) {
+      const part = chunk instanceof Blob ? chunk : new Blob([chunk]);
+      parts.push(part);
+      size += part.size;
+      if (size >= highWaterMark) {
+        await flush();
+      }
+    },
+    async close() {
+      if (size > 0 || !opened) {
+        await flush();
+      }
+    }
+  });
+}
+
+/**
+ * Read directory contents
+ * @param {string} path - Directory path
+ * @param {Object} options - Options
+ * @param {boolean} options.withFileTypes - Return Dirent objects
+ * @param {boolean} options.recursive - Also list subdirectories, as paths
+ *   relative to `path` (symlinks are not followed)
+ * @param {AbortSignal} options.signal - Cancel the request
+ * @returns {Promise<string[]|Dirent[]>}
+ */
+export async function readdir(path, options = {}) {
+  const withFileTypes = options.withFileTypes || false;
+  const recursive = options.recursive || false;
+  const response = await request(`${API_BASE}/readdir?path=${encodeURIComponent(path)}&withFileTypes=${withFileTypes}&recursive=${recursive}`, { signal: options.signal });
+  
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to read directory');
+  }
+  
+  const { files } = await response.json();
+  return withFileTypes
+    ? files.map(file => new Dirent(file.name, file.parentPath, file.type))
+    : files;
+}
+
+/**
+ * List a directory tree with stats in one request
+ * Directories have `children`, except those at the depth limit. The root
+ * gets `truncated: true` when the server stopped at its entry limit.
+ * @param {string} path - Directory path (default: '.')
+ * @param {Object} options - Options
+ * @param {number} options.depth - Levels to list, 1 for direct children only
+ *   (default: unlimited)
+ * @param {AbortSignal} options.signal - Cancel the request
+ * @returns {Promise<TreeNode>} - `{ name, path, stats, children? }`
+ */
+export async function tree(path = '.', options = {}) {
+  const params = new URLSearchParams({ path });
+  if (options.depth !== undefined) params.set('depth', options.depth);
+
+  const response = await request(`${API_BASE}/tree?${params}`, { signal: options.signal });
+
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to list directory tree');
+  }
+
+  const { tree: root } = await response.json();
+  return toTreeNode(root);
+}
+
+/**
+ * Download a directory as a zip or tar archive
+ * Entries hidden by access rules are left out.
+ * @param {string} path - Directory path (default: '.')
+ * @param {Object} options - Options
+ * @param {string} options.format - 'zip' (default), 'tar' or 'tar.gz'
+ * @param {Function} options.onProgress - `({ loaded }) => void`, called as
+ *   the archive arrives (its size is not known up front)
+ * @param {AbortSignal} options.signal - Cancel the download
+ * @returns {Promise<Blob>}
+ */
+export async function archive(path = '.', options = {}) {
+  const { format = 'zip', onProgress, signal } = options;
+  const params = new URLSearchParams({ path, format });
+  const response = await request(`${API_BASE}/archive?${params}`, { signal });
+
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to archive directory');
+  }
+
+  const type = response.headers.get('Content-Type') || 'application/octet-stream';
+  return new Blob([await readBody(response, onProgress)], { type });
+}
+
+/**
+ * Unpack a zip or tar archive (gzipped or not) into a directory
+ * Existing files are overwritten. Archives with entries or symlinks that
+ * lead outside the directory are rejected before anything is written.
+ * @param {string} path - Directory to unpack into, which must exist
+ * @param {Blob|ArrayBuffer|Uint8Array} data - Archive
+ * @param {Object} options - Options
+ * @param {Function} options.onProgress - `({ loaded, total }) => void`, called
+ *   as the archive is uploaded
+ * @param {AbortSignal} options.signal - Cancel the upload
+ * @returns {Promise<{entries: number}>} - Number of entries unpacked
+ */
+export async function extract(path, data, options = {}) {
+  const { onProgress, signal } = options;
+  const body = data instanceof Blob ? data : new Blob([data]);
+  const progress = trackUpload(body, onProgress);
+  const response = await request(`${API_BASE}/extract?path=${encodeURIComponent(path)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body,
+    signal,
+    onUploadProgress: progress.update
+  });
+
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to extract archive');
+  }
+  progress.finish();
+
+  const { entries } = await response.json();
+  return { entries };
+}
+
+/**
+ * Parse a newline-delimited JSON response as it arrives
+ * Cancels the response when the consumer stops early.
+ * @param {Response} response - Streaming response
+ * @yields {Object}
+ */
+async function* readJsonLines(response) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffered = '';
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffered += value;
+
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      for (const line of lines) {
+        if (line) yield JSON.parse(line);
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Read the results of a glob/grep request
+ * @param {string} url - Request URL
+ * @param {AbortSignal} signal - Optional abort signal
+ * @param {string} fallbackMessage - Error message used when the server sent none
+ * @yields {Object}
+ */
+async function* search(url, signal, fallbackMessage) {
+  const response = await request(url, { signal });
+
+  if (!response.ok) {
+    throw await toFsError(response, fallbackMessage);
+  }
+
+  for await (const result of readJsonLines(response)) {
+    if (result.error) {
+      throw createError(result.error, fallbackMessage);
+    }
+    if (result.done) return;
+    yield result;
+  }
+}
+
+/**
+ * Find paths matching a glob pattern, like fs.promises.glob
+ * Supports `**`, `*`, `?`, `[...]` and `{a,b}`. The server stops at its time
+ * and result limits; hitting the time limit throws an 'ETIMEDOUT' error after
+ * the results found so far.
+ * @param {string} pattern - Glob pattern, e.g. 'projects/**\/*.json'
+ * @param {Object} options - Options
+ * @param {string} options.cwd - Directory the pattern is relative to (default: '.')
+ * @param {string|string[]} options.ignore - Patterns to skip, e.g. 'node_modules'
+ * @param {number} options.maxResults - Stop after this many paths
+ * @param {AbortSignal} options.signal - Abort the search
+ * @yields {string} - Paths relative to cwd
+ */
+export async function* glob(pattern, options = {}) {
+  const params = new URLSearchParams({ pattern, cwd: options.cwd || '.' });
+  for (const ignore of [].concat(options.ignore || [])) {
+    params.append('ignore', ignore);
+  }
+  if (options.maxResults !== undefined) params.set('maxResults', options.maxResults);
+
+  for await (const result of search(`${API_BASE}/glob?${params}`, options.signal, 'Failed to glob')) {
+    yield result.path;
+  }
+}
+
+/**
+ * Search file contents, yielding one match per matching line
+ * Binary files, symlinks and files over the server's size limit are skipped.
+ * @param {string} query - Text to find
+ * @param {Object} options - Options
+ * @param {string} options.path - File or directory to search (default: '.')
+ * @param {boolean} options.regex - Treat query as a regular expression (default: false)
+ * @param {boolean} options.caseSensitive - Match case (default: false)
+ * @param {number} options.maxResults - Stop after this many matches
+ * @param {AbortSignal} options.signal - Abort the search
+ * @yields {{path: string, line: number, column: number, text: string}}
+ */
+export async function* grep(query, options = {}) {
+  const params = new URLSearchParams({
+    query,
+    path: options.path || '.',
+    regex: Boolean(options.regex),
+    caseSensitive: Boolean(options.caseSensitive)
+  });
+  if (options.maxResults !== undefined) params.set('maxResults', options.maxResults);
+
+  yield* search(`${API_BASE}/grep?${params}`, options.signal, 'Failed to search files');
+}
+
+/**
+ * Create directory
+ * @param {string} path - Directory path
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
+ * @returns {Promise<void>}
+ */
+export async function mkdir(path, options = {}) {
+  const recursive = options.recursive !== undefined ? options.recursive : true;
+  const response = await request(`${API_BASE}/mkdir`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ path, recursive }),
+    signal: options.signal
+  });
+  
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to create directory');
+  }
+}
+
+/**
+ * Remove directory
+ * @param {string} path - Directory path
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
+ * @returns {Promise<void>}
+ */
+export async function rmdir(path, options = {}) {
+  const recursive = options.recursive || false;
+  const response = await request(`${API_BASE}/rmdir`, {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ path, recursive }),
+    signal: options.signal
+  });
+  
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to remove directory');
+  }
+}
+
+/**
+ * Remove file or directory
+ * @param {string} path - Path to remove
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
+ * @returns {Promise<void>}
+ */
+export async function rm(path, options = {}) {
+  const recursive = options.recursive || false;
+  const force = options.force || false;
+  const response = await request(`${API_BASE}/rm`, {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ path, recursive, force }),
+    signal: options.signal
+  });
+  
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to remove');
+  }
+}
+
+/**
+ * Rename or move file/directory
+ * @param {string} oldPath - Old path
  * @param {string} newPath - New path
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
  * @returns {Promise<void>}
  */
-export async function rename(oldPath, newPath) {
-  const response = await fetch(`${API_BASE}/rename`, {
+export async function rename(oldPath, newPath, options = {}) {
+  const response = await request(`${API_BASE}/rename`, {
     method: 'PUT',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ oldPath, newPath })
+    body: JSON.stringify({ oldPath, newPath }),
+    signal: options.signal
   });
   
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Failed to rename');
+    throw await toFsError(response, 'Failed to rename');
   }
 }
 
 /**
  * Delete file
  * @param {string} path - File path
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
  * @returns {Promise<void>}
  */
-export async function unlink(path) {
-  const response = await fetch(`${API_BASE}/unlink`, {
+export async function unlink(path, options = {}) {
+  const response = await request(`${API_BASE}/unlink`, {
     method: 'DELETE',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ path })
+    body: JSON.stringify({ path }),
+    signal: options.signal
   });
   
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Failed to delete file');
+    throw await toFsError(response, 'Failed to delete file');
   }
 }
 
+/**
+ * List what rm, rmdir and unlink moved to the trash (servers started with
+ * the `trash` option), newest first
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
+ * @returns {Promise<Array>} - `{ id, path, type, size, deletedAt }` per entry;
+ *   `size` is null for directories, `deletedAt` is a Date
+ */
+export async function listTrash(options = {}) {
+  const response = await request(`${API_BASE}/listTrash`, { signal: options.signal });
+
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to list trash');
+  }
+
+  const { entries } = await response.json();
+  return entries.map(entry => ({ ...entry, deletedAt: new Date(entry.deletedAt) }));
+}
+
+/**
+ * Put a trash entry back where it was deleted from
+ * Fails with EEXIST if something has taken its place since.
+ * @param {string} id - Entry id from listTrash
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
+ * @returns {Promise<string>} - Path the entry was restored to
+ */
+export async function restore(id, options = {}) {
+  const response = await request(`${API_BASE}/restore`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id }),
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to restore');
+  }
+
+  return (await response.json()).path;
+}
+
+/**
+ * Delete trash entries for good
+ * @param {Object} options - Options
+ * @param {number} options.olderThan - Only entries deleted more than this many ms ago
+ * @param {AbortSignal} options.signal - Cancel the request
+ * @returns {Promise<number>} - Number of entries deleted
+ */
+export async function emptyTrash(options = {}) {
+  const response = await request(`${API_BASE}/emptyTrash`, {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ olderThan: options.olderThan }),
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to empty trash');
+  }
+
+  return (await response.json()).removed;
+}
+
 /**
  * Get file/directory stats
  * @param {string} path - Path
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
  * @returns {Promise<Stats>}
  */
-export async function stat(path) {
-  const response = await fetch(`${API_BASE}/stat?path=${encodeURIComponent(path)}`);
+export async function stat(path, options = {}) {
+  const response = await request(`${API_BASE}/stat?path=${encodeURIComponent(path)}`, { signal: options.signal });
   
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Failed to get stats');
+    throw await toFsError(response, 'Failed to get stats');
   }
   
   const { stats } = await response.json();
-  return stats;
+  return new Stats(stats);
 }
 
 /**
  * Get file/directory stats (doesn't follow symlinks)
  * @param {string} path - Path
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
  * @returns {Promise<Stats>}
  */
-export async function lstat(path) {
-  const response = await fetch(`${API_BASE}/lstat?path=${encodeURIComponent(path)}`);
+export async function lstat(path, options = {}) {
+  const response = await request(`${API_BASE}/lstat?path=${encodeURIComponent(path)}`, { signal: options.signal });
   
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Failed to get stats');
+    throw await toFsError(response, 'Failed to get stats');
   }
   
   const { stats } = await response.json();
-  return stats;
+  return new Stats(stats);
 }
 
 /**
  * Get canonical path
  * @param {string} path - Path
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
  * @returns {Promise<string>}
  */
-export async function realpath(path) {
-  const response = await fetch(`${API_BASE}/realpath?path=${encodeURIComponent(path)}`);
+export async function realpath(path, options = {}) {
+  const response = await request(`${API_BASE}/realpath?path=${encodeURIComponent(path)}`, { signal: options.signal });
   
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Failed to get real path');
+    throw await toFsError(response, 'Failed to get real path');
   }
   
   const { realPath } = await response.json();
@@ -362,50 +1601,863 @@ export async function realpath(path) {
 /**
  * Read symbolic link
  * @param {string} path - Link path
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
  * @returns {Promise<string>}
  */
-export async function readlink(path) {
-  const response = await fetch(`${API_BASE}/readlink?path=${encodeURIComponent(path)}`);
+export async function readlink(path, options = {}) {
+  const response = await request(`${API_BASE}/readlink?path=${encodeURIComponent(path)}`, { signal: options.signal });
   
   if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Failed to read link');
+    throw await toFsError(response, 'Failed to read link');
   }
   
   const { target } = await response.json();
   return target;
 }
 
+/**
+ * Check that a path exists and is accessible
+ * @param {string} path - Path
+ * @param {number} mode - Combination of constants.R_OK, W_OK and X_OK
+ *   (default: constants.F_OK, existence only)
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
+ * @returns {Promise<void>} - Rejects with ENOENT, EACCES or EROFS
+ */
+export async function access(path, mode = constants.F_OK, options = {}) {
+  const response = await request(`${API_BASE}/access?path=${encodeURIComponent(path)}&mode=${mode}`, { signal: options.signal });
+
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to access path');
+  }
+}
+
+/**
+ * Change file permissions
+ * @param {string} path - Path
+ * @param {number|string} mode - Mode such as 0o755 or '755'
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
+ * @returns {Promise<void>}
+ */
+export async function chmod(path, mode, options = {}) {
+  const response = await request(`${API_BASE}/chmod`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ path, mode }),
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to change mode');
+  }
+}
+
+/**
+ * Convert a utimes() time to seconds since the epoch
+ * @param {number|string|Date} time - Seconds, numeric string or Date
+ * @returns {number}
+ */
+function toUnixTime(time) {
+  if (time instanceof Date) return time.getTime() / 1000;
+  return typeof time === 'string' ? Number(time) : time;
+}
+
+/**
+ * Change access and modification times
+ * @param {string} path - Path
+ * @param {number|string|Date} atime - Access time (numbers are seconds, like Node)
+ * @param {number|string|Date} mtime - Modification time
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
+ * @returns {Promise<void>}
+ */
+export async function utimes(path, atime, mtime, options = {}) {
+  const response = await request(`${API_BASE}/utimes`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ path, atime: toUnixTime(atime), mtime: toUnixTime(mtime) }),
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to change times');
+  }
+}
+
+/**
+ * Truncate or extend a file
+ * @param {string} path - File path
+ * @param {number} len - New length in bytes (default: 0)
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
+ * @returns {Promise<void>}
+ */
+export async function truncate(path, len = 0, options = {}) {
+  const response = await request(`${API_BASE}/truncate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ path, len }),
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to truncate file');
+  }
+}
+
+/**
+ * Create a symbolic link
+ * The target must be inside the base directory (or the link's mount).
+ * Relative targets are resolved from the link's directory, absolute ones
+ * from the base directory.
+ * @param {string} target - Path the link points to
+ * @param {string} path - Path of the new link
+ * @param {string|null} type - 'file', 'dir' or 'junction' (only used on Windows)
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
+ * @returns {Promise<void>}
+ */
+export async function symlink(target, path, type = null, options = {}) {
+  const response = await request(`${API_BASE}/symlink`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ target, path, type }),
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to create symlink');
+  }
+}
+
+/**
+ * Create a hard link
+ * @param {string} existingPath - Existing file
+ * @param {string} newPath - Path of the new link
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
+ * @returns {Promise<void>}
+ */
+export async function link(existingPath, newPath, options = {}) {
+  const response = await request(`${API_BASE}/link`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ existingPath, newPath }),
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to create link');
+  }
+}
+
+/**
+ * Create a uniquely named directory
+ * Six random characters are appended to the prefix: 'tmp/upload-' creates
+ * 'tmp/upload-a1B2c3', 'tmp/' creates a directory inside tmp.
+ * @param {string} prefix - Path prefix
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
+ * @returns {Promise<string>} - Path of the new directory
+ */
+export async function mkdtemp(prefix, options = {}) {
+  const response = await request(`${API_BASE}/mkdtemp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ prefix }),
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to create temporary directory');
+  }
+
+  const { path } = await response.json();
+  return path;
+}
+
+/**
+ * Directory stream returned by opendir(), like Node's fs.Dir
+ * Entries are fetched with a single readdir request on the first read.
+ */
+export class Dir {
+  /**
+   * @param {string} path - Directory path
+   * @param {Object} options - readdir options (recursive)
+   */
+  constructor(path, options = {}) {
+    this.path = path;
+    this._options = options;
+    this._entries = null;
+    this._closed = false;
+  }
+
+  /**
+   * Read the next entry
+   * @returns {Promise<Dirent|null>} - null once every entry has been read
+   */
+  async read() {
+    if (this._closed) {
+      throw createError({ code: 'ERR_DIR_CLOSED', message: 'Directory handle was closed' });
+    }
+    if (!this._entries) {
+      this._entries = await readdir(this.path, { ...this._options, withFileTypes: true });
+    }
+    return this._entries.shift() || null;
+  }
+
+  /**
+   * Close the directory, later reads fail
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this._closed = true;
+    this._entries = null;
+  }
+
+  /**
+   * Iterate over the remaining entries, closing the directory afterwards
+   */
+  async *[Symbol.asyncIterator]() {
+    try {
+      let entry;
+      while ((entry = await this.read()) !== null) {
+        yield entry;
+      }
+    } finally {
+      await this.close();
+    }
+  }
+}
+
+/**
+ * Open a directory for iteration
+ * @param {string} path - Directory path
+ * @param {Object} options - Options
+ * @param {boolean} options.recursive - Also list entries of subdirectories
+ * @returns {Promise<Dir>}
+ */
+export async function opendir(path, options = {}) {
+  const dir = new Dir(path, options);
+  // Fail here, like Node, when the directory cannot be listed
+  dir._entries = await readdir(path, { ...options, withFileTypes: true });
+  return dir;
+}
+
 /**
  * Check if file exists (convenience method)
  * @param {string} path - Path
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
  * @returns {Promise<boolean>}
  */
-export async function exists(path) {
+export async function exists(path, options = {}) {
   try {
-    await stat(path);
+    await stat(path, options);
     return true;
-  } catch {
+  } catch (err) {
+    if (options.signal?.aborted) {
+      throw err;
+    }
     return false;
   }
 }
 
+/**
+ * Get the space in use and the server's limits
+ * `quotaBytes`, `maxFiles`, `maxFileSize` and `maxRequestBody` are null
+ * when the server sets no such limit.
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
+ * @returns {Promise<Object>} - `{ bytes, files, quotaBytes, maxFiles, maxFileSize, maxRequestBody }`
+ */
+export async function usage(options = {}) {
+  const response = await request(`${API_BASE}/usage`, { signal: options.signal });
+
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to get usage');
+  }
+
+  return response.json();
+}
+
+/**
+ * Base64-encode bytes without overflowing the argument limit of fromCharCode
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Encode the data of a batch operation for the JSON request body
+ * Objects are written as JSON, like writeFile does.
+ * @param {Object} op - Batch operation
+ * @returns {Promise<Object>}
+ */
+async function encodeBatchOp(op) {
+  if (op.data === undefined) {
+    return op;
+  }
+
+  const { data, encoding = 'utf8', ...rest } = op;
+  let bytes;
+  if (typeof data === 'string') {
+    return { ...rest, data, type: 'text', encoding };
+  } else if (data instanceof Blob) {
+    bytes = new Uint8Array(await data.arrayBuffer());
+  } else if (data instanceof ArrayBuffer) {
+    bytes = new Uint8Array(data);
+  } else if (ArrayBuffer.isView(data)) {
+    bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  } else if (typeof data === 'object' && data !== null) {
+    return { ...rest, data: JSON.stringify(data), type: 'text' };
+  } else {
+    throw new Error('Unsupported data type');
+  }
+  return { ...rest, data: toBase64(bytes), type: 'buffer' };
+}
+
+/**
+ * Run several operations in one request, in order
+ * Supported: writeFile and appendFile (`{ op, path, data, encoding }`),
+ * copyFile (`{ op, src, dest, flags }`), mkdir, rmdir and rm (`{ op, path,
+ * recursive, force }`), rename (`{ op, oldPath, newPath }`) and unlink.
+ * @param {Array<Object>} ops - Operations, e.g. `{ op: 'writeFile', path: 'a.txt', data: 'hi' }`
+ * @param {Object} options - Options
+ * @param {boolean} options.atomic - Undo every operation if one fails, and reject
+ *   with that operation's error (its position is `err.index`) (default: false)
+ * @param {AbortSignal} options.signal - Cancel the request
+ * @returns {Promise<Array<{ok: boolean, error?: Error}>>} - One result per operation
+ */
+export async function batch(ops, options = {}) {
+  const encoded = await Promise.all(ops.map(encodeBatchOp));
+  const response = await request(`${API_BASE}/batch`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ops: encoded, atomic: options.atomic || false }),
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to run batch');
+  }
+
+  const { results } = await response.json();
+  return results.map((result, i) => result.ok
+    ? result
+    : { ok: false, error: createError(result.error, `Failed to ${ops[i].op}`) });
+}
+
+/**
+ * Id of this page's handle session, so the server can close handles
+ * the page leaves open when it goes away
+ * @returns {string}
+ */
+function getSessionId() {
+  if (!SESSION_ID) {
+    SESSION_ID = globalThis.crypto?.randomUUID?.()
+      || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+    if (typeof addEventListener === 'function') {
+      addEventListener('pagehide', () => {
+        request(`${API_BASE}/handles`, {
+          method: 'DELETE',
+          headers: { 'X-Fs-Session': SESSION_ID },
+          keepalive: true
+        });
+      });
+    }
+  }
+  return SESSION_ID;
+}
+
+/**
+ * Handle to a file opened on the server, mirroring Node's FileHandle.
+ * Handles idle for longer than the server's handle timeout are closed.
+ */
+export class FileHandle {
+  /**
+   * @param {string} fd - Server-side handle id
+   */
+  constructor(fd) {
+    this.fd = fd;
+  }
+
+  /**
+   * Read bytes from the file into a buffer
+   * @param {Uint8Array|Object} buffer - Target buffer, or { buffer, offset, length, position, signal, onProgress }
+   * @param {number} offset - Offset in the buffer to fill from (default: 0)
+   * @param {number} length - Number of bytes to read (default: rest of the buffer)
+   * @param {number|null} position - File position, null to read from the current position
+   * @param {Object} options - `signal` to cancel the read, `onProgress({ loaded, total })`
+   *   called as the bytes arrive
+   * @returns {Promise<{bytesRead: number, buffer: Uint8Array}>}
+   */
+  async read(buffer, offset, length, position = null, options = {}) {
+    if (buffer !== undefined && !ArrayBuffer.isView(buffer)) {
+      options = buffer;
+      ({ buffer, offset, length, position = null } = buffer);
+    }
+    buffer = buffer || new Uint8Array(16384);
+    offset = offset || 0;
+    length = length ?? buffer.byteLength - offset;
+
+    const params = new URLSearchParams({ fd: this.fd, length });
+    if (position !== null) params.set('position', position);
+    const response = await request(`${API_BASE}/handle/read?${params}`, {
+      headers: { 'X-Fs-Session': getSessionId() },
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      throw await toFsError(response, 'Failed to read file');
+    }
+
+    const data = new Uint8Array(await readBody(response, options.onProgress));
+    new Uint8Array(buffer.buffer, buffer.byteOffset + offset, data.byteLength).set(data);
+    return { bytesRead: data.byteLength, buffer };
+  }
+
+  /**
+   * Write a buffer or string to the file
+   * Accepts (buffer, offset, length, position), (buffer, { offset, length, position })
+   * or (string, position, encoding), each followed by options.
+   * @param {string|ArrayBufferView} data - Data to write
+   * @param {...*} args - Buffer offset, length and file position (null: the current
+   *   position), or the file position and encoding of a string; then an options
+   *   object with `signal` to cancel the write and `onProgress({ loaded, total })`
+   *   called as the data is uploaded
+   * @returns {Promise<{bytesWritten: number, buffer: string|ArrayBufferView}>}
+   */
+  async write(data, ...args) {
+    const last = args[args.length - 1];
+    const options = typeof last === 'object' && last !== null ? args.pop() : {};
+    let body;
+    let position;
+    if (typeof data === 'string') {
+      body = new Blob([data]);
+      position = args[0] ?? null;
+    } else {
+      const offset = args[0] ?? options.offset ?? 0;
+      const length = args[1] ?? options.length ?? data.byteLength - offset;
+      position = args.length > 2 ? args[2] : options.position ?? null;
+      body = new Blob([new Uint8Array(data.buffer, data.byteOffset + offset, length)]);
+    }
+
+    const params = new URLSearchParams({ fd: this.fd });
+    if (position !== null) params.set('position', position);
+    const progress = trackUpload(body, options.onProgress);
+    const response = await request(`${API_BASE}/handle/write?${params}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'X-Fs-Session': getSessionId()
+      },
+      body,
+      signal: options.signal,
+      onUploadProgress: progress.update
+    });
+
+    if (!response.ok) {
+      throw await toFsError(response, 'Failed to write file');
+    }
+    progress.finish();
+
+    const { bytesWritten } = await response.json();
+    return { bytesWritten, buffer: data };
+  }
+
+  /**
+   * Truncate the file
+   * @param {number} len - New length in bytes (default: 0)
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Cancel the request
+   * @returns {Promise<void>}
+   */
+  async truncate(len = 0, options = {}) {
+    const response = await request(`${API_BASE}/handle/truncate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Fs-Session': getSessionId() },
+      body: JSON.stringify({ fd: this.fd, len }),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      throw await toFsError(response, 'Failed to truncate file');
+    }
+  }
+
+  /**
+   * Get stats for the open file
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Cancel the request
+   * @returns {Promise<Stats>}
+   */
+  async stat(options = {}) {
+    const response = await request(`${API_BASE}/handle/stat?fd=${encodeURIComponent(this.fd)}`, {
+      headers: { 'X-Fs-Session': getSessionId() },
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      throw await toFsError(response, 'Failed to get stats');
+    }
+
+    const { stats } = await response.json();
+    return new Stats(stats);
+  }
+
+  /**
+   * Flush the file's data to disk
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Cancel the request
+   * @returns {Promise<void>}
+   */
+  async sync(options = {}) {
+    const response = await request(`${API_BASE}/handle/sync`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Fs-Session': getSessionId() },
+      body: JSON.stringify({ fd: this.fd }),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      throw await toFsError(response, 'Failed to sync file');
+    }
+  }
+
+  /**
+   * Close the handle
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Cancel the request; the handle stays
+   *   open until the server's handle timeout
+   * @returns {Promise<void>}
+   */
+  async close(options = {}) {
+    const response = await request(`${API_BASE}/handle/close`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Fs-Session': getSessionId() },
+      body: JSON.stringify({ fd: this.fd }),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      throw await toFsError(response, 'Failed to close file');
+    }
+  }
+}
+
+/**
+ * Open a file for positional reads and writes
+ * @param {string} path - File path
+ * @param {string} flags - Open flags such as 'r', 'r+', 'w', 'a' (default: 'r')
+ * @param {number} mode - File mode for newly created files (default: 0o666)
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancel the request
+ * @returns {Promise<FileHandle>}
+ */
+export async function open(path, flags = 'r', mode = 0o666, options = {}) {
+  const response = await request(`${API_BASE}/open`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Fs-Session': getSessionId() },
+    body: JSON.stringify({ path, flags, mode }),
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    throw await toFsError(response, 'Failed to open file');
+  }
+
+  const { fd } = await response.json();
+  return new FileHandle(fd);
+}
+
+/**
+ * Watcher for changes to a file or directory, mirroring Node's FSWatcher.
+ * Emits 'change' (eventType, filename), 'error' and 'close'; can also be
+ * consumed with `for await (const { eventType, filename } of watcher)`.
+ */
+export class FSWatcher {
+  /**
+   * @param {string} path - File or directory to watch
+   * @param {Object} options - Options
+   * @param {boolean} options.recursive - Watch subdirectories too
+   * @param {AbortSignal} options.signal - Closes the watcher when aborted
+   */
+  constructor(path, options = {}) {
+    this._listeners = {};
+    this._queue = [];
+    this._waiters = [];
+    this._iterators = 0;
+    this._error = null;
+    this._closed = false;
+    this._controller = new AbortController();
+
+    if (options.signal) {
+      if (options.signal.aborted) {
+        this._closed = true;
+        return;
+      }
+      options.signal.addEventListener('abort', () => this.close());
+    }
+
+    this._listen(path, options).catch(error => this._fail(error));
+  }
+
+  /**
+   * Add an event listener
+   * @param {string} event - 'change', 'error' or 'close'
+   * @param {Function} listener - Listener
+   * @returns {FSWatcher}
+   */
+  on(event, listener) {
+    (this._listeners[event] ||= []).push(listener);
+    return this;
+  }
+
+  /**
+   * Remove an event listener
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener
+   * @returns {FSWatcher}
+   */
+  off(event, listener) {
+    this._listeners[event] = (this._listeners[event] || []).filter(fn => fn !== listener);
+    return this;
+  }
+
+  /**
+   * Stop watching
+   */
+  close() {
+    if (this._closed) return;
+    this._closed = true;
+    this._controller.abort();
+    this._wake();
+    this._emit('close');
+  }
+
+  async *[Symbol.asyncIterator]() {
+    this._iterators++;
+    try {
+      while (true) {
+        if (this._queue.length) {
+          yield this._queue.shift();
+        } else if (this._error) {
+          throw this._error;
+        } else if (this._closed) {
+          return;
+        } else {
+          await new Promise(resolve => this._waiters.push(resolve));
+        }
+      }
+    } finally {
+      this._iterators--;
+    }
+  }
+
+  _emit(event, ...args) {
+    for (const listener of this._listeners[event] || []) {
+      listener(...args);
+    }
+  }
+
+  _wake() {
+    const waiters = this._waiters;
+    this._waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  _fail(error) {
+    if (this._closed) return;
+    this._error = error;
+    this._wake();
+    this._emit('error', error);
+    this.close();
+  }
+
+  async _listen(path, options) {
+    const params = new URLSearchParams({ path, recursive: Boolean(options.recursive) });
+    const response = await request(`${API_BASE}/watch?${params}`, {
+      headers: { Accept: 'text/event-stream' },
+      signal: this._controller.signal
+    });
+
+    if (!response.ok) {
+      throw await toFsError(response, 'Failed to watch');
+    }
+
+    // Parse the Server-Sent Events stream
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffered = '';
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffered += value;
+
+      let boundary;
+      while ((boundary = buffered.indexOf('\n\n')) !== -1) {
+        const message = buffered.slice(0, boundary);
+        buffered = buffered.slice(boundary + 2);
+
+        let event = 'message';
+        let data = '';
+        for (const line of message.split('\n')) {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data += line.slice(5).trim();
+        }
+        if (!data) continue;
+
+        const payload = JSON.parse(data);
+        if (event === 'error') {
+          const error = new Error(payload.message);
+          Object.assign(error, payload);
+          throw error;
+        }
+        if (event === 'change') {
+          if (this._iterators > 0) {
+            this._queue.push(payload);
+            this._wake();
+          }
+          this._emit('change', payload.eventType, payload.filename);
+        }
+      }
+    }
+    this.close();
+  }
+}
+
+/**
+ * Watch a file or directory for changes
+ * @param {string} path - File or directory path
+ * @param {Object} options - Options
+ * @param {boolean} options.recursive - Watch subdirectories too
+ * @param {AbortSignal} options.signal - Closes the watcher when aborted
+ * @param {Function} listener - Optional (eventType, filename) listener
+ * @returns {FSWatcher}
+ */
+export function watch(path, options = {}, listener) {
+  if (typeof options === 'function') {
+    listener = options;
+    options = {};
+  }
+
+  const watcher = new FSWatcher(path, options);
+  if (listener) {
+    watcher.on('change', listener);
+  }
+  return watcher;
+}
+
+const fileWatchers = new Map();
+
+/**
+ * Watch a single file, calling the listener with (curr, prev) stats
+ * whenever it is created, changed or removed
+ * @param {string} path - File path
+ * @param {Object} options - Unused, accepted for Node compatibility
+ * @param {Function} listener - (curr, prev) listener
+ */
+export function watchFile(path, options, listener) {
+  if (typeof options === 'function') {
+    listener = options;
+  }
+
+  let entry = fileWatchers.get(path);
+  if (!entry) {
+    const segments = path.split('/').filter(Boolean);
+    const name = segments.pop();
+    const dir = segments.join('/') || '.';
+
+    const current = () => stat(path).catch(() => new Stats());
+    entry = { listeners: [], prev: current() };
+    entry.watcher = watch(dir, (eventType, filename) => {
+      if (filename !== name) return;
+      entry.prev = entry.prev.then(async prev => {
+        const curr = await current();
+        if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) {
+          entry.listeners.forEach(fn => fn(curr, prev));
+        }
+        return curr;
+      });
+    });
+    fileWatchers.set(path, entry);
+  }
+  entry.listeners.push(listener);
+}
+
+/**
+ * Stop watching a file
+ * @param {string} path - File path
+ * @param {Function} listener - Listener to remove (default: all)
+ */
+export function unwatchFile(path, listener) {
+  const entry = fileWatchers.get(path);
+  if (!entry) return;
+
+  entry.listeners = listener ? entry.listeners.filter(fn => fn !== listener) : [];
+  if (entry.listeners.length === 0) {
+    entry.watcher.close();
+    fileWatchers.delete(path);
+  }
+}
+
 // Default export with all methods
 export default {
+  constants,
+  Stats,
+  Dirent,
+  Dir,
   readFile,
+  read,
   writeFile,
   appendFile,
+  uploadFile,
   copyFile,
+  cp,
+  createReadStream,
+  createWriteStream,
   readdir,
+  tree,
+  archive,
+  extract,
+  glob,
+  grep,
   mkdir,
   rmdir,
   rm,
   rename,
   unlink,
+  listTrash,
+  restore,
+  emptyTrash,
   stat,
   lstat,
   realpath,
   readlink,
+  access,
+  chmod,
+  utimes,
+  truncate,
+  symlink,
+  link,
+  mkdtemp,
+  opendir,
   exists,
+  usage,
+  batch,
+  open,
+  watch,
+  watchFile,
+  unwatchFile,
+  clearCache,
   configure
 };
\ No newline at end of file
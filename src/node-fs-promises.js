@@ -0,0 +1,36 @@
+/**
+ * Drop-in replacement for Node's `fs/promises` module in the browser
+ */
+
+import { promises } from './node-fs.js';
+
+export const {
+  constants,
+  access,
+  appendFile,
+  chmod,
+  copyFile,
+  cp,
+  link,
+  lstat,
+  mkdir,
+  mkdtemp,
+  open,
+  opendir,
+  readdir,
+  readFile,
+  readlink,
+  realpath,
+  rename,
+  rm,
+  rmdir,
+  stat,
+  symlink,
+  truncate,
+  unlink,
+  utimes,
+  watch,
+  writeFile
+} = promises;
+
+export default promises;
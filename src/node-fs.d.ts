@@ -0,0 +1,226 @@
+/**
+ * fs:browser - Drop-in replacement for Node's fs and fs/promises
+ * TypeScript Declaration File
+ */
+
+declare module 'fs:browser/node-fs' {
+  import * as fsp from 'fs:browser';
+
+  export {
+    constants,
+    Stats,
+    Dirent,
+    Dir,
+    createReadStream,
+    createWriteStream,
+    watch,
+    watchFile,
+    unwatchFile,
+    configure
+  } from 'fs:browser';
+
+  /**
+   * Node-style callback, called with an error or the result
+   */
+  export type NodeCallback<T> = (err: fsp.FsError | null, result: T) => void;
+
+  /**
+   * Callback form of a promise function: the same arguments plus a
+   * trailing callback
+   */
+  type CallbackFunction<F> = F extends (...args: any[]) => Promise<infer R>
+    ? (...args: [...any[], NodeCallback<R>]) => void
+    : never;
+
+  /**
+   * Sync function, works in workers after connectSync (see 'fs:browser/sync')
+   * and throws ENOSYS elsewhere
+   */
+  type SyncFunction = (...args: any[]) => any;
+
+  /**
+   * Node-compatible fs.promises; readFile without an encoding resolves with
+   * a Buffer when a Buffer polyfill is loaded, a Uint8Array otherwise
+   */
+  export const promises: {
+    constants: typeof fsp.constants;
+    access: typeof fsp.access;
+    appendFile: typeof fsp.appendFile;
+    chmod: typeof fsp.chmod;
+    copyFile: typeof fsp.copyFile;
+    cp: typeof fsp.cp;
+    link: typeof fsp.link;
+    lstat: typeof fsp.lstat;
+    mkdir: typeof fsp.mkdir;
+    mkdtemp: typeof fsp.mkdtemp;
+    open: typeof fsp.open;
+    opendir: typeof fsp.opendir;
+    readdir: typeof fsp.readdir;
+    readFile(path: string, options?: string | { encoding?: string }): Promise<string | Uint8Array>;
+    readlink: typeof fsp.readlink;
+    realpath: typeof fsp.realpath;
+    rename: typeof fsp.rename;
+    rm: typeof fsp.rm;
+    rmdir: typeof fsp.rmdir;
+    stat: typeof fsp.stat;
+    symlink: typeof fsp.symlink;
+    truncate: typeof fsp.truncate;
+    unlink: typeof fsp.unlink;
+    utimes: typeof fsp.utimes;
+    watch: typeof fsp.watch;
+    writeFile: typeof fsp.writeFile;
+  };
+
+  export const access: CallbackFunction<typeof fsp.access>;
+  export const appendFile: CallbackFunction<typeof fsp.appendFile>;
+  export const chmod: CallbackFunction<typeof fsp.chmod>;
+  export const copyFile: CallbackFunction<typeof fsp.copyFile>;
+  export const cp: CallbackFunction<typeof fsp.cp>;
+  export const link: CallbackFunction<typeof fsp.link>;
+  export const lstat: CallbackFunction<typeof fsp.lstat>;
+  export const mkdir: CallbackFunction<typeof fsp.mkdir>;
+  export const mkdtemp: CallbackFunction<typeof fsp.mkdtemp>;
+  export const opendir: CallbackFunction<typeof fsp.opendir>;
+  export const readdir: CallbackFunction<typeof fsp.readdir>;
+  export const readFile: CallbackFunction<typeof promises.readFile>;
+  export const readlink: CallbackFunction<typeof fsp.readlink>;
+  export const realpath: CallbackFunction<typeof fsp.realpath>;
+  export const rename: CallbackFunction<typeof fsp.rename>;
+  export const rm: CallbackFunction<typeof fsp.rm>;
+  export const rmdir: CallbackFunction<typeof fsp.rmdir>;
+  export const stat: CallbackFunction<typeof fsp.stat>;
+  export const symlink: CallbackFunction<typeof fsp.symlink>;
+  export const truncate: CallbackFunction<typeof fsp.truncate>;
+  export const unlink: CallbackFunction<typeof fsp.unlink>;
+  export const utimes: CallbackFunction<typeof fsp.utimes>;
+  export const writeFile: CallbackFunction<typeof fsp.writeFile>;
+
+  /**
+   * Check if a path exists; the callback gets a boolean and no error
+   */
+  export function exists(path: string, callback: (exists: boolean) => void): void;
+
+  export const accessSync: SyncFunction;
+  export const appendFileSync: SyncFunction;
+  export const chmodSync: SyncFunction;
+  export const copyFileSync: SyncFunction;
+  export const cpSync: SyncFunction;
+  export const existsSync: SyncFunction;
+  export const linkSync: SyncFunction;
+  export const lstatSync: SyncFunction;
+  export const mkdirSync: SyncFunction;
+  export const mkdtempSync: SyncFunction;
+  export const readdirSync: SyncFunction;
+  export const readFileSync: SyncFunction;
+  export const readlinkSync: SyncFunction;
+  export const realpathSync: SyncFunction;
+  export const renameSync: SyncFunction;
+  export const rmSync: SyncFunction;
+  export const rmdirSync: SyncFunction;
+  export const statSync: SyncFunction;
+  export const symlinkSync: SyncFunction;
+  export const truncateSync: SyncFunction;
+  export const unlinkSync: SyncFunction;
+  export const utimesSync: SyncFunction;
+  export const writeFileSync: SyncFunction;
+
+  /**
+   * Default export, for `import fs from 'fs'`
+   */
+  const fs: {
+    promises: typeof promises;
+    constants: typeof fsp.constants;
+    Stats: typeof fsp.Stats;
+    Dirent: typeof fsp.Dirent;
+    Dir: typeof fsp.Dir;
+    access: typeof access;
+    appendFile: typeof appendFile;
+    chmod: typeof chmod;
+    copyFile: typeof copyFile;
+    cp: typeof cp;
+    exists: typeof exists;
+    link: typeof link;
+    lstat: typeof lstat;
+    mkdir: typeof mkdir;
+    mkdtemp: typeof mkdtemp;
+    opendir: typeof opendir;
+    readdir: typeof readdir;
+    readFile: typeof readFile;
+    readlink: typeof readlink;
+    realpath: typeof realpath;
+    rename: typeof rename;
+    rm: typeof rm;
+    rmdir: typeof rmdir;
+    stat: typeof stat;
+    symlink: typeof symlink;
+    truncate: typeof truncate;
+    unlink: typeof unlink;
+    utimes: typeof utimes;
+    writeFile: typeof writeFile;
+    accessSync: SyncFunction;
+    appendFileSync: SyncFunction;
+    chmodSync: SyncFunction;
+    copyFileSync: SyncFunction;
+    cpSync: SyncFunction;
+    existsSync: SyncFunction;
+    linkSync: SyncFunction;
+    lstatSync: SyncFunction;
+    mkdirSync: SyncFunction;
+    mkdtempSync: SyncFunction;
+    readdirSync: SyncFunction;
+    readFileSync: SyncFunction;
+    readlinkSync: SyncFunction;
+    realpathSync: SyncFunction;
+    renameSync: SyncFunction;
+    rmSync: SyncFunction;
+    rmdirSync: SyncFunction;
+    statSync: SyncFunction;
+    symlinkSync: SyncFunction;
+    truncateSync: SyncFunction;
+    unlinkSync: SyncFunction;
+    utimesSync: SyncFunction;
+    writeFileSync: SyncFunction;
+    createReadStream: typeof fsp.createReadStream;
+    createWriteStream: typeof fsp.createWriteStream;
+    watch: typeof fsp.watch;
+    watchFile: typeof fsp.watchFile;
+    unwatchFile: typeof fsp.unwatchFile;
+    configure: typeof fsp.configure;
+  };
+
+  export default fs;
+}
+
+declare module 'fs:browser/node-fs/promises' {
+  import { promises } from 'fs:browser/node-fs';
+
+  export const constants: typeof promises.constants;
+  export const access: typeof promises.access;
+  export const appendFile: typeof promises.appendFile;
+  export const chmod: typeof promises.chmod;
+  export const copyFile: typeof promises.copyFile;
+  export const cp: typeof promises.cp;
+  export const link: typeof promises.link;
+  export const lstat: typeof promises.lstat;
+  export const mkdir: typeof promises.mkdir;
+  export const mkdtemp: typeof promises.mkdtemp;
+  export const open: typeof promises.open;
+  export const opendir: typeof promises.opendir;
+  export const readdir: typeof promises.readdir;
+  export const readFile: typeof promises.readFile;
+  export const readlink: typeof promises.readlink;
+  export const realpath: typeof promises.realpath;
+  export const rename: typeof promises.rename;
+  export const rm: typeof promises.rm;
+  export const rmdir: typeof promises.rmdir;
+  export const stat: typeof promises.stat;
+  export const symlink: typeof promises.symlink;
+  export const truncate: typeof promises.truncate;
+  export const unlink: typeof promises.unlink;
+  export const utimes: typeof promises.utimes;
+  export const watch: typeof promises.watch;
+  export const writeFile: typeof promises.writeFile;
+
+  const fsPromises: typeof promises;
+  export default fsPromises;
+}
@@ -0,0 +1,218 @@
+/**
+ * Drop-in replacement for Node's `fs` module in the browser
+ * Callback functions wrap the promise API of ./index.js, which is also
+ * available as `promises`. Sync functions work in workers set up with
+ * connectSync (see ./sync.js). The Vite plugin can alias `fs` and
+ * `node:fs` to this module (see the `nodeFsAlias` option).
+ */
+
+import * as fsp from './index.js';
+import * as sync from './sync.js';
+
+export {
+  constants,
+  Stats,
+  Dirent,
+  Dir,
+  createReadStream,
+  createWriteStream,
+  watch,
+  watchFile,
+  unwatchFile,
+  configure
+} from './index.js';
+
+/**
+ * Return binary file contents the way Node does: a Buffer when a Buffer
+ * polyfill is loaded, a Uint8Array otherwise
+ * @param {string|ArrayBuffer} data - Result of readFile
+ * @returns {string|Uint8Array}
+ */
+function toBuffer(data) {
+  if (typeof data === 'string') {
+    return data;
+  }
+  return globalThis.Buffer ? globalThis.Buffer.from(data) : new Uint8Array(data);
+}
+
+/**
+ * Node-compatible fs.promises (FileHandle-based open, no fd numbers)
+ */
+export const promises = {
+  constants: fsp.constants,
+  access: fsp.access,
+  appendFile: fsp.appendFile,
+  chmod: fsp.chmod,
+  copyFile: fsp.copyFile,
+  cp: fsp.cp,
+  link: fsp.link,
+  lstat: fsp.lstat,
+  mkdir: fsp.mkdir,
+  mkdtemp: fsp.mkdtemp,
+  open: fsp.open,
+  opendir: fsp.opendir,
+  readdir: fsp.readdir,
+  readFile: async (path, options) => toBuffer(await fsp.readFile(path, options)),
+  readlink: fsp.readlink,
+  realpath: fsp.realpath,
+  rename: fsp.rename,
+  rm: fsp.rm,
+  rmdir: fsp.rmdir,
+  stat: fsp.stat,
+  symlink: fsp.symlink,
+  truncate: fsp.truncate,
+  unlink: fsp.unlink,
+  utimes: fsp.utimes,
+  watch: fsp.watch,
+  writeFile: fsp.writeFile
+};
+
+/**
+ * Turn a promise function into a Node-style callback function
+ * The callback is always the last argument, so optional arguments before
+ * it can be left out as in Node.
+ * @param {Function} fn - Promise-returning function
+ * @returns {Function} - `(...args, callback) => void`
+ */
+function callbackify(fn) {
+  return (...args) => {
+    const callback = args.pop();
+    if (typeof callback !== 'function') {
+      const error = new TypeError('The "cb" argument must be of type function');
+      error.code = 'ERR_INVALID_ARG_TYPE';
+      throw error;
+    }
+    // Errors thrown by the callback itself must not call it a second time
+    fn(...args).then(result => callback(null, result), callback);
+  };
+}
+
+export const access = callbackify(promises.access);
+export const appendFile = callbackify(promises.appendFile);
+export const chmod = callbackify(promises.chmod);
+export const copyFile = callbackify(promises.copyFile);
+export const cp = callbackify(promises.cp);
+export const link = callbackify(promises.link);
+export const lstat = callbackify(promises.lstat);
+export const mkdir = callbackify(promises.mkdir);
+export const mkdtemp = callbackify(promises.mkdtemp);
+export const opendir = callbackify(promises.opendir);
+export const readdir = callbackify(promises.readdir);
+export const readFile = callbackify(promises.readFile);
+export const readlink = callbackify(promises.readlink);
+export const realpath = callbackify(promises.realpath);
+export const rename = callbackify(promises.rename);
+export const rm = callbackify(promises.rm);
+export const rmdir = callbackify(promises.rmdir);
+export const stat = callbackify(promises.stat);
+export const symlink = callbackify(promises.symlink);
+export const truncate = callbackify(promises.truncate);
+export const unlink = callbackify(promises.unlink);
+export const utimes = callbackify(promises.utimes);
+export const writeFile = callbackify(promises.writeFile);
+
+/**
+ * Check if a path exists; the callback gets a boolean and no error, like Node
+ * @param {string} path - Path
+ * @param {Function} callback - `(exists) => void`
+ */
+export function exists(path, callback) {
+  fsp.exists(path).then(callback);
+}
+
+export {
+  accessSync,
+  appendFileSync,
+  chmodSync,
+  copyFileSync,
+  cpSync,
+  existsSync,
+  linkSync,
+  lstatSync,
+  mkdirSync,
+  mkdtempSync,
+  readdirSync,
+  readlinkSync,
+  realpathSync,
+  renameSync,
+  rmSync,
+  rmdirSync,
+  statSync,
+  symlinkSync,
+  truncateSync,
+  unlinkSync,
+  utimesSync,
+  writeFileSync
+} from './sync.js';
+
+/**
+ * Read a file synchronously, binary contents as a Buffer like readFile
+ * @param {string} path - File path
+ * @param {string|Object} options - Encoding string or options object
+ * @returns {string|Uint8Array}
+ */
+export function readFileSync(path, options) {
+  return toBuffer(sync.readFileSync(path, options));
+}
+
+// Default export, for `import fs from 'fs'`
+export default {
+  promises,
+  constants: fsp.constants,
+  Stats: fsp.Stats,
+  Dirent: fsp.Dirent,
+  Dir: fsp.Dir,
+  access,
+  appendFile,
+  chmod,
+  copyFile,
+  cp,
+  exists,
+  link,
+  lstat,
+  mkdir,
+  mkdtemp,
+  opendir,
+  readdir,
+  readFile,
+  readlink,
+  realpath,
+  rename,
+  rm,
+  rmdir,
+  stat,
+  symlink,
+  truncate,
+  unlink,
+  utimes,
+  writeFile,
+  accessSync: sync.accessSync,
+  appendFileSync: sync.appendFileSync,
+  chmodSync: sync.chmodSync,
+  copyFileSync: sync.copyFileSync,
+  cpSync: sync.cpSync,
+  existsSync: sync.existsSync,
+  linkSync: sync.linkSync,
+  lstatSync: sync.lstatSync,
+  mkdirSync: sync.mkdirSync,
+  mkdtempSync: sync.mkdtempSync,
+  readdirSync: sync.readdirSync,
+  readFileSync,
+  readlinkSync: sync.readlinkSync,
+  realpathSync: sync.realpathSync,
+  renameSync: sync.renameSync,
+  rmSync: sync.rmSync,
+  rmdirSync: sync.rmdirSync,
+  statSync: sync.statSync,
+  symlinkSync: sync.symlinkSync,
+  truncateSync: sync.truncateSync,
+  unlinkSync: sync.unlinkSync,
+  utimesSync: sync.utimesSync,
+  writeFileSync: sync.writeFileSync,
+  createReadStream: fsp.createReadStream,
+  createWriteStream: fsp.createWriteStream,
+  watch: fsp.watch,
+  watchFile: fsp.watchFile,
+  unwatchFile: fsp.unwatchFile,
+  configure: fsp.configure
+};
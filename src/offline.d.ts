@@ -0,0 +1,73 @@
+/**
+ * fs:browser - Offline mode with a local cache and write-back sync
+ * TypeScript Declaration File
+ */
+
+declare module 'fs:browser/offline' {
+  /**
+   * Key-value store for cached files and queued writes
+   */
+  export interface OfflineStorage {
+    get(key: string): Promise<any>;
+    set(key: string, value: any): Promise<void>;
+    delete(key: string): Promise<void>;
+    keys(): Promise<string[]>;
+  }
+
+  export interface OfflineStoreOptions {
+    /** Where to keep data (default: IndexedDB when available, memory otherwise) */
+    storage?: OfflineStorage;
+    /** IndexedDB database name (default: 'fs-browser') */
+    name?: string;
+    /** Try to reach the server this often while offline, in ms (default: 5000, 0 to disable) */
+    retryInterval?: number;
+    /** Do not keep larger files, in bytes (default: 10 MiB) */
+    maxFileSize?: number;
+  }
+
+  export interface OfflineStatus {
+    state: 'online' | 'offline' | 'syncing';
+    /** Writes waiting to be replayed */
+    pending: number;
+    /** Writes set aside, see conflicts() */
+    conflicts: number;
+  }
+
+  /**
+   * A queued write that was not replayed
+   */
+  export interface OfflineConflict {
+    id: number;
+    /** fs function, e.g. 'writeFile' */
+    op: string;
+    paths: string[];
+    /** 'changed': the server copy of `path` changed; 'error': the server rejected the write */
+    reason: 'changed' | 'error';
+    path?: string;
+    /** Server state when the conflict was found */
+    server?: { etag?: string; mtimeMs?: number; missing?: boolean };
+    /** Serialized server error, for reason 'error' */
+    error?: { message: string; code?: string };
+  }
+
+  export class OfflineStore {
+    constructor(options?: OfflineStoreOptions);
+    readonly state: OfflineStatus['state'];
+    /** Number of writes waiting to be replayed */
+    readonly pending: number;
+    on(event: 'status', listener: (status: OfflineStatus) => void): this;
+    on(event: 'conflict', listener: (conflict: OfflineConflict) => void): this;
+    off(event: string, listener: (...args: any[]) => void): this;
+    /** Replay queued writes, or check whether the server is back */
+    sync(): Promise<void>;
+    conflicts(): OfflineConflict[];
+    /** 'local' replays the write anyway, 'server' drops it */
+    resolveConflict(id: number, keep: 'local' | 'server'): Promise<void>;
+    /** Stop retrying and listening for the browser going online */
+    close(): void;
+  }
+
+  export function createOfflineStore(options?: OfflineStoreOptions): OfflineStore;
+  export function indexedDbStorage(name?: string): OfflineStorage;
+  export function memoryStorage(): OfflineStorage;
+}
@@ -0,0 +1,817 @@
+/**
+ * Offline mode for the fs API client
+ * An OfflineStore sits between the client and the server. While the server
+ * answers it keeps a local copy of what was read (file contents, stats and
+ * listings); when the server is unreachable it serves reads from that copy,
+ * queues writes in a journal and replays them once the server is back,
+ * checking first that the server copy has not changed in the meantime.
+ */
+
+// Routes answered locally when offline, by "METHOD name"
+const READ_ROUTES = ['GET readFile', 'GET stat', 'GET lstat', 'GET readdir'];
+const WRITE_ROUTES = [
+  'POST writeFile',
+  'POST appendFile',
+  'POST copyFile',
+  'POST mkdir',
+  'DELETE rmdir',
+  'DELETE rm',
+  'PUT rename',
+  'DELETE unlink'
+];
+
+/**
+ * Key-value storage in IndexedDB
+ * @param {string} name - Database name
+ * @returns {Object} - `{ get, set, delete, keys }`
+ */
+export function indexedDbStorage(name = 'fs-browser') {
+  const ready = new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore('kv');
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  const run = async (mode, fn) => {
+    const db = await ready;
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('kv', mode);
+      const request = fn(transaction.objectStore('kv'));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    get: key => run('readonly', store => store.get(key)),
+    set: (key, value) => run('readwrite', store => store.put(value, key)),
+    delete: key => run('readwrite', store => store.delete(key)),
+    keys: () => run('readonly', store => store.getAllKeys())
+  };
+}
+
+/**
+ * Key-value storage in memory, lost on reload
+ * @returns {Object} - `{ get, set, delete, keys }`
+ */
+export function memoryStorage() {
+  const map = new Map();
+  return {
+    get: async key => map.get(key),
+    set: async (key, value) => {
+      map.set(key, value);
+    },
+    delete: async key => {
+      map.delete(key);
+    },
+    keys: async () => [...map.keys()]
+  };
+}
+
+/**
+ * Normalize a client path the way the server resolves it ('./a//b' -> 'a/b')
+ * @param {string} path - Client path
+ * @returns {string}
+ */
+function normalizePath(path) {
+  const parts = [];
+  for (const part of String(path).split('/')) {
+    if (part === '..') {
+      parts.pop();
+    } else if (part && part !== '.') {
+      parts.push(part);
+    }
+  }
+  return parts.join('/') || '.';
+}
+
+/**
+ * Parent directory of a normalized path
+ * @param {string} path - Normalized path
+ * @returns {string}
+ */
+function dirname(path) {
+  const slash = path.lastIndexOf('/');
+  return slash === -1 ? '.' : path.slice(0, slash);
+}
+
+/**
+ * Split a request into the API base, route name and parameters
+ * @param {string} url - Request URL
+ * @param {RequestInit} init - fetch options
+ * @returns {Object} - `{ apiBase, name, method, params }`
+ */
+function parseRoute(url, init) {
+  const [base, query = ''] = url.split('?');
+  const slash = base.lastIndexOf('/');
+  return {
+    apiBase: base.slice(0, slash),
+    // File handle routes (handle/stat, ...) are never answered locally
+    name: base.slice(0, slash).endsWith('/handle') ? '' : base.slice(slash + 1),
+    method: (init.method || 'GET').toUpperCase(),
+    params: new URLSearchParams(query)
+  };
+}
+
+/**
+ * JSON response like the server's
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @returns {Response}
+ */
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Error response like the server's, with a Node-style message
+ * @param {string} code - Error code
+ * @param {string} syscall - Operation, e.g. 'open'
+ * @param {string} path - Client path
+ * @returns {Response}
+ */
+function errorResponse(code, syscall, path) {
+  const description = code === 'ENOENT'
+    ? 'no such file or directory'
+    : 'network is unreachable, not available offline';
+  return jsonResponse(code === 'ENOENT' ? 404 : 503, {
+    error: { message: `${code}: ${description}, ${syscall} '${path}'`, code, syscall, path }
+  });
+}
+
+/**
+ * Stats for a file or directory created offline
+ * @param {string} type - 'file' or 'directory'
+ * @param {number} size - Size in bytes
+ * @returns {Object} - Stats as the server sends them
+ */
+function localStats(type, size) {
+  const now = Date.now();
+  return {
+    type,
+    mode: type === 'directory' ? 0o40755 : 0o100644,
+    size,
+    atimeMs: now,
+    mtimeMs: now,
+    ctimeMs: now,
+    birthtimeMs: now
+  };
+}
+
+/**
+ * Whether the server copy differs from the one a queued write was based on
+ * ETags are compared when both sides have one: unlike mtimes, they change with
+ * every write, even within one mtime tick or when utimes sets the old mtime.
+ * @param {Object} base - `{ etag, mtimeMs }` or `{ missing: true }` when it was queued
+ * @param {Object|null} server - The same, now; null when unknown
+ * @returns {boolean}
+ */
+function hasChanged(base, server) {
+  if (!server) return false;
+  if (base.missing || server.missing) return !base.missing || !server.missing;
+  if (base.etag && server.etag) return base.etag !== server.etag;
+  if (base.mtimeMs === undefined || server.mtimeMs === undefined) return false;
+  return base.mtimeMs !== server.mtimeMs;
+}
+
+/**
+ * What a response tells about the server copy of a file
+ * @param {Response} response - Answer to stat or readFile
+ * @param {Object} stats - Stats from the answer, if it has them
+ * @returns {Object} - `{ etag, mtimeMs }`, see hasChanged
+ */
+function serverVersion(response, stats) {
+  return {
+    etag: response.headers.get('ETag') || undefined,
+    mtimeMs: stats ? stats.mtimeMs : undefined
+  };
+}
+
+/**
+ * Local cache and write journal for offline use, see configure({ offline })
+ * Emits 'status' with `{ state, pending, conflicts }` whenever the state
+ * ('online', 'offline' or 'syncing') or the number of queued writes changes,
+ * and 'conflict' with a conflict (see conflicts()) when a queued write was not
+ * replayed.
+ */
+export class OfflineStore {
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.storage - `{ get, set, delete, keys }` key-value store
+   *   (default: IndexedDB when available, memory otherwise)
+   * @param {string} options.name - IndexedDB database name (default: 'fs-browser')
+   * @param {number} options.retryInterval - Try to reach the server this often
+   *   while offline, in ms (default: 5000)
+   * @param {number} options.maxFileSize - Do not keep larger files (default: 10 MiB)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage ||
+      (globalThis.indexedDB ? indexedDbStorage(options.name) : memoryStorage());
+    this.retryInterval = options.retryInterval ?? 5000;
+    this.maxFileSize = options.maxFileSize ?? 10 * 1024 * 1024;
+    this.state = 'online';
+    this._listeners = {};
+    this._journal = [];
+    this._conflicts = [];
+    this._seq = 0;
+    this._lock = Promise.resolve();
+    this._syncing = null;
+    this._timer = null;
+    this._send = null;
+    this._apiBase = null;
+    this._onOnline = () => this.sync().catch(() => {});
+    globalThis.addEventListener?.('online', this._onOnline);
+    this._ready = this._load();
+  }
+
+  /**
+   * Add an event listener
+   * @param {string} event - 'status' or 'conflict'
+   * @param {Function} listener - Listener
+   * @returns {OfflineStore}
+   */
+  on(event, listener) {
+    (this._listeners[event] ||= []).push(listener);
+    return this;
+  }
+
+  /**
+   * Remove an event listener
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener
+   * @returns {OfflineStore}
+   */
+  off(event, listener) {
+    this._listeners[event] = (this._listeners[event] || []).filter(fn => fn !== listener);
+    return this;
+  }
+
+  _emit(event, ...args) {
+    for (const listener of this._listeners[event] || []) {
+      listener(...args);
+    }
+  }
+
+  _emitStatus() {
+    this._emit('status', {
+      state: this.state,
+      pending: this._journal.length,
+      conflicts: this._conflicts.length
+    });
+  }
+
+  /**
+   * Number of writes waiting to be replayed
+   * @returns {number}
+   */
+  get pending() {
+    return this._journal.length;
+  }
+
+  /**
+   * Queued writes that were not replayed
+   * `reason` is 'changed' when the server copy of `path` changed since the
+   * write was queued (`server` has its ETag and mtime), 'error' when the server
+   * rejected the write (`error` has the serialized error).
+   * @returns {Array<{id: number, op: string, paths: string[], reason: string}>}
+   */
+  conflicts() {
+    return this._conflicts.map(({ seq, op, paths, reason, path, server, error }) =>
+      ({ id: seq, op, paths, reason, path, server, error }));
+  }
+
+  /**
+   * Settle a conflict
+   * @param {number} id - Conflict id
+   * @param {string} keep - 'local' replays the write anyway, 'server' drops it
+   *   and forgets the local copies of its paths
+   * @returns {Promise<void>}
+   */
+  async resolveConflict(id, keep) {
+    await this._ready;
+    await this._exclusive(async () => {
+      const index = this._conflicts.findIndex(entry => entry.seq === id);
+      if (index === -1) return;
+      const [entry] = this._conflicts.splice(index, 1);
+      await this.storage.delete(`conflict:${id}`);
+      if (keep === 'local') {
+        await this._enqueue({ ...entry, base: {}, reason: undefined, error: undefined });
+      } else {
+        for (const path of entry.paths) {
+          await this._forget(path);
+        }
+      }
+    });
+    this._emitStatus();
+    if (keep === 'local') {
+      this.sync().catch(() => {});
+    }
+  }
+
+  /**
+   * Stop retrying and listening for the browser going online
+   */
+  close() {
+    clearInterval(this._timer);
+    this._timer = null;
+    globalThis.removeEventListener?.('online', this._onOnline);
+  }
+
+  /**
+   * Run fn after every earlier local update has finished
+   * @param {Function} fn - Async function
+   * @returns {Promise<*>}
+   */
+  _exclusive(fn) {
+    const result = this._lock.then(fn);
+    this._lock = result.catch(() => {});
+    return result;
+  }
+
+  async _load() {
+    const keys = (await this.storage.keys()).map(String).sort();
+    for (const key of keys) {
+      if (key.startsWith('journal:')) {
+        this._journal.push(await this.storage.get(key));
+      } else if (key.startsWith('conflict:')) {
+        this._conflicts.push(await this.storage.get(key));
+      }
+    }
+    const seqs = [...this._journal, ...this._conflicts].map(entry => entry.seq);
+    this._seq = Math.max(0, ...seqs);
+  }
+
+  async _enqueue(entry) {
+    const queued = { ...entry, seq: ++this._seq };
+    this._journal.push(queued);
+    await this.storage.set(`journal:${String(queued.seq).padStart(12, '0')}`, queued);
+  }
+
+  _goOffline() {
+    if (this.state !== 'offline') {
+      this.state = 'offline';
+      this._emitStatus();
+    }
+    if (!this._timer && this.retryInterval > 0) {
+      this._timer = setInterval(() => this.sync().catch(() => {}), this.retryInterval);
+    }
+  }
+
+  _goOnline() {
+    clearInterval(this._timer);
+    this._timer = null;
+    this.state = 'online';
+    this._emitStatus();
+  }
+
+  /**
+   * Handle a request of the client, see configure({ offline })
+   * @param {string} url - Request URL
+   * @param {RequestInit} init - fetch options
+   * @param {Function} send - `(url, init) => Promise<Response>`, adds the token
+   * @returns {Promise<Response>}
+   */
+  async handle(url, init, send) {
+    await this._ready;
+    this._send = send;
+    const route = parseRoute(url, init);
+    this._apiBase = route.apiBase;
+
+    const key = `${route.method} ${route.name}`;
+    const isRead = READ_ROUTES.includes(key) &&
+      !(route.name === 'readFile' && new Headers(init.headers).has('Range')) &&
+      !(route.name === 'readdir' && route.params.get('recursive') === 'true');
+    const isWrite = WRITE_ROUTES.includes(key);
+    if (!isRead && !isWrite) {
+      return send(url, init);
+    }
+
+    // Writes queue behind earlier ones, so they reach the server in order
+    if (this.state === 'offline' || (isWrite && this._journal.length)) {
+      return this._handleLocally(route, url, init);
+    }
+    if (this._journal.length) {
+      // Reads see queued writes once they have landed
+      await this.sync().catch(() => {});
+      if (this.state === 'offline') {
+        return this._handleLocally(route, url, init);
+      }
+    }
+
+    const body = isWrite ? await new Response(init.body ?? null).arrayBuffer() : null;
+    let response;
+    try {
+      response = await send(url, body ? { ...init, body } : init);
+    } catch (err) {
+      if (!(err instanceof TypeError)) throw err;
+      this._goOffline();
+      return this._handleLocally(route, url, body ? { ...init, body } : init);
+    }
+
+    const copy = response.clone();
+    await this._exclusive(() => isWrite
+      ? copy.ok && this._apply(route, body, { fromServer: true })
+      : this._learn(route, copy));
+    return response;
+  }
+
+  /**
+   * Replay queued writes, or check whether the server is back
+   * @returns {Promise<void>} - Resolves once the journal is empty or the
+   *   server is unreachable again
+   */
+  sync() {
+    if (!this._syncing) {
+      this._syncing = this._replay().finally(() => {
+        this._syncing = null;
+      });
+    }
+    return this._syncing;
+  }
+
+  async _replay() {
+    await this._ready;
+    if (!this._send || !this._apiBase) return;
+
+    try {
+      if (!this._journal.length) {
+        if (this.state === 'offline') {
+          await this._send(`${this._apiBase}/methods`, {});
+          this._goOnline();
+        }
+        return;
+      }
+
+      this.state = 'syncing';
+      this._emitStatus();
+      while (this._journal.length) {
+        const entry = this._journal[0];
+        // A file write is sent with If-Match, so the server itself refuses
+        // it if the file changed, with no gap between check and write
+        const [path] = entry.paths;
+        const ifMatch = entry.op === 'writeFile' && entry.base[path]?.etag;
+        let conflict = null;
+        for (const [basePath, base] of Object.entries(entry.base)) {
+          if (ifMatch && basePath === path) continue;
+          const server = await this._serverState(entry.apiBase, basePath);
+          if (hasChanged(base, server)) {
+            conflict = { reason: 'changed', path: basePath, server };
+            break;
+          }
+        }
+        if (!conflict) {
+          const response = await this._send(entry.url, {
+            method: entry.method,
+            headers: ifMatch ? { ...entry.headers, 'If-Match': ifMatch } : entry.headers,
+            body: entry.body
+          });
+          if (ifMatch && response.status === 412) {
+            const server = await this._serverState(entry.apiBase, path);
+            conflict = { reason: 'changed', path, server };
+          } else if (!response.ok) {
+            const { error } = await response.json().catch(() => ({}));
+            conflict = { reason: 'error', error: error || { message: `HTTP ${response.status}` } };
+          }
+        }
+        await this._exclusive(() => this._settle(entry, conflict));
+        this._emitStatus();
+      }
+      this._goOnline();
+    } catch (err) {
+      if (!(err instanceof TypeError)) throw err;
+      this._goOffline();
+    }
+  }
+
+  async _serverState(apiBase, path) {
+    const response = await this._send(`${apiBase}/stat?path=${encodeURIComponent(path)}`, {});
+    if (response.status === 404) return { missing: true };
+    if (!response.ok) return null;
+    const { stats } = await response.json();
+    return serverVersion(response, stats);
+  }
+
+  async _settle(entry, conflict) {
+    this._journal.shift();
+    await this.storage.delete(`journal:${String(entry.seq).padStart(12, '0')}`);
+
+    if (conflict) {
+      const stored = { ...entry, ...conflict };
+      this._conflicts.push(stored);
+      await this.storage.set(`conflict:${String(entry.seq).padStart(12, '0')}`, stored);
+      this._emit('conflict', this.conflicts().find(item => item.id === entry.seq));
+      return;
+    }
+
+    // Later writes to the same paths build on this one, not on the old copy
+    for (const later of this._journal) {
+      if (entry.paths.some(path => path in later.base)) {
+        for (const path of entry.paths) delete later.base[path];
+        await this.storage.set(`journal:${String(later.seq).padStart(12, '0')}`, later);
+      }
+    }
+    for (const path of entry.paths) {
+      const cached = await this.storage.get(`file:${path}`);
+      if (cached) {
+        await this.storage.set(`file:${path}`, { ...cached, server: undefined });
+      }
+    }
+  }
+
+  /**
+   * Answer a request from the local copy, queueing writes
+   */
+  async _handleLocally(route, url, init) {
+    const isWrite = WRITE_ROUTES.includes(`${route.method} ${route.name}`);
+    const body = isWrite ? await new Response(init.body ?? null).arrayBuffer() : null;
+    const response = await this._exclusive(async () => {
+      if (!isWrite) {
+        return this._read(route);
+      }
+      const paths = this._pathsOf(route, body);
+      if (!paths) {
+        return errorResponse('ENETUNREACH', route.name, route.params.get('path') || '.');
+      }
+
+      const base = {};
+      if (route.name !== 'mkdir') {
+        for (const path of paths) {
+          const cached = await this.storage.get(`file:${path}`);
+          if (cached?.server) base[path] = cached.server;
+        }
+      }
+      const headers = Object.fromEntries(new Headers(init.headers));
+      delete headers.authorization;
+      await this._enqueue({
+        op: route.name,
+        method: route.method,
+        url,
+        headers,
+        body,
+        apiBase: route.apiBase,
+        paths,
+        base
+      });
+      await this._apply(route, body, { fromServer: false });
+      return jsonResponse(200, { message: 'Queued until the server is reachable', queued: true, path: paths[0] });
+    });
+
+    if (isWrite) {
+      this._emitStatus();
+      if (this.state !== 'offline') {
+        this.sync().catch(() => {});
+      }
+    }
+    return response;
+  }
+
+  /**
+   * Paths a write changes, normalized
+   * @returns {string[]|null} - null for writes that cannot be queued
+   */
+  _pathsOf(route, body) {
+    const { name, params } = route;
+    if (name === 'writeFile' || name === 'appendFile') {
+      return params.has('path') ? [normalizePath(params.get('path'))] : null;
+    }
+    const json = JSON.parse(new TextDecoder().decode(body) || '{}');
+    if (name === 'rename') return [normalizePath(json.oldPath), normalizePath(json.newPath)];
+    if (name === 'copyFile') return [normalizePath(json.dest)];
+    return [normalizePath(json.path)];
+  }
+
+  async _read(route) {
+    const { name, params } = route;
+    const path = normalizePath(params.get('path') || '.');
+    const cached = await this.storage.get(`file:${path}`);
+    const syscall = { readFile: 'open', readdir: 'scandir' }[name] || name;
+    if (cached?.deleted) {
+      return errorResponse('ENOENT', syscall, path);
+    }
+
+    if (name === 'readFile' && cached?.data) {
+      const text = Boolean(params.get('encoding'));
+      return new Response(cached.data, {
+        status: 200,
+        headers: { 'Content-Type': text ? 'text/plain; charset=utf-8' : 'application/octet-stream' }
+      });
+    }
+    if (name === 'stat' && cached?.stats) {
+      return jsonResponse(200, { stats: cached.stats });
+    }
+    if (name === 'lstat') {
+      const stats = cached?.lstats || (cached?.stats?.type !== 'symlink' && cached?.stats);
+      if (stats) return jsonResponse(200, { stats });
+    }
+    if (name === 'readdir' && cached?.children) {
+      const withFileTypes = params.get('withFileTypes') === 'true';
+      const files = Object.entries(cached.children).map(([child, type]) => withFileTypes
+        ? { name: child, parentPath: params.get('path') || '.', type: type || 'unknown' }
+        : child);
+      return jsonResponse(200, { files });
+    }
+    return errorResponse('ENETUNREACH', syscall, path);
+  }
+
+  /**
+   * Remember what the server answered to a read
+   */
+  async _learn(route, response) {
+    const { name, params } = route;
+    const path = normalizePath(params.get('path') || '.');
+    const cached = (await this.storage.get(`file:${path}`)) || {};
+
+    if (response.status === 404) {
+      if (name === 'stat' || name === 'lstat' || name === 'readFile') {
+        await this.storage.set(`file:${path}`, { deleted: true, server: { missing: true } });
+      }
+      return;
+    }
+    if (!response.ok) return;
+
+    if (name === 'stat') {
+      const { stats } = await response.json();
+      await this.storage.set(`file:${path}`, {
+        ...cached,
+        deleted: false,
+        stats,
+        server: serverVersion(response, stats)
+      });
+    } else if (name === 'lstat') {
+      const { stats } = await response.json();
+      await this.storage.set(`file:${path}`, { ...cached, deleted: false, lstats: stats });
+    } else if (name === 'readFile' && response.status === 200) {
+      const length = Number(response.headers.get('Content-Length'));
+      if (length > this.maxFileSize) return;
+      const data = await response.arrayBuffer();
+      if (data.byteLength > this.maxFileSize) return;
+      // The contents are of this version, whatever an earlier stat saw
+      const server = response.headers.has('ETag') ? serverVersion(response) : cached.server;
+      await this.storage.set(`file:${path}`, { ...cached, deleted: false, data, server });
+    } else if (name === 'readdir') {
+      const { files } = await response.json();
+      const children = {};
+      for (const file of files) {
+        if (typeof file === 'string') {
+          children[file] = null;
+        } else {
+          children[file.name] = file.type;
+        }
+      }
+      await this.storage.set(`file:${path}`, { ...cached, deleted: false, children });
+    }
+  }
+
+  /**
+   * Apply a write to the local copy
+   * @param {Object} route - Parsed request
+   * @param {ArrayBuffer} body - Request body
+   * @param {Object} options - `fromServer` when the server already applied it,
+   *   so its previous mtime no longer describes the server copy
+   */
+  async _apply(route, body, { fromServer }) {
+    const { name } = route;
+    const json = name === 'writeFile' || name === 'appendFile'
+      ? {}
+      : JSON.parse(new TextDecoder().decode(body) || '{}');
+    const paths = this._pathsOf(route, body);
+    if (!paths) return;
+    const [path] = paths;
+
+    if (name === 'writeFile') {
+      await this._setData(path, body);
+    } else if (name === 'appendFile') {
+      const cached = await this.storage.get(`file:${path}`);
+      if (cached?.data) {
+        const data = new Uint8Array(cached.data.byteLength + body.byteLength);
+        data.set(new Uint8Array(cached.data));
+        data.set(new Uint8Array(body), cached.data.byteLength);
+        await this._setData(path, data.buffer);
+      } else {
+        await this._forget(path);
+        await this._addChild(path, 'file');
+      }
+    } else if (name === 'copyFile') {
+      const source = await this.storage.get(`file:${normalizePath(json.src)}`);
+      if (source?.data) {
+        await this._setData(path, source.data);
+      } else {
+        await this._forget(path);
+        await this._addChild(path, 'file');
+      }
+    } else if (name === 'mkdir') {
+      await this._makeDir(path, json.recursive !== false);
+    } else if (name === 'rename') {
+      await this._move(paths[0], paths[1]);
+    } else {
+      await this._remove(path);
+    }
+
+    if (fromServer) {
+      for (const changed of paths) {
+        const cached = await this.storage.get(`file:${changed}`);
+        if (cached?.server) {
+          await this.storage.set(`file:${changed}`, { ...cached, server: undefined });
+        }
+      }
+    }
+  }
+
+  async _setData(path, data) {
+    const cached = (await this.storage.get(`file:${path}`)) || {};
+    const stats = { ...localStats('file', data.byteLength), mode: cached.stats?.mode ?? 0o100644 };
+    await this.storage.set(`file:${path}`, {
+      server: cached.server,
+      deleted: false,
+      stats,
+      data: data.byteLength > this.maxFileSize ? undefined : data
+    });
+    await this._addChild(path, 'file');
+  }
+
+  async _makeDir(path, recursive) {
+    for (let dir = path; dir !== '.'; dir = dirname(dir)) {
+      const cached = await this.storage.get(`file:${dir}`);
+      if (cached?.stats?.type === 'directory' && !cached.deleted) break;
+      await this.storage.set(`file:${dir}`, {
+        server: cached?.server,
+        deleted: false,
+        stats: localStats('directory', 4096),
+        // A directory known to be missing starts out empty
+        children: cached?.deleted ? {} : cached?.children
+      });
+      await this._addChild(dir, 'directory');
+      if (!recursive) break;
+    }
+  }
+
+  async _remove(path) {
+    for (const key of await this._keysBelow(path)) {
+      const cached = await this.storage.get(key);
+      await this.storage.set(key, { deleted: true, server: cached?.server });
+    }
+    const cached = await this.storage.get(`file:${path}`);
+    await this.storage.set(`file:${path}`, { deleted: true, server: cached?.server });
+    await this._removeChild(path);
+  }
+
+  async _move(from, to) {
+    const moves = [[`file:${from}`, `file:${to}`]];
+    for (const key of await this._keysBelow(from)) {
+      moves.push([key, `file:${to}${key.slice(`file:${from}`.length)}`]);
+    }
+    const source = await this.storage.get(`file:${from}`);
+    for (const [oldKey, newKey] of moves) {
+      const moved = await this.storage.get(oldKey);
+      const replaced = await this.storage.get(newKey);
+      await this.storage.set(newKey, { ...moved, server: replaced?.server });
+      await this.storage.set(oldKey, { deleted: true, server: moved?.server });
+    }
+    await this._removeChild(from);
+    await this._addChild(to, source?.stats?.type || null);
+  }
+
+  async _forget(path) {
+    const cached = await this.storage.get(`file:${path}`);
+    await this.storage.set(`file:${path}`, { server: cached?.server });
+  }
+
+  async _keysBelow(path) {
+    const prefix = path === '.' ? 'file:' : `file:${path}/`;
+    return (await this.storage.keys()).map(String).filter(key => key.startsWith(prefix) && key !== 'file:.');
+  }
+
+  async _addChild(path, type) {
+    if (path === '.') return;
+    const parent = dirname(path);
+    const cached = await this.storage.get(`file:${parent}`);
+    if (cached?.children) {
+      const children = { ...cached.children, [path.slice(path.lastIndexOf('/') + 1)]: type };
+      await this.storage.set(`file:${parent}`, { ...cached, children });
+    }
+  }
+
+  async _removeChild(path) {
+    if (path === '.') return;
+    const parent = dirname(path);
+    const cached = await this.storage.get(`file:${parent}`);
+    if (cached?.children) {
+      const children = { ...cached.children };
+      delete children[path.slice(path.lastIndexOf('/') + 1)];
+      await this.storage.set(`file:${parent}`, { ...cached, children });
+    }
+  }
+}
+
+/**
+ * Create an offline store to pass to configure({ offline })
+ * @param {Object} options - See OfflineStore
+ * @returns {OfflineStore}
+ */
+export function createOfflineStore(options = {}) {
+  return new OfflineStore(options);
+}
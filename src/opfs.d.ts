@@ -0,0 +1,20 @@
+/**
+ * fs:browser - In-browser backend on the origin private file system
+ * TypeScript Declaration File
+ */
+
+declare module 'fs:browser/opfs' {
+  /**
+   * Answers the requests of the fs API client, see configure({ backend })
+   */
+  export interface FsBackend {
+    handle(url: string, init?: RequestInit): Promise<Response>;
+  }
+
+  export interface OpfsBackendOptions {
+    /** Directory to serve (default: navigator.storage.getDirectory()) */
+    root?: FileSystemDirectoryHandle | Promise<FileSystemDirectoryHandle>;
+  }
+
+  export function createOpfsBackend(options?: OpfsBackendOptions): FsBackend;
+}
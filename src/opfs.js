@@ -0,0 +1,590 @@
+/**
+ * In-browser backend on the origin private file system (OPFS)
+ * Answers the requests of the fs API client without a server, see
+ * configure({ backend }). OPFS has no symlinks, permissions or directory
+ * times: stats carry the type, size and (for files) mtime, and the
+ * operations OPFS cannot express fail with ENOSYS.
+ */
+
+// Operations this backend answers, reported by GET /methods
+const METHODS = [
+  'readFile', 'writeFile', 'appendFile', 'copyFile', 'cp', 'readdir', 'mkdir',
+  'mkdtemp', 'rmdir', 'rm', 'rename', 'unlink', 'stat', 'lstat', 'realpath',
+  'access', 'truncate'
+];
+
+// HTTP status for each error code, as the server sends them
+const ERROR_STATUS = {
+  ENOENT: 404,
+  EEXIST: 409,
+  ENOTEMPTY: 409,
+  EBUSY: 409,
+  EACCES: 403,
+  EINVAL: 400,
+  EISDIR: 400,
+  ENOTDIR: 400,
+  ECONFLICT: 412,
+  ENOSPC: 507,
+  ENOSYS: 501
+};
+
+const DESCRIPTIONS = {
+  ENOENT: 'no such file or directory',
+  EEXIST: 'file already exists',
+  ENOTEMPTY: 'directory not empty',
+  EBUSY: 'resource busy or locked',
+  EACCES: 'permission denied',
+  EINVAL: 'invalid argument',
+  EISDIR: 'illegal operation on a directory',
+  ENOTDIR: 'not a directory',
+  ECONFLICT: 'file changed since it was read',
+  ENOSPC: 'no space left on device',
+  ENOSYS: 'function not implemented'
+};
+
+/**
+ * Node-style error
+ * @param {string} code - Error code
+ * @param {string} syscall - Operation
+ * @param {string} path - Client path
+ * @returns {Error}
+ */
+function fsError(code, syscall, path) {
+  let message = `${code}: ${DESCRIPTIONS[code]}, ${syscall}`;
+  if (path !== undefined) message += ` '${path}'`;
+  const error = new Error(message);
+  return Object.assign(error, { code, syscall, path });
+}
+
+/**
+ * Turn the DOMException of an OPFS call into a Node-style error
+ * @param {Error} err - Error thrown by OPFS
+ * @param {string} syscall - Operation
+ * @param {string} path - Client path
+ * @returns {Error}
+ */
+function fromDomError(err, syscall, path) {
+  const code = {
+    NotFoundError: 'ENOENT',
+    TypeMismatchError: 'ENOTDIR',
+    InvalidModificationError: 'ENOTEMPTY',
+    NoModificationAllowedError: 'EBUSY',
+    QuotaExceededError: 'ENOSPC'
+  }[err?.name];
+  return code ? fsError(code, syscall, path) : err;
+}
+
+function json(status, body, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+/**
+ * Error response like the server's
+ * @param {Error} err - Node-style error
+ * @param {Object} headers - Extra headers
+ * @returns {Response}
+ */
+function errorResponse(err, headers = {}) {
+  const status = err.status || ERROR_STATUS[err.code] || 500;
+  const { message, code, syscall, path } = err;
+  return json(status, { error: { message, code, syscall, path, status } }, headers);
+}
+
+/**
+ * Split a client path into names, the way the server resolves it
+ * @param {string} path - Client path
+ * @param {string} syscall - Operation, for errors
+ * @returns {string[]}
+ */
+function splitPath(path, syscall) {
+  if (typeof path !== 'string' || path === '') {
+    throw fsError('EINVAL', syscall);
+  }
+  const parts = [];
+  for (const part of path.split('/')) {
+    if (part === '..') {
+      if (!parts.length) throw fsError('EACCES', syscall, path);
+      parts.pop();
+    } else if (part && part !== '.') {
+      parts.push(part);
+    }
+  }
+  return parts;
+}
+
+/**
+ * Entity tag of a file version, from its size and mtime
+ * @param {File} file - File from getFile()
+ * @returns {string}
+ */
+function etagOf(file) {
+  return `"${file.size.toString(16)}-${file.lastModified.toString(16)}"`;
+}
+
+/**
+ * Stats as the server sends them
+ * @param {Object} entry - `{ kind, file }` from getEntry
+ * @returns {Object}
+ */
+function serializeStats({ kind, file }) {
+  const isFile = kind === 'file';
+  const mtimeMs = isFile ? file.lastModified : 0;
+  return {
+    type: isFile ? 'file' : 'directory',
+    mode: isFile ? 0o100644 : 0o40755,
+    nlink: 1,
+    size: isFile ? file.size : 0,
+    blksize: 4096,
+    blocks: isFile ? Math.ceil(file.size / 512) : 0,
+    atimeMs: mtimeMs,
+    mtimeMs,
+    ctimeMs: mtimeMs,
+    birthtimeMs: mtimeMs,
+    etag: isFile ? etagOf(file) : undefined
+  };
+}
+
+/**
+ * Encode file contents as text
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} encoding - utf8, base64, hex or latin1
+ * @param {string} path - Client path, for errors
+ * @returns {string}
+ */
+function decodeText(bytes, encoding, path) {
+  switch (encoding) {
+    case 'utf8':
+    case 'utf-8':
+      return new TextDecoder().decode(bytes);
+    case 'latin1':
+    case 'binary': {
+      let text = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+      }
+      return text;
+    }
+    case 'base64':
+      return btoa(decodeText(bytes, 'latin1', path));
+    case 'hex':
+      return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    default:
+      throw fsError('EINVAL', 'read', path);
+  }
+}
+
+/**
+ * Byte window of an HTTP Range header
+ * @param {string} header - e.g. 'bytes=0-99'
+ * @param {number} size - File size
+ * @returns {{start: number, end: number}|null} - null when not satisfiable
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+  let start;
+  let end;
+  if (match[1] === '') {
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  return start < size && start <= end ? { start, end } : null;
+}
+
+/**
+ * Create a backend that keeps files in the origin private file system
+ * @param {Object} options - Options
+ * @param {FileSystemDirectoryHandle|Promise} options.root - Directory to serve
+ *   (default: the OPFS root, `navigator.storage.getDirectory()`)
+ * @returns {{handle: Function}} - Pass to configure({ backend })
+ */
+export function createOpfsBackend(options = {}) {
+  let root = null;
+  const getRoot = () => (root ||= Promise.resolve(options.root || navigator.storage.getDirectory()));
+
+  async function getDir(parts, syscall, path, create = false) {
+    let dir = await getRoot();
+    for (const name of parts) {
+      try {
+        dir = await dir.getDirectoryHandle(name, { create });
+      } catch (err) {
+        throw fromDomError(err, syscall, path);
+      }
+    }
+    return dir;
+  }
+
+  /**
+   * Look up a path
+   * @returns {Promise<Object|null>} - `{ kind, handle, parent, name, file }`,
+   *   null when the last name is missing
+   */
+  async function getEntry(path, syscall) {
+    const parts = splitPath(path, syscall);
+    if (!parts.length) {
+      return { kind: 'directory', handle: await getRoot(), parent: null, name: '' };
+    }
+    const parent = await getDir(parts.slice(0, -1), syscall, path);
+    const name = parts[parts.length - 1];
+    for (const kind of ['file', 'directory']) {
+      try {
+        const handle = kind === 'file'
+          ? await parent.getFileHandle(name)
+          : await parent.getDirectoryHandle(name);
+        const file = kind === 'file' ? await handle.getFile() : null;
+        return { kind, handle, parent, name, file };
+      } catch (err) {
+        if (err?.name !== 'TypeMismatchError' && err?.name !== 'NotFoundError') {
+          throw fromDomError(err, syscall, path);
+        }
+      }
+    }
+    return null;
+  }
+
+  async function mustGet(path, syscall) {
+    const entry = await getEntry(path, syscall);
+    if (!entry) throw fsError('ENOENT', syscall, path);
+    return entry;
+  }
+
+  async function getFileForWrite(path, syscall) {
+    const entry = await getEntry(path, syscall);
+    if (entry?.kind === 'directory') throw fsError('EISDIR', syscall, path);
+    if (entry) return entry.handle;
+    const parts = splitPath(path, syscall);
+    const parent = await getDir(parts.slice(0, -1), syscall, path);
+    return parent.getFileHandle(parts[parts.length - 1], { create: true });
+  }
+
+  async function writeBytes(fileHandle, data, options = {}) {
+    const writable = await fileHandle.createWritable({ keepExistingData: Boolean(options.keep) });
+    try {
+      if (options.truncate !== undefined) {
+        await writable.truncate(options.truncate);
+      } else {
+        await writable.write(options.position === undefined
+          ? data
+          : { type: 'write', position: options.position, data });
+      }
+      await writable.close();
+    } catch (err) {
+      await writable.abort?.();
+      throw err;
+    }
+    return fileHandle.getFile();
+  }
+
+  async function listDir(dirHandle) {
+    const entries = [];
+    for await (const [name, handle] of dirHandle.entries()) {
+      entries.push([name, handle.kind]);
+    }
+    return entries.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  }
+
+  async function remove(entry, recursive, syscall, path) {
+    if (!entry.parent) throw fsError('EBUSY', syscall, path);
+    try {
+      await entry.parent.removeEntry(entry.name, { recursive });
+    } catch (err) {
+      throw fromDomError(err, syscall, path);
+    }
+  }
+
+  // Copy a file or directory tree; `exclude` holds paths relative to the source
+  async function copyTree(srcPath, destPath, options, relative = '') {
+    if (relative && options.exclude.has(relative)) return;
+    const source = await mustGet(srcPath, 'cp');
+    const dest = await getEntry(destPath, 'cp');
+
+    if (source.kind === 'file') {
+      if (dest?.kind === 'directory') throw fsError('EISDIR', 'cp', destPath);
+      if (dest && !options.force) {
+        if (options.errorOnExist) throw fsError('EEXIST', 'cp', destPath);
+        return;
+      }
+      await writeBytes(await getFileForWrite(destPath, 'cp'), await source.file.arrayBuffer());
+      return;
+    }
+
+    if (!options.recursive) throw fsError('EISDIR', 'cp', srcPath);
+    if (dest?.kind === 'file') throw fsError('ENOTDIR', 'cp', destPath);
+    if (!dest) await getDir(splitPath(destPath, 'cp'), 'cp', destPath, true);
+    for (const [name] of await listDir(source.handle)) {
+      await copyTree(
+        `${srcPath}/${name}`,
+        `${destPath}/${name}`,
+        options,
+        relative ? `${relative}/${name}` : name
+      );
+    }
+  }
+
+  // Whether `inner` is `outer` or below it, as split paths
+  const isInside = (outer, inner) => outer.every((name, i) => inner[i] === name);
+
+  const ok = (message, extra = {}) => json(200, { message, ...extra });
+
+  // Route handlers by "METHOD name", like the server's
+  const routes = {
+    'GET methods': async () => json(200, { methods: METHODS }),
+
+    'GET readFile': async ({ params, headers }) => {
+      const path = params.get('path');
+      const encoding = params.get('encoding') || '';
+      const entry = await mustGet(path, 'open');
+      if (entry.kind === 'directory') throw fsError('EISDIR', 'read', path);
+
+      const { file } = entry;
+      const responseHeaders = {
+        'Content-Type': encoding ? 'text/plain; charset=utf-8' : 'application/octet-stream',
+        'Accept-Ranges': 'bytes',
+        ETag: etagOf(file)
+      };
+      const rangeHeader = headers.get('Range');
+      let status = 200;
+      let blob = file;
+      if (rangeHeader) {
+        const range = parseRange(rangeHeader, file.size);
+        if (!range) {
+          const error = Object.assign(fsError('EINVAL', 'read', path), { status: 416 });
+          return errorResponse(error, { 'Content-Range': `bytes */${file.size}` });
+        }
+        status = 206;
+        blob = file.slice(range.start, range.end + 1);
+        responseHeaders['Content-Range'] = `bytes ${range.start}-${range.end}/${file.size}`;
+      }
+
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+      return new Response(encoding ? decodeText(bytes, encoding, path) : bytes, {
+        status,
+        headers: responseHeaders
+      });
+    },
+
+    'POST writeFile': async ({ params, headers, body }) => {
+      const path = params.get('path');
+      if (!path) throw fsError('EINVAL', 'open');
+      const ifMatch = headers.get('If-Match');
+      if (ifMatch) {
+        const existing = await getEntry(path, 'open');
+        const tags = ifMatch.split(',').map(tag => tag.trim());
+        if (!existing?.file || !(tags.includes('*') || tags.includes(etagOf(existing.file)))) {
+          throw fsError('ECONFLICT', 'open', path);
+        }
+      }
+      const data = await new Response(body).arrayBuffer();
+      const file = await writeBytes(await getFileForWrite(path, 'open'), data);
+      return ok('File written successfully', { path, etag: etagOf(file) });
+    },
+
+    'POST appendFile': async ({ params, body }) => {
+      const path = params.get('path');
+      const handle = await getFileForWrite(path, 'open');
+      const { size } = await handle.getFile();
+      await writeBytes(handle, await new Response(body).arrayBuffer(), { keep: true, position: size });
+      return ok('Data appended successfully', { path });
+    },
+
+    'POST copyFile': async ({ json: readJson }) => {
+      const { src, dest, flags = 0 } = await readJson();
+      const source = await mustGet(src, 'copyfile');
+      if (source.kind === 'directory') throw fsError('EISDIR', 'copyfile', src);
+      if (flags & 1 && (await getEntry(dest, 'copyfile'))) {
+        throw fsError('EEXIST', 'copyfile', dest);
+      }
+      await writeBytes(await getFileForWrite(dest, 'copyfile'), await source.file.arrayBuffer());
+      return ok('File copied successfully', { src, dest });
+    },
+
+    'POST cp': async ({ json: readJson }) => {
+      const { src, dest, recursive = false, force = true, errorOnExist = false, exclude = [] } = await readJson();
+      const from = splitPath(src, 'cp');
+      const to = splitPath(dest, 'cp');
+      if (recursive && isInside(from, to)) throw fsError('EINVAL', 'cp', dest);
+      await copyTree(src, dest, { recursive, force, errorOnExist, exclude: new Set(exclude) });
+      return ok('Copied successfully', { src, dest });
+    },
+
+    'GET readdir': async ({ params }) => {
+      const path = params.get('path') || '.';
+      const withFileTypes = params.get('withFileTypes') === 'true';
+      const recursive = params.get('recursive') === 'true';
+      const entry = await mustGet(path, 'scandir');
+      if (entry.kind !== 'directory') throw fsError('ENOTDIR', 'scandir', path);
+
+      // Breadth-first, like the server's readdir({ recursive: true })
+      const files = [];
+      const queue = [[entry.handle, '', path]];
+      while (queue.length) {
+        const [dir, prefix, parentPath] = queue.shift();
+        for (const [name, kind] of await listDir(dir)) {
+          const relative = prefix ? `${prefix}/${name}` : name;
+          files.push(withFileTypes ? { name, parentPath, type: kind } : relative);
+          if (recursive && kind === 'directory') {
+            const childPath = parentPath === '.' ? name : `${parentPath}/${name}`;
+            queue.push([await dir.getDirectoryHandle(name), relative, childPath]);
+          }
+        }
+      }
+      return json(200, { files });
+    },
+
+    'POST mkdir': async ({ json: readJson }) => {
+      const { path, recursive = true } = await readJson();
+      const parts = splitPath(path, 'mkdir');
+      if (recursive) {
+        await getDir(parts, 'mkdir', path, true);
+        return ok('Directory created', { path });
+      }
+      if (await getEntry(path, 'mkdir')) throw fsError('EEXIST', 'mkdir', path);
+      const parent = await getDir(parts.slice(0, -1), 'mkdir', path);
+      await parent.getDirectoryHandle(parts[parts.length - 1], { create: true });
+      return ok('Directory created', { path });
+    },
+
+    'POST mkdtemp': async ({ json: readJson }) => {
+      const { prefix } = await readJson();
+      const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+      for (;;) {
+        let path = prefix;
+        for (let i = 0; i < 6; i++) {
+          path += chars[Math.floor(Math.random() * chars.length)];
+        }
+        if (!(await getEntry(path, 'mkdtemp'))) {
+          const parts = splitPath(path, 'mkdtemp');
+          const parent = await getDir(parts.slice(0, -1), 'mkdtemp', path);
+          await parent.getDirectoryHandle(parts[parts.length - 1], { create: true });
+          return ok('Directory created', { path });
+        }
+      }
+    },
+
+    'DELETE rmdir': async ({ json: readJson }) => {
+      const { path, recursive = false } = await readJson();
+      const entry = await mustGet(path, 'rmdir');
+      if (entry.kind !== 'directory') throw fsError('ENOTDIR', 'rmdir', path);
+      if (!recursive && (await listDir(entry.handle)).length) {
+        throw fsError('ENOTEMPTY', 'rmdir', path);
+      }
+      await remove(entry, recursive, 'rmdir', path);
+      return ok('Directory removed', { path });
+    },
+
+    'DELETE rm': async ({ json: readJson }) => {
+      const { path, recursive = false, force = false } = await readJson();
+      const entry = await getEntry(path, 'rm');
+      if (!entry) {
+        if (force) return ok('Removed', { path });
+        throw fsError('ENOENT', 'rm', path);
+      }
+      if (entry.kind === 'directory' && !recursive) throw fsError('EISDIR', 'rm', path);
+      await remove(entry, recursive, 'rm', path);
+      return ok('Removed', { path });
+    },
+
+    'DELETE unlink': async ({ json: readJson }) => {
+      const { path } = await readJson();
+      const entry = await mustGet(path, 'unlink');
+      if (entry.kind === 'directory') throw fsError('EISDIR', 'unlink', path);
+      await remove(entry, false, 'unlink', path);
+      return ok('File deleted', { path });
+    },
+
+    'PUT rename': async ({ json: readJson }) => {
+      const { oldPath, newPath } = await readJson();
+      const from = splitPath(oldPath, 'rename');
+      const to = splitPath(newPath, 'rename');
+      const source = await mustGet(oldPath, 'rename');
+      if (from.join('/') === to.join('/')) return ok('Renamed', { oldPath, newPath });
+      if (source.kind === 'directory' && isInside(from, to)) {
+        throw fsError('EINVAL', 'rename', newPath);
+      }
+
+      const dest = await getEntry(newPath, 'rename');
+      if (dest?.kind === 'directory') {
+        if (source.kind !== 'directory') throw fsError('EISDIR', 'rename', newPath);
+        if ((await listDir(dest.handle)).length) throw fsError('ENOTEMPTY', 'rename', newPath);
+      } else if (dest && source.kind === 'directory') {
+        throw fsError('ENOTDIR', 'rename', newPath);
+      }
+      const parent = await getDir(to.slice(0, -1), 'rename', newPath);
+      if (dest) await remove(dest, true, 'rename', newPath);
+
+      if (source.kind === 'file' && source.handle.move) {
+        await source.handle.move(parent, to[to.length - 1]);
+      } else {
+        await copyTree(oldPath, newPath, { recursive: true, force: true, exclude: new Set() });
+        await remove(source, true, 'rename', oldPath);
+      }
+      return ok('Renamed', { oldPath, newPath });
+    },
+
+    'GET stat': async ({ params }) => {
+      const entry = await mustGet(params.get('path'), 'stat');
+      return json(200, { stats: serializeStats(entry) });
+    },
+
+    // No symlinks in OPFS, so lstat is stat
+    'GET lstat': async ({ params }) => {
+      const entry = await mustGet(params.get('path'), 'lstat');
+      return json(200, { stats: serializeStats(entry) });
+    },
+
+    'GET realpath': async ({ params }) => {
+      const path = params.get('path');
+      await mustGet(path, 'realpath');
+      return json(200, { realPath: `/${splitPath(path, 'realpath').join('/')}` });
+    },
+
+    'GET access': async ({ params }) => {
+      const path = params.get('path');
+      await mustGet(path, 'access');
+      return ok('Accessible', { path });
+    },
+
+    'POST truncate': async ({ json: readJson }) => {
+      const { path, len = 0 } = await readJson();
+      const entry = await mustGet(path, 'open');
+      if (entry.kind === 'directory') throw fsError('EISDIR', 'open', path);
+      await writeBytes(entry.handle, null, { keep: true, truncate: len });
+      return ok('File truncated', { path });
+    }
+  };
+
+  return {
+    /**
+     * Answer a request of the client, see configure({ backend })
+     * @param {string} url - Request URL
+     * @param {RequestInit} init - fetch options
+     * @returns {Promise<Response>}
+     */
+    async handle(url, init = {}) {
+      const [base, query = ''] = url.split('?');
+      const slash = base.lastIndexOf('/');
+      const name = base.slice(slash + 1);
+      const method = (init.method || 'GET').toUpperCase();
+      // File handle routes (handle/read, ...) are never answered here
+      const route = base.slice(0, slash).endsWith('/handle') ? null : routes[`${method} ${name}`];
+
+      try {
+        if (!route) throw fsError('ENOSYS', name);
+        return await route({
+          params: new URLSearchParams(query),
+          headers: new Headers(init.headers),
+          body: init.body ?? null,
+          json: async () => JSON.parse((await new Response(init.body ?? null).text()) || '{}')
+        });
+      } catch (err) {
+        return errorResponse(err);
+      }
+    }
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * fs:browser - Synchronous fs API for web workers
+ * TypeScript Declaration File
+ */
+
+declare module 'fs:browser/sync' {
+  import * as fsp from 'fs:browser';
+
+  export interface ConnectSyncOptions {
+    /** Bytes moved per round trip (default: 1 MiB) */
+    bufferSize?: number;
+    /** Fail with ETIMEDOUT after this many ms (default: 30000) */
+    timeout?: number;
+  }
+
+  /**
+   * Run the sync calls of a worker, on the page or in a helper worker
+   * @param target - Worker (or port) that calls connectSync
+   * @returns Function that stops serving
+   */
+  export function serveSync(target: Worker | MessagePort): () => void;
+
+  /**
+   * Enable the *Sync functions in this worker
+   * @param target - Where serveSync runs (default: the worker global, for the page)
+   */
+  export function connectSync(
+    target?: { postMessage(message: any): void },
+    options?: ConnectSyncOptions
+  ): void;
+
+  export function accessSync(path: string, mode?: number): void;
+  export function appendFileSync(path: string, data: string | ArrayBuffer | ArrayBufferView | Blob, options?: string | fsp.WriteFileOptions): void;
+  export function chmodSync(path: string, mode: number | string): void;
+  export function copyFileSync(src: string, dest: string, flags?: number): void;
+  /** The filter option cannot be sent to the host */
+  export function cpSync(src: string, dest: string, options?: Omit<fsp.CpOptions, 'filter'>): void;
+  export function existsSync(path: string): boolean;
+  export function linkSync(existingPath: string, newPath: string): void;
+  export function lstatSync(path: string): fsp.Stats;
+  export function mkdirSync(path: string, options?: fsp.MkdirOptions): void;
+  export function mkdtempSync(prefix: string): string;
+  export function readdirSync(path: string, options?: fsp.ReaddirOptions & { withFileTypes?: false }): string[];
+  export function readdirSync(path: string, options: fsp.ReaddirOptions & { withFileTypes: true }): fsp.Dirent[];
+  export function readFileSync(path: string, options: fsp.BufferEncoding | { encoding: fsp.BufferEncoding }): string;
+  export function readFileSync(path: string, options?: { encoding?: null } | ''): ArrayBuffer;
+  export function readlinkSync(path: string): string;
+  export function realpathSync(path: string): string;
+  export function renameSync(oldPath: string, newPath: string): void;
+  export function rmSync(path: string, options?: fsp.RmOptions): void;
+  export function rmdirSync(path: string, options?: { recursive?: boolean }): void;
+  export function statSync(path: string): fsp.Stats;
+  export function symlinkSync(target: string, path: string, type?: 'file' | 'dir' | 'junction' | null): void;
+  export function truncateSync(path: string, len?: number): void;
+  export function unlinkSync(path: string): void;
+  export function utimesSync(path: string, atime: number | string | Date, mtime: number | string | Date): void;
+  export function writeFileSync(path: string, data: string | ArrayBuffer | ArrayBufferView | Blob, options?: string | fsp.WriteFileOptions): { etag: string };
+}
@@ -0,0 +1,297 @@
+/**
+ * Synchronous fs API for web workers
+ * The worker posts each call to a host (the page, or a helper worker) and
+ * blocks on Atomics.wait until the host has run the promise API of
+ * ./index.js and written the result to a SharedArrayBuffer. Needs a
+ * cross-origin isolated page (COOP/COEP headers) for SharedArrayBuffer.
+ */
+
+import * as fsp from './index.js';
+
+// Methods a worker can call through the host
+const SYNC_METHODS = [
+  'access', 'appendFile', 'chmod', 'copyFile', 'cp', 'exists', 'link',
+  'lstat', 'mkdir', 'mkdtemp', 'readdir', 'readFile', 'readlink', 'realpath',
+  'rename', 'rm', 'rmdir', 'stat', 'symlink', 'truncate', 'unlink', 'utimes',
+  'writeFile'
+];
+
+// Int32 slots at the start of the shared buffer, the result bytes follow
+const STATE = 0;
+const ID = 1;
+const KIND = 2;
+const TOTAL = 3;
+const LENGTH = 4;
+const HEADER_BYTES = 32;
+
+const PENDING = 0;
+const READY = 1;
+
+// How the result bytes are encoded
+const KIND_JSON = 0;
+const KIND_BYTES = 1;
+const KIND_ERROR = 2;
+
+// File type names for Stats and Dirent, as the server sends them
+const TYPE_CHECKS = [
+  ['file', 'isFile'],
+  ['directory', 'isDirectory'],
+  ['symlink', 'isSymbolicLink'],
+  ['block-device', 'isBlockDevice'],
+  ['character-device', 'isCharacterDevice'],
+  ['fifo', 'isFIFO'],
+  ['socket', 'isSocket']
+];
+
+let connection = null;
+
+/**
+ * File type of a Stats or Dirent, e.g. 'file'
+ * @param {Stats|Dirent} entry - Entry to check
+ * @returns {string}
+ */
+function typeOf(entry) {
+  return TYPE_CHECKS.find(([, check]) => entry[check]())?.[0] || 'unknown';
+}
+
+/**
+ * Encode the result of a call for the worker
+ * @param {*} result - Value the promise API resolved with
+ * @returns {[number, Uint8Array]} - Kind and bytes
+ */
+function encodeResult(result) {
+  if (result instanceof ArrayBuffer) {
+    return [KIND_BYTES, new Uint8Array(result)];
+  }
+
+  let value;
+  if (result instanceof fsp.Stats) {
+    value = { stats: { ...result, type: typeOf(result) } };
+  } else if (Array.isArray(result) && result.some(entry => entry instanceof fsp.Dirent)) {
+    value = {
+      dirents: result.map(entry => ({
+        name: entry.name,
+        parentPath: entry.parentPath,
+        type: typeOf(entry)
+      }))
+    };
+  } else {
+    value = { value: result };
+  }
+  return [KIND_JSON, new TextEncoder().encode(JSON.stringify(value))];
+}
+
+/**
+ * Encode a failed call, keeping the Node-style error fields
+ * @param {Error} err - Error the promise API rejected with
+ * @returns {[number, Uint8Array]} - Kind and bytes
+ */
+function encodeError(err) {
+  const error = { message: err.message };
+  for (const key of ['code', 'errno', 'syscall', 'path', 'dest', 'status']) {
+    if (err[key] !== undefined) {
+      error[key] = err[key];
+    }
+  }
+  return [KIND_ERROR, new TextEncoder().encode(JSON.stringify(error))];
+}
+
+/**
+ * Copy the next chunk of a result into the shared buffer and wake the worker
+ * @param {SharedArrayBuffer} shared - Buffer of the waiting worker
+ * @param {Object} pending - `{ id, kind, bytes, offset }`
+ */
+function writeChunk(shared, pending) {
+  const header = new Int32Array(shared, 0, HEADER_BYTES / 4);
+  const data = new Uint8Array(shared, HEADER_BYTES);
+  const chunk = pending.bytes.subarray(pending.offset, pending.offset + data.length);
+  data.set(chunk);
+  pending.offset += chunk.length;
+
+  header[KIND] = pending.kind;
+  header[TOTAL] = pending.bytes.length;
+  header[LENGTH] = chunk.length;
+  // Stored last, so the worker sees the rest once the id matches
+  Atomics.store(header, ID, pending.id);
+  Atomics.store(header, STATE, READY);
+  Atomics.notify(header, STATE);
+}
+
+/**
+ * Run the sync calls of a worker. Call this where fetch can run while the
+ * worker blocks: on the page, or in a helper worker.
+ * @param {Worker|MessagePort} target - Worker (or port) that calls connectSync
+ * @returns {Function} - Stop serving
+ */
+export function serveSync(target) {
+  // Results too large for the shared buffer, by worker channel
+  const pending = new Map();
+
+  const onMessage = async event => {
+    const message = event.data;
+    if (message?.type === 'fs-sync-next') {
+      const entry = pending.get(message.channel);
+      if (entry?.id === message.id) {
+        writeChunk(message.buffer, entry);
+        if (entry.offset >= entry.bytes.length) {
+          pending.delete(message.channel);
+        }
+      }
+      return;
+    }
+    if (message?.type !== 'fs-sync') {
+      return;
+    }
+
+    // A new call means the worker gave up on any earlier result
+    pending.delete(message.channel);
+    let kind;
+    let bytes;
+    try {
+      if (!SYNC_METHODS.includes(message.method)) {
+        const error = new Error(`ENOSYS: function not implemented, ${message.method}Sync`);
+        error.code = 'ENOSYS';
+        throw error;
+      }
+      [kind, bytes] = encodeResult(await fsp[message.method](...message.args));
+    } catch (err) {
+      [kind, bytes] = encodeError(err);
+    }
+
+    const entry = { id: message.id, kind, bytes, offset: 0 };
+    writeChunk(message.buffer, entry);
+    if (entry.offset < bytes.length) {
+      pending.set(message.channel, entry);
+    }
+  };
+
+  target.addEventListener('message', onMessage);
+  target.start?.();
+  return () => target.removeEventListener('message', onMessage);
+}
+
+/**
+ * Enable the *Sync functions in this worker
+ * @param {Object} target - Where serveSync runs: the worker global (default,
+ *   for the page) or a MessagePort to a helper worker
+ * @param {Object} options - Options
+ * @param {number} options.bufferSize - Bytes moved per round trip (default: 1 MiB)
+ * @param {number} options.timeout - Fail with ETIMEDOUT after this many ms (default: 30000)
+ */
+export function connectSync(target = globalThis, options = {}) {
+  if (typeof SharedArrayBuffer === 'undefined') {
+    throw new Error('SharedArrayBuffer is not available, serve the page with COOP/COEP headers (cross-origin isolation)');
+  }
+  const shared = new SharedArrayBuffer(HEADER_BYTES + (options.bufferSize || 1024 * 1024));
+  connection = {
+    target,
+    shared,
+    header: new Int32Array(shared, 0, HEADER_BYTES / 4),
+    channel: Math.random().toString(36).slice(2),
+    timeout: options.timeout ?? 30000,
+    nextId: 1
+  };
+}
+
+/**
+ * Block until the host has answered the given call
+ * @param {number} id - Call id
+ * @param {number} deadline - Timestamp to give up at
+ */
+function waitForHost(id, deadline) {
+  const { header } = connection;
+  for (;;) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0 || Atomics.wait(header, STATE, PENDING, remaining) === 'timed-out') {
+      const error = new Error('ETIMEDOUT: connection timed out, no answer from the sync host');
+      error.code = 'ETIMEDOUT';
+      throw error;
+    }
+    if (Atomics.load(header, ID) === id) {
+      return;
+    }
+    // A late answer to a call that timed out: drop it, unless ours landed meanwhile
+    Atomics.store(header, STATE, PENDING);
+    if (Atomics.load(header, ID) === id) {
+      return;
+    }
+  }
+}
+
+/**
+ * Run a promise API method on the host and wait for its result
+ * @param {string} method - Method name, e.g. 'readFile'
+ * @param {Array} args - Arguments, structured-cloned to the host
+ * @returns {*}
+ */
+function callSync(method, args) {
+  if (!connection) {
+    const error = new Error(`ENOSYS: function not implemented, ${method}Sync needs connectSync() in a worker`);
+    error.code = 'ENOSYS';
+    error.syscall = method;
+    throw error;
+  }
+
+  const { target, shared, header, channel } = connection;
+  const id = connection.nextId++;
+  const deadline = Date.now() + connection.timeout;
+  Atomics.store(header, STATE, PENDING);
+  target.postMessage({ type: 'fs-sync', channel, id, method, args, buffer: shared });
+  waitForHost(id, deadline);
+
+  const bytes = new Uint8Array(header[TOTAL]);
+  const data = new Uint8Array(shared, HEADER_BYTES);
+  let offset = 0;
+  for (;;) {
+    bytes.set(data.subarray(0, header[LENGTH]), offset);
+    offset += header[LENGTH];
+    if (offset >= bytes.length) {
+      break;
+    }
+    Atomics.store(header, STATE, PENDING);
+    target.postMessage({ type: 'fs-sync-next', channel, id, buffer: shared });
+    waitForHost(id, deadline);
+  }
+
+  const kind = header[KIND];
+  if (kind === KIND_BYTES) {
+    return bytes.buffer;
+  }
+  const result = JSON.parse(new TextDecoder().decode(bytes));
+  if (kind === KIND_ERROR) {
+    const error = new Error(result.message);
+    Object.assign(error, result);
+    throw error;
+  }
+  if (result.stats) {
+    return new fsp.Stats(result.stats);
+  }
+  if (result.dirents) {
+    return result.dirents.map(entry => new fsp.Dirent(entry.name, entry.parentPath, entry.type));
+  }
+  return result.value;
+}
+
+export const accessSync = (...args) => callSync('access', args);
+export const appendFileSync = (...args) => callSync('appendFile', args);
+export const chmodSync = (...args) => callSync('chmod', args);
+export const copyFileSync = (...args) => callSync('copyFile', args);
+export const cpSync = (...args) => callSync('cp', args);
+export const existsSync = (...args) => callSync('exists', args);
+export const linkSync = (...args) => callSync('link', args);
+export const lstatSync = (...args) => callSync('lstat', args);
+export const mkdirSync = (...args) => callSync('mkdir', args);
+export const mkdtempSync = (...args) => callSync('mkdtemp', args);
+export const readdirSync = (...args) => callSync('readdir', args);
+export const readFileSync = (...args) => callSync('readFile', args);
+export const readlinkSync = (...args) => callSync('readlink', args);
+export const realpathSync = (...args) => callSync('realpath', args);
+export const renameSync = (...args) => callSync('rename', args);
+export const rmSync = (...args) => callSync('rm', args);
+export const rmdirSync = (...args) => callSync('rmdir', args);
+export const statSync = (...args) => callSync('stat', args);
+export const symlinkSync = (...args) => callSync('symlink', args);
+export const truncateSync = (...args) => callSync('truncate', args);
+export const unlinkSync = (...args) => callSync('unlink', args);
+export const utimesSync = (...args) => callSync('utimes', args);
+export const writeFileSync = (...args) => callSync('writeFile', args);
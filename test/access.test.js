@@ -0,0 +1,93 @@
+/**
+ * Rules are checked on the paths a handler acts on, wherever the request
+ * puts them
+ */
+
+import assert from "assert/strict";
+import fs from "fs";
+import path from "path";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { createTree, startServer } from "./helpers.js";
+
+describe("access rules", () => {
+    let root;
+    let dataDir;
+    let server;
+
+    before(async () => {
+        root = createTree();
+        dataDir = path.join(root, "data");
+        fs.mkdirSync(path.join(dataDir, "secret"));
+        server = await startServer(dataDir, {
+            rules: [{ pattern: "secret/**", access: "deny" }]
+        });
+    });
+
+    beforeEach(() => {
+        fs.writeFileSync(path.join(dataDir, "public.txt"), "public");
+        fs.writeFileSync(path.join(dataDir, "secret", "key.txt"), "key");
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const exists = filePath => fs.existsSync(path.join(dataDir, filePath));
+
+    test("a query path does not cover a body path", async () => {
+        const { status } = await server.request("rm?path=public.txt", {
+            method: "DELETE",
+            body: { path: "secret/key.txt" }
+        });
+        assert.equal(status, 403);
+        assert.ok(exists("secret/key.txt"));
+        assert.ok(exists("public.txt"));
+    });
+
+    test("query paths of rename are ignored", async () => {
+        const route = "rename?oldPath=public.txt&newPath=p2.txt";
+        const { status } = await server.request(route, {
+            method: "PUT",
+            body: { oldPath: "secret/key.txt", newPath: "leak.txt" }
+        });
+        assert.equal(status, 403);
+        assert.ok(exists("secret/key.txt"));
+        assert.ok(!exists("leak.txt"));
+    });
+
+    test("JSON bodies count whatever their Content-Type", async () => {
+        const { status } = await server.request("unlink?path=public.txt", {
+            method: "DELETE",
+            headers: { "Content-Type": "text/plain" },
+            body: JSON.stringify({ path: "secret/key.txt" })
+        });
+        assert.equal(status, 403);
+        assert.ok(exists("secret/key.txt"));
+    });
+
+    test("writeFile with a query path writes the body as data", async () => {
+        const { status } = await server.request("writeFile?path=w.json", {
+            method: "POST",
+            body: { path: "secret/key.txt", data: "pwned" }
+        });
+        assert.equal(status, 200);
+        assert.equal(
+            fs.readFileSync(path.join(dataDir, "secret", "key.txt"), "utf8"),
+            "key"
+        );
+        assert.deepEqual(
+            JSON.parse(fs.readFileSync(path.join(dataDir, "w.json"), "utf8")),
+            { path: "secret/key.txt", data: "pwned" }
+        );
+    });
+
+    test("allowed body paths still work", async () => {
+        const { status } = await server.request("rm", {
+            method: "DELETE",
+            body: { path: "public.txt" }
+        });
+        assert.equal(status, 200);
+        assert.ok(!exists("public.txt"));
+    });
+});
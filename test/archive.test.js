@@ -0,0 +1,129 @@
+/**
+ * Archives are unpacked no further than the limits allow
+ */
+
+import assert from "assert/strict";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { Readable } from "stream";
+import zlib from "zlib";
+import { after, before, describe, test } from "node:test";
+import { readArchive, writeTar, writeZip } from "../plugin/archive.js";
+import { createTree, startServer } from "./helpers.js";
+
+const MiB = 1024 * 1024;
+
+const collect = async chunks => {
+    const parts = [];
+    for await (const chunk of chunks) parts.push(chunk);
+    return Buffer.concat(parts);
+};
+
+// An archive of one file of `size` zero bytes, which compresses very well
+const zeros = (write, size) =>
+    collect(
+        write([
+            {
+                path: "zeros.bin",
+                type: "file",
+                mode: 0o644,
+                mtimeMs: Date.now(),
+                size,
+                open: async () => Readable.from([Buffer.alloc(size)])
+            }
+        ])
+    );
+
+describe("archive limits", () => {
+    test("gzip stops at maxSize", async () => {
+        const archive = zlib.gzipSync(await zeros(writeTar, 20 * MiB));
+        assert.throws(() => readArchive(archive, { maxSize: MiB }), {
+            code: "EFBIG"
+        });
+        assert.equal(readArchive(archive).length, 1);
+    });
+
+    test("entries over maxFileSize are refused", async () => {
+        for (const write of [writeTar, writeZip]) {
+            const archive = await zeros(write, 2 * MiB);
+            assert.throws(() => readArchive(archive, { maxFileSize: MiB }), {
+                code: "EFBIG"
+            });
+        }
+    });
+
+    test("zip entries stop at the size they claim", async () => {
+        const archive = await zeros(writeZip, 2 * MiB);
+        // Make the central directory claim 1 KiB
+        const central = archive.indexOf(Buffer.from([0x50, 0x4b, 1, 2]));
+        archive.writeUInt32LE(1024, central + 24);
+        assert.throws(() => readArchive(archive), { code: "EINVAL" });
+    });
+});
+
+describe("POST /extract limits", () => {
+    let root;
+    let server;
+
+    before(async () => {
+        root = createTree();
+        server = await startServer(path.join(root, "data"), {
+            maxRequestBody: MiB
+        });
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test("archives unpacking past maxRequestBody fail", async () => {
+        const archive = zlib.gzipSync(await zeros(writeTar, 20 * MiB));
+        const { status, json } = await server.request("extract", {
+            method: "POST",
+            body: new Uint8Array(archive),
+            headers: { "Content-Type": "application/gzip" }
+        });
+        assert.equal(status, 413);
+        assert.equal(json.error.code, "EFBIG");
+        assert.ok(!fs.existsSync(path.join(root, "data", "zeros.bin")));
+    });
+});
+
+describe("POST /extract without maxRequestBody", () => {
+    let root;
+    let server;
+
+    before(async () => {
+        root = createTree();
+        server = await startServer(path.join(root, "data"));
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test("archives are still capped before they are read", async () => {
+        // Declares more than the cap, then sends only the first bytes
+        const status = await new Promise((resolve, reject) => {
+            const req = http.request(`${server.base}/extract`, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/x-tar",
+                    "Content-Length": 2 * 1024 * MiB
+                },
+                signal: AbortSignal.timeout(5000)
+            });
+            req.on("response", res => {
+                res.resume();
+                resolve(res.statusCode);
+                req.destroy();
+            });
+            req.on("error", reject);
+            req.write(Buffer.alloc(512));
+        });
+        assert.equal(status, 413);
+    });
+});
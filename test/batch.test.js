@@ -0,0 +1,78 @@
+/**
+ * Atomic batches apply all of their operations or none of them, and write
+ * files the way POST /writeFile does
+ */
+
+import assert from "assert/strict";
+import fs from "fs";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import { createTree, startServer } from "./helpers.js";
+
+describe("atomic batches", () => {
+    let root;
+    let dataDir;
+    let server;
+
+    before(async () => {
+        root = createTree();
+        dataDir = path.join(root, "data");
+        fs.chmodSync(path.join(dataDir, "sub", "inner.txt"), 0o600);
+        fs.symlinkSync("sub/inner.txt", path.join(dataDir, "alias.txt"));
+        server = await startServer(dataDir);
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const batch = ops =>
+        server.request("batch", {
+            method: "POST",
+            body: { atomic: true, ops }
+        });
+
+    test("a failing operation undoes the ones before it", async () => {
+        const { status, json } = await batch([
+            { op: "writeFile", path: "public.txt", data: "changed" },
+            { op: "mkdir", path: "made" },
+            { op: "unlink", path: "missing.txt" }
+        ]);
+        assert.equal(status, 404);
+        assert.equal(json.error.index, 2);
+        assert.equal(
+            fs.readFileSync(path.join(dataDir, "public.txt"), "utf8"),
+            "public"
+        );
+        assert.ok(!fs.existsSync(path.join(dataDir, "made")));
+    });
+
+    test("write through symlinks and keep the mode", async () => {
+        const { status } = await batch([
+            { op: "writeFile", path: "alias.txt", data: "through" }
+        ]);
+        assert.equal(status, 200);
+        assert.ok(
+            fs.lstatSync(path.join(dataDir, "alias.txt")).isSymbolicLink()
+        );
+        const inner = path.join(dataDir, "sub", "inner.txt");
+        assert.equal(fs.readFileSync(inner, "utf8"), "through");
+        assert.equal(fs.statSync(inner).mode & 0o777, 0o600);
+    });
+
+    test("roll back the symlink's target", async () => {
+        const { status } = await batch([
+            { op: "writeFile", path: "alias.txt", data: "rolled back" },
+            { op: "unlink", path: "missing.txt" }
+        ]);
+        assert.equal(status, 404);
+        assert.ok(
+            fs.lstatSync(path.join(dataDir, "alias.txt")).isSymbolicLink()
+        );
+        assert.equal(
+            fs.readFileSync(path.join(dataDir, "sub", "inner.txt"), "utf8"),
+            "through"
+        );
+    });
+});
@@ -0,0 +1,152 @@
+/**
+ * Links extracted from an archive get the same checks as POST /symlink
+ */
+
+import assert from "assert/strict";
+import fs from "fs";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import { writeTar } from "../plugin/archive.js";
+import { createTree, startServer } from "./helpers.js";
+
+const tarOf = async entries => {
+    const chunks = [];
+    for await (const chunk of writeTar(entries)) chunks.push(chunk);
+    return new Uint8Array(Buffer.concat(chunks));
+};
+
+// A ustar header; writeTar has no hard links to write
+const tarHeader = (name, type, size = 0, linkName = "") => {
+    const header = Buffer.alloc(512);
+    header.write(name, 0);
+    header.write("0000644\0", 100);
+    header.write(`${size.toString(8).padStart(11, "0")}\0`, 124);
+    header.write("00000000000\0", 136);
+    header.write(type, 156);
+    header.write(linkName, 157);
+    header.write("ustar\x0000", 257);
+    header.fill(" ", 148, 156);
+    let sum = 0;
+    for (const byte of header) sum += byte;
+    header.write(`${sum.toString(8).padStart(6, "0")}\0 `, 148);
+    return header;
+};
+
+const link = (linkPath, target) => ({
+    path: linkPath,
+    type: "symlink",
+    target,
+    mode: 0o777,
+    mtimeMs: Date.now()
+});
+
+describe("extracted symlinks", () => {
+    let root;
+    let dataDir;
+    let server;
+
+    before(async () => {
+        root = createTree();
+        dataDir = path.join(root, "data");
+        fs.mkdirSync(path.join(dataDir, "secret"));
+        fs.writeFileSync(path.join(dataDir, "secret", "key.txt"), "key");
+        server = await startServer(dataDir, {
+            rules: [{ pattern: "secret/**", access: "deny" }]
+        });
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const extract = async entries =>
+        server.request("extract", {
+            method: "POST",
+            body: await tarOf(entries),
+            headers: { "Content-Type": "application/x-tar" }
+        });
+
+    for (const [name, target] of [
+        ["the reserved directory", ".fs-browser/trash"],
+        ["a denied path", "secret/key.txt"],
+        ["a path through a link out of the root", "link-out/stolen.txt"]
+    ]) {
+        test(`links to ${name} are refused`, async () => {
+            const { status } = await extract([
+                { path: "file.txt", type: "file", mode: 0o644, size: 0 },
+                link("new-link", target)
+            ]);
+            assert.equal(status, 403);
+            // Nothing is extracted
+            assert.ok(!fs.existsSync(path.join(dataDir, "file.txt")));
+            assert.throws(() => fs.lstatSync(path.join(dataDir, "new-link")));
+        });
+    }
+
+    test("links inside the extraction directory are kept", async () => {
+        const { status } = await extract([link("sub/to-inner", "inner.txt")]);
+        assert.equal(status, 200);
+        assert.equal(
+            fs.readlinkSync(path.join(dataDir, "sub", "to-inner")),
+            "inner.txt"
+        );
+    });
+});
+
+describe("extracted hard links", () => {
+    let root;
+    let dataDir;
+    let server;
+
+    before(async () => {
+        root = createTree();
+        dataDir = path.join(root, "data");
+        server = await startServer(dataDir, { maxRequestBody: 64 * 1024 });
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const extract = body =>
+        server.request("extract", {
+            method: "POST",
+            body: new Uint8Array(body),
+            headers: { "Content-Type": "application/x-tar" }
+        });
+
+    test("copies count toward the size limit", async () => {
+        const size = 16 * 1024;
+        const { status, json } = await extract(
+            Buffer.concat([
+                tarHeader("big.bin", "0", size),
+                Buffer.alloc(size),
+                ...Array.from({ length: 10 }, (_, i) =>
+                    tarHeader(`copy${i}.bin`, "1", 0, "big.bin")
+                ),
+                Buffer.alloc(1024)
+            ])
+        );
+        assert.equal(status, 413);
+        assert.equal(json.error.code, "EFBIG");
+        assert.ok(!fs.existsSync(path.join(dataDir, "big.bin")));
+    });
+
+    test("copies within the limit are extracted", async () => {
+        const { status } = await extract(
+            Buffer.concat([
+                tarHeader("small.txt", "0", 5),
+                Buffer.from("small".padEnd(512, "\0")),
+                tarHeader("copy.txt", "1", 0, "small.txt"),
+                Buffer.alloc(1024)
+            ])
+        );
+        assert.equal(status, 200);
+        assert.equal(
+            fs.readFileSync(path.join(dataDir, "copy.txt"), "utf8"),
+            "small"
+        );
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * GET /grep finds plain text and regular expressions, and the ones from
+ * clients cannot hold up the server
+ */
+
+import assert from "assert/strict";
+import fs from "fs";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import { createTree, startServer } from "./helpers.js";
+
+describe("GET /grep", () => {
+    let root;
+    let server;
+
+    before(async () => {
+        root = createTree();
+        const dataDir = path.join(root, "data");
+        fs.writeFileSync(path.join(dataDir, "slow.txt"), `${"a".repeat(40)}!`);
+        server = await startServer(dataDir, { searchTimeout: 500 });
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const grep = (query, regex) =>
+        server.request(
+            `grep?${new URLSearchParams({ query, regex, path: "." })}`
+        );
+
+    test("a backtracking pattern times out", async () => {
+        const started = Date.now();
+        const pending = grep("(a+)+$", "true");
+        // The server keeps answering while the pattern runs
+        assert.equal(
+            (await server.request("stat?path=public.txt")).status,
+            200
+        );
+        const { status, json } = await pending;
+        assert.equal(status, 504);
+        assert.equal(json.error.code, "ETIMEDOUT");
+        assert.ok(Date.now() - started < 3000);
+    });
+
+    test("patterns and plain text still match", async () => {
+        for (const [query, regex] of [
+            ["^pub", "true"],
+            ["public", "false"]
+        ]) {
+            const { status, text } = await grep(query, regex);
+            assert.equal(status, 200);
+            const results = text
+                .trim()
+                .split("\n")
+                .map(line => JSON.parse(line));
+            assert.deepEqual(results, [
+                { path: "public.txt", line: 1, column: 1, text: "public" },
+                { done: true }
+            ]);
+        }
+    });
+});
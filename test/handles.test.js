@@ -0,0 +1,168 @@
+/**
+ * File handles can only be used by the session or connection that opened them
+ */
+
+import assert from "assert/strict";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import { createTree, startServer } from "./helpers.js";
+
+describe("file handles", () => {
+    let root;
+    let server;
+
+    before(async () => {
+        root = createTree();
+        server = await startServer(path.join(root, "data"));
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const open = session =>
+        server.request("open", {
+            method: "POST",
+            body: { path: "public.txt", flags: "r+" },
+            headers: { "X-Fs-Session": session }
+        });
+
+    const read = (fd, session) =>
+        server.request(`handle/read?fd=${fd}&position=0`, {
+            headers: { "X-Fs-Session": session }
+        });
+
+    test("other sessions cannot use a handle", async () => {
+        const { json } = await open("session-a");
+        assert.equal((await read(json.fd, "session-a")).text, "public");
+
+        for (const [route, init] of [
+            [`handle/read?fd=${json.fd}`, {}],
+            [
+                `handle/write?fd=${json.fd}&position=0`,
+                { method: "POST", body: "pwned" }
+            ],
+            [`handle/stat?fd=${json.fd}`, {}],
+            ["handle/truncate", { method: "POST", body: { fd: json.fd } }],
+            ["handle/sync", { method: "POST", body: { fd: json.fd } }],
+            ["handle/close", { method: "POST", body: { fd: json.fd } }]
+        ]) {
+            for (const headers of [{ "X-Fs-Session": "session-b" }, {}]) {
+                const { status, json: body } = await server.request(route, {
+                    ...init,
+                    headers
+                });
+                assert.equal(status, 400, route);
+                assert.equal(body.error.code, "EBADF");
+            }
+        }
+
+        // The handle is still open for its own session
+        assert.equal((await read(json.fd, "session-a")).text, "public");
+        assert.equal(
+            fs.readFileSync(path.join(root, "data", "public.txt"), "utf8"),
+            "public"
+        );
+    });
+
+    test("handles opened without a session belong to their connection", async () => {
+        const agent = new http.Agent({ keepAlive: true, maxSockets: 1 });
+        const get = (route, options = {}) =>
+            new Promise((resolve, reject) => {
+                const req = http.request(`${server.base}/${route}`, options);
+                req.on("error", reject);
+                req.on("response", res => {
+                    const chunks = [];
+                    res.on("data", chunk => chunks.push(chunk));
+                    res.on("end", () =>
+                        resolve({
+                            status: res.statusCode,
+                            text: Buffer.concat(chunks).toString()
+                        })
+                    );
+                });
+                req.end(options.body);
+            });
+
+        try {
+            const { text } = await get("open", {
+                agent,
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ path: "public.txt" })
+            });
+            const { fd } = JSON.parse(text);
+            assert.equal(
+                (await get(`handle/read?fd=${fd}`, { agent })).text,
+                "public"
+            );
+            const other = await get(`handle/read?fd=${fd}`, { agent: false });
+            assert.equal(other.status, 400);
+        } finally {
+            agent.destroy();
+        }
+    });
+});
+
+describe("open", () => {
+    let root;
+    let server;
+
+    before(async () => {
+        root = createTree();
+        server = await startServer(path.join(root, "data"), {
+            maxHandles: 200
+        });
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const open = (session, body = { path: "public.txt" }) =>
+        server.request("open", {
+            method: "POST",
+            body,
+            headers: { "X-Fs-Session": session }
+        });
+
+    test("a session cannot hold too many handles", async () => {
+        for (let i = 0; i < 128; i++) {
+            assert.equal((await open("greedy")).status, 200);
+        }
+        const { status, json } = await open("greedy");
+        assert.equal(status, 429);
+        assert.equal(json.error.code, "EMFILE");
+        // Others still can
+        assert.equal((await open("other")).status, 200);
+    });
+
+    test("the server caps open handles", async () => {
+        let status;
+        for (let i = 0; i < 128 && status !== 429; i++) {
+            ({ status } = await open(`session-${i}`));
+        }
+        assert.equal(status, 429);
+        // Closing some makes room again
+        await server.request("handles", {
+            method: "DELETE",
+            headers: { "X-Fs-Session": "greedy" }
+        });
+        assert.equal((await open("greedy")).status, 200);
+    });
+
+    test("invalid modes are refused", async () => {
+        const { status, json } = await open("modes", {
+            path: "new.txt",
+            flags: "w",
+            mode: "rw-"
+        });
+        assert.equal(status, 400);
+        assert.equal(json.error.code, "EINVAL");
+        assert.ok(!fs.existsSync(path.join(root, "data", "new.txt")));
+    });
+});
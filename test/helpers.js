@@ -0,0 +1,117 @@
+/**
+ * Test helpers: a throwaway directory tree and an fs API server on it
+ */
+
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { createFsHandlers, findHandler } from "../plugin/fs-handlers.js";
+
+export const SECRET = "OUTSIDE-SECRET";
+
+/**
+ * Create a temp directory with a base directory `data` and, next to it,
+ * places paths must never reach:
+ *   data/public.txt, data/sub/inner.txt, data/link-out -> ../outside
+ *   data2/victim.txt (shares the prefix of data), outside/stolen.txt
+ * @returns {string} - The temp directory
+ */
+export const createTree = () => {
+    const root = fs.realpathSync(
+        fs.mkdtempSync(path.join(os.tmpdir(), "fs-browser-test-"))
+    );
+    fs.mkdirSync(path.join(root, "data", "sub"), { recursive: true });
+    fs.mkdirSync(path.join(root, "data2"));
+    fs.mkdirSync(path.join(root, "outside"));
+    fs.writeFileSync(path.join(root, "data", "public.txt"), "public");
+    fs.writeFileSync(path.join(root, "data", "sub", "inner.txt"), "inner");
+    fs.writeFileSync(path.join(root, "data2", "victim.txt"), SECRET);
+    fs.writeFileSync(path.join(root, "outside", "stolen.txt"), SECRET);
+    fs.symlinkSync("../outside", path.join(root, "data", "link-out"));
+    return root;
+};
+
+/**
+ * Names, types and contents of everything under some directories, to
+ * compare before and after a request
+ * @param {string[]} dirs - Absolute directories
+ * @returns {string}
+ */
+export const snapshot = dirs => {
+    const lines = [];
+    const walk = dir => {
+        for (const name of fs.readdirSync(dir).sort()) {
+            const fullPath = path.join(dir, name);
+            const stats = fs.lstatSync(fullPath);
+            if (stats.isDirectory()) {
+                lines.push(`${fullPath}/ ${stats.mode}`);
+                walk(fullPath);
+            } else if (stats.isSymbolicLink()) {
+                lines.push(`${fullPath} -> ${fs.readlinkSync(fullPath)}`);
+            } else {
+                const data = fs.readFileSync(fullPath, "utf8");
+                lines.push(`${fullPath} ${stats.mode} ${data}`);
+            }
+        }
+    };
+    dirs.forEach(walk);
+    return lines.join("\n");
+};
+
+/**
+ * Serve createFsHandlers on a free port, like withfs does
+ * @param {string} baseDir - Base directory
+ * @param {Object} options - createFsHandlers options
+ * @returns {Promise<Object>} - `{ request, close, base }`; `request(route, init)`
+ *   fetches `/api/fs/<route>` and resolves to `{ status, text, json }`, `base`
+ *   is the URL of `/api/fs`
+ */
+export const startServer = async (baseDir, options = {}) => {
+    const handlers = createFsHandlers(baseDir, options);
+    const server = http.createServer(async (req, res) => {
+        const route = req.url.replace(/^\/api\/fs/, "") || "/";
+        const handler = findHandler(handlers, req.method, route);
+        if (!handler) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+        await handler(req, res);
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const base = `http://127.0.0.1:${server.address().port}/api/fs`;
+
+    const request = async (route, init = {}) => {
+        const headers = { ...init.headers };
+        let body = init.body;
+        if (body !== undefined && typeof body !== "string") {
+            if (!(body instanceof Uint8Array)) {
+                body = JSON.stringify(body);
+                headers["Content-Type"] ??= "application/json";
+            }
+        }
+        const response = await fetch(`${base}/${route}`, {
+            method: init.method || "GET",
+            headers,
+            body,
+            signal: AbortSignal.timeout(5000)
+        });
+        const text = await response.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch {
+            // Not every route answers JSON
+        }
+        return { status: response.status, text, json };
+    };
+
+    const close = () =>
+        new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        });
+
+    return { request, close, base };
+};
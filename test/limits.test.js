@@ -0,0 +1,196 @@
+/**
+ * The quota holds under parallel writes, and usage follows each change
+ * without walking the tree again
+ */
+
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { Readable } from "stream";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import { diskBackend } from "../plugin/fs-handlers.js";
+import { createLimits, measureUsage } from "../plugin/limits.js";
+import { createTree, startServer } from "./helpers.js";
+
+describe("limits", () => {
+    let root;
+    let walks;
+    // Counts the walks of the root, to see usage is not measured again
+    const backend = {
+        ...diskBackend,
+        readdir: (dir, options) => {
+            if (dir === root) walks++;
+            return diskBackend.readdir(dir, options);
+        }
+    };
+    const isInternal = fullPath =>
+        path.relative(root, fullPath).split(path.sep)[0] === ".internal";
+    const create = options =>
+        createLimits(backend, [root], { isInternal, ...options });
+    const file = name => path.join(root, name);
+
+    beforeEach(() => {
+        root = fs.realpathSync(
+            fs.mkdtempSync(path.join(os.tmpdir(), "fs-browser-limits-"))
+        );
+        walks = 0;
+    });
+
+    afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    test("parallel writes cannot share free bytes", async () => {
+        const limits = create({ quotaBytes: 1000 });
+        const data = "x".repeat(300);
+        const results = await Promise.allSettled(
+            Array.from({ length: 10 }, (_, i) =>
+                limits.fs.writeFile(file(`f${i}`), data)
+            )
+        );
+        const written = results.filter(r => r.status === "fulfilled");
+        assert.equal(written.length, 3);
+        for (const result of results) {
+            if (result.status === "rejected") {
+                assert.equal(result.reason.code, "ENOSPC");
+            }
+        }
+        assert.ok((await measureUsage(diskBackend, [root])).bytes <= 1000);
+    });
+
+    test("parallel copies cannot share free bytes", async () => {
+        fs.writeFileSync(file("src"), "x".repeat(400));
+        const limits = create({ quotaBytes: 1000 });
+        const results = await Promise.allSettled([
+            limits.fs.copyFile(file("src"), file("a")),
+            limits.fs.cp(file("src"), file("b")),
+            limits.fs.copyFile(file("src"), file("c"))
+        ]);
+        assert.equal(results.filter(r => r.status === "fulfilled").length, 1);
+    });
+
+    test("usage follows changes without a new walk", async () => {
+        fs.mkdirSync(file(".internal"));
+        const limits = create({ quotaBytes: 10000, maxFiles: 100 });
+        await limits.usage();
+        assert.equal(walks, 1);
+
+        await limits.fs.writeFile(file("a"), "12345");
+        await limits.fs.appendFile(file("a"), "678");
+        await limits.fs.mkdir(file("d/e"), { recursive: true });
+        await limits.fs.copyFile(file("a"), file("d/e/b"));
+        await limits.fs.truncate(file("d/e/b"), 2);
+        await limits.fs.link(file("a"), file("hard"));
+        await limits.fs.symlink("a", file("soft"));
+        await limits.fs.cp(file("d"), file("d2"), { recursive: true });
+        await limits.fs.rename(file("d2"), file(".internal/d2"));
+        await limits.fs.rename(file("a"), file("d/e/b"));
+        await limits.fs.unlink(file("soft"));
+        const handle = await limits.fs.open(file("h"), "w");
+        await handle.write(Buffer.from("hello"), 0, 5, 10);
+        await handle.truncate(12);
+        await handle.close();
+        await pipeline(
+            Readable.from([Buffer.from("streamed")]),
+            limits.fs.createWriteStream(file("s"))
+        );
+        await limits.fs.rm(file("d"), { recursive: true });
+
+        assert.deepEqual(
+            await limits.usage(),
+            await measureUsage(diskBackend, [root], isInternal)
+        );
+        assert.equal(walks, 1);
+    });
+
+    test("deleting frees quota", async () => {
+        const limits = create({ quotaBytes: 1000 });
+        await limits.fs.writeFile(file("a"), "x".repeat(800));
+        await assert.rejects(limits.fs.writeFile(file("b"), "x".repeat(800)), {
+            code: "ENOSPC"
+        });
+        await limits.fs.unlink(file("a"));
+        await limits.fs.writeFile(file("b"), "x".repeat(800));
+    });
+
+    test("a failed change has usage measured again", async () => {
+        const limits = create({ quotaBytes: 1000 });
+        await limits.usage();
+        await assert.rejects(limits.fs.writeFile(file("no/such/dir"), "x"));
+        fs.writeFileSync(file("outside-the-api"), "x".repeat(10));
+        assert.equal((await limits.usage()).bytes, 10);
+        assert.equal(walks, 2);
+    });
+});
+
+describe("a full quota", () => {
+    let root;
+    let dataDir;
+    let server;
+
+    beforeEach(async () => {
+        root = createTree();
+        dataDir = path.join(root, "data");
+        // Left by an upload the server forgot when it restarted
+        fs.mkdirSync(path.join(dataDir, ".fs-browser", "uploads"), {
+            recursive: true
+        });
+        fs.writeFileSync(
+            path.join(dataDir, ".fs-browser", "uploads", "stale"),
+            "x".repeat(500)
+        );
+        server = await startServer(dataDir, {
+            quotaBytes: 1000,
+            trash: true
+        });
+    });
+
+    afterEach(async () => {
+        await server.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const write = (filePath, size) =>
+        server.request("writeFile", {
+            method: "POST",
+            body: { path: filePath, data: "x".repeat(size) }
+        });
+
+    test("deletes stale upload parts, then the oldest trash entries", async () => {
+        const uploads = path.join(dataDir, ".fs-browser", "uploads");
+        assert.equal((await write("a", 400)).status, 200);
+        assert.ok(fs.existsSync(path.join(uploads, "stale")));
+        assert.equal((await write("b", 400)).status, 200);
+        assert.ok(!fs.existsSync(path.join(uploads, "stale")));
+
+        for (const name of ["a", "b"]) {
+            await server.request("rm", {
+                method: "DELETE",
+                body: { path: name }
+            });
+        }
+        assert.equal((await write("c", 500)).status, 200);
+        const { entries } = (await server.request("listTrash")).json;
+        assert.deepEqual(
+            entries.map(entry => entry.path),
+            ["b"]
+        );
+    });
+
+    test("fails once there is nothing left to delete", async () => {
+        const { status, json } = await write("big", 1200);
+        assert.equal(status, 507);
+        assert.equal(json.error.code, "ENOSPC");
+    });
+
+    test("keeps the parts of running uploads", async () => {
+        const { json } = await server.request("uploads", {
+            method: "POST",
+            body: { path: "up.bin", size: 10 }
+        });
+        const uploads = path.join(dataDir, ".fs-browser", "uploads");
+        assert.equal((await write("a", 700)).status, 200);
+        assert.ok(!fs.existsSync(path.join(uploads, "stale")));
+        assert.ok(fs.existsSync(path.join(uploads, json.id)));
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Read-only mounts refuse writes, wherever the request puts the path
+ */
+
+import assert from "assert/strict";
+import fs from "fs";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import { createTree, startServer } from "./helpers.js";
+
+describe("read-only mounts", () => {
+    let root;
+    let server;
+    let appJson;
+
+    before(async () => {
+        root = createTree();
+        fs.mkdirSync(path.join(root, "uploads"));
+        fs.mkdirSync(path.join(root, "config"));
+        fs.writeFileSync(path.join(root, "uploads", "x.txt"), "x");
+        appJson = path.join(root, "config", "app.json");
+        fs.writeFileSync(appJson, "{}");
+        server = await startServer(path.join(root, "data"), {
+            mounts: {
+                uploads: path.join(root, "uploads"),
+                config: { dir: path.join(root, "config"), readOnly: true }
+            }
+        });
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test("a body path on a read-only mount is refused", async () => {
+        const { status, json } = await server.request("rm?path=uploads/x.txt", {
+            method: "DELETE",
+            body: { path: "config/app.json" }
+        });
+        assert.equal(status, 403);
+        assert.equal(json.error.code, "EROFS");
+        assert.ok(fs.existsSync(appJson));
+        assert.ok(fs.existsSync(path.join(root, "uploads", "x.txt")));
+    });
+
+    test("writes to a read-only mount fail with EROFS", async () => {
+        const { status, json } = await server.request("writeFile", {
+            method: "POST",
+            body: { path: "config/app.json", data: "pwned" }
+        });
+        assert.equal(status, 403);
+        assert.equal(json.error.code, "EROFS");
+        assert.equal(fs.readFileSync(appJson, "utf8"), "{}");
+    });
+
+    test("reads from a read-only mount work", async () => {
+        const { status, text } = await server.request(
+            "readFile?path=config/app.json"
+        );
+        assert.equal(status, 200);
+        assert.equal(text, "{}");
+    });
+
+    test("writable mounts still take writes", async () => {
+        const { status } = await server.request("rm", {
+            method: "DELETE",
+            body: { path: "uploads/x.txt" }
+        });
+        assert.equal(status, 200);
+        assert.ok(!fs.existsSync(path.join(root, "uploads", "x.txt")));
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Writes queued offline reach the server once it is back, and do not
+ * overwrite changes made there in the meantime
+ */
+
+import assert from "assert/strict";
+import fs from "fs";
+import path from "path";
+import {
+    after,
+    afterEach,
+    before,
+    beforeEach,
+    describe,
+    test
+} from "node:test";
+import { createOfflineStore, memoryStorage } from "../src/offline.js";
+import { createTree, startServer } from "./helpers.js";
+
+describe("offline replay", () => {
+    let root;
+    let server;
+    let store;
+    let online;
+
+    // fetch, failing like one without a network while offline
+    const send = async (url, init) => {
+        if (!online) throw new TypeError("Failed to fetch");
+        return fetch(url, init);
+    };
+    const file = () => path.join(root, "data", "public.txt");
+
+    before(async () => {
+        root = createTree();
+        server = await startServer(path.join(root, "data"));
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    beforeEach(async () => {
+        fs.writeFileSync(file(), "public");
+        fs.utimesSync(file(), 1700000000, 1700000000);
+        online = true;
+        store = createOfflineStore({
+            storage: memoryStorage(),
+            retryInterval: 0
+        });
+        await store.handle(`${server.base}/readFile?path=public.txt`, {}, send);
+
+        // Queue a write while the server cannot be reached
+        online = false;
+        const { status } = await store.handle(
+            `${server.base}/writeFile?path=public.txt`,
+            {
+                method: "POST",
+                headers: { "Content-Type": "text/plain" },
+                body: "local!"
+            },
+            send
+        );
+        assert.equal(status, 200);
+        assert.equal(store.pending, 1);
+    });
+
+    afterEach(() => store.close());
+
+    test("replays writes to unchanged files", async () => {
+        online = true;
+        await store.sync();
+        assert.deepEqual(store.conflicts(), []);
+        assert.equal(fs.readFileSync(file(), "utf8"), "local!");
+    });
+
+    test("catches changes that keep the mtime", async () => {
+        // Another client writes the same number of bytes, then puts the
+        // old mtime back
+        await server.request("writeFile", {
+            method: "POST",
+            body: { path: "public.txt", data: "remote" }
+        });
+        await server.request("utimes", {
+            method: "POST",
+            body: {
+                path: "public.txt",
+                atime: 1700000000,
+                mtime: 1700000000
+            }
+        });
+        assert.equal(fs.statSync(file()).mtimeMs, 1700000000 * 1000);
+
+        online = true;
+        await store.sync();
+        const [conflict] = store.conflicts();
+        assert.equal(conflict.reason, "changed");
+        assert.equal(conflict.path, "public.txt");
+        assert.equal(fs.readFileSync(file(), "utf8"), "remote");
+    });
+});
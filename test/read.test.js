@@ -0,0 +1,41 @@
+/**
+ * Ranged reads honor the encoding they ask for
+ */
+
+import assert from "assert/strict";
+import fs from "fs";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import { createTree, startServer } from "./helpers.js";
+
+describe("GET /readFile with a Range", () => {
+    let root;
+    let server;
+
+    before(async () => {
+        root = createTree();
+        fs.writeFileSync(path.join(root, "data", "cafe.txt"), "café");
+        server = await startServer(path.join(root, "data"));
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    for (const [encoding, expected] of [
+        ["utf8", "fé"],
+        ["latin1", "fÃ©"],
+        ["base64", "ZsOp"],
+        ["hex", "66c3a9"]
+    ]) {
+        test(`transcodes the range to ${encoding}`, async () => {
+            const { status, text } = await server.request(
+                `readFile?path=cafe.txt&encoding=${encoding}`,
+                { headers: { Range: "bytes=2-4" } }
+            );
+            assert.equal(status, 206);
+            assert.equal(text, expected);
+        });
+    }
+});
@@ -0,0 +1,143 @@
+/**
+ * Trash entries go back inside the root they were deleted from, whatever
+ * their info.json says and wherever their directory now points
+ */
+
+import assert from "assert/strict";
+import fs from "fs";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import { createTree, snapshot, startServer } from "./helpers.js";
+
+describe("trash", () => {
+    let root;
+    let dataDir;
+    let server;
+    let guarded;
+    let expected;
+
+    // Plant an entry as if something had deleted `entryPath`
+    const plant = (id, entryPath) => {
+        const dir = path.join(dataDir, ".fs-browser", "trash", id);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, "entry"), "planted");
+        fs.writeFileSync(
+            path.join(dir, "info.json"),
+            JSON.stringify({
+                path: entryPath,
+                type: "file",
+                size: 7,
+                deletedAt: Date.now()
+            })
+        );
+    };
+
+    const listIds = async () =>
+        (await server.request("listTrash")).json.entries.map(entry => entry.id);
+
+    before(async () => {
+        root = createTree();
+        dataDir = path.join(root, "data");
+        guarded = [path.join(root, "outside"), path.join(root, "data2")];
+        expected = snapshot(guarded);
+        server = await startServer(dataDir, { trash: true });
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    for (const [id, entryPath] of [
+        ["dot-dot", "../outside/planted.txt"],
+        ["prefix", "../data2/planted.txt"],
+        ["root", ""],
+        ["internal", ".fs-browser/planted.txt"]
+    ]) {
+        test(`entries with a path like '${entryPath}' are ignored`, async () => {
+            plant(id, entryPath);
+            assert.ok(!(await listIds()).includes(id));
+            const { status } = await server.request("restore", {
+                method: "POST",
+                body: { id }
+            });
+            assert.equal(status, 404);
+            assert.equal(snapshot(guarded), expected);
+            assert.ok(!fs.existsSync(path.join(dataDir, "planted.txt")));
+        });
+    }
+
+    test("restoring through a swapped-in symlink is refused", async () => {
+        const { status } = await server.request("rm", {
+            method: "DELETE",
+            body: { path: "sub/inner.txt" }
+        });
+        assert.equal(status, 200);
+        const [id] = await listIds();
+        fs.rmSync(path.join(dataDir, "sub"), { recursive: true });
+        fs.symlinkSync("../outside", path.join(dataDir, "sub"));
+        try {
+            const restored = await server.request("restore", {
+                method: "POST",
+                body: { id }
+            });
+            assert.equal(restored.status, 403);
+            assert.equal(snapshot(guarded), expected);
+        } finally {
+            fs.unlinkSync(path.join(dataDir, "sub"));
+            fs.mkdirSync(path.join(dataDir, "sub"));
+        }
+    });
+
+    test("deleted files come back where they were", async () => {
+        await server.request("rm", {
+            method: "DELETE",
+            body: { path: "public.txt" }
+        });
+        assert.ok(!fs.existsSync(path.join(dataDir, "public.txt")));
+        const [id] = await listIds();
+        const { status, json } = await server.request("restore", {
+            method: "POST",
+            body: { id }
+        });
+        assert.equal(status, 200);
+        assert.equal(json.path, "public.txt");
+        assert.equal(
+            fs.readFileSync(path.join(dataDir, "public.txt"), "utf8"),
+            "public"
+        );
+    });
+});
+
+describe("trash retention", () => {
+    let root;
+    let server;
+
+    before(async () => {
+        root = createTree();
+        server = await startServer(path.join(root, "data"), {
+            trash: true,
+            trashRetention: 50
+        });
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test("expired entries are gone before they are purged", async () => {
+        await server.request("rm", {
+            method: "DELETE",
+            body: { path: "public.txt" }
+        });
+        const [entry] = (await server.request("listTrash")).json.entries;
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.deepEqual((await server.request("listTrash")).json.entries, []);
+        const { status } = await server.request("restore", {
+            method: "POST",
+            body: { id: entry.id }
+        });
+        assert.equal(status, 404);
+    });
+});
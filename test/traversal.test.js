@@ -0,0 +1,290 @@
+/**
+ * Traversal attempts against every route that takes a path
+ * Each attempt must fail and leave everything outside the base directory
+ * (including data2, which shares its prefix) as it was, unread. Routes
+ * that move or copy public.txt get it back before the next attempt.
+ */
+
+import assert from "assert/strict";
+import fs from "fs";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import { writeTar } from "../plugin/archive.js";
+import { SECRET, createTree, snapshot, startServer } from "./helpers.js";
+
+const tarOf = async () => {
+    const chunks = [];
+    const entries = [
+        {
+            path: "x.txt",
+            type: "file",
+            mode: 0o644,
+            mtimeMs: Date.now(),
+            size: 1,
+            open: async () => [Buffer.from("x")]
+        }
+    ];
+    for await (const chunk of writeTar(entries)) chunks.push(chunk);
+    return new Uint8Array(Buffer.concat(chunks));
+};
+
+const root = createTree();
+const dataDir = path.join(root, "data");
+
+// Paths that must not get out of data; `raw` ones go into query strings
+// as they are, to try separators the server decodes itself
+const PAYLOADS = [
+    { name: "dot-dot", value: "../outside/stolen.txt" },
+    { name: "leading slash dot-dot", value: "/../outside/stolen.txt" },
+    { name: "nested dot-dot", value: "sub/../../outside/stolen.txt" },
+    { name: "prefix collision", value: "../data2/victim.txt" },
+    // Absolute paths start at the base directory, so these may succeed
+    // there
+    {
+        name: "absolute path",
+        value: path.join(root, "outside", "stolen.txt"),
+        rooted: true
+    },
+    { name: "symlink escape", value: "link-out/stolen.txt" },
+    { name: "NUL byte", value: "public.txt\0../../outside/stolen.txt" },
+    {
+        name: "encoded separators",
+        value: "..%2Foutside%2Fstolen.txt",
+        raw: true
+    },
+    {
+        name: "encoded dots",
+        value: "%2e%2e/%2e%2e/outside/stolen.txt",
+        raw: true
+    }
+];
+
+// Request for each route with the payload in one of its path parameters
+const queryRoutes = {
+    "GET readFile": q => [`readFile?path=${q}`],
+    "GET createReadStream": q => [`createReadStream?path=${q}`],
+    "GET stat": q => [`stat?path=${q}`],
+    "GET lstat": q => [`lstat?path=${q}/x`],
+    "GET realpath": q => [`realpath?path=${q}`],
+    "GET readlink": q => [`readlink?path=${q}`],
+    "GET access": q => [`access?path=${q}&mode=2`],
+    "GET readdir": q => [`readdir?path=${q}/..`],
+    "GET tree": q => [`tree?path=${q}/..`],
+    "GET glob": q => [`glob?pattern=*&cwd=${q}/..`],
+    "GET grep": q => [`grep?query=SECRET&path=${q}`],
+    "GET archive": q => [`archive?path=${q}/..`],
+    "GET watch": q => [`watch?path=${q}`],
+    "POST writeFile (stream)": q => [
+        `writeFile?path=${q}`,
+        {
+            method: "POST",
+            body: "pwned",
+            headers: { "Content-Type": "text/plain" }
+        }
+    ],
+    "POST appendFile (stream)": q => [
+        `appendFile?path=${q}`,
+        {
+            method: "POST",
+            body: "pwned",
+            headers: { "Content-Type": "text/plain" }
+        }
+    ],
+    "POST createWriteStream": q => [
+        `createWriteStream?path=${q}`,
+        {
+            method: "POST",
+            body: "pwned",
+            headers: { "Content-Type": "text/plain" }
+        }
+    ]
+};
+
+const bodyRoutes = {
+    "POST writeFile (JSON)": p => [
+        "writeFile",
+        { method: "POST", body: { path: p, data: "pwned" } }
+    ],
+    "POST appendFile (JSON)": p => [
+        "appendFile",
+        { method: "POST", body: { path: p, data: "pwned" } }
+    ],
+    "POST open": p => [
+        "open",
+        { method: "POST", body: { path: p, flags: "r+" } }
+    ],
+    "POST copyFile src": p => [
+        "copyFile",
+        { method: "POST", body: { src: p, dest: "copy.txt" } }
+    ],
+    "POST copyFile dest": p => [
+        "copyFile",
+        { method: "POST", body: { src: "public.txt", dest: p } }
+    ],
+    "POST cp src": p => [
+        "cp",
+        { method: "POST", body: { src: p, dest: "cp.txt" } }
+    ],
+    "POST cp dest": p => [
+        "cp",
+        { method: "POST", body: { src: "public.txt", dest: p } }
+    ],
+    "POST mkdir": p => [
+        "mkdir",
+        { method: "POST", body: { path: `${p}.d`, recursive: true } }
+    ],
+    "DELETE rmdir": p => [
+        "rmdir",
+        { method: "DELETE", body: { path: p, recursive: true } }
+    ],
+    "DELETE rm": p => [
+        "rm",
+        { method: "DELETE", body: { path: p, recursive: true } }
+    ],
+    "DELETE unlink": p => ["unlink", { method: "DELETE", body: { path: p } }],
+    "PUT rename from": p => [
+        "rename",
+        { method: "PUT", body: { oldPath: p, newPath: "moved.txt" } }
+    ],
+    "PUT rename to": p => [
+        "rename",
+        { method: "PUT", body: { oldPath: "public.txt", newPath: p } }
+    ],
+    "POST chmod": p => [
+        "chmod",
+        { method: "POST", body: { path: p, mode: 0o777 } }
+    ],
+    "POST utimes": p => [
+        "utimes",
+        { method: "POST", body: { path: p, atime: 0, mtime: 0 } }
+    ],
+    "POST truncate": p => [
+        "truncate",
+        { method: "POST", body: { path: p, len: 0 } }
+    ],
+    "POST symlink target": p => [
+        "symlink",
+        { method: "POST", body: { target: p, path: "new-link" } }
+    ],
+    "POST symlink path": p => [
+        "symlink",
+        { method: "POST", body: { target: "public.txt", path: p } }
+    ],
+    "POST link existing": p => [
+        "link",
+        { method: "POST", body: { existingPath: p, newPath: "hard" } }
+    ],
+    "POST link new": p => [
+        "link",
+        { method: "POST", body: { existingPath: "public.txt", newPath: p } }
+    ],
+    "POST mkdtemp": p => ["mkdtemp", { method: "POST", body: { prefix: p } }],
+    "POST uploads": p => [
+        "uploads",
+        { method: "POST", body: { path: p, size: 1 } }
+    ],
+    "POST batch": p => [
+        "batch",
+        {
+            method: "POST",
+            body: {
+                atomic: true,
+                ops: [{ op: "writeFile", path: p, data: "pwned" }]
+            }
+        }
+    ]
+};
+
+describe("path traversal", () => {
+    let server;
+    let tar;
+    const guarded = [path.join(root, "outside"), path.join(root, "data2")];
+    let expected;
+
+    before(async () => {
+        server = await startServer(dataDir);
+        tar = await tarOf();
+        expected = snapshot(guarded);
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const attempt = async (payload, route, init) => {
+        fs.writeFileSync(path.join(dataDir, "public.txt"), "public");
+        const { status, text } = await server.request(route, init);
+        if (!payload.rooted) {
+            assert.ok(
+                status >= 400,
+                `expected an error, got ${status}: ${text}`
+            );
+        }
+        assert.ok(!text.includes(SECRET), "response leaks outside data");
+        assert.equal(snapshot(guarded), expected, "outside files changed");
+    };
+
+    for (const payload of PAYLOADS) {
+        const q = payload.raw
+            ? payload.value
+            : encodeURIComponent(payload.value);
+
+        describe(payload.name, () => {
+            for (const [name, build] of Object.entries(queryRoutes)) {
+                test(name, () => attempt(payload, ...build(q)));
+            }
+
+            test("POST extract", () =>
+                attempt(payload, `extract?path=${q}/..`, {
+                    method: "POST",
+                    body: tar,
+                    headers: { "Content-Type": "application/x-tar" }
+                }));
+
+            // Body parameters are never URL-decoded
+            if (payload.raw) return;
+            for (const [name, build] of Object.entries(bodyRoutes)) {
+                test(name, () => attempt(payload, ...build(payload.value)));
+            }
+        });
+    }
+});
+
+describe("followSymlinks", () => {
+    let tree;
+
+    before(() => {
+        tree = createTree();
+        fs.symlinkSync("public.txt", path.join(tree, "data", "link-in"));
+    });
+
+    after(() => fs.rmSync(tree, { recursive: true, force: true }));
+
+    const read = async (mode, filePath) => {
+        const server = await startServer(path.join(tree, "data"), {
+            followSymlinks: mode
+        });
+        try {
+            return await server.request(`readFile?path=${filePath}`);
+        } finally {
+            await server.close();
+        }
+    };
+
+    test("'inside' follows links inside the base directory only", async () => {
+        assert.equal((await read("inside", "link-in")).text, "public");
+        assert.equal((await read("inside", "link-out/stolen.txt")).status, 403);
+    });
+
+    test("'never' follows no link", async () => {
+        assert.equal((await read("never", "link-in")).status, 403);
+    });
+
+    test("'always' follows every link", async () => {
+        assert.equal(
+            (await read("always", "link-out/stolen.txt")).text,
+            SECRET
+        );
+    });
+});
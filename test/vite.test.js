@@ -0,0 +1,55 @@
+/**
+ * The Vite plugin serves requests only once its directories exist
+ */
+
+import assert from "assert/strict";
+import http from "http";
+import { after, before, describe, test } from "node:test";
+import { createMemoryFs } from "../plugin/backends.js";
+import vitePluginFsApi from "../plugin/vite.js";
+
+describe("vite plugin", () => {
+    let server;
+    let base;
+
+    before(async () => {
+        // A backend that takes its time creating directories
+        const memory = createMemoryFs();
+        const backend = {
+            ...memory,
+            mkdir: async (dir, options) => {
+                await new Promise(resolve => setTimeout(resolve, 200));
+                return memory.mkdir(dir, options);
+            }
+        };
+        const plugin = vitePluginFsApi({ backend, baseDir: "/data" });
+
+        let middleware;
+        plugin.configureServer({
+            middlewares: { use: fn => (middleware = fn) }
+        });
+        server = http.createServer((req, res) =>
+            middleware(req, res, () => {
+                res.writeHead(404);
+                res.end();
+            })
+        );
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        base = `http://127.0.0.1:${server.address().port}/api/fs`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    test("the first request waits for the base directory", async () => {
+        const response = await fetch(`${base}/writeFile`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ path: "first.txt", data: "first" })
+        });
+        assert.equal(response.status, 200);
+        const read = await fetch(
+            `${base}/readFile?path=first.txt&encoding=utf8`
+        );
+        assert.equal(await read.text(), "first");
+    });
+});
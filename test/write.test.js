@@ -0,0 +1,143 @@
+/**
+ * Writes with If-Match fail once the file has changed, and atomic writes
+ * leave the file as it was when they fail
+ */
+
+import assert from "assert/strict";
+import fs from "fs";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import { createFsError, diskBackend } from "../plugin/fs-handlers.js";
+import { createTree, startServer } from "./helpers.js";
+
+describe("If-Match", () => {
+    let root;
+    let server;
+
+    before(async () => {
+        root = createTree();
+        server = await startServer(path.join(root, "data"));
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const write = (data, etag) =>
+        server.request("writeFile", {
+            method: "POST",
+            body: { path: "public.txt", data },
+            headers: { "If-Match": etag }
+        });
+
+    const etag = async () =>
+        (await server.request("stat?path=public.txt")).json.stats.etag;
+
+    test("writes based on the current version go through", async () => {
+        const read = await etag();
+        const { status, json } = await write("first", read);
+        assert.equal(status, 200);
+        assert.notEqual(json.etag, read);
+        assert.equal((await write("second", json.etag)).status, 200);
+    });
+
+    test("writes based on an older version are refused", async () => {
+        const read = await etag();
+        await server.request("writeFile", {
+            method: "POST",
+            body: { path: "public.txt", data: "someone else's" }
+        });
+        const { status, json } = await write("mine", read);
+        assert.equal(status, 412);
+        assert.equal(json.error.code, "ECONFLICT");
+        assert.equal(
+            fs.readFileSync(path.join(root, "data", "public.txt"), "utf8"),
+            "someone else's"
+        );
+    });
+});
+
+describe("atomic writes", () => {
+    let root;
+    let dataDir;
+    let server;
+    let renameError;
+
+    // A backend whose renames fail with renameError, when it is set
+    const backend = {
+        ...diskBackend,
+        rename: async (oldPath, newPath) => {
+            if (renameError) {
+                throw createFsError(renameError, "rename failed", {
+                    syscall: "rename",
+                    path: oldPath,
+                    dest: newPath
+                });
+            }
+            return diskBackend.rename(oldPath, newPath);
+        }
+    };
+
+    before(async () => {
+        root = createTree();
+        dataDir = path.join(root, "data");
+        server = await startServer(dataDir, { backend });
+    });
+
+    after(async () => {
+        await server.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const tempFiles = () =>
+        fs.readdirSync(path.join(dataDir, ".fs-browser", "tmp"));
+
+    for (const [name, init] of [
+        ["JSON", { method: "POST", body: { path: "public.txt", data: "new" } }],
+        [
+            "streamed",
+            {
+                method: "POST",
+                body: "new",
+                headers: { "Content-Type": "text/plain" }
+            }
+        ]
+    ]) {
+        test(`a ${name} write whose rename fails changes nothing`, async () => {
+            renameError = "EBUSY";
+            try {
+                const route =
+                    name === "JSON" ? "writeFile" : "writeFile?path=public.txt";
+                const { status, json } = await server.request(route, init);
+                assert.equal(status, 409);
+                assert.equal(json.error.code, "EBUSY");
+            } finally {
+                renameError = null;
+            }
+            assert.equal(
+                fs.readFileSync(path.join(dataDir, "public.txt"), "utf8"),
+                "public"
+            );
+            assert.deepEqual(tempFiles(), []);
+        });
+    }
+
+    test("targets on another device are copied over", async () => {
+        renameError = "EXDEV";
+        try {
+            const { status } = await server.request("writeFile", {
+                method: "POST",
+                body: { path: "sub/inner.txt", data: "copied" }
+            });
+            assert.equal(status, 200);
+        } finally {
+            renameError = null;
+        }
+        assert.equal(
+            fs.readFileSync(path.join(dataDir, "sub", "inner.txt"), "utf8"),
+            "copied"
+        );
+        assert.deepEqual(tempFiles(), []);
+    });
+});